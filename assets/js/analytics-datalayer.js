@@ -0,0 +1,86 @@
+/**
+ * Analytics dataLayer Adapter
+ *
+ * Maps the enrollment DOM events (fb:cart:added, fb:cart:checkout, ...)
+ * to GA4 ecommerce events on window.dataLayer, for Google Tag Manager.
+ * Enabled from Enrollment > Settings > Analytics.
+ *
+ * @package FieldsBright\Enrollment
+ * @since   1.2.0
+ */
+
+(function() {
+    'use strict';
+
+    window.dataLayer = window.dataLayer || [];
+
+    /**
+     * Convert an event item to a GA4 item.
+     *
+     * @param {Object} item Event item.
+     * @returns {Object} GA4 item.
+     */
+    function toGaItem(item) {
+        const gaItem = {
+            item_id: String(item.workshopId),
+            item_name: item.workshopTitle || '',
+            price: item.price || 0,
+            quantity: item.quantity || 1
+        };
+
+        if (item.pricingLabel || item.pricingOption) {
+            gaItem.item_variant = item.pricingLabel || item.pricingOption;
+        }
+
+        return gaItem;
+    }
+
+    /**
+     * Push a GA4 ecommerce event.
+     *
+     * @param {string} event GA4 event name.
+     * @param {Array} items Event items.
+     * @param {string} currency ISO 4217 currency code.
+     * @param {Object} [promo] Cart discounts, with `coupon` and the total `discount`.
+     */
+    function pushEcommerce(event, items, currency, promo) {
+        if (!items.length) return;
+
+        const discount = promo ? promo.discount || 0 : 0;
+        const value = items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 1), 0) - discount;
+        const ecommerce = {
+            currency: currency,
+            value: Math.round(value * 100) / 100,
+            items: items.map(toGaItem)
+        };
+
+        if (discount && promo.coupon) {
+            ecommerce.coupon = promo.coupon;
+        }
+
+        // Clear the previous ecommerce object so fields don't leak between events.
+        window.dataLayer.push({ ecommerce: null });
+        window.dataLayer.push({
+            event: event,
+            ecommerce: ecommerce
+        });
+    }
+
+    const handlers = {
+        'fb:cart:added': detail => pushEcommerce('add_to_cart', [detail], detail.currency),
+        'fb:cart:removed': detail => pushEcommerce('remove_from_cart', [detail], detail.currency),
+        'fb:cart:cleared': detail => pushEcommerce('remove_from_cart', detail.items || [], detail.currency),
+        'fb:cart:checkout': detail => pushEcommerce('begin_checkout', detail.items || [], detail.currency, detail),
+        'fb:enrollment:checkout': detail => pushEcommerce('begin_checkout', [detail], detail.currency),
+        'fb:saved:added': detail => pushEcommerce('add_to_wishlist', [detail], detail.currency),
+        'fb:waitlist:joined': detail => window.dataLayer.push({
+            event: 'waitlist_join',
+            workshop_id: String(detail.workshopId)
+        })
+    };
+
+    Object.keys(handlers).forEach(name => {
+        document.addEventListener(name, e => handlers[name](e.detail || {}));
+    });
+
+})();
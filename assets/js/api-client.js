@@ -0,0 +1,334 @@
+/**
+ * API Client JavaScript
+ *
+ * Shared client for the enrollment REST endpoints and admin-ajax actions.
+ * Adds the right nonce to every request, normalizes the response envelope
+ * and maps failures to a single error shape. When a nonce has expired
+ * (e.g. on a page served from cache) it fetches fresh nonces and retries
+ * the request once.
+ *
+ * Usage:
+ *   fbApi.rest({ path: 'cart/add', method: 'POST', data: { workshop_id: 12 } });
+ *   fbApi.ajax('fields_bright_join_waitlist', { workshop_id: 12 }, { nonce: 'waitlist' });
+ *
+ * Both resolve with { success, message, data, ... } and reject with
+ * { code, message, status, data }.
+ *
+ * @package FieldsBright\Enrollment
+ * @since   1.2.0
+ */
+
+(function($) {
+    'use strict';
+
+    const config = $.extend(true, {
+        restUrl: '/wp-json/fields-bright/v1/',
+        ajaxUrl: '/wp-admin/admin-ajax.php',
+        nonces: {},
+        strings: {
+            generic: 'Something went wrong. Please try again.',
+            network: 'Unable to connect. Please check your connection and try again.',
+            timeout: 'The request timed out. Please try again.',
+            expired: 'Your session has expired. Please reload the page.'
+        }
+    }, window.fbApiConfig);
+
+    /**
+     * API client module.
+     */
+    const Api = {
+        /**
+         * Current nonces, keyed by name (rest, cart, waitlist, ...).
+         */
+        nonces: $.extend({}, config.nonces),
+
+        /**
+         * Pending nonce refresh, shared by concurrent failures.
+         */
+        refreshing: null,
+
+        /**
+         * Default request timeout in milliseconds.
+         */
+        timeout: 15000,
+
+        /**
+         * Send a request to the plugin REST namespace.
+         *
+         * @param {Object} options Request options.
+         * @param {string} options.path Path relative to the REST namespace.
+         * @param {string} [options.method] HTTP method.
+         * @param {Object} [options.data] Request data.
+         * @param {Object} [options.headers] Extra request headers.
+         * @param {number} [options.timeout] Timeout in milliseconds.
+         * @returns {Promise} Normalized response, with an abort() method.
+         */
+        rest: function(options) {
+            return this.send(() => {
+                const headers = $.extend({}, options.headers);
+
+                if (this.nonces.rest) {
+                    headers['X-WP-Nonce'] = this.nonces.rest;
+                }
+
+                return {
+                    url: config.restUrl + options.path,
+                    method: options.method || 'GET',
+                    data: options.data,
+                    timeout: options.timeout || this.timeout,
+                    headers: headers
+                };
+            });
+        },
+
+        /**
+         * Send an admin-ajax request.
+         *
+         * @param {string} action AJAX action name.
+         * @param {Object} [data] Request data.
+         * @param {Object} [options] Request options.
+         * @param {string} [options.nonce] Name of the nonce to send as the nonce field.
+         * @param {number} [options.timeout] Timeout in milliseconds.
+         * @returns {Promise} Normalized response, with an abort() method.
+         */
+        ajax: function(action, data, options) {
+            const settings = $.extend({ nonce: '', timeout: this.timeout }, options);
+
+            return this.send(() => {
+                const payload = $.extend({}, data, { action: action });
+
+                if (settings.nonce && this.nonces[settings.nonce]) {
+                    payload.nonce = this.nonces[settings.nonce];
+                }
+
+                return {
+                    url: config.ajaxUrl,
+                    method: 'POST',
+                    data: payload,
+                    timeout: settings.timeout
+                };
+            });
+        },
+
+        /**
+         * Send a request, refreshing nonces and retrying once if they expired.
+         *
+         * @param {Function} build Returns jQuery ajax settings. Called per attempt
+         *                         so a retry picks up the refreshed nonces.
+         * @returns {Promise} Normalized response, with an abort() method.
+         */
+        send: function(build) {
+            const deferred = $.Deferred();
+            let refreshed = false;
+            let aborted = false;
+            let xhr = null;
+
+            const attempt = () => {
+                if (aborted) return;
+
+                xhr = $.ajax(build());
+
+                xhr.then(response => deferred.resolve(this.normalize(response)), (jqXHR, textStatus) => {
+                    if (aborted) return;
+
+                    if (!this.isNonceError(jqXHR)) {
+                        deferred.reject(this.toError(jqXHR, textStatus));
+                        return;
+                    }
+
+                    if (refreshed) {
+                        deferred.reject(this.createError('nonce_expired', config.strings.expired, jqXHR.status));
+                        return;
+                    }
+
+                    refreshed = true;
+                    this.refreshNonces().then(attempt, () => {
+                        deferred.reject(this.createError('nonce_expired', config.strings.expired, jqXHR.status));
+                    });
+                });
+            };
+
+            const promise = deferred.promise({
+                abort: () => {
+                    aborted = true;
+
+                    if (xhr) {
+                        xhr.abort();
+                    }
+
+                    if (deferred.state() === 'pending') {
+                        deferred.reject(this.createError('abort', '', 0));
+                    }
+                }
+            });
+
+            attempt();
+
+            return promise;
+        },
+
+        /**
+         * Fetch fresh nonces for the current visitor.
+         *
+         * Goes through admin-ajax rather than REST: a REST request without a
+         * valid nonce is treated as logged out, so it would return nonces for
+         * the wrong user.
+         *
+         * @returns {Promise} Resolves once the nonces are updated.
+         */
+        refreshNonces: function() {
+            if (this.refreshing) {
+                return this.refreshing;
+            }
+
+            this.refreshing = $.ajax({
+                url: config.ajaxUrl,
+                method: 'POST',
+                timeout: this.timeout,
+                data: {
+                    action: 'fields_bright_refresh_nonces',
+                    // Admin screens get their admin nonces back; other pages have none to ask for.
+                    names: Object.keys(this.nonces)
+                }
+            }).then(response => {
+                if (!response || !response.success || !response.data || !response.data.nonces) {
+                    return $.Deferred().reject().promise();
+                }
+
+                $.extend(this.nonces, response.data.nonces);
+                return this.nonces;
+            });
+
+            this.refreshing.always(() => {
+                this.refreshing = null;
+            });
+
+            return this.refreshing;
+        },
+
+        /**
+         * Whether a failed request was rejected for an invalid or expired nonce.
+         *
+         * @param {Object} jqXHR jQuery XHR object.
+         * @returns {boolean} True if the nonce was rejected.
+         */
+        isNonceError: function(jqXHR) {
+            if (jqXHR.status !== 403) return false;
+
+            // check_ajax_referer() dies with -1.
+            if (String(jqXHR.responseText || '').trim() === '-1') return true;
+
+            const body = jqXHR.responseJSON || {};
+            const code = body.code || (body.data && body.data.code);
+
+            return code === 'rest_cookie_invalid_nonce' || code === 'invalid_nonce';
+        },
+
+        /**
+         * Normalize a response envelope.
+         *
+         * REST endpoints reply with { success, message, data } or with their
+         * fields at the top level (e.g. { success, checkout_url }); admin-ajax
+         * replies with { success, data: { message } }. Either way the result
+         * has success, message and data, with top-level fields moved into data
+         * when there is none. Other top-level fields are kept.
+         *
+         * @param {*} response Raw response.
+         * @returns {Object} Normalized response.
+         */
+        normalize: function(response) {
+            if (!$.isPlainObject(response)) {
+                return { success: true, message: '', data: response };
+            }
+
+            const normalized = $.extend({}, response);
+
+            if (!Object.prototype.hasOwnProperty.call(response, 'data')) {
+                normalized.data = {};
+
+                Object.keys(response).forEach(key => {
+                    if (key !== 'success' && key !== 'message') {
+                        normalized.data[key] = response[key];
+                    }
+                });
+            }
+
+            normalized.success = response.success !== false;
+            normalized.message = response.message
+                || ($.isPlainObject(normalized.data) && normalized.data.message)
+                || '';
+
+            return normalized;
+        },
+
+        /**
+         * Map a failed jQuery request to an API error.
+         *
+         * @param {Object} jqXHR jQuery XHR object.
+         * @param {string} textStatus jQuery error status.
+         * @returns {Object} Error with code, message, status and data.
+         */
+        toError: function(jqXHR, textStatus) {
+            if (textStatus === 'abort') {
+                return this.createError('abort', '', 0);
+            }
+
+            if (textStatus === 'timeout') {
+                return this.createError('timeout', config.strings.timeout, 0);
+            }
+
+            if (!jqXHR.status) {
+                return this.createError('network', config.strings.network, 0);
+            }
+
+            const body = $.isPlainObject(jqXHR.responseJSON) ? jqXHR.responseJSON : {};
+            const data = $.isPlainObject(body.data) ? body.data : {};
+
+            return this.createError(
+                body.code || data.code || 'http_' + jqXHR.status,
+                body.message || data.message || config.strings.generic,
+                jqXHR.status,
+                body.data !== undefined ? body.data : null
+            );
+        },
+
+        /**
+         * Create an API error.
+         *
+         * @param {string} code Error code.
+         * @param {string} message User-facing message.
+         * @param {number} status HTTP status, 0 if there was no response.
+         * @param {*} [data] Extra error data.
+         * @returns {Object} API error.
+         */
+        createError: function(code, message, status, data) {
+            return {
+                code: code,
+                message: message,
+                status: status,
+                data: data === undefined ? null : data
+            };
+        },
+
+        /**
+         * Get a user-facing message for a rejection.
+         *
+         * Script errors thrown inside a promise chain land in the same catch
+         * handler; they get the fallback instead of their technical message.
+         *
+         * @param {*} error Rejection value.
+         * @param {string} fallback Fallback message.
+         * @returns {string} Message.
+         */
+        getMessage: function(error, fallback) {
+            if (error && typeof error.code === 'string' && error.message) {
+                return error.message;
+            }
+
+            return fallback;
+        }
+    };
+
+    window.fbApi = Api;
+
+})(jQuery);
@@ -0,0 +1,345 @@
+/**
+ * Availability JavaScript
+ *
+ * Keeps seat availability current on pages that may have been open (or
+ * cached) for a while. Polls the availability endpoint for every workshop
+ * on the page, and refreshes when the tab becomes visible again. Updates
+ * remaining-spot badges, disables add-to-cart and enrollment buttons when
+ * a workshop fills, and swaps in the waitlist form when there is one.
+ *
+ * @package FieldsBright\Enrollment
+ * @since   1.2.0
+ */
+
+(function($) {
+    'use strict';
+
+    const config = $.extend(true, {
+        interval: 60,
+        strings: {
+            spotLeft: '%d spot left',
+            spotsLeft: '%d spots left',
+            soldOut: 'Sold Out',
+            withTotal: '%1$s / %2$d total',
+            heldForYou: '✓ Held for You'
+        }
+    }, window.fbAvailabilityConfig);
+
+    /**
+     * Availability module.
+     */
+    const Availability = {
+        /**
+         * Minimum time between requests in milliseconds.
+         */
+        minGap: 10000,
+
+        /**
+         * Badge count at or below which a badge is marked urgent.
+         */
+        urgencyThreshold: 5,
+
+        /**
+         * Poll timer.
+         */
+        timer: null,
+
+        /**
+         * Time of the last request.
+         */
+        lastFetch: 0,
+
+        /**
+         * Request in flight, if any.
+         */
+        pending: null,
+
+        /**
+         * Whether the last request failed.
+         */
+        failing: false,
+
+        /**
+         * Initialize.
+         */
+        init: function() {
+            if (!this.getWorkshopIds().length) return;
+
+            this.refresh(true);
+            this.schedule();
+
+            // Background tabs don't poll; catch up when the visitor returns.
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) {
+                    clearTimeout(this.timer);
+                    this.timer = null;
+                    return;
+                }
+
+                this.refresh();
+                this.schedule();
+            });
+
+            $(window).on('focus', () => this.refresh());
+        },
+
+        /**
+         * Get the IDs of all workshops shown on the page.
+         *
+         * @returns {Array} Workshop IDs.
+         */
+        getWorkshopIds: function() {
+            const ids = {};
+
+            $('[data-add-to-cart-wrapper], [data-capacity-live], .enrollment-button[data-workshop-id], .enrollment-pricing-select[data-workshop-id]').each((index, element) => {
+                const id = parseInt($(element).attr('data-workshop-id'), 10);
+
+                if (id) {
+                    ids[id] = true;
+                }
+            });
+
+            return Object.keys(ids).map(Number);
+        },
+
+        /**
+         * Schedule the next poll.
+         */
+        schedule: function() {
+            clearTimeout(this.timer);
+
+            if (!config.interval || document.hidden) return;
+
+            this.timer = setTimeout(() => {
+                this.refresh();
+                this.schedule();
+            }, config.interval * 1000);
+        },
+
+        /**
+         * Fetch availability and update the page.
+         *
+         * @param {boolean} [force] Skip the minimum gap between requests.
+         */
+        refresh: function(force) {
+            const ids = this.getWorkshopIds();
+
+            if (!ids.length || this.pending) return;
+            if (!force && Date.now() - this.lastFetch < this.minGap) return;
+
+            this.lastFetch = Date.now();
+            this.pending = window.fbApi.rest({
+                path: 'availability',
+                data: { workshop_ids: ids.join(',') }
+            });
+
+            this.pending
+                .then(response => {
+                    this.failing = false;
+
+                    if (!response.success) return;
+
+                    (response.data.workshops || []).forEach(item => this.apply(item));
+                })
+                .catch(error => {
+                    // The next poll tries again; only log the first of a run of failures.
+                    if (!this.failing) {
+                        console.error('Availability error:', error);
+                    }
+
+                    this.failing = true;
+                })
+                .always(() => {
+                    this.pending = null;
+                });
+        },
+
+        /**
+         * Apply availability for one workshop to the page.
+         *
+         * @param {Object} item Availability from the endpoint.
+         */
+        apply: function(item) {
+            const selector = '[data-workshop-id="' + item.workshop_id + '"]';
+            const closed = !item.checkout_enabled || (item.full && !item.reserved);
+
+            $('[data-capacity-live]' + selector).each((index, element) => {
+                this.updateCapacity($(element), item);
+            });
+
+            $('[data-add-to-cart-wrapper]' + selector).each((index, element) => {
+                this.updateWrapper($(element), item, closed);
+            });
+
+            this.updateEnrollmentButtons(selector, closed);
+        },
+
+        /**
+         * Update an [enrollment_capacity] element.
+         *
+         * @param {jQuery} $capacity Capacity element.
+         * @param {Object} item Availability.
+         */
+        updateCapacity: function($capacity, item) {
+            const remaining = item.remaining;
+            const threshold = parseInt($capacity.attr('data-urgency-threshold'), 10) || 0;
+            const total = parseInt($capacity.attr('data-total'), 10) || 0;
+            let state = '';
+            let icon = '○';
+            let text;
+
+            if (remaining === null) {
+                state = 'unlimited';
+                icon = '∞';
+                text = $capacity.attr('data-unlimited-text');
+            } else if (remaining <= 0) {
+                state = 'sold-out';
+                icon = '✕';
+                text = $capacity.attr('data-sold-out-text');
+            } else {
+                text = $capacity.attr(remaining === 1 ? 'data-spot-text' : 'data-spots-text').replace('%d', remaining);
+
+                if (total > 0) {
+                    text = config.strings.withTotal.replace('%1$s', text).replace('%2$d', total);
+                }
+
+                if (remaining <= threshold) {
+                    state = 'urgent';
+                }
+            }
+
+            $capacity.removeClass('fb-capacity--sold-out fb-capacity--urgent fb-capacity--unlimited');
+
+            if (state) {
+                $capacity.addClass('fb-capacity--' + state);
+            }
+
+            $capacity.find('.fb-capacity__icon').text(icon);
+            $capacity.find('.fb-capacity__text').text(text);
+        },
+
+        /**
+         * Update an add-to-cart or enrollment button wrapper.
+         *
+         * @param {jQuery} $wrapper Wrapper element.
+         * @param {Object} item Availability.
+         * @param {boolean} closed Whether the workshop can no longer be booked.
+         */
+        updateWrapper: function($wrapper, item, closed) {
+            this.updateBadge($wrapper, item);
+
+            // Items already in the cart are checked again at checkout.
+            const $buttons = $wrapper.find('[data-add-to-cart], [data-ajax-enroll]').not('.in-cart');
+
+            if (!$buttons.length) return;
+
+            if (!closed) {
+                this.reopen($wrapper, $buttons);
+                return;
+            }
+
+            // The waitlist script binds submit handlers to forms added later.
+            if (item.checkout_enabled && item.waitlist_form && window.fieldsBrightWaitlist) {
+                $wrapper.find('.fb-add-to-cart__options, .fb-add-to-cart__price, [data-enroll-error]').remove();
+                $buttons.remove();
+                $wrapper.append(item.waitlist_form);
+                return;
+            }
+
+            $buttons.not('[data-availability-closed]').each((index, element) => {
+                const $button = $(element);
+
+                $button
+                    .attr('data-availability-closed', '')
+                    .data('availability-html', $button.html())
+                    .prop('disabled', true)
+                    .addClass('sold-out')
+                    .text($wrapper.attr('data-sold-out-text') || config.strings.soldOut);
+            });
+
+            $wrapper.find('.fb-add-to-cart__options, .fb-add-to-cart__price').hide();
+        },
+
+        /**
+         * Re-enable buttons closed earlier, e.g. after a cancellation.
+         *
+         * @param {jQuery} $wrapper Wrapper element.
+         * @param {jQuery} $buttons Button elements.
+         */
+        reopen: function($wrapper, $buttons) {
+            const $closed = $buttons.filter('[data-availability-closed]');
+
+            if (!$closed.length) return;
+
+            $closed.each((index, element) => {
+                const $button = $(element);
+
+                $button
+                    .removeAttr('data-availability-closed')
+                    .prop('disabled', false)
+                    .removeClass('sold-out')
+                    .html($button.data('availability-html'));
+            });
+
+            $wrapper.find('.fb-add-to-cart__options, .fb-add-to-cart__price').show();
+        },
+
+        /**
+         * Update the remaining-spots badge in a wrapper.
+         *
+         * @param {jQuery} $wrapper Wrapper element.
+         * @param {Object} item Availability.
+         */
+        updateBadge: function($wrapper, item) {
+            const $capacity = $wrapper.find('.fb-add-to-cart__capacity');
+            let $badge = $capacity.find('.fb-capacity-badge');
+
+            if (!$capacity.length || item.reserved || item.remaining === null || $badge.hasClass('reserved')) return;
+
+            // Full workshops with a waitlist show the form instead of a badge.
+            if (item.remaining <= 0 && item.waitlist) {
+                $badge.remove();
+                return;
+            }
+
+            if (!$badge.length) {
+                $badge = $('<span></span>').appendTo($capacity);
+            }
+
+            if (item.held_by_you) {
+                $badge.attr('class', 'fb-capacity-badge held').text(config.strings.heldForYou);
+                return;
+            }
+
+            if (item.remaining <= 0) {
+                $badge.attr('class', 'fb-capacity-badge sold-out').text(config.strings.soldOut);
+                return;
+            }
+
+            $badge
+                .attr('class', 'fb-capacity-badge')
+                .toggleClass('urgent', item.remaining <= this.urgencyThreshold)
+                .text((item.remaining === 1 ? config.strings.spotLeft : config.strings.spotsLeft).replace('%d', item.remaining));
+        },
+
+        /**
+         * Disable or re-enable legacy .enrollment-button links.
+         *
+         * @param {string} selector Workshop ID attribute selector.
+         * @param {boolean} closed Whether the workshop can no longer be booked.
+         */
+        updateEnrollmentButtons: function(selector, closed) {
+            const $buttons = $('.enrollment-button' + selector)
+                .add($('.enrollment-pricing-select' + selector).closest('.enrollment-button-wrapper').find('.enrollment-button'));
+
+            $buttons
+                .toggleClass('enrollment-disabled', closed)
+                .attr('aria-disabled', closed ? 'true' : null);
+        }
+    };
+
+    $(document).ready(() => Availability.init());
+
+    window.fbAvailability = Availability;
+
+})(jQuery);
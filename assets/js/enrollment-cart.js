@@ -15,12 +15,110 @@
      * Cart module.
      */
     const Cart = {
+        /**
+         * Client-side cart state, populated from GET /cart.
+         */
+        state: {
+            items: [],
+            count: 0,
+            subtotal: 0,
+            discount: 0,
+            promo: null,
+            bundle: null,
+            bundleNudge: null,
+            total: 0,
+            totalFormatted: '',
+            saved: [],
+            loaded: false
+        },
+
+        /**
+         * Inline icons used when rendering cart markup.
+         */
+        icons: {
+            bag: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M6 2L3 6v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V6l-3-4z"/><line x1="3" y1="6" x2="21" y2="6"/><path d="M16 10a4 4 0 0 1-8 0"/></svg>',
+            check: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>',
+            remove: '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>'
+        },
+
+        /**
+         * Identifies this tab in cross-tab sync messages.
+         */
+        tabId: Math.random().toString(36).slice(2),
+
+        /**
+         * BroadcastChannel used for cross-tab sync, when supported.
+         */
+        channel: null,
+
+        /**
+         * Timestamp of the last cart fetch.
+         */
+        lastLoadedAt: 0,
+
+        /**
+         * Whether a checkout request is in flight.
+         */
+        checkingOut: false,
+
+        /**
+         * Request timeout in milliseconds.
+         */
+        requestTimeout: 15000,
+
+        /**
+         * Maximum retries for idempotent requests.
+         */
+        maxRetries: 2,
+
+        /**
+         * Base delay in milliseconds for retry backoff.
+         */
+        retryDelay: 500,
+
+        /**
+         * In-flight requests keyed by the resource they act on.
+         */
+        inFlight: {},
+
+        /**
+         * Intl.NumberFormat for the store currency, created on first use.
+         */
+        priceFormatter: null,
+
+        /**
+         * Seat hold deadlines (ms timestamps) keyed by workshop ID. Null for
+         * items that need no hold, 0 for items whose seat is not held.
+         */
+        holds: {},
+
+        /**
+         * Deadline each item was last warned about, keyed by workshop ID.
+         */
+        holdWarnings: {},
+
+        /**
+         * Countdown interval timer.
+         */
+        holdTimer: null,
+
+        /**
+         * Interval timer of the pricing option deadline countdowns.
+         */
+        deadlineTimer: null,
+
+        /**
+         * Whether ended pricing options are being re-priced.
+         */
+        repricing: false,
+
         /**
          * Initialize cart functionality.
          */
         init: function() {
             this.bindEvents();
-            this.updateCartCountOnLoad();
+            this.initSync();
+            this.loadCart();
         },
 
         /**
@@ -41,6 +139,37 @@
             
             // Pricing option change.
             $(document).on('change', '[data-pricing-select]', this.handlePricingChange.bind(this));
+            
+            // Pricing option change on an item already in the cart.
+            $(document).on('change', '[data-cart-item-pricing]', this.handleCartItemPricingChange.bind(this));
+            
+            // Pay-what-you-can amounts.
+            $(document).on('input', '[data-pricing-amount-input]', e => {
+                this.showAmountError($(e.currentTarget).closest('[data-pricing-amount]'), '');
+            });
+            $(document).on('change', '[data-cart-item-amount]', this.handleCartItemAmountChange.bind(this));
+            
+            // Attendee editing on a cart row.
+            $(document).on('change', '[data-attendee-field]', this.handleAttendeeChange.bind(this));
+            $(document).on('click', '[data-attendee-add]', this.handleAddAttendee.bind(this));
+            $(document).on('click', '[data-attendee-remove]', this.handleRemoveAttendee.bind(this));
+            
+            // Gift recipient on a cart row.
+            $(document).on('change', '[data-gift-toggle], [data-gift-field]', this.handleGiftChange.bind(this));
+            
+            // Promo code form.
+            $(document).on('submit', '[data-promo-form]', this.handleApplyPromo.bind(this));
+            $(document).on('click', '[data-promo-remove]', this.handleRemovePromo.bind(this));
+            
+            // Saved-for-later list.
+            $(document).on('click', '[data-save-toggle]', this.handleSaveToggle.bind(this));
+            $(document).on('click', '[data-saved-move]', this.handleMoveSaved.bind(this));
+            $(document).on('click', '[data-saved-remove]', this.handleRemoveSaved.bind(this));
+            
+            // One-click fixes for cart validation issues.
+            $(document).on('click', '[data-issue-switch-option]', this.handleIssueSwitchOption.bind(this));
+            $(document).on('click', '[data-issue-waitlist]', this.handleIssueWaitlist.bind(this));
+            $(document).on('submit', '[data-issue-waitlist-form]', this.handleIssueWaitlistSubmit.bind(this));
         },
 
         /**
@@ -53,48 +182,61 @@
             
             const $button = $(e.currentTarget);
             const $wrapper = $button.closest('[data-add-to-cart-wrapper]');
-            const workshopId = $button.data('workshop-id');
+            const workshopId = $button.data('workshop-id') || $wrapper.data('workshop-id');
             const $pricingSelect = $wrapper.find('[data-pricing-select]');
             const pricingOption = $pricingSelect.length ? $pricingSelect.val() : '';
+            const amount = this.getChosenAmount($wrapper);
+            
+            if (amount.error) {
+                this.showAmountError($wrapper.find('[data-pricing-amount]'), amount.error);
+                return;
+            }
             
             // Disable button and show loading.
             const originalText = $button.text();
             $button.prop('disabled', true).text(fbCart.strings.adding);
             
-            this.addToCart(workshopId, pricingOption)
+            this.addToCart(workshopId, pricingOption, amount.value)
                 .then(response => {
                     if (response.success) {
                         // Update button state.
-                        $button.addClass('in-cart')
-                               .html('<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg> ' + fbCart.strings.added);
-                        
-                        // Hide pricing select.
-                        $wrapper.find('.fb-add-to-cart__options').slideUp();
-                        $wrapper.find('.fb-add-to-cart__price').slideUp();
-                        
-                        // Show view cart link.
-                        if (!$wrapper.find('.fb-view-cart-link').length) {
-                            $button.after('<a href="' + fbCart.cartPageUrl + '" class="fb-view-cart-link">' + fbCart.strings.viewCart + '</a>');
-                        }
+                        this.markAddToCartButtonInCart(workshopId, fbCart.strings.added);
                         
-                        // Update cart count.
-                        this.updateCartCount(response.data.count);
+                        // Update cart state here and in other tabs.
+                        this.commit(response.data);
+                        this.emitItemEvent('fb:cart:added', this.findItem(workshopId));
                         
                         // Show notification.
-                        this.showNotification(fbCart.strings.added, 'success');
+                        this.showNotification(fbCart.strings.added, 'success', [{
+                            label: fbCart.strings.viewCart,
+                            href: fbCart.cartPageUrl,
+                            onClick: e => {
+                                // Prefer the drawer when the page has a cart icon.
+                                if ($('[data-mini-cart-toggle]').length) {
+                                    e.preventDefault();
+                                    MiniCart.open();
+                                }
+                            }
+                        }]);
                         
                         // After delay, update button to "In Cart".
                         setTimeout(() => {
-                            $button.html('<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg> ' + fbCart.strings.inCart);
+                            $button.html(this.icons.check + ' ' + fbCart.strings.inCart);
                         }, 2000);
                     } else {
                         $button.prop('disabled', false).text(originalText);
                         this.showNotification(response.message || fbCart.strings.error, 'error');
+
+                        // The page may be stale; pull in current seat availability.
+                        if (window.fbAvailability) {
+                            window.fbAvailability.refresh(true);
+                        }
                     }
                 })
                 .catch(error => {
                     $button.prop('disabled', false).text(originalText);
-                    this.showNotification(fbCart.strings.error, 'error');
+                    if (this.isAborted(error)) return;
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
                     console.error('Add to cart error:', error);
                 });
         },
@@ -110,6 +252,7 @@
             const $button = $(e.currentTarget);
             const $item = $button.closest('[data-cart-item]');
             const workshopId = $button.data('workshop-id');
+            const removed = this.findItem(workshopId);
             
             // Add removing state.
             $item.addClass('removing');
@@ -117,24 +260,27 @@
             this.removeFromCart(workshopId)
                 .then(response => {
                     if (response.success) {
-                        // Animate removal.
-                        $item.slideUp(300, function() {
-                            $(this).remove();
-                            
-                            // Check if cart is empty.
-                            if ($('[data-cart-item]').length === 0) {
-                                Cart.refreshCartSummary();
-                            }
+                        // Let other tabs update right away.
+                        this.broadcast(response.data);
+                        this.emitItemEvent('fb:cart:removed', removed);
+                        
+                        // Animate removal, then re-render from the new state.
+                        $item.slideUp(300, () => {
+                            $item.remove();
+                            this.setState(response.data);
                         });
                         
                         // Update totals.
-                        this.updateCartTotal(response.data.total_formatted);
+                        this.updateCartTotal(this.formatPrice(response.data.total));
                         this.updateCartCount(response.data.count);
                         
                         // Update any add-to-cart buttons for this workshop.
                         this.resetAddToCartButton(workshopId);
                         
-                        this.showNotification(fbCart.strings.removed, 'success');
+                        this.showNotification(fbCart.strings.removed, 'success', removed ? [{
+                            label: fbCart.strings.undoRemove,
+                            onClick: () => this.undoRemove(removed)
+                        }] : []);
                     } else {
                         $item.removeClass('removing');
                         this.showNotification(response.message || fbCart.strings.error, 'error');
@@ -142,11 +288,34 @@
                 })
                 .catch(error => {
                     $item.removeClass('removing');
-                    this.showNotification(fbCart.strings.error, 'error');
+                    if (this.isAborted(error)) return;
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
                     console.error('Remove from cart error:', error);
                 });
         },
 
+        /**
+         * Put a removed item back in the cart.
+         *
+         * @param {Object} item Cart item as it was before removal.
+         */
+        undoRemove: function(item) {
+            this.addToCart(item.workshop_id, item.pricing_option, item.amount_range ? item.price : null)
+                .then(response => {
+                    if (response.success) {
+                        this.commit(response.data);
+                        this.emitItemEvent('fb:cart:added', this.findItem(item.workshop_id));
+                    } else {
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                    }
+                })
+                .catch(error => {
+                    if (this.isAborted(error)) return;
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Undo remove error:', error);
+                });
+        },
+
         /**
          * Handle clear cart click.
          *
@@ -161,20 +330,19 @@
             
             const $button = $(e.currentTarget);
             const originalText = $button.text();
+            const cleared = this.getEventCart();
             $button.prop('disabled', true).text(fbCart.strings.processing);
             
             this.clearCart()
                 .then(response => {
                     if (response.success) {
-                        // Refresh the cart summary.
-                        this.refreshCartSummary();
-                        this.updateCartCount(0);
+                        if (cleared.items.length) {
+                            this.emit('fb:cart:cleared', cleared);
+                        }
                         
-                        // Reset all add-to-cart buttons.
-                        $('[data-add-to-cart-wrapper]').each(function() {
-                            const workshopId = $(this).data('workshop-id');
-                            Cart.resetAddToCartButton(workshopId);
-                        });
+                        // Re-render the cart summary as empty; this also
+                        // resets all add-to-cart buttons.
+                        this.commit(response.data);
                     } else {
                         $button.prop('disabled', false).text(originalText);
                         this.showNotification(response.message || fbCart.strings.error, 'error');
@@ -182,7 +350,7 @@
                 })
                 .catch(error => {
                     $button.prop('disabled', false).text(originalText);
-                    this.showNotification(fbCart.strings.error, 'error');
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
                     console.error('Clear cart error:', error);
                 });
         },
@@ -197,28 +365,176 @@
             
             const $button = $(e.currentTarget);
             const originalText = $button.text();
+            const restore = () => {
+                this.checkingOut = false;
+                $button.text(originalText);
+                this.updateCheckoutState();
+            };
+            
+            this.checkingOut = true;
             $button.prop('disabled', true).text(fbCart.strings.processing);
             
-            this.checkout()
+            // Validate first so problems can be fixed inline before Stripe.
+            this.validateCart()
+                .then(response => {
+                    this.setState(response.data);
+                    this.renderIssues(response.errors || []);
+                    
+                    if (!response.valid) {
+                        restore();
+                        this.showNotification(fbCart.strings.fixIssues, 'error');
+                        this.focusFirstIssue();
+                        return null;
+                    }
+                    
+                    // An ended early-bird price raises the total; let the visitor see it first.
+                    if ((response.errors || []).some(issue => issue.code === 'pricing_option_expired')) {
+                        restore();
+                        this.showNotification(fbCart.strings.repriced, 'info');
+                        this.focusFirstIssue();
+                        return null;
+                    }
+                    
+                    this.emit('fb:cart:checkout', this.getEventCart());
+                    return this.checkout();
+                })
                 .then(response => {
+                    if (!response) return;
+                    
                     // Handle both direct response and wrapped response formats.
-                    const checkoutUrl = response.checkout_url || (response.data && response.data.checkout_url);
+                    const checkoutUrl = response.data && response.data.checkout_url;
                     
                     if (response.success && checkoutUrl) {
                         // Redirect to Stripe Checkout.
                         window.location.href = checkoutUrl;
                     } else {
-                        $button.prop('disabled', false).text(originalText);
+                        // The server dropped a promo code that stopped applying.
+                        if (response.code === 'promo_invalid') {
+                            this.commit(response.data);
+                        }
+
+                        // The cart can still change between validation and checkout.
+                        if (response.errors) {
+                            this.renderIssues(response.errors);
+                            this.focusFirstIssue();
+                        }
+                        restore();
                         this.showNotification(response.message || fbCart.strings.error, 'error');
                     }
                 })
                 .catch(error => {
-                    $button.prop('disabled', false).text(originalText);
-                    this.showNotification(fbCart.strings.error, 'error');
+                    restore();
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
                     console.error('Checkout error:', error);
                 });
         },
 
+        /**
+         * Handle "switch option" fix on a cart issue.
+         *
+         * @param {Event} e Click event.
+         */
+        handleIssueSwitchOption: function(e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const $item = $button.closest('[data-cart-item]');
+            const workshopId = $item.data('workshop-id');
+
+            $item.find('.fb-cart-item__issue button').prop('disabled', true);
+
+            this.updateCartItem(workshopId, $button.data('option-id'))
+                .then(response => {
+                    if (response.success) {
+                        this.clearIssue($item);
+                        this.commit(response.data);
+                        this.showNotification(fbCart.strings.updated, 'success');
+                    } else {
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                    }
+                })
+                .catch(error => {
+                    if (this.isAborted(error)) return;
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Update cart error:', error);
+                })
+                .always(() => {
+                    $item.find('.fb-cart-item__issue button').prop('disabled', false);
+                });
+        },
+
+        /**
+         * Handle "join waitlist" fix on a cart issue.
+         *
+         * Reveals the inline name/email form for the row.
+         *
+         * @param {Event} e Click event.
+         */
+        handleIssueWaitlist: function(e) {
+            e.preventDefault();
+
+            const $form = $(e.currentTarget).closest('.fb-cart-item__issue').find('[data-issue-waitlist-form]');
+            $form.slideDown(200, () => $form.find('input').filter(function() {
+                return !this.value;
+            }).first().trigger('focus'));
+        },
+
+        /**
+         * Handle inline waitlist form submission on a cart issue.
+         *
+         * Joins the waitlist, then removes the workshop from the cart.
+         *
+         * @param {Event} e Submit event.
+         */
+        handleIssueWaitlistSubmit: function(e) {
+            e.preventDefault();
+
+            const $form = $(e.currentTarget);
+            const $item = $form.closest('[data-cart-item]');
+            const workshopId = $item.data('workshop-id');
+            const $submit = $form.find('button[type="submit"]');
+
+            $submit.prop('disabled', true);
+
+            window.fbApi.ajax('fields_bright_join_waitlist', {
+                workshop_id: workshopId,
+                name: $form.find('input[name="name"]').val(),
+                email: $form.find('input[name="email"]').val()
+            }, { nonce: 'waitlist' })
+                .then(response => {
+                    if (!response.success) {
+                        $submit.prop('disabled', false);
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                        return null;
+                    }
+
+                    const removed = this.findItem(workshopId);
+
+                    this.emit('fb:waitlist:joined', {
+                        workshopId: workshopId,
+                        position: response.data ? response.data.position : null
+                    });
+                    this.showNotification(fbCart.strings.waitlisted, 'success');
+
+                    return this.removeFromCart(workshopId).then(result => {
+                        if (result.success) {
+                            this.emitItemEvent('fb:cart:removed', removed);
+                        }
+                        return result;
+                    });
+                })
+                .then(response => {
+                    if (response && response.success) {
+                        this.commit(response.data);
+                    }
+                })
+                .catch(error => {
+                    $submit.prop('disabled', false);
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Join waitlist error:', error);
+                });
+        },
+
         /**
          * Handle pricing option change.
          *
@@ -232,128 +548,2181 @@
             const price = selectedOption.data('price');
             
             if ($priceDisplay.length && price) {
-                $priceDisplay.text('$' + parseFloat(price).toFixed(2));
+                $priceDisplay.text(this.formatPrice(price));
             }
+            
+            this.updateAmountField($wrapper, selectedOption);
+            this.updatePriceDeadline($select);
         },
 
         /**
-         * Add item to cart via REST API.
+         * Show the countdown of the selected pricing option if it ends.
          *
-         * @param {number} workshopId Workshop ID.
-         * @param {string} pricingOption Pricing option ID.
-         * @returns {Promise} API response.
+         * @param {jQuery} $select Pricing select.
          */
-        addToCart: function(workshopId, pricingOption) {
-            return $.ajax({
-                url: fbCart.restUrl + 'cart/add',
-                method: 'POST',
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('X-WP-Nonce', fbCart.restNonce);
-                },
-                data: {
-                    workshop_id: workshopId,
-                    pricing_option: pricingOption || ''
-                }
-            });
+        updatePriceDeadline: function($select) {
+            const $option = $select.find('option:selected');
+            const $deadline = $select.parent().find('[data-price-deadline]');
+            const regular = $option.attr('data-regular-price') || '';
+
+            $deadline.prop('hidden', !$option.attr('data-ends-at'));
+            $deadline.find('[data-price-deadline-regular]').text(regular).prop('hidden', !regular);
+            $deadline.find('[data-deadline-countdown]')
+                .attr('data-ends-at', $option.attr('data-ends-at') || '')
+                .attr('data-label', $option.attr('data-label') || '');
+
+            this.updateDeadlines();
         },
 
         /**
-         * Remove item from cart via REST API.
+         * Show the amount field when a pay-what-you-can option is selected.
          *
-         * @param {number} workshopId Workshop ID.
-         * @returns {Promise} API response.
+         * The field starts at the suggested amount of the new option.
+         *
+         * @param {jQuery} $wrapper Add to cart wrapper.
+         * @param {jQuery} $option  Selected pricing option.
          */
-        removeFromCart: function(workshopId) {
-            return $.ajax({
-                url: fbCart.restUrl + 'cart/remove/' + workshopId,
-                method: 'DELETE',
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('X-WP-Nonce', fbCart.restNonce);
-                }
-            });
+        updateAmountField: function($wrapper, $option) {
+            const $field = $wrapper.find('[data-pricing-amount]');
+            const isSliding = $option.data('type') === 'sliding';
+            const max = parseFloat($option.data('max')) || 0;
+
+            $field.prop('hidden', !isSliding);
+            this.showAmountError($field, '');
+
+            if (!isSliding) return;
+
+            $field.find('[data-pricing-amount-input]')
+                .attr('min', $option.data('min'))
+                .attr('max', max > 0 ? max : null)
+                .val($option.data('price'));
+            $field.find('[data-pricing-amount-hint]').text($option.data('hint') || '');
         },
 
         /**
-         * Clear cart via REST API.
+         * Get the amount entered in an add to cart wrapper.
          *
-         * @returns {Promise} API response.
+         * @param {jQuery} $wrapper Add to cart wrapper.
+         * @returns {Object} `value` is null for fixed price options; `error` is set when the amount is out of range.
          */
-        clearCart: function() {
-            return $.ajax({
-                url: fbCart.restUrl + 'cart/clear',
-                method: 'DELETE',
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('X-WP-Nonce', fbCart.restNonce);
-                }
+        getChosenAmount: function($wrapper) {
+            const $option = $wrapper.find('[data-pricing-select] option:selected');
+            const $input = $wrapper.find('[data-pricing-amount-input]');
+
+            if ($option.data('type') !== 'sliding' || !$input.length) {
+                return { value: null, error: '' };
+            }
+
+            const amount = parseFloat($input.val());
+            const error = this.getAmountError(amount, {
+                min: $option.data('min'),
+                max: $option.data('max')
             });
+
+            return { value: error ? null : Math.round(amount * 100) / 100, error: error };
         },
 
         /**
-         * Checkout cart via REST API.
+         * Check a pay-what-you-can amount against its range.
          *
-         * @returns {Promise} API response.
+         * Mirrors WorkshopMetaBox::validate_amount().
+         *
+         * @param {number} amount Amount entered.
+         * @param {Object} range  Range with `min` and `max`; a `max` of 0 means none.
+         * @returns {string} Error message, or an empty string when valid.
          */
-        checkout: function() {
-            return $.ajax({
-                url: fbCart.restUrl + 'cart/checkout',
-                method: 'POST',
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('X-WP-Nonce', fbCart.restNonce);
-                }
-            });
+        getAmountError: function(amount, range) {
+            const cents = Math.round(amount * 100);
+            const min = parseFloat(range.min) || 0;
+            const max = parseFloat(range.max) || 0;
+
+            if (!(cents > 0)) {
+                return fbCart.strings.amountEmpty;
+            }
+
+            if (cents < Math.round(min * 100)) {
+                return fbCart.strings.amountMin.replace('%s', this.formatPrice(min));
+            }
+
+            if (max > 0 && cents > Math.round(max * 100)) {
+                return fbCart.strings.amountMax.replace('%s', this.formatPrice(max));
+            }
+
+            return '';
         },
 
         /**
-         * Update cart count display.
+         * Show or clear the error under an amount field.
          *
-         * @param {number} count New count.
+         * @param {jQuery} $field  Amount field.
+         * @param {string} message Error message; empty to clear.
          */
-        updateCartCount: function(count) {
-            $('[data-cart-count]').text(count);
-            
-            // Toggle has-items class on cart icon.
-            if (count > 0) {
-                $('[data-cart-icon]').addClass('has-items');
-            } else {
-                $('[data-cart-icon]').removeClass('has-items');
+        showAmountError: function($field, message) {
+            $field.find('[data-pricing-amount-error]').text(message || '').prop('hidden', !message);
+            $field.find('[data-pricing-amount-input]').attr('aria-invalid', message ? 'true' : null);
+
+            if (message) {
+                $field.find('[data-pricing-amount-input]').trigger('focus');
             }
         },
 
         /**
-         * Update cart count on page load.
+         * Handle a pay-what-you-can amount change on a cart row.
+         *
+         * Out-of-range amounts are reset to the current one with a notice;
+         * valid ones update the line price optimistically.
+         *
+         * @param {Event} e Change event.
          */
-        updateCartCountOnLoad: function() {
-            $.ajax({
-                url: fbCart.restUrl + 'cart',
-                method: 'GET',
-                beforeSend: function(xhr) {
-                    xhr.setRequestHeader('X-WP-Nonce', fbCart.restNonce);
-                }
-            }).then(response => {
-                if (response.success && response.data) {
-                    this.updateCartCount(response.data.count);
+        handleCartItemAmountChange: function(e) {
+            const $input = $(e.currentTarget);
+            const $item = $input.closest('[data-cart-item]');
+            const workshopId = $input.data('workshop-id');
+            const current = this.findItem(workshopId);
+
+            if (!current || !current.amount_range) return;
+
+            const amount = parseFloat($input.val());
+            const error = this.getAmountError(amount, current.amount_range);
+
+            if (error) {
+                $input.val(current.price);
+                this.showNotification(error, 'error');
+                return;
+            }
+
+            const price = Math.round(amount * 100) / 100;
+            if (price === parseFloat(current.price)) return;
+
+            this.updateLinePrice($item, $.extend({}, current, { price: price }));
+            $item.addClass('updating');
+
+            const rollback = () => {
+                const item = this.findItem(workshopId);
+                if (item) {
+                    $input.val(item.price);
+                    this.updateLinePrice($item, item);
                 }
-            });
+            };
+
+            this.updateCartItem(workshopId, current.pricing_option, price)
+                .then(response => {
+                    if (response.success) {
+                        this.commit(response.data);
+                        this.showNotification(fbCart.strings.updated, 'success');
+                    } else {
+                        rollback();
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                    }
+                })
+                .catch(error => {
+                    rollback();
+                    if (this.isAborted(error)) return;
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Update cart error:', error);
+                })
+                .always(() => {
+                    $item.removeClass('updating');
+                });
         },
 
         /**
-         * Update cart total display.
+         * Handle pricing option change on a cart row.
          *
-         * @param {string} total Formatted total.
+         * The line price is updated optimistically; on failure the row is
+         * re-rendered from the last known cart state.
+         *
+         * @param {Event} e Change event.
          */
-        updateCartTotal: function(total) {
-            $('[data-cart-total]').text(total);
+        handleCartItemPricingChange: function(e) {
+            const $select = $(e.currentTarget);
+            const $item = $select.closest('[data-cart-item]');
+            const workshopId = $select.data('workshop-id');
+            const pricingOption = $select.val();
+            const price = $select.find('option:selected').data('price');
+            const current = this.findItem(workshopId);
+
+            if (price !== undefined && current) {
+                this.updateLinePrice($item, $.extend({}, current, { price: price }));
+            }
+
+            $item.addClass('updating');
+            $select.prop('disabled', true);
+
+            const rollback = () => {
+                const item = this.findItem(workshopId);
+                if (item) {
+                    this.updateCartItemRow($item, item);
+                }
+            };
+
+            this.updateCartItem(workshopId, pricingOption)
+                .then(response => {
+                    if (response.success) {
+                        this.commit(response.data);
+                        this.showNotification(fbCart.strings.updated, 'success');
+                    } else {
+                        rollback();
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                    }
+                })
+                .catch(error => {
+                    rollback();
+                    if (this.isAborted(error)) return;
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Update cart error:', error);
+                })
+                .always(() => {
+                    $item.removeClass('updating');
+                    $select.prop('disabled', false);
+                });
         },
 
         /**
-         * Refresh cart summary (reload via AJAX).
+         * Handle an edit to an attendee field.
+         *
+         * @param {Event} e Change event.
+         */
+        handleAttendeeChange: function(e) {
+            const $row = $(e.currentTarget).closest('[data-cart-item]');
+
+            this.saveAttendees($row, this.getRowAttendees($row));
+        },
+
+        /**
+         * Handle "add attendee" click.
+         *
+         * @param {Event} e Click event.
+         */
+        handleAddAttendee: function(e) {
+            e.preventDefault();
+
+            const $row = $(e.currentTarget).closest('[data-cart-item]');
+            const attendees = this.getRowAttendees($row);
+
+            attendees.push({ name: '', age: '', notes: '' });
+            this.saveAttendees($row, attendees, true);
+        },
+
+        /**
+         * Handle "remove attendee" click.
+         *
+         * @param {Event} e Click event.
+         */
+        handleRemoveAttendee: function(e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const $row = $button.closest('[data-cart-item]');
+            const index = $row.find('[data-attendee]').index($button.closest('[data-attendee]'));
+            const attendees = this.getRowAttendees($row);
+
+            attendees.splice(index, 1);
+            this.saveAttendees($row, attendees);
+        },
+
+        /**
+         * Handle a change to the gift checkbox or a gift field.
+         *
+         * @param {Event} e Change event.
+         */
+        handleGiftChange: function(e) {
+            const $input = $(e.currentTarget);
+            const $row = $input.closest('[data-cart-item]');
+            const $block = $row.find('[data-cart-gift]');
+            const gift = this.getRowGift($row);
+
+            $block.find('[data-gift-fields]').prop('hidden', !gift);
+
+            // Catch a malformed email here rather than losing it to a rollback.
+            const email = $block.find('[data-gift-field="email"]')[0];
+            if (gift && email && email.validity && email.validity.typeMismatch) {
+                this.showNotification(fbCart.strings.giftInvalid, 'error');
+                return;
+            }
+
+            this.saveGift($row, gift);
+
+            if (gift && $input.is('[data-gift-toggle]')) {
+                $block.find('[data-gift-field="name"]').trigger('focus');
+            }
+        },
+
+        /**
+         * Handle promo code form submit.
+         *
+         * @param {Event} e Submit event.
+         */
+        handleApplyPromo: function(e) {
+            e.preventDefault();
+
+            const $form = $(e.currentTarget);
+            const $input = $form.find('[data-promo-input]');
+            const $button = $form.find('[type="submit"]');
+            const code = $.trim($input.val() || '');
+
+            if (!code) {
+                this.showPromoError($form, fbCart.strings.promoEmpty);
+                $input.trigger('focus');
+                return;
+            }
+
+            $button.prop('disabled', true);
+
+            this.applyPromo(code)
+                .then(response => {
+                    this.commit(response.data);
+
+                    // The summary may have been rebuilt; find the form again.
+                    const $current = $('[data-promo-form]');
+
+                    if (!response.success) {
+                        this.showPromoError($current, response.message || fbCart.strings.error);
+                        $current.find('[data-promo-input]').val(code).trigger('focus');
+                        return;
+                    }
+
+                    $current.find('[data-promo-input]').val('');
+                    this.showNotification(response.message, 'success');
+                })
+                .catch(error => {
+                    if (this.isAborted(error)) return;
+                    this.showPromoError($form, window.fbApi.getMessage(error, fbCart.strings.error));
+                    console.error('Apply promo error:', error);
+                })
+                .always(() => {
+                    $('[data-promo-form] [type="submit"]').prop('disabled', false);
+                });
+        },
+
+        /**
+         * Handle promo code remove click.
+         *
+         * @param {Event} e Click event.
+         */
+        handleRemovePromo: function(e) {
+            e.preventDefault();
+
+            $(e.currentTarget).prop('disabled', true);
+
+            this.removePromo()
+                .then(response => {
+                    this.commit(response.data);
+                })
+                .catch(error => {
+                    if (this.isAborted(error)) return;
+                    $(e.currentTarget).prop('disabled', false);
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Remove promo error:', error);
+                });
+        },
+
+        /**
+         * Show or clear the error under a promo code form.
+         *
+         * @param {jQuery} $form Promo code form.
+         * @param {string} message Error message, empty to clear.
+         */
+        showPromoError: function($form, message) {
+            $form.find('[data-promo-error]').text(message || '').prop('hidden', !message);
+            $form.find('[data-promo-input]').attr('aria-invalid', message ? 'true' : null);
+        },
+
+        /**
+         * Handle a save-for-later toggle click.
+         *
+         * The toggle flips right away and flips back if the request fails.
+         *
+         * @param {Event} e Click event.
+         */
+        handleSaveToggle: function(e) {
+            e.preventDefault();
+
+            const workshopId = $(e.currentTarget).data('workshop-id');
+            const wasSaved = $(e.currentTarget).attr('aria-pressed') === 'true';
+
+            this.setSaveToggle(workshopId, !wasSaved);
+
+            (wasSaved ? this.removeSaved(workshopId) : this.saveForLater(workshopId))
+                .then(response => {
+                    if (!response.success) {
+                        this.setSaveToggle(workshopId, wasSaved);
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                        return;
+                    }
+
+                    this.commit(response.data);
+
+                    if (!wasSaved) {
+                        this.emitItemEvent('fb:saved:added', this.findSavedItem(workshopId));
+                    }
+                })
+                .catch(error => {
+                    // A newer click replaced this one; its response sets the toggle.
+                    if (this.isAborted(error)) return;
+                    this.setSaveToggle(workshopId, wasSaved);
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Save for later error:', error);
+                });
+        },
+
+        /**
+         * Handle a "Move to cart" click on a saved workshop.
+         *
+         * @param {Event} e Click event.
+         */
+        handleMoveSaved: function(e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const workshopId = $button.data('workshop-id');
+            const originalText = $button.text();
+
+            $button.prop('disabled', true).text(fbCart.strings.processing);
+
+            this.moveSavedToCart(workshopId)
+                .then(response => {
+                    if (response.success) {
+                        this.commit(response.data);
+                        this.emitItemEvent('fb:cart:added', this.findItem(workshopId));
+                        this.showNotification(fbCart.strings.movedToCart, 'success');
+                    } else {
+                        $button.prop('disabled', false).text(originalText);
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                    }
+                })
+                .catch(error => {
+                    $button.prop('disabled', false).text(originalText);
+                    if (this.isAborted(error)) return;
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Move to cart error:', error);
+                });
+        },
+
+        /**
+         * Handle a remove click on a saved workshop.
+         *
+         * @param {Event} e Click event.
+         */
+        handleRemoveSaved: function(e) {
+            e.preventDefault();
+
+            const $button = $(e.currentTarget);
+            const $item = $button.closest('[data-saved-item]');
+
+            $item.addClass('removing');
+
+            this.removeSaved($button.data('workshop-id'))
+                .then(response => {
+                    if (response.success) {
+                        this.commit(response.data);
+                    } else {
+                        $item.removeClass('removing');
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                    }
+                })
+                .catch(error => {
+                    $item.removeClass('removing');
+                    if (this.isAborted(error)) return;
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Remove saved workshop error:', error);
+                });
+        },
+
+        /**
+         * Read the attendee list from a cart row.
+         *
+         * @param {jQuery} $row Cart item row.
+         * @returns {Array} Attendees with name, age and notes.
+         */
+        getRowAttendees: function($row) {
+            return $row.find('[data-attendee]').map(function() {
+                const $attendee = $(this);
+
+                return {
+                    name: $.trim($attendee.find('[data-attendee-field="name"]').val() || ''),
+                    age: $.trim($attendee.find('[data-attendee-field="age"]').val() || ''),
+                    notes: $.trim($attendee.find('[data-attendee-field="notes"]').val() || '')
+                };
+            }).get();
+        },
+
+        /**
+         * Save the attendee list of a cart row.
+         *
+         * On failure the row is re-rendered from the last known cart state.
+         *
+         * @param {jQuery} $row Cart item row.
+         * @param {Array} attendees Attendees to save.
+         * @param {boolean} [focusLast] Focus the last attendee's name afterwards.
+         */
+        saveAttendees: function($row, attendees, focusLast) {
+            const workshopId = $row.data('workshop-id');
+            const $buttons = $row.find('[data-attendee-add], [data-attendee-remove]');
+
+            const rollback = () => {
+                const item = this.findItem(workshopId);
+                if (item) {
+                    $row.find('[data-cart-attendees]').replaceWith(this.buildAttendeesHtml(item));
+                    this.updateLinePrice($row, item);
+                }
+            };
+
+            $row.addClass('updating');
+            $buttons.prop('disabled', true);
+
+            this.updateAttendees(workshopId, attendees)
+                .then(response => {
+                    if (!response.success) {
+                        rollback();
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                        return;
+                    }
+
+                    // Checkout revalidates; drop issues the edit may have fixed.
+                    if ($row.find('[data-issue-code="attendee_name_missing"], [data-issue-code="not_enough_seats"]').length) {
+                        this.clearIssue($row);
+                    }
+
+                    this.commit(response.data);
+
+                    if (focusLast) {
+                        $row.find('[data-attendee-field="name"]').last().trigger('focus');
+                    }
+                })
+                .catch(error => {
+                    // A newer edit replaced this one; its response updates the row.
+                    if (this.isAborted(error)) return;
+                    rollback();
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Update attendees error:', error);
+                })
+                .always(() => {
+                    $row.removeClass('updating');
+                    $row.find('[data-attendee-add], [data-attendee-remove]').prop('disabled', false);
+                });
+        },
+
+        /**
+         * Read the gift recipient from a cart row.
+         *
+         * @param {jQuery} $row Cart item row.
+         * @returns {Object|null} Recipient name, email and message, or null when not a gift.
+         */
+        getRowGift: function($row) {
+            const $block = $row.find('[data-cart-gift]');
+
+            if (!$block.find('[data-gift-toggle]').is(':checked')) return null;
+
+            return {
+                name: $.trim($block.find('[data-gift-field="name"]').val() || ''),
+                email: $.trim($block.find('[data-gift-field="email"]').val() || ''),
+                message: $.trim($block.find('[data-gift-field="message"]').val() || '')
+            };
+        },
+
+        /**
+         * Save the gift recipient of a cart row.
+         *
+         * On failure the gift editor is re-rendered from the last known cart state.
+         *
+         * @param {jQuery} $row Cart item row.
+         * @param {Object|null} gift Recipient, or null to clear.
+         */
+        saveGift: function($row, gift) {
+            const workshopId = $row.data('workshop-id');
+
+            const rollback = () => {
+                const item = this.findItem(workshopId);
+                if (item) {
+                    $row.find('[data-cart-gift]').replaceWith(this.buildGiftHtml(item));
+                }
+            };
+
+            $row.addClass('updating');
+
+            this.updateGift(workshopId, gift)
+                .then(response => {
+                    if (!response.success) {
+                        rollback();
+                        this.showNotification(response.message || fbCart.strings.error, 'error');
+                        return;
+                    }
+
+                    // Checkout revalidates; drop the issue the edit may have fixed.
+                    if ($row.find('[data-issue-code="gift_recipient_missing"]').length) {
+                        this.clearIssue($row);
+                    }
+
+                    this.commit(response.data);
+                })
+                .catch(error => {
+                    // A newer edit replaced this one; its response updates the row.
+                    if (this.isAborted(error)) return;
+                    rollback();
+                    this.showNotification(window.fbApi.getMessage(error, fbCart.strings.error), 'error');
+                    console.error('Update gift error:', error);
+                })
+                .always(() => {
+                    $row.removeClass('updating');
+                });
+        },
+
+        /**
+         * Send a REST request through fbApi with a timeout and bounded retries.
+         *
+         * Only idempotent requests are retried: GET/PUT/DELETE, requests
+         * carrying an idempotency key, and requests flagged `idempotent`.
+         * Requests sharing a `key` are deduplicated: an identical request
+         * already in flight is reused, a different one is aborted.
+         *
+         * @param {Object} options Request options.
+         * @param {string} options.path Path relative to the REST namespace.
+         * @param {string} [options.method] HTTP method.
+         * @param {Object} [options.data] Request data.
+         * @param {string} [options.key] In-flight deduplication key.
+         * @param {string} [options.idempotencyKey] Sent as the Idempotency-Key header.
+         * @param {boolean} [options.idempotent] Whether the request is safe to retry.
+         * @returns {Promise} Normalized API response, with an abort() method.
+         */
+        request: function(options) {
+            const method = options.method || 'GET';
+            const signature = method + ' ' + options.path + ' ' + JSON.stringify(options.data || {});
+            const pending = options.key ? this.inFlight[options.key] : null;
+
+            if (pending && pending.signature === signature) {
+                return pending.promise;
+            }
+
+            if (pending) {
+                pending.promise.abort();
+            }
+
+            const idempotent = options.idempotent || !!options.idempotencyKey || ['GET', 'PUT', 'DELETE'].indexOf(method) !== -1;
+            const retries = idempotent ? this.maxRetries : 0;
+            const deferred = $.Deferred();
+            let attempt = 0;
+            let aborted = false;
+            let timer = null;
+            let xhr = null;
+
+            const send = () => {
+                xhr = window.fbApi.rest({
+                    path: options.path,
+                    method: method,
+                    data: options.data,
+                    timeout: this.requestTimeout,
+                    headers: options.idempotencyKey ? { 'Idempotency-Key': options.idempotencyKey } : {}
+                });
+
+                xhr.then(deferred.resolve, error => {
+                    if (!aborted && attempt < retries && this.isRetryable(error)) {
+                        // Exponential backoff with jitter: ~500ms, ~1000ms.
+                        const delay = this.retryDelay * Math.pow(2, attempt) + Math.random() * 250;
+                        attempt++;
+                        timer = setTimeout(send, delay);
+                        return;
+                    }
+
+                    deferred.reject(error);
+                });
+            };
+
+            const promise = deferred.promise({
+                abort: function() {
+                    aborted = true;
+                    clearTimeout(timer);
+
+                    if (xhr) {
+                        xhr.abort();
+                    }
+
+                    // Aborted while waiting to retry.
+                    if (deferred.state() === 'pending') {
+                        deferred.reject(window.fbApi.createError('abort', '', 0));
+                    }
+                }
+            });
+
+            if (options.key) {
+                this.inFlight[options.key] = { signature: signature, promise: promise };
+
+                promise.always(() => {
+                    if (this.inFlight[options.key] && this.inFlight[options.key].promise === promise) {
+                        delete this.inFlight[options.key];
+                    }
+                });
+            }
+
+            send();
+
+            return promise;
+        },
+
+        /**
+         * Whether a failed request is worth retrying.
+         *
+         * @param {Object} error API error from fbApi.
+         * @returns {boolean} True for timeouts, network errors, 429 and 5xx.
+         */
+        isRetryable: function(error) {
+            if (error.code === 'timeout' || error.code === 'network') return true;
+
+            return error.status === 429 || error.status >= 500;
+        },
+
+        /**
+         * Whether a request failed because it was aborted.
+         *
+         * Aborted requests were superseded by a newer one and need no error message.
+         *
+         * @param {Object} error Rejection value from request().
+         * @returns {boolean} True if aborted.
+         */
+        isAborted: function(error) {
+            return !!error && error.code === 'abort';
+        },
+
+        /**
+         * Generate an idempotency key for a single user action.
+         *
+         * @returns {string} Random key.
+         */
+        createIdempotencyKey: function() {
+            if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+                return window.crypto.randomUUID();
+            }
+
+            return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+        },
+
+        /**
+         * Add item to cart via REST API.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @param {string} pricingOption Pricing option ID.
+         * @param {number|null} [amount] Amount chosen for a pay-what-you-can option.
+         * @returns {Promise} API response.
+         */
+        addToCart: function(workshopId, pricingOption, amount) {
+            const data = {
+                workshop_id: workshopId,
+                pricing_option: pricingOption || ''
+            };
+
+            if (amount !== null && amount !== undefined) {
+                data.amount = amount;
+            }
+
+            return this.request({
+                path: 'cart/add',
+                method: 'POST',
+                key: 'workshop:' + workshopId,
+                idempotencyKey: this.createIdempotencyKey(),
+                data: data
+            });
+        },
+
+        /**
+         * Remove item from cart via REST API.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @returns {Promise} API response.
+         */
+        removeFromCart: function(workshopId) {
+            return this.request({
+                path: 'cart/remove/' + workshopId,
+                method: 'DELETE',
+                key: 'workshop:' + workshopId
+            });
+        },
+
+        /**
+         * Change the pricing option of a cart item via REST API.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @param {string} pricingOption New pricing option ID.
+         * @param {number|null} [amount] Amount chosen for a pay-what-you-can option.
+         * @returns {Promise} API response.
+         */
+        updateCartItem: function(workshopId, pricingOption, amount) {
+            const data = {
+                workshop_id: workshopId,
+                pricing_option: pricingOption
+            };
+
+            if (amount !== null && amount !== undefined) {
+                data.amount = amount;
+            }
+
+            return this.request({
+                path: 'cart/update',
+                method: 'POST',
+                key: 'workshop:' + workshopId,
+                idempotent: true,
+                data: data
+            });
+        },
+
+        /**
+         * Replace the attendees of a cart item via REST API.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @param {Array} attendees Attendees with name, age and notes.
+         * @returns {Promise} API response.
+         */
+        updateAttendees: function(workshopId, attendees) {
+            return this.request({
+                path: 'cart/attendees',
+                method: 'POST',
+                key: 'attendees:' + workshopId,
+                idempotent: true,
+                data: {
+                    workshop_id: workshopId,
+                    attendees: attendees
+                }
+            });
+        },
+
+        /**
+         * Set or clear the gift recipient of a cart item via REST API.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @param {Object|null} gift Recipient name, email and message, or null to clear.
+         * @returns {Promise} API response.
+         */
+        updateGift: function(workshopId, gift) {
+            return this.request({
+                path: 'cart/gift',
+                method: 'POST',
+                key: 'gift:' + workshopId,
+                idempotent: true,
+                data: {
+                    workshop_id: workshopId,
+                    // Sent empty to clear; the endpoint treats it as no gift.
+                    gift: gift || ''
+                }
+            });
+        },
+
+        /**
+         * Apply a promo code via REST API.
+         *
+         * @param {string} code Promo code.
+         * @returns {Promise} API response.
+         */
+        applyPromo: function(code) {
+            return this.request({
+                path: 'cart/coupon',
+                method: 'POST',
+                key: 'promo',
+                idempotent: true,
+                data: { code: code }
+            });
+        },
+
+        /**
+         * Remove the promo code via REST API.
+         *
+         * @returns {Promise} API response.
+         */
+        removePromo: function() {
+            return this.request({
+                path: 'cart/coupon',
+                method: 'DELETE',
+                key: 'promo'
+            });
+        },
+
+        /**
+         * Save a workshop for later via REST API.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @returns {Promise} API response.
+         */
+        saveForLater: function(workshopId) {
+            return this.request({
+                path: 'account/saved',
+                method: 'POST',
+                key: 'saved:' + workshopId,
+                idempotent: true,
+                data: { workshop_id: workshopId }
+            });
+        },
+
+        /**
+         * Remove a workshop from the saved-for-later list via REST API.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @returns {Promise} API response.
+         */
+        removeSaved: function(workshopId) {
+            return this.request({
+                path: 'account/saved/' + workshopId,
+                method: 'DELETE',
+                key: 'saved:' + workshopId
+            });
+        },
+
+        /**
+         * Move a saved workshop into the cart via REST API.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @returns {Promise} API response.
+         */
+        moveSavedToCart: function(workshopId) {
+            return this.request({
+                path: 'account/saved/' + workshopId + '/move',
+                method: 'POST',
+                key: 'workshop:' + workshopId
+            });
+        },
+
+        /**
+         * Clear cart via REST API.
+         *
+         * @returns {Promise} API response.
+         */
+        clearCart: function() {
+            return this.request({
+                path: 'cart/clear',
+                method: 'DELETE',
+                key: 'clear'
+            });
+        },
+
+        /**
+         * Validate cart via REST API.
+         *
+         * @returns {Promise} API response.
+         */
+        validateCart: function() {
+            return this.request({
+                path: 'cart/validate',
+                key: 'validate'
+            });
+        },
+
+        /**
+         * Checkout cart via REST API.
+         *
+         * @returns {Promise} API response.
+         */
+        checkout: function() {
+            return this.request({
+                path: 'cart/checkout',
+                method: 'POST',
+                key: 'checkout',
+                idempotencyKey: this.createIdempotencyKey()
+            });
+        },
+
+        /**
+         * Update cart count display.
+         *
+         * @param {number} count New count.
+         */
+        updateCartCount: function(count) {
+            $('[data-cart-count]').text(count);
+            
+            // Toggle has-items class on cart icon.
+            if (count > 0) {
+                $('[data-cart-icon]').addClass('has-items');
+            } else {
+                $('[data-cart-icon]').removeClass('has-items');
+            }
+        },
+
+        /**
+         * Get cart contents via REST API.
+         *
+         * @returns {Promise} API response.
+         */
+        getCart: function() {
+            return this.request({
+                path: 'cart',
+                key: 'get'
+            });
+        },
+
+        /**
+         * Load cart state from the server.
+         *
+         * @returns {Promise} API response.
+         */
+        loadCart: function() {
+            this.lastLoadedAt = Date.now();
+
+            return this.getCart().then(response => {
+                if (response.success && response.data) {
+                    this.setState(response.data);
+
+                    if (this.state.items.some(item => item.pricing_expired)) {
+                        this.repriceExpiredItems();
+                    }
+                }
+                return response;
+            });
+        },
+
+        /**
+         * Replace cart state with REST cart data and re-render.
+         *
+         * @param {Object} data Cart data from CartManager::get_cart_for_api().
+         */
+        setState: function(data) {
+            if (!data) return;
+
+            this.state = {
+                items: Array.isArray(data.items) ? data.items : [],
+                count: parseInt(data.count, 10) || 0,
+                subtotal: parseFloat(data.subtotal) || 0,
+                discount: parseFloat(data.discount) || 0,
+                promo: data.promo || null,
+                bundle: data.bundle || null,
+                bundleNudge: data.bundle_nudge || null,
+                total: parseFloat(data.total) || 0,
+                totalFormatted: this.formatPrice(data.total),
+                saved: data.saved && Array.isArray(data.saved.items) ? data.saved.items : [],
+                loaded: true
+            };
+
+            // Seconds left are relative, so deadlines don't depend on the client clock.
+            const now = Date.now();
+            this.holds = {};
+            this.state.items.forEach(item => {
+                const seconds = parseInt(item.hold_expires_in, 10);
+                this.holds[item.workshop_id] = isNaN(seconds) ? null : (seconds > 0 ? now + seconds * 1000 : 0);
+            });
+
+            this.render();
+        },
+
+        /**
+         * Apply a cart mutation result locally and in other tabs.
+         *
+         * @param {Object} data Cart data from CartManager::get_cart_for_api().
+         */
+        commit: function(data) {
+            this.setState(data);
+            this.broadcast(data);
+        },
+
+        /**
+         * Set up cross-tab sync.
+         *
+         * Uses BroadcastChannel where available and falls back to storage
+         * events. Changes made on other devices are picked up by refetching
+         * when the tab regains focus.
+         */
+        initSync: function() {
+            if ('BroadcastChannel' in window) {
+                this.channel = new BroadcastChannel('fb-cart');
+                this.channel.onmessage = event => this.handleSyncMessage(event.data);
+            } else {
+                $(window).on('storage', e => {
+                    const event = e.originalEvent;
+                    if (event.key !== 'fbCartSync' || !event.newValue) return;
+
+                    try {
+                        this.handleSyncMessage(JSON.parse(event.newValue));
+                    } catch (error) {
+                        // Ignore malformed payloads.
+                    }
+                });
+            }
+
+            $(window).on('focus', this.refreshOnFocus.bind(this));
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') {
+                    this.refreshOnFocus();
+                }
+            });
+        },
+
+        /**
+         * Send cart data to other tabs.
+         *
+         * @param {Object} data Cart data from CartManager::get_cart_for_api().
+         */
+        broadcast: function(data) {
+            const message = {
+                source: this.tabId,
+                time: Date.now(),
+                cart: data
+            };
+
+            if (this.channel) {
+                this.channel.postMessage(message);
+                return;
+            }
+
+            try {
+                localStorage.setItem('fbCartSync', JSON.stringify(message));
+            } catch (error) {
+                // Storage may be unavailable (private mode, quota).
+            }
+        },
+
+        /**
+         * Apply cart data received from another tab.
+         *
+         * @param {Object} message Sync message.
+         */
+        handleSyncMessage: function(message) {
+            if (!message || message.source === this.tabId || !message.cart) return;
+
+            this.setState(message.cart);
+        },
+
+        /**
+         * Refetch the cart when the tab regains focus.
+         */
+        refreshOnFocus: function() {
+            // Focus and visibilitychange often fire together.
+            if (Date.now() - this.lastLoadedAt < 5000) return;
+
+            this.loadCart();
+        },
+
+        /**
+         * Find an item in the current cart state.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @returns {Object|undefined} Cart item data.
+         */
+        findItem: function(workshopId) {
+            return this.state.items.find(item => String(item.workshop_id) === String(workshopId));
+        },
+
+        /**
+         * Find a saved workshop in state.
+         *
+         * @param {number|string} workshopId Workshop ID.
+         * @returns {Object|undefined} Saved item data.
+         */
+        findSavedItem: function(workshopId) {
+            return this.state.saved.find(item => String(item.workshop_id) === String(workshopId));
+        },
+
+        /**
+         * Render cart state into the page.
+         */
+        render: function() {
+            this.updateCartCount(this.state.count);
+            this.syncAddToCartButtons();
+
+            $('[data-cart-summary]').each((index, element) => {
+                this.renderCartSummary($(element));
+            });
+
+            MiniCart.render(this.state);
+            this.renderSavedLists();
+            this.syncSaveToggles();
+            this.updateCheckoutState();
+            this.updateHolds();
+            this.updateDeadlines();
+        },
+
+        /**
+         * Re-render the saved-for-later lists and their empty states.
+         */
+        renderSavedLists: function() {
+            const items = this.state.saved;
+            const html = items.map(item => this.buildSavedItemHtml(item)).join('');
+
+            $('[data-saved-list]').each(function() {
+                const $list = $(this);
+
+                // Skip unchanged lists so buttons keep their focus.
+                if ($list.data('saved-html') !== html) {
+                    $list.data('saved-html', html).find('[data-saved-items]').html(html);
+                }
+
+                $list.prop('hidden', !items.length);
+            });
+
+            $('[data-saved-empty]').prop('hidden', items.length > 0);
+        },
+
+        /**
+         * Bring save-for-later toggles in line with the saved list.
+         */
+        syncSaveToggles: function() {
+            $('[data-save-toggle]').each((index, element) => {
+                const workshopId = $(element).data('workshop-id');
+                this.setSaveToggle(workshopId, !!this.findSavedItem(workshopId));
+            });
+        },
+
+        /**
+         * Show the saved or unsaved state on the toggles of a workshop.
+         *
+         * @param {number|string} workshopId Workshop ID.
+         * @param {boolean} saved Whether the workshop is saved.
+         */
+        setSaveToggle: function(workshopId, saved) {
+            $('[data-save-toggle][data-workshop-id="' + workshopId + '"]')
+                .toggleClass('is-saved', saved)
+                .attr('aria-pressed', saved ? 'true' : 'false')
+                .find('[data-save-label]')
+                .text(saved ? fbCart.strings.saved : fbCart.strings.saveForLater);
+        },
+
+        /**
+         * Update seat hold countdowns and warn before a hold lapses.
+         */
+        updateHolds: function() {
+            const now = Date.now();
+            let ticking = false;
+
+            $('[data-hold-countdown]').each((index, element) => {
+                const $countdown = $(element);
+                const deadline = this.holds[$countdown.attr('data-workshop-id')];
+
+                if (deadline === null || deadline === undefined) {
+                    $countdown.prop('hidden', true);
+                    return;
+                }
+
+                const seconds = Math.max(0, Math.ceil((deadline - now) / 1000));
+                const expiring = seconds > 0 && seconds <= fbCart.holdWarning;
+
+                $countdown
+                    .prop('hidden', false)
+                    .toggleClass('is-expiring', expiring)
+                    .toggleClass('is-expired', seconds === 0)
+                    .text(seconds > 0 ? fbCart.strings.holdLeft.replace('%s', this.formatDuration(seconds)) : fbCart.strings.holdExpired);
+            });
+
+            this.state.items.forEach(item => {
+                const deadline = this.holds[item.workshop_id];
+                const seconds = deadline ? Math.ceil((deadline - now) / 1000) : 0;
+
+                if (seconds <= 0) return;
+
+                ticking = true;
+
+                if (seconds <= fbCart.holdWarning && this.holdWarnings[item.workshop_id] !== deadline) {
+                    this.holdWarnings[item.workshop_id] = deadline;
+                    this.warnHoldExpiring(item);
+                }
+            });
+
+            if (ticking && !this.holdTimer) {
+                this.holdTimer = setInterval(() => this.updateHolds(), 1000);
+            } else if (!ticking && this.holdTimer) {
+                clearInterval(this.holdTimer);
+                this.holdTimer = null;
+            }
+        },
+
+        /**
+         * Update pricing option countdowns, e.g. "Early bird ends in 3 days".
+         *
+         * Cart items whose option ends while the page is open are re-priced.
+         */
+        updateDeadlines: function() {
+            const now = Date.now();
+            let ticking = false;
+            let ended = false;
+
+            $('[data-deadline-countdown]').each((index, element) => {
+                const $countdown = $(element);
+                const endsAt = parseInt($countdown.attr('data-ends-at'), 10) * 1000;
+                const label = $countdown.attr('data-label') || '';
+
+                if (!endsAt) return;
+
+                if (endsAt > now) {
+                    ticking = true;
+                    const left = this.formatTimeLeft(endsAt - now);
+                    if (left) {
+                        $countdown.text(fbCart.strings.priceEnds.replace('%1$s', label).replace('%2$s', left));
+                    }
+                    return;
+                }
+
+                $countdown.text(fbCart.strings.priceEnded.replace('%s', label))
+                    .siblings('[data-price-deadline-regular]').prop('hidden', true);
+                ended = ended || $countdown.closest('[data-cart-item]').length > 0;
+            });
+
+            if (ended) {
+                this.repriceExpiredItems();
+            }
+
+            if (ticking && !this.deadlineTimer) {
+                this.deadlineTimer = setInterval(() => this.updateDeadlines(), 60000);
+            } else if (!ticking && this.deadlineTimer) {
+                clearInterval(this.deadlineTimer);
+                this.deadlineTimer = null;
+            }
+        },
+
+        /**
+         * Format the time until a deadline, like the server's countdown text.
+         *
+         * @param {number} ms Milliseconds left.
+         * @returns {string} E.g. "in 3 days", or empty if the browser can't format it.
+         */
+        formatTimeLeft: function(ms) {
+            if (!window.Intl || !Intl.RelativeTimeFormat) return '';
+
+            const format = new Intl.RelativeTimeFormat(fbCart.locale || undefined, { numeric: 'always' });
+            const minutes = ms / 60000;
+
+            if (minutes >= 1440) return format.format(Math.round(minutes / 1440), 'day');
+            if (minutes >= 60) return format.format(Math.round(minutes / 60), 'hour');
+
+            return format.format(Math.max(1, Math.round(minutes)), 'minute');
+        },
+
+        /**
+         * Move items whose pricing option ended to the current price, and
+         * show why their price changed.
+         *
+         * @returns {Promise|undefined} Validation request, unless one is running.
+         */
+        repriceExpiredItems: function() {
+            if (this.repricing) return;
+
+            this.repricing = true;
+
+            return this.validateCart()
+                .then(response => {
+                    const repriced = (response.errors || []).filter(issue => issue.code === 'pricing_option_expired');
+
+                    this.commit(response.data);
+
+                    if (repriced.length) {
+                        this.renderIssues(repriced);
+                        this.showNotification(fbCart.strings.repriced, 'info');
+                    }
+                })
+                .catch(error => console.error('Re-pricing error:', error))
+                .then(() => {
+                    this.repricing = false;
+                });
+        },
+
+        /**
+         * Warn that an item's seat hold is about to lapse.
+         *
+         * Stays open until dismissed, with a shortcut to checkout.
+         *
+         * @param {Object} item Cart item data.
+         */
+        warnHoldExpiring: function(item) {
+            const $checkout = $('[data-cart-checkout]:visible').first();
+            const action = $checkout.length
+                ? { label: fbCart.strings.checkout, onClick: () => $checkout.trigger('click') }
+                : { label: fbCart.strings.viewCart, href: fbCart.cartPageUrl };
+
+            window.fbNotifications.show(fbCart.strings.holdExpiring.replace('%s', item.workshop_title), {
+                type: 'info',
+                duration: 0,
+                actions: [action]
+            });
+        },
+
+        /**
+         * Format a countdown as m:ss.
+         *
+         * @param {number} seconds Seconds left.
+         * @returns {string} Formatted countdown.
+         */
+        formatDuration: function(seconds) {
+            const minutes = Math.floor(seconds / 60);
+            const rest = seconds % 60;
+
+            return minutes + ':' + (rest < 10 ? '0' : '') + rest;
+        },
+
+        /**
+         * Show validation issues inline on their cart rows.
+         *
+         * @param {Array} issues Issues from CartManager::validate_cart().
+         */
+        renderIssues: function(issues) {
+            $('[data-cart-item]').each((index, element) => this.clearIssue($(element)));
+
+            issues.forEach(issue => {
+                const $row = $('[data-cart-item][data-workshop-id="' + issue.workshop_id + '"]');
+                if ($row.length) {
+                    $row.addClass('has-issue').append(this.buildIssueHtml(issue));
+                }
+            });
+
+            this.updateCheckoutState();
+        },
+
+        /**
+         * Remove the issue shown on a cart row.
+         *
+         * @param {jQuery} $row Cart item row.
+         */
+        clearIssue: function($row) {
+            $row.removeClass('has-issue').find('.fb-cart-item__issue').remove();
+            this.updateCheckoutState();
+        },
+
+        /**
+         * Build issue markup with its one-click fixes.
+         *
+         * @param {Object} issue Validation issue.
+         * @returns {string} HTML string.
+         */
+        buildIssueHtml: function(issue) {
+            const escape = this.escapeHtml;
+            const fixes = issue.fixes || [];
+            const modifier = issue.blocking ? 'blocking' : 'notice';
+            let html = '<div class="fb-cart-item__issue fb-cart-item__issue--' + modifier + '" role="alert" data-issue-code="' + escape(issue.code) + '">' +
+                '<p class="fb-cart-item__issue-message">' + escape(issue.error) + '</p>';
+
+            if (fixes.length) {
+                html += '<div class="fb-cart-item__issue-fixes">';
+
+                if (fixes.indexOf('switch_option') !== -1) {
+                    (issue.pricing_options || []).forEach(option => {
+                        const label = option.label + ' (' + (option.price_label || this.formatPrice(option.price)) + ')';
+                        html += '<button type="button" class="fb-cart-issue-fix" data-issue-switch-option data-option-id="' + escape(option.id) + '">' +
+                            escape(fbCart.strings.switchTo.replace('%s', label)) +
+                            '</button>';
+                    });
+                }
+
+                if (fixes.indexOf('waitlist') !== -1) {
+                    html += '<button type="button" class="fb-cart-issue-fix" data-issue-waitlist>' + escape(fbCart.strings.joinWaitlist) + '</button>';
+                }
+
+                if (fixes.indexOf('remove') !== -1) {
+                    html += '<button type="button" class="fb-cart-issue-fix fb-cart-issue-fix--remove" data-remove-item data-workshop-id="' + escape(issue.workshop_id) + '">' +
+                        escape(fbCart.strings.removeFix) +
+                        '</button>';
+                }
+
+                html += '</div>';
+            }
+
+            if (fixes.indexOf('waitlist') !== -1) {
+                html += '<form class="fb-cart-item__waitlist" data-issue-waitlist-form style="display: none;">' +
+                    '<input type="text" name="name" required placeholder="' + escape(fbCart.strings.name) + '" aria-label="' + escape(fbCart.strings.name) + '" value="' + escape(fbCart.user.name) + '">' +
+                    '<input type="email" name="email" required placeholder="' + escape(fbCart.strings.email) + '" aria-label="' + escape(fbCart.strings.email) + '" value="' + escape(fbCart.user.email) + '">' +
+                    '<button type="submit" class="fb-cart-issue-fix">' + escape(fbCart.strings.joinWaitlist) + '</button>' +
+                    '</form>';
+            }
+
+            return html + '</div>';
+        },
+
+        /**
+         * Move focus to the first blocking issue.
+         */
+        focusFirstIssue: function() {
+            const $issue = $('.fb-cart-item__issue--blocking').first();
+            if (!$issue.length) return;
+
+            $issue.attr('tabindex', '-1').trigger('focus');
+            $issue[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        },
+
+        /**
+         * Block checkout while blocking issues remain.
+         */
+        updateCheckoutState: function() {
+            if (this.checkingOut) return;
+
+            $('[data-cart-checkout]').prop('disabled', $('.fb-cart-item__issue--blocking').length > 0);
+        },
+
+        /**
+         * Render a cart summary in place.
+         *
+         * Existing rows are updated rather than rebuilt so focus and any
+         * form state inside them survive the re-render.
+         *
+         * @param {jQuery} $summary Cart summary element.
+         */
+        renderCartSummary: function($summary) {
+            const config = $summary.data('cart-config') || {};
+            const items = this.state.items;
+
+            if (!items.length) {
+                if (!$summary.find('.fb-cart-empty').length) {
+                    $summary.html(this.buildEmptyHtml(config));
+                }
+                return;
+            }
+
+            const $items = $summary.find('[data-cart-items]');
+            if (!$items.length) {
+                $summary.html(this.buildSummaryHtml(config));
+                return;
+            }
+
+            // Drop rows that are no longer in the cart.
+            const ids = items.map(item => String(item.workshop_id));
+            $items.find('[data-cart-item]').each(function() {
+                if (ids.indexOf(String($(this).data('workshop-id'))) === -1) {
+                    $(this).remove();
+                }
+            });
+
+            // Update existing rows and append new ones.
+            items.forEach(item => {
+                const $row = $items.find('[data-cart-item][data-workshop-id="' + item.workshop_id + '"]');
+                if ($row.length) {
+                    this.updateCartItemRow($row, item);
+                } else {
+                    $items.append(this.buildCartItemHtml(item));
+                }
+            });
+
+            $summary.find('[data-cart-totals]').replaceWith(this.buildTotalsHtml());
+            this.showPromoError($summary.find('[data-promo-form]'), this.state.promo ? this.state.promo.error : '');
+            this.updateCartTotal(this.state.totalFormatted);
+        },
+
+        /**
+         * Update an existing cart row from item data.
+         *
+         * @param {jQuery} $row Cart item row.
+         * @param {Object} item Cart item data.
+         */
+        updateCartItemRow: function($row, item) {
+            this.updateLinePrice($row, item);
+            this.updateAttendeesBlock($row, item);
+            this.updateGiftBlock($row, item);
+            this.updateAmountBlock($row, item);
+            $row.find('[data-price-deadline]').replaceWith(this.buildDeadlineHtml(item.price_deadline));
+
+            // Options come and go with their availability dates.
+            const $pricingSelect = $row.find('[data-cart-item-pricing]');
+            if ($pricingSelect.length) {
+                $pricingSelect.html(this.buildPricingOptionsHtml(item)).val(item.pricing_option);
+                return;
+            }
+
+            const $option = $row.find('.fb-cart-item__option');
+            if (item.pricing_label) {
+                if ($option.length) {
+                    $option.text(item.pricing_label);
+                } else {
+                    $row.find('.fb-cart-item__meta').prepend(
+                        '<span class="fb-cart-item__option">' + this.escapeHtml(item.pricing_label) + '</span>'
+                    );
+                }
+            } else {
+                $option.remove();
+            }
+        },
+
+        /**
+         * Add, update or remove the pay-what-you-can amount field of a cart row.
+         *
+         * @param {jQuery} $row Cart item row.
+         * @param {Object} item Cart item data.
+         */
+        updateAmountBlock: function($row, item) {
+            const $block = $row.find('[data-cart-item-amount-field]');
+
+            if (!item.amount_range) {
+                $block.remove();
+                return;
+            }
+
+            // Leave the field alone while the visitor is typing in it.
+            if ($block.find('[data-cart-item-amount]').is(':focus')) return;
+
+            const html = this.buildAmountHtml(item);
+            if ($block.length) {
+                $block.replaceWith(html);
+            } else {
+                $row.find('.fb-cart-item__meta').after(html);
+            }
+        },
+
+        /**
+         * Show an item's line total, and its unit price when it has several attendees.
+         *
+         * @param {jQuery} $row Cart item row.
+         * @param {Object} item Cart item data.
+         */
+        updateLinePrice: function($row, item) {
+            const quantity = parseInt(item.quantity, 10) || 1;
+
+            $row.find('.fb-cart-item__price').html(this.buildPriceHtml(item.price, quantity));
+        },
+
+        /**
+         * Update the attendee editor of a cart row.
+         *
+         * Left alone while the visitor is typing in it, unless the number of
+         * attendees changed.
+         *
+         * @param {jQuery} $row Cart item row.
+         * @param {Object} item Cart item data.
+         */
+        updateAttendeesBlock: function($row, item) {
+            const $block = $row.find('[data-cart-attendees]');
+            const attendees = item.attendees || [];
+
+            if ($block.length
+                && $.contains($block[0], document.activeElement)
+                && $block.find('[data-attendee]').length === attendees.length
+            ) {
+                return;
+            }
+
+            if ($block.length) {
+                $block.replaceWith(this.buildAttendeesHtml(item));
+            } else {
+                $row.find('.fb-cart-item__meta').after(this.buildAttendeesHtml(item));
+            }
+        },
+
+        /**
+         * Update the gift editor of a cart row.
+         *
+         * Left alone while the visitor is typing in it.
+         *
+         * @param {jQuery} $row Cart item row.
+         * @param {Object} item Cart item data.
+         */
+        updateGiftBlock: function($row, item) {
+            const $block = $row.find('[data-cart-gift]');
+
+            if ($block.length && $.contains($block[0], document.activeElement)) return;
+
+            if ($block.length) {
+                $block.replaceWith(this.buildGiftHtml(item));
+            } else {
+                $row.find('[data-cart-attendees]').after(this.buildGiftHtml(item));
+            }
+        },
+
+        /**
+         * Build full cart summary markup.
+         *
+         * Mirrors CartShortcodes::render_cart_summary().
+         *
+         * @param {Object} config Summary configuration from data-cart-config.
+         * @returns {string} HTML string.
+         */
+        buildSummaryHtml: function(config) {
+            const escape = this.escapeHtml;
+            let html = '<div class="fb-cart-items" data-cart-items>';
+
+            this.state.items.forEach(item => {
+                html += this.buildCartItemHtml(item);
+            });
+
+            html += '</div>' +
+                this.buildTotalsHtml() +
+                this.buildPromoFormHtml() +
+                '<div class="fb-cart-actions">';
+
+            if (config.showContinue !== false) {
+                html += '<a href="' + escape(config.continueUrl || '') + '" class="fb-btn fb-btn--secondary">' + escape(config.continueText || '') + '</a>';
+            }
+
+            if (config.showCheckout !== false) {
+                html += '<button type="button" class="fb-btn fb-btn--primary fb-cart-checkout-btn" data-cart-checkout>' + escape(config.checkoutText || '') + '</button>';
+            }
+
+            html += '</div>' +
+                '<div class="fb-cart-secondary-actions">' +
+                    '<button type="button" class="fb-cart-clear-btn" data-cart-clear>' + escape(fbCart.strings.clearCart) + '</button>' +
+                '</div>';
+
+            return html;
+        },
+
+        /**
+         * Build cart totals markup.
+         *
+         * Mirrors CartShortcodes::render_cart_totals().
+         *
+         * @returns {string} HTML string.
+         */
+        buildTotalsHtml: function() {
+            const escape = this.escapeHtml;
+            const promo = this.state.promo;
+            const bundle = this.state.bundle;
+            const nudge = this.state.bundleNudge;
+            let html = '<div class="fb-cart-totals" data-cart-totals>';
+
+            if (promo || bundle) {
+                html += '<div class="fb-cart-totals__row fb-cart-totals__row--subtotal">' +
+                        '<span class="fb-cart-totals__label">' + escape(fbCart.strings.subtotal) + '</span>' +
+                        '<span class="fb-cart-totals__value">' + escape(this.formatPrice(this.state.subtotal)) + '</span>' +
+                    '</div>';
+            }
+
+            if (bundle) {
+                html += '<div class="fb-cart-totals__row fb-cart-totals__row--discount fb-cart-totals__row--bundle">' +
+                        '<span class="fb-cart-totals__label">' +
+                            escape(fbCart.strings.bundle.replace('%1$s', bundle.name).replace('%2$s', bundle.label)) +
+                        '</span>' +
+                        '<span class="fb-cart-totals__value">−' + escape(this.formatPrice(bundle.discount)) + '</span>' +
+                    '</div>';
+            }
+
+            if (promo) {
+                html += '<div class="fb-cart-totals__row fb-cart-totals__row--discount' + (promo.error ? ' fb-cart-totals__row--invalid' : '') + '">' +
+                        '<span class="fb-cart-totals__label">' +
+                            escape(fbCart.strings.discount).replace('%s', '<code>' + escape(promo.code) + '</code>') +
+                            ' <button type="button" class="fb-cart-promo__remove" data-promo-remove>' + escape(fbCart.strings.removePromo) + '</button>' +
+                        '</span>' +
+                        '<span class="fb-cart-totals__value">' + (promo.error ? '—' : '−' + escape(this.formatPrice(promo.discount))) + '</span>' +
+                    '</div>';
+            }
+
+            html += '<div class="fb-cart-totals__row fb-cart-totals__row--total">' +
+                    '<span class="fb-cart-totals__label">' + escape(fbCart.strings.total) + '</span>' +
+                    '<span class="fb-cart-totals__value" data-cart-total>' + escape(this.state.totalFormatted) + '</span>' +
+                '</div>';
+
+            if (nudge) {
+                html += '<p class="fb-cart-bundle-nudge">' + escape(nudge.message) +
+                    (nudge.url ? ' <a href="' + escape(nudge.url) + '">' + escape(fbCart.strings.browseBundle) + '</a>' : '') +
+                    '</p>';
+            }
+
+            return html + '</div>';
+        },
+
+        /**
+         * Build promo code form markup.
+         *
+         * @returns {string} HTML string.
          */
-        refreshCartSummary: function() {
-            const $summary = $('[data-cart-summary]');
-            if (!$summary.length) return;
-            
-            // Simple reload - could be enhanced with AJAX partial update.
-            location.reload();
+        buildPromoFormHtml: function() {
+            const escape = this.escapeHtml;
+            const error = this.state.promo ? this.state.promo.error : '';
+
+            return '<form class="fb-cart-promo" data-promo-form novalidate>' +
+                '<label class="fb-cart-promo__label" for="fb-cart-promo-code">' + escape(fbCart.strings.promoCode) + '</label>' +
+                '<div class="fb-cart-promo__field">' +
+                    '<input type="text" id="fb-cart-promo-code" class="fb-cart-promo__input" name="promo_code" autocomplete="off" autocapitalize="characters" data-promo-input>' +
+                    '<button type="submit" class="fb-btn fb-btn--secondary fb-cart-promo__apply">' + escape(fbCart.strings.applyPromo) + '</button>' +
+                '</div>' +
+                '<p class="fb-cart-promo__error" role="alert" data-promo-error' + (error ? '' : ' hidden') + '>' + escape(error || '') + '</p>' +
+            '</form>';
+        },
+
+        /**
+         * Build empty cart markup.
+         *
+         * @param {Object} config Summary configuration from data-cart-config.
+         * @returns {string} HTML string.
+         */
+        buildEmptyHtml: function(config) {
+            const escape = this.escapeHtml;
+
+            return '<div class="fb-cart-empty">' +
+                '<div class="fb-cart-empty__icon">' + this.icons.bag + '</div>' +
+                '<p class="fb-cart-empty__message">' + escape(config.emptyMessage || fbCart.strings.emptyCart) + '</p>' +
+                '<a href="' + escape(config.continueUrl || '') + '" class="fb-btn fb-btn--primary">' + escape(config.emptyCtaText || '') + '</a>' +
+                '</div>';
+        },
+
+        /**
+         * Build a single cart item row.
+         *
+         * Mirrors CartShortcodes::render_cart_item().
+         *
+         * @param {Object} item Cart item data.
+         * @returns {string} HTML string.
+         */
+        buildCartItemHtml: function(item) {
+            const escape = this.escapeHtml;
+            const workshopId = escape(item.workshop_id);
+            const title = escape(item.workshop_title);
+            let html = '<div class="fb-cart-item" data-cart-item data-workshop-id="' + workshopId + '">';
+
+            if (item.thumbnail) {
+                html += '<div class="fb-cart-item__image"><img src="' + escape(item.thumbnail) + '" alt="' + title + '"></div>';
+            }
+
+            html += '<div class="fb-cart-item__details"><h4 class="fb-cart-item__title">' +
+                (item.workshop_url ? '<a href="' + escape(item.workshop_url) + '">' + title + '</a>' : title) +
+                '</h4><div class="fb-cart-item__meta">';
+
+            if (item.pricing_options && item.pricing_options.length > 1) {
+                html += '<label class="fb-cart-item__pricing">' +
+                    '<span class="screen-reader-text">' + escape(fbCart.strings.pricingLabel) + '</span>' +
+                    '<select class="fb-cart-item__pricing-select" data-cart-item-pricing data-workshop-id="' + workshopId + '">' +
+                    this.buildPricingOptionsHtml(item) +
+                    '</select></label>';
+            } else if (item.pricing_label) {
+                html += '<span class="fb-cart-item__option">' + escape(item.pricing_label) + '</span>';
+            }
+
+            if (item.schedule) {
+                html += '<span class="fb-cart-item__schedule">' + escape(item.schedule) + '</span>';
+            } else if (item.date) {
+                html += '<span class="fb-cart-item__date">' + escape(item.date) + '</span>';
+            }
+
+            if (item.location) {
+                html += '<span class="fb-cart-item__location">' + escape(item.location) + '</span>';
+            }
+
+            html += '</div>' +
+                this.buildAmountHtml(item) +
+                this.buildDeadlineHtml(item.price_deadline) +
+                this.buildAttendeesHtml(item) +
+                this.buildGiftHtml(item) +
+                '<p class="fb-cart-item__hold" data-hold-countdown data-workshop-id="' + workshopId + '" hidden></p>' +
+                '</div>' +
+                '<div class="fb-cart-item__price">' + this.buildPriceHtml(item.price, parseInt(item.quantity, 10) || 1) + '</div>' +
+                '<button type="button" class="fb-cart-item__remove" data-remove-item data-workshop-id="' + workshopId + '" aria-label="' + escape(fbCart.strings.removeItem) + '">' +
+                    this.icons.remove +
+                '</button>' +
+                '</div>';
+
+            return html;
+        },
+
+        /**
+         * Build the <option>s of a cart row's pricing select.
+         *
+         * @param {Object} item Cart item data.
+         * @returns {string} HTML string.
+         */
+        buildPricingOptionsHtml: function(item) {
+            const escape = this.escapeHtml;
+
+            return (item.pricing_options || []).map(option => {
+                return '<option value="' + escape(option.id) + '" data-price="' + escape(option.price) + '"' +
+                    (option.id === item.pricing_option ? ' selected' : '') + '>' +
+                    escape(option.label) + ' - ' + escape(option.price_label || this.formatPrice(option.price)) +
+                    '</option>';
+            }).join('');
+        },
+
+        /**
+         * Build the countdown line of a cart row's pricing option.
+         *
+         * Mirrors CartShortcodes::render_price_deadline().
+         *
+         * @param {Object|null} deadline Item's `price_deadline`.
+         * @returns {string} HTML string.
+         */
+        buildDeadlineHtml: function(deadline) {
+            const escape = this.escapeHtml;
+            const regular = deadline ? deadline.regular_price_formatted : '';
+
+            return '<p class="fb-price-deadline fb-cart-item__deadline" data-price-deadline' + (deadline ? '' : ' hidden') + '>' +
+                '<del class="fb-price-deadline__regular" data-price-deadline-regular' + (regular ? '' : ' hidden') + '>' + escape(regular) + '</del> ' +
+                '<span class="fb-price-deadline__countdown" data-deadline-countdown' +
+                    ' data-ends-at="' + escape(deadline ? deadline.ends_at : '') + '"' +
+                    ' data-label="' + escape(deadline ? deadline.label : '') + '">' +
+                    escape(deadline ? deadline.text : '') +
+                '</span>' +
+            '</p>';
+        },
+
+        /**
+         * Build the pay-what-you-can amount field of a cart row.
+         *
+         * Mirrors CartShortcodes::render_cart_item().
+         *
+         * @param {Object} item Cart item data.
+         * @returns {string} HTML string, empty for fixed price items.
+         */
+        buildAmountHtml: function(item) {
+            const escape = this.escapeHtml;
+            const range = item.amount_range;
+
+            if (!range) return '';
+
+            return '<div class="fb-cart-item__amount" data-cart-item-amount-field>' +
+                '<label class="fb-cart-item__amount-label">' +
+                    '<span>' + escape(fbCart.strings.yourAmount) + '</span>' +
+                    '<input type="number" class="fb-cart-item__amount-input" data-cart-item-amount data-workshop-id="' + escape(item.workshop_id) + '"' +
+                        ' value="' + escape(item.price) + '" min="' + escape(range.min) + '"' +
+                        (range.max ? ' max="' + escape(range.max) + '"' : '') +
+                        ' step="0.01" inputmode="decimal">' +
+                '</label>' +
+                '<p class="fb-cart-item__amount-hint">' + escape(range.hint) + '</p>' +
+            '</div>';
+        },
+
+        /**
+         * Build the attendee editor of a cart row.
+         *
+         * Mirrors CartShortcodes::render_attendees().
+         *
+         * @param {Object} item Cart item data.
+         * @returns {string} HTML string.
+         */
+        buildAttendeesHtml: function(item) {
+            const escape = this.escapeHtml;
+            const strings = fbCart.strings;
+            const attendees = item.attendees && item.attendees.length ? item.attendees : [{ name: '', age: '', notes: '' }];
+            let html = '<fieldset class="fb-cart-item__attendees" data-cart-attendees data-workshop-id="' + escape(item.workshop_id) + '">' +
+                '<legend class="fb-cart-item__attendees-title">' + escape(strings.attendees) + '</legend>';
+
+            attendees.forEach(attendee => {
+                html += '<div class="fb-cart-attendee" data-attendee>' +
+                    '<input type="text" class="fb-cart-attendee__name" data-attendee-field="name" maxlength="100" value="' + escape(attendee.name) + '" placeholder="' + escape(strings.attendeeName) + '" aria-label="' + escape(strings.attendeeName) + '">' +
+                    '<input type="number" class="fb-cart-attendee__age" data-attendee-field="age" min="1" max="119" value="' + escape(attendee.age) + '" placeholder="' + escape(strings.attendeeAge) + '" aria-label="' + escape(strings.attendeeAge) + '">' +
+                    '<input type="text" class="fb-cart-attendee__notes" data-attendee-field="notes" maxlength="500" value="' + escape(attendee.notes) + '" placeholder="' + escape(strings.attendeeNote) + '" aria-label="' + escape(strings.attendeeNote) + '">';
+
+                if (attendees.length > 1) {
+                    html += '<button type="button" class="fb-cart-attendee__remove" data-attendee-remove aria-label="' + escape(strings.dropAttendee) + '">&times;</button>';
+                }
+
+                html += '</div>';
+            });
+
+            if (attendees.length < fbCart.maxAttendees) {
+                html += '<button type="button" class="fb-cart-item__add-attendee" data-attendee-add>+ ' + escape(strings.addAttendee) + '</button>';
+            }
+
+            return html + '</fieldset>';
+        },
+
+        /**
+         * Build the gift editor of a cart row.
+         *
+         * Mirrors CartShortcodes::render_gift().
+         *
+         * @param {Object} item Cart item data.
+         * @returns {string} HTML string.
+         */
+        buildGiftHtml: function(item) {
+            const escape = this.escapeHtml;
+            const strings = fbCart.strings;
+            const gift = item.gift || null;
+
+            return '<div class="fb-cart-item__gift" data-cart-gift data-workshop-id="' + escape(item.workshop_id) + '">' +
+                '<label class="fb-cart-gift__toggle"><input type="checkbox" data-gift-toggle' + (gift ? ' checked' : '') + '> ' + escape(strings.gift) + '</label>' +
+                '<div class="fb-cart-gift__fields" data-gift-fields' + (gift ? '' : ' hidden') + '>' +
+                    '<input type="text" class="fb-cart-gift__name" data-gift-field="name" maxlength="100" value="' + escape(gift ? gift.name : '') + '" placeholder="' + escape(strings.giftName) + '" aria-label="' + escape(strings.giftName) + '">' +
+                    '<input type="email" class="fb-cart-gift__email" data-gift-field="email" maxlength="100" value="' + escape(gift ? gift.email : '') + '" placeholder="' + escape(strings.giftEmail) + '" aria-label="' + escape(strings.giftEmail) + '">' +
+                    '<textarea class="fb-cart-gift__message" data-gift-field="message" maxlength="500" rows="2" placeholder="' + escape(strings.giftMessage) + '" aria-label="' + escape(strings.giftMessage) + '">' + escape(gift ? gift.message : '') + '</textarea>' +
+                    '<p class="fb-cart-gift__hint">' + escape(strings.giftHint) + '</p>' +
+                '</div>' +
+            '</div>';
+        },
+
+        /**
+         * Build a saved-for-later list entry.
+         *
+         * Mirrors CartShortcodes::render_saved_list().
+         *
+         * @param {Object} item Saved item data.
+         * @returns {string} HTML string.
+         */
+        buildSavedItemHtml: function(item) {
+            const escape = this.escapeHtml;
+            const strings = fbCart.strings;
+            const workshopId = escape(item.workshop_id);
+            const title = escape(item.workshop_title);
+            let html = '<div class="fb-saved-item" data-saved-item data-workshop-id="' + workshopId + '">';
+
+            if (item.thumbnail) {
+                html += '<div class="fb-saved-item__image"><img src="' + escape(item.thumbnail) + '" alt="' + title + '"></div>';
+            }
+
+            html += '<div class="fb-saved-item__details">' +
+                '<h4 class="fb-saved-item__title"><a href="' + escape(item.workshop_url) + '">' + title + '</a></h4>' +
+                '<div class="fb-saved-item__meta">';
+
+            if (parseFloat(item.price) > 0) {
+                html += '<span class="fb-saved-item__price">' + escape(this.formatPrice(item.price)) + '</span>';
+            }
+
+            if (item.schedule) {
+                html += '<span class="fb-saved-item__schedule">' + escape(item.schedule) + '</span>';
+            } else if (item.date) {
+                html += '<span class="fb-saved-item__date">' + escape(item.date) + '</span>';
+            }
+
+            html += '</div>';
+
+            if (!item.available) {
+                html += '<p class="fb-saved-item__unavailable">' + escape(item.unavailable) + '</p>';
+            }
+
+            return html + '</div>' +
+                '<div class="fb-saved-item__actions">' +
+                    '<button type="button" class="fb-btn fb-btn--primary fb-saved-item__move" data-saved-move data-workshop-id="' + workshopId + '"' + (item.available ? '' : ' disabled') + '>' + escape(strings.moveToCart) + '</button>' +
+                    '<button type="button" class="fb-saved-item__remove" data-saved-remove data-workshop-id="' + workshopId + '">' + escape(strings.removeSaved) + '</button>' +
+                '</div>' +
+            '</div>';
+        },
+
+        /**
+         * Build the price column of a cart row.
+         *
+         * @param {number|string} price Unit price.
+         * @param {number} quantity Number of attendees.
+         * @returns {string} HTML string.
+         */
+        buildPriceHtml: function(price, quantity) {
+            const unit = fbCart.strings.unitPrice
+                .replace('%1$s', this.formatPrice(price))
+                .replace('%2$d', quantity);
+
+            return this.escapeHtml(this.formatPrice((parseFloat(price) || 0) * quantity)) +
+                '<span class="fb-cart-item__unit-price" data-unit-price' + (quantity > 1 ? '' : ' hidden') + '>' + this.escapeHtml(unit) + '</span>';
+        },
+
+        /**
+         * Escape a value for safe insertion into HTML.
+         *
+         * @param {*} value Value to escape.
+         * @returns {string} Escaped string.
+         */
+        escapeHtml: function(value) {
+            return String(value === undefined || value === null ? '' : value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        },
+
+        /**
+         * Dispatch a DOM event for analytics and theme integrations.
+         *
+         * Events are documented in docs/reference/api-reference.md
+         * ("Frontend Events") and bubble from document.
+         *
+         * @param {string} name Event name, e.g. "fb:cart:added".
+         * @param {Object} detail Event payload.
+         */
+        emit: function(name, detail) {
+            document.dispatchEvent(new CustomEvent(name, { detail: detail }));
+        },
+
+        /**
+         * Dispatch an event describing a single cart item.
+         *
+         * @param {string} name Event name.
+         * @param {Object|undefined} item Cart item from state.
+         */
+        emitItemEvent: function(name, item) {
+            if (!item) return;
+
+            this.emit(name, this.toEventItem(item));
+        },
+
+        /**
+         * Convert a cart item to an event payload.
+         *
+         * @param {Object} item Cart item from state.
+         * @returns {Object} Event item.
+         */
+        toEventItem: function(item) {
+            return {
+                workshopId: parseInt(item.workshop_id, 10),
+                workshopTitle: item.workshop_title || '',
+                pricingOption: item.pricing_option || '',
+                pricingLabel: item.pricing_label || '',
+                price: parseFloat(item.price) || 0,
+                quantity: parseInt(item.quantity, 10) || 1,
+                currency: fbCart.currency
+            };
+        },
+
+        /**
+         * Describe the whole cart for an event payload.
+         *
+         * @returns {Object} Items, value, applied coupon, bundle and total discount, and currency.
+         */
+        getEventCart: function() {
+            const promo = this.state.promo && !this.state.promo.error ? this.state.promo : null;
+
+            return {
+                items: this.state.items.map(item => this.toEventItem(item)),
+                value: this.state.total,
+                coupon: promo ? promo.code : '',
+                bundle: this.state.bundle ? this.state.bundle.name : '',
+                discount: this.state.discount,
+                currency: fbCart.currency
+            };
+        },
+
+        /**
+         * Format an amount in the store currency and site locale.
+         *
+         * @param {number|string} amount Amount in major units.
+         * @returns {string} Formatted price, e.g. "CA$75.00" or "75,00 €".
+         */
+        formatPrice: function(amount) {
+            if (!this.priceFormatter) {
+                try {
+                    this.priceFormatter = new Intl.NumberFormat(fbCart.locale || undefined, {
+                        style: 'currency',
+                        currency: fbCart.currency || 'USD'
+                    });
+                } catch (error) {
+                    // Unknown locale or currency code.
+                    this.priceFormatter = {
+                        format: value => (fbCart.currency || 'USD') + ' ' + value.toFixed(2)
+                    };
+                }
+            }
+
+            return this.priceFormatter.format(parseFloat(amount) || 0);
+        },
+
+        /**
+         * Update cart total display.
+         *
+         * @param {string} total Formatted total.
+         */
+        updateCartTotal: function(total) {
+            $('[data-cart-total]').text(total);
+        },
+
+        /**
+         * Bring add-to-cart buttons in line with the cart state.
+         */
+        syncAddToCartButtons: function() {
+            $('[data-add-to-cart-wrapper]').each((index, element) => {
+                const $wrapper = $(element);
+                const workshopId = $wrapper.data('workshop-id');
+                const inCart = !!this.findItem(workshopId);
+                const showsInCart = $wrapper.find('.in-cart').length > 0;
+
+                if (inCart && !showsInCart) {
+                    this.markAddToCartButtonInCart(workshopId, fbCart.strings.inCart);
+                } else if (!inCart && showsInCart) {
+                    this.resetAddToCartButton(workshopId);
+                }
+            });
+        },
+
+        /**
+         * Show the "in cart" state on the add to cart button for a workshop.
+         *
+         * @param {number} workshopId Workshop ID.
+         * @param {string} label      Button label.
+         */
+        markAddToCartButtonInCart: function(workshopId, label) {
+            const $wrapper = $('[data-add-to-cart-wrapper][data-workshop-id="' + workshopId + '"]');
+            const $button = $wrapper.find('[data-add-to-cart], .in-cart');
+            if (!$button.length) return;
+
+            $button.addClass('in-cart')
+                   .prop('disabled', true)
+                   .html(this.icons.check + ' ' + this.escapeHtml(label));
+
+            // Hide pricing select.
+            $wrapper.find('.fb-add-to-cart__options').slideUp();
+            $wrapper.find('.fb-add-to-cart__price').slideUp();
+
+            // Show view cart link.
+            if (!$wrapper.find('.fb-view-cart-link').length) {
+                $button.after('<a href="' + this.escapeHtml(fbCart.cartPageUrl) + '" class="fb-view-cart-link">' + this.escapeHtml(fbCart.strings.viewCart) + '</a>');
+            }
         },
 
         /**
@@ -383,40 +2752,242 @@
         /**
          * Show notification toast.
          *
-         * @param {string} message Message to display.
+         * @param {string} message Message to display; rendered as text, never HTML.
          * @param {string} type    Notification type (success, error).
+         * @param {Array}  actions Optional action buttons, see fbNotifications.show().
+         * @returns {Object} Notification handle.
          */
-        showNotification: function(message, type) {
-            // Remove existing notifications.
-            $('.fb-cart-notification').remove();
-            
-            const $notification = $('<div class="fb-cart-notification fb-cart-notification--' + type + '">' +
-                '<span class="fb-cart-notification__message">' + message + '</span>' +
-                '<button type="button" class="fb-cart-notification__close">&times;</button>' +
-                '</div>');
-            
-            $('body').append($notification);
-            
-            // Animate in.
-            setTimeout(() => $notification.addClass('visible'), 10);
-            
-            // Close button.
-            $notification.find('.fb-cart-notification__close').on('click', function() {
-                $notification.removeClass('visible');
-                setTimeout(() => $notification.remove(), 300);
+        showNotification: function(message, type, actions) {
+            return window.fbNotifications.show(message, {
+                type: type,
+                actions: actions || []
             });
-            
-            // Auto-hide after 4 seconds.
+        }
+    };
+
+    /**
+     * Mini-cart drawer module.
+     *
+     * Slide-out panel opened from [data-mini-cart-toggle] on the cart icon,
+     * rendered from Cart.state.
+     */
+    const MiniCart = {
+        /**
+         * Drawer element, built on first open.
+         */
+        $drawer: null,
+
+        /**
+         * Element that had focus before the drawer opened.
+         */
+        lastFocused: null,
+
+        /**
+         * Initialize mini-cart functionality.
+         */
+        init: function() {
+            $(document).on('click', '[data-mini-cart-toggle]', this.handleToggleClick.bind(this));
+        },
+
+        /**
+         * Handle cart icon click.
+         *
+         * @param {Event} e Click event.
+         */
+        handleToggleClick: function(e) {
+            // Let modified clicks open the cart page as usual.
+            if (e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return;
+
+            e.preventDefault();
+            this.lastFocused = e.currentTarget;
+            this.open();
+        },
+
+        /**
+         * Check whether the drawer is open.
+         *
+         * @returns {boolean} Whether the drawer is open.
+         */
+        isOpen: function() {
+            return !!this.$drawer && this.$drawer.hasClass('is-open');
+        },
+
+        /**
+         * Open the drawer.
+         */
+        open: function() {
+            if (this.isOpen()) return;
+
+            if (!this.$drawer) {
+                this.build();
+            }
+
+            this.render(Cart.state);
+            if (!Cart.state.loaded) {
+                Cart.loadCart();
+            }
+
+            this.$drawer.prop('hidden', false);
+            // Force reflow so the slide-in transition runs.
+            this.$drawer[0].offsetWidth;
+            this.$drawer.addClass('is-open');
+
+            $('body').addClass('fb-mini-cart-open');
+            $('[data-mini-cart-toggle]').attr('aria-expanded', 'true');
+
+            this.$drawer.find('.fb-mini-cart__close').trigger('focus');
+        },
+
+        /**
+         * Close the drawer and return focus to the toggle.
+         */
+        close: function() {
+            if (!this.isOpen()) return;
+
+            this.$drawer.removeClass('is-open');
             setTimeout(() => {
-                $notification.removeClass('visible');
-                setTimeout(() => $notification.remove(), 300);
-            }, 4000);
+                if (!this.isOpen()) {
+                    this.$drawer.prop('hidden', true);
+                }
+            }, 300);
+
+            $('body').removeClass('fb-mini-cart-open');
+            $('[data-mini-cart-toggle]').attr('aria-expanded', 'false');
+
+            if (this.lastFocused && document.contains(this.lastFocused)) {
+                this.lastFocused.focus();
+            }
+        },
+
+        /**
+         * Build drawer markup and bind its events.
+         */
+        build: function() {
+            const escape = Cart.escapeHtml;
+
+            this.$drawer = $(
+                '<div class="fb-mini-cart" data-mini-cart hidden>' +
+                    '<div class="fb-mini-cart__overlay" data-mini-cart-close></div>' +
+                    '<div class="fb-mini-cart__panel" id="fb-mini-cart" role="dialog" aria-modal="true" aria-labelledby="fb-mini-cart-title">' +
+                        '<div class="fb-mini-cart__header">' +
+                            '<h2 class="fb-mini-cart__title" id="fb-mini-cart-title">' + escape(fbCart.strings.cartTitle) + '</h2>' +
+                            '<button type="button" class="fb-mini-cart__close" data-mini-cart-close aria-label="' + escape(fbCart.strings.close) + '">' + Cart.icons.remove + '</button>' +
+                        '</div>' +
+                        '<div class="fb-mini-cart__body" data-mini-cart-body></div>' +
+                        '<div class="fb-mini-cart__footer" data-mini-cart-footer>' +
+                            '<div class="fb-mini-cart__subtotal">' +
+                                '<span>' + escape(fbCart.strings.subtotal) + '</span>' +
+                                '<span data-cart-total></span>' +
+                            '</div>' +
+                            '<div class="fb-mini-cart__actions">' +
+                                '<a href="' + escape(fbCart.cartPageUrl) + '" class="fb-btn fb-btn--secondary">' + escape(fbCart.strings.viewCart) + '</a>' +
+                                '<button type="button" class="fb-btn fb-btn--primary fb-cart-checkout-btn" data-cart-checkout>' + escape(fbCart.strings.checkout) + '</button>' +
+                            '</div>' +
+                        '</div>' +
+                    '</div>' +
+                '</div>'
+            );
+
+            $('body').append(this.$drawer);
+
+            this.$drawer.on('click', '[data-mini-cart-close]', e => {
+                e.preventDefault();
+                this.close();
+            });
+            this.$drawer.on('keydown', this.handleKeydown.bind(this));
+        },
+
+        /**
+         * Close on Escape and keep Tab focus inside the drawer.
+         *
+         * @param {Event} e Keydown event.
+         */
+        handleKeydown: function(e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+                return;
+            }
+
+            if (e.key !== 'Tab') return;
+
+            const $focusable = this.$drawer.find('.fb-mini-cart__panel')
+                .find('a[href], button:not(:disabled), input:not(:disabled), select:not(:disabled), [tabindex]:not([tabindex="-1"])')
+                .filter(':visible');
+            if (!$focusable.length) return;
+
+            const first = $focusable[0];
+            const last = $focusable[$focusable.length - 1];
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+
+        /**
+         * Render cart state into the drawer.
+         *
+         * @param {Object} state Cart state.
+         */
+        render: function(state) {
+            if (!this.$drawer) return;
+
+            const escape = Cart.escapeHtml;
+            const $body = this.$drawer.find('[data-mini-cart-body]');
+            const $footer = this.$drawer.find('[data-mini-cart-footer]');
+
+            $footer.find('[data-cart-total]').text(state.totalFormatted);
+
+            if (!state.loaded) {
+                $body.html('<p class="fb-mini-cart__status">' + escape(fbCart.strings.loading) + '</p>');
+                $footer.hide();
+                return;
+            }
+
+            if (!state.items.length) {
+                $body.html('<p class="fb-mini-cart__status">' + escape(fbCart.strings.emptyCart) + '</p>');
+                $footer.hide();
+                return;
+            }
+
+            let html = '<ul class="fb-mini-cart__items">';
+            state.items.forEach(item => {
+                html += '<li class="fb-mini-cart__item" data-cart-item data-workshop-id="' + escape(item.workshop_id) + '">' +
+                    '<div class="fb-mini-cart__details">' +
+                        '<a href="' + escape(item.workshop_url) + '" class="fb-mini-cart__item-title">' + escape(item.workshop_title) + '</a>' +
+                        (item.pricing_label ? '<span class="fb-mini-cart__item-option">' + escape(item.pricing_label) + '</span>' : '') +
+                        '<span class="fb-cart-item__hold" data-hold-countdown data-workshop-id="' + escape(item.workshop_id) + '" hidden></span>' +
+                    '</div>' +
+                    '<span class="fb-mini-cart__item-price">' +
+                        (item.quantity > 1 ? '<span class="fb-mini-cart__item-quantity">&times; ' + escape(item.quantity) + '</span> ' : '') +
+                        escape(Cart.formatPrice(item.line_total !== undefined ? item.line_total : item.price)) +
+                    '</span>' +
+                    '<button type="button" class="fb-mini-cart__remove" data-remove-item data-workshop-id="' + escape(item.workshop_id) + '" aria-label="' + escape(fbCart.strings.removeItem + ': ' + item.workshop_title) + '">' +
+                        Cart.icons.remove +
+                    '</button>' +
+                    '</li>';
+            });
+            html += '</ul>';
+
+            // Keep focus in the drawer when the focused row is re-rendered.
+            const hadFocus = $.contains($body[0], document.activeElement);
+            $body.html(html);
+            $footer.show();
+
+            if (hadFocus && this.isOpen()) {
+                this.$drawer.find('.fb-mini-cart__close').trigger('focus');
+            }
         }
     };
 
     // Initialize on document ready.
     $(document).ready(function() {
         Cart.init();
+        MiniCart.init();
     });
 
 })(jQuery);
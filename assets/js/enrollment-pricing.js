@@ -22,7 +22,15 @@
                 wrapper: '.enrollment-button-wrapper',
                 select: '.enrollment-pricing-select',
                 button: '.enrollment-button',
-                errorContainer: '.enrollment-error'
+                errorContainer: '.enrollment-error',
+                ajaxButton: '[data-ajax-enroll]',
+                ajaxWrapper: '[data-add-to-cart-wrapper]',
+                ajaxSelect: '[data-pricing-select]',
+                ajaxError: '[data-enroll-error]',
+                amountField: '[data-pricing-amount]',
+                amountInput: '[data-pricing-amount-input]',
+                amountHint: '[data-pricing-amount-hint]',
+                amountError: '[data-pricing-amount-error]'
             },
             classes: {
                 loading: 'enrollment-loading',
@@ -30,6 +38,11 @@
             }
         },
 
+        /**
+         * Intl.NumberFormat for the store currency, created on first use
+         */
+        priceFormatter: null,
+
         /**
          * Initialize the module
          */
@@ -49,10 +62,34 @@
                 self.handlePricingChange($(this));
             });
 
+            // Show the amount field for pay-what-you-can options
+            $(document).on('change', this.config.selectors.ajaxSelect, function() {
+                self.updateAmountField($(this));
+            });
+
+            $(document).on('input', this.config.selectors.amountInput, function() {
+                self.hideAmountError($(this).closest(self.config.selectors.amountField));
+            });
+
             // Handle enrollment button clicks
             $(document).on('click', this.config.selectors.button, function(e) {
                 self.handleEnrollmentClick(e, $(this));
             });
+
+            // Handle direct (AJAX) enrollment button clicks
+            $(document).on('click', this.config.selectors.ajaxButton, function(e) {
+                e.preventDefault();
+                self.handleAjaxEnrollClick($(this));
+            });
+
+            // Reset buttons left loading when returning from Stripe via the back button
+            $(window).on('pageshow', function(e) {
+                if (e.originalEvent && e.originalEvent.persisted) {
+                    $(self.config.selectors.ajaxButton).each(function() {
+                        self.setLoading($(this), false);
+                    });
+                }
+            });
         },
 
         /**
@@ -109,7 +146,120 @@
             var price = $selectedOption.data('price');
 
             // Update any price display elements
-            $wrapper.find('.enrollment-price-display').text('$' + parseFloat(price).toFixed(2));
+            $wrapper.find('.enrollment-price-display').text(this.formatPrice(price));
+        },
+
+        /**
+         * Show the amount field when a pay-what-you-can option is selected
+         *
+         * The field starts at the suggested amount of the new option.
+         *
+         * @param {jQuery} $select The pricing select
+         */
+        updateAmountField: function($select) {
+            var $field = $select.closest(this.config.selectors.ajaxWrapper).find(this.config.selectors.amountField);
+            var $option = $select.find(':selected');
+            var isSliding = $option.data('type') === 'sliding';
+            var max = parseFloat($option.data('max')) || 0;
+
+            $field.prop('hidden', !isSliding);
+            this.hideAmountError($field);
+
+            if (!isSliding) {
+                return;
+            }
+
+            $field.find(this.config.selectors.amountInput)
+                .attr('min', $option.data('min'))
+                .attr('max', max > 0 ? max : null)
+                .val($option.data('price'));
+            $field.find(this.config.selectors.amountHint).text($option.data('hint') || '');
+        },
+
+        /**
+         * Get the amount entered for a pay-what-you-can option
+         *
+         * @param {jQuery} $select The pricing select
+         * @returns {Object} {amount, error}; amount is null for fixed price options or when invalid
+         */
+        getChosenAmount: function($select) {
+            var strings = this.getStrings();
+            var $option = $select.find(':selected');
+            var $input = $select.closest(this.config.selectors.ajaxWrapper).find(this.config.selectors.amountInput);
+            var min = parseFloat($option.data('min')) || 0;
+            var max = parseFloat($option.data('max')) || 0;
+            var amount;
+
+            if ($option.data('type') !== 'sliding' || !$input.length) {
+                return { amount: null, error: '' };
+            }
+
+            // Compare in cents, like the server does
+            amount = Math.round(parseFloat($input.val()) * 100);
+
+            if (!(amount > 0)) {
+                return { amount: null, error: strings.amountEmpty };
+            }
+
+            if (amount < Math.round(min * 100)) {
+                return { amount: null, error: strings.amountMin.replace('%s', this.formatPrice(min)) };
+            }
+
+            if (max > 0 && amount > Math.round(max * 100)) {
+                return { amount: null, error: strings.amountMax.replace('%s', this.formatPrice(max)) };
+            }
+
+            return { amount: amount / 100, error: '' };
+        },
+
+        /**
+         * Show an error under the amount field
+         *
+         * @param {jQuery} $field The amount field
+         * @param {string} message Error message
+         */
+        showAmountError: function($field, message) {
+            $field.find(this.config.selectors.amountInput).attr('aria-invalid', 'true').trigger('focus');
+            $field.find(this.config.selectors.amountError).text(message).prop('hidden', false);
+        },
+
+        /**
+         * Hide the error under the amount field
+         *
+         * @param {jQuery} $field The amount field
+         */
+        hideAmountError: function($field) {
+            $field.find(this.config.selectors.amountInput).removeAttr('aria-invalid');
+            $field.find(this.config.selectors.amountError).prop('hidden', true).empty();
+        },
+
+        /**
+         * Format an amount in the store currency and site locale
+         *
+         * @param {number|string} amount Amount in major units
+         * @returns {string} Formatted price
+         */
+        formatPrice: function(amount) {
+            var settings = window.fieldsBrightEnrollment || {};
+            var currency = settings.currency || 'USD';
+
+            if (!this.priceFormatter) {
+                try {
+                    this.priceFormatter = new Intl.NumberFormat(settings.locale || undefined, {
+                        style: 'currency',
+                        currency: currency
+                    });
+                } catch (error) {
+                    // Unknown locale or currency code
+                    this.priceFormatter = {
+                        format: function(value) {
+                            return currency + ' ' + value.toFixed(2);
+                        }
+                    };
+                }
+            }
+
+            return this.priceFormatter.format(parseFloat(amount) || 0);
         },
 
         /**
@@ -119,6 +269,12 @@
          * @param {jQuery} $button The button element
          */
         handleEnrollmentClick: function(e, $button) {
+            // Disabled by the availability script once the workshop filled up
+            if ($button.hasClass(this.config.classes.disabled)) {
+                e.preventDefault();
+                return;
+            }
+
             // If there's a pricing select, make sure an option is selected
             var $wrapper = $button.closest(this.config.selectors.wrapper);
             var $select = $wrapper.find(this.config.selectors.select);
@@ -131,10 +287,211 @@
 
             // Add loading state
             $button.addClass(this.config.classes.loading);
+
+            // Let analytics know checkout is starting
+            this.dispatchCheckoutEvent(
+                parseInt($select.data('workshop-id') || $button.data('workshop-id'), 10) || 0,
+                $select
+            );
             
             // The default behavior will follow the href
         },
 
+        /**
+         * Dispatch the fb:enrollment:checkout event
+         *
+         * @param {int} workshopId Workshop ID
+         * @param {jQuery} $select The pricing select, may be empty
+         * @param {number|null} [amount] Amount chosen for a pay-what-you-can option
+         */
+        dispatchCheckoutEvent: function(workshopId, $select, amount) {
+            var settings = window.fieldsBrightEnrollment || {};
+            var $selected = $select.find(':selected');
+
+            document.dispatchEvent(new CustomEvent('fb:enrollment:checkout', {
+                detail: {
+                    workshopId: workshopId,
+                    pricingOption: $select.val() || '',
+                    price: amount || parseFloat($selected.data('price')) || 0,
+                    currency: settings.currency || 'USD'
+                }
+            }));
+        },
+
+        /**
+         * Handle direct (AJAX) enrollment button click
+         *
+         * Validates the selection, creates the checkout session in the
+         * background and redirects to Stripe. Errors are shown inline.
+         *
+         * @param {jQuery} $button The button element
+         */
+        handleAjaxEnrollClick: function($button) {
+            var self = this;
+            var strings = this.getStrings();
+            var selectors = this.config.selectors;
+            var $wrapper = $button.closest(selectors.ajaxWrapper);
+            var $select = $wrapper.find(selectors.ajaxSelect);
+            var workshopId = parseInt($button.data('workshop-id'), 10) || 0;
+            var pricingOption = $select.length ? $select.val() : '';
+            var chosen;
+
+            if ($button.prop('disabled')) {
+                return;
+            }
+
+            if ($select.length && !pricingOption) {
+                this.showInlineError($wrapper, strings.selectOption);
+                return;
+            }
+
+            chosen = $select.length ? this.getChosenAmount($select) : { amount: null, error: '' };
+
+            if (chosen.error) {
+                this.showAmountError($wrapper.find(selectors.amountField), chosen.error);
+                return;
+            }
+
+            this.hideInlineError($wrapper);
+            this.setLoading($button, true);
+
+            this.ajaxEnrollment(workshopId, pricingOption, chosen.amount)
+                .then(function(response) {
+                    if (response.success && response.data.checkout_url) {
+                        self.dispatchCheckoutEvent(workshopId, $select, chosen.amount);
+
+                        // Stay in the loading state while the browser leaves the page
+                        window.location.href = response.data.checkout_url;
+                        return;
+                    }
+
+                    self.handleEnrollmentError($button, $wrapper, response.data || {}, response.message);
+                })
+                .catch(function(error) {
+                    self.setLoading($button, false);
+                    self.showInlineError($wrapper, window.fbApi.getMessage(error, strings.error));
+                });
+        },
+
+        /**
+         * Show an enrollment error returned by the server
+         *
+         * "Already enrolled", "full" and "checkout disabled" can't be fixed by
+         * retrying, so the button stays disabled for those.
+         *
+         * @param {jQuery} $button The button element
+         * @param {jQuery} $wrapper The wrapper element
+         * @param {Object} data Error data ({code, message, ...})
+         * @param {string} message Error message
+         */
+        handleEnrollmentError: function($button, $wrapper, data, message) {
+            var strings = this.getStrings();
+            var $error;
+
+            this.setLoading($button, false);
+            $error = this.showInlineError($wrapper, message || strings.error);
+
+            switch (data.code) {
+                case 'already_enrolled':
+                    $button.prop('disabled', true);
+                    $wrapper.find(this.config.selectors.ajaxSelect).prop('disabled', true);
+
+                    if (data.account_url) {
+                        $error.append(' ', $('<a></a>').attr('href', data.account_url).text(strings.viewEnrollments));
+                    }
+                    break;
+
+                case 'workshop_full':
+                    $button.prop('disabled', true).addClass('sold-out');
+                    $wrapper.find(this.config.selectors.ajaxSelect).prop('disabled', true);
+                    break;
+
+                case 'invalid_amount':
+                    this.hideInlineError($wrapper);
+                    this.showAmountError($wrapper.find(this.config.selectors.amountField), message || strings.error);
+                    break;
+
+                case 'pricing_option_unavailable':
+                    // The option ended after the page loaded; drop it so another is chosen.
+                    $wrapper.find(this.config.selectors.ajaxSelect).find('option:selected').remove().end().trigger('change');
+                    break;
+
+                case 'checkout_disabled':
+                    $button.prop('disabled', true);
+                    $wrapper.find(this.config.selectors.ajaxSelect).prop('disabled', true);
+                    break;
+            }
+        },
+
+        /**
+         * Toggle the loading state of a direct enrollment button
+         *
+         * @param {jQuery} $button The button element
+         * @param {boolean} loading Whether a request is in progress
+         */
+        setLoading: function($button, loading) {
+            if (loading) {
+                $button
+                    .data('original-text', $button.text())
+                    .addClass(this.config.classes.loading)
+                    .attr('aria-busy', 'true')
+                    .prop('disabled', true)
+                    .text(this.getStrings().enrolling);
+                return;
+            }
+
+            if (!$button.hasClass(this.config.classes.loading)) {
+                return;
+            }
+
+            $button
+                .removeClass(this.config.classes.loading)
+                .removeAttr('aria-busy')
+                .prop('disabled', false)
+                .text($button.data('original-text'));
+        },
+
+        /**
+         * Show an inline error below a direct enrollment button
+         *
+         * Unlike showError, the message stays until the next attempt.
+         *
+         * @param {jQuery} $wrapper The wrapper element
+         * @param {string} message Error message
+         * @returns {jQuery} The error element
+         */
+        showInlineError: function($wrapper, message) {
+            var $error = $wrapper.find(this.config.selectors.ajaxError);
+
+            return $error.text(message).prop('hidden', false);
+        },
+
+        /**
+         * Hide the inline error of a direct enrollment button
+         *
+         * @param {jQuery} $wrapper The wrapper element
+         */
+        hideInlineError: function($wrapper) {
+            $wrapper.find(this.config.selectors.ajaxError).prop('hidden', true).empty();
+        },
+
+        /**
+         * Get localized strings
+         *
+         * @returns {Object} Strings
+         */
+        getStrings: function() {
+            return $.extend({
+                selectOption: 'Please select a pricing option.',
+                enrolling: 'Redirecting to checkout...',
+                error: 'An error occurred. Please try again.',
+                viewEnrollments: 'View your enrollments',
+                amountEmpty: 'Please enter an amount.',
+                amountMin: 'Please enter at least %s.',
+                amountMax: 'Please enter no more than %s.'
+            }, (window.fieldsBrightEnrollment || {}).strings);
+        },
+
         /**
          * Show error message
          *
@@ -158,45 +515,19 @@
         },
 
         /**
-         * Handle AJAX enrollment (optional, for SPA-like experience)
+         * Create a checkout session via AJAX
          *
          * @param {int} workshopId Workshop ID
          * @param {string} pricingOption Selected pricing option
+         * @param {number|null} [amount] Amount chosen for a pay-what-you-can option
+         * @returns {Promise} Normalized response with data.checkout_url on success
          */
-        ajaxEnrollment: function(workshopId, pricingOption) {
-            var self = this;
-
-            if (!window.fieldsBrightEnrollment || !window.fieldsBrightEnrollment.ajaxUrl) {
-                console.error('AJAX enrollment not configured');
-                return;
-            }
-
-            $.ajax({
-                url: window.fieldsBrightEnrollment.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'fields_bright_enroll',
-                    workshop_id: workshopId,
-                    pricing_option: pricingOption,
-                    nonce: window.fieldsBrightEnrollment.nonce
-                },
-                success: function(response) {
-                    if (response.success && response.data.checkout_url) {
-                        window.location.href = response.data.checkout_url;
-                    } else {
-                        self.showError(
-                            $('[data-workshop-id="' + workshopId + '"]').closest(self.config.selectors.wrapper),
-                            response.data.message || 'An error occurred.'
-                        );
-                    }
-                },
-                error: function() {
-                    self.showError(
-                        $('[data-workshop-id="' + workshopId + '"]').closest(self.config.selectors.wrapper),
-                        'An error occurred. Please try again.'
-                    );
-                }
-            });
+        ajaxEnrollment: function(workshopId, pricingOption, amount) {
+            return window.fbApi.ajax('fields_bright_enroll', {
+                workshop_id: workshopId,
+                pricing_option: pricingOption || '',
+                amount: amount === null || amount === undefined ? '' : amount
+            }, { nonce: 'enrollment' });
         }
     };
 
@@ -1,7 +1,8 @@
 /**
  * Log Viewer Admin Interface
  *
- * Handles AJAX interactions for the log viewer admin page.
+ * Handles AJAX interactions for the log viewer admin page, including the
+ * live tail that polls for entries newer than the newest one shown.
  *
  * @package FieldsBright\Enrollment
  * @since   1.2.0
@@ -10,9 +11,264 @@
 (function ($) {
     'use strict';
 
+    const config = window.fbLogViewer || {};
+    const strings = config.strings || {};
+
+    /**
+     * Most rows kept in the table; older ones are dropped as new ones arrive.
+     *
+     * @type {number}
+     */
+    const MAX_ROWS = 500;
+
+    /**
+     * Live tail: polls fields_bright_get_logs for entries after a cursor and
+     * prepends them, with the page's level and search filters applied.
+     */
+    const LiveTail = {
+        $table: null,
+        $tbody: null,
+        cursor: 0,
+        paused: false,
+        request: null,
+        timer: null,
+        unseen: 0,
+
+        /**
+         * Start polling.
+         */
+        init: function () {
+            this.$table = $('#fb-log-table');
+
+            if (!this.$table.length) {
+                return;
+            }
+
+            this.$tbody = this.$table.children('tbody');
+            this.cursor = parseInt(this.$table.attr('data-cursor'), 10) || 0;
+
+            $('#live-tail-toggle').on('click', () => this.toggle());
+            $('#fb-log-new-entries').on('click', () => this.scrollToTable());
+            $(window).on('scroll', () => {
+                if (this.unseen && this.isTableTopVisible()) {
+                    this.setUnseen(0);
+                }
+            });
+            $(document).on('visibilitychange', () => {
+                if (!document.hidden) {
+                    this.poll();
+                }
+            });
+
+            this.setStatus('live');
+            this.schedule();
+        },
+
+        /**
+         * Queue the next poll.
+         */
+        schedule: function () {
+            clearTimeout(this.timer);
+
+            if (!this.paused) {
+                this.timer = setTimeout(() => this.poll(), config.pollInterval || 5000);
+            }
+        },
+
+        /**
+         * Fetch entries newer than the cursor.
+         *
+         * Skipped while paused, while a request is running, and while the
+         * tab is hidden.
+         */
+        poll: function () {
+            if (this.paused || this.request) {
+                return;
+            }
+
+            if (document.hidden) {
+                this.schedule();
+                return;
+            }
+
+            clearTimeout(this.timer);
+
+            this.request = window.fbApi.ajax('fields_bright_get_logs', {
+                after_id: this.cursor,
+                level: this.$table.attr('data-level'),
+                search: this.$table.attr('data-search'),
+                limit: MAX_ROWS
+            }, { nonce: 'logs' });
+
+            this.request
+                .then(response => {
+                    if (!response.success) {
+                        this.setStatus('offline');
+                        return;
+                    }
+
+                    this.setStatus(this.paused ? 'paused' : 'live');
+                    this.receive(response.data);
+                })
+                .catch(() => this.setStatus('offline'))
+                .always(() => {
+                    this.request = null;
+                    this.schedule();
+                });
+        },
+
+        /**
+         * Add the entries from a poll.
+         *
+         * @param {Object} data Response data: logs (newest first), cursor, reset and total.
+         */
+        receive: function (data) {
+            const scrolledDown = !this.isTableTopVisible();
+            const heightBefore = this.$tbody.height();
+
+            // The cursor is ahead of the server's, or more arrived than one poll returns.
+            if (data.reset) {
+                this.$tbody.empty();
+                this.setUnseen(0);
+            }
+
+            this.cursor = data.cursor;
+            $('#fb-log-total').text(this.formatNumber(data.total));
+
+            if (data.logs.length) {
+                const rows = data.logs.map(log => this.buildRow(log)[0]);
+
+                this.$tbody.find('.fb-log-empty').parent().remove();
+                this.$tbody.prepend(rows);
+                this.$tbody.children('.fb-log-row').slice(MAX_ROWS).remove();
+
+                if (scrolledDown) {
+                    // Keep what the admin is reading in place.
+                    window.scrollBy(0, this.$tbody.height() - heightBefore);
+                    this.setUnseen(this.unseen + data.logs.length);
+                }
+            }
+
+            if (!this.$tbody.children().length) {
+                this.$tbody.append(
+                    $('<tr></tr>').append(
+                        $('<td colspan="4" class="fb-log-empty" style="text-align: center; padding: 40px;"></td>').text(strings.noLogs)
+                    )
+                );
+            }
+
+            $('#fb-log-showing').text(this.formatNumber(this.$tbody.children('.fb-log-row').length));
+        },
+
+        /**
+         * Build a table row for a log entry.
+         *
+         * Mirrors the rows rendered by LogViewer::render_page().
+         *
+         * @param {Object} log Log entry.
+         * @returns {jQuery} Table row.
+         */
+        buildRow: function (log) {
+            const level = String(log.level_name || '').toLowerCase();
+            const context = log.context || {};
+            const $context = $('<td class="fb-log-context"></td>');
+
+            if (Object.keys(context).length) {
+                $context.append(
+                    $('<button type="button" class="button button-small fb-view-context"></button>')
+                        .attr('data-context', JSON.stringify(context))
+                        .text(strings.view)
+                );
+            }
+
+            return $('<tr class="fb-log-row fb-log-row--new"></tr>')
+                .addClass('fb-log-level-' + level)
+                .attr('data-log-id', log.id)
+                .append(
+                    $('<td class="fb-log-timestamp"></td>').text(log.timestamp_formatted || log.timestamp),
+                    $('<td class="fb-log-level"></td>').append(
+                        $('<span class="fb-log-badge"></span>').addClass('fb-log-badge-' + level).text(log.level_name)
+                    ),
+                    $('<td class="fb-log-message"></td>').text(log.message),
+                    $context
+                );
+        },
+
+        /**
+         * Pause or resume polling.
+         */
+        toggle: function () {
+            this.paused = !this.paused;
+
+            $('#live-tail-toggle')
+                .attr('aria-pressed', this.paused ? 'true' : 'false')
+                .text(this.paused ? strings.resume : strings.pause);
+
+            this.setStatus(this.paused ? 'paused' : 'live');
+
+            if (this.paused) {
+                clearTimeout(this.timer);
+            } else {
+                this.poll();
+            }
+        },
+
+        /**
+         * Show the live tail state.
+         *
+         * @param {string} state live, paused or offline.
+         */
+        setStatus: function (state) {
+            $('#fb-log-live')
+                .attr('data-state', state)
+                .find('.fb-log-live__label')
+                .text(strings[state]);
+        },
+
+        /**
+         * Set the count of new entries above the viewport.
+         *
+         * @param {number} count New entries not yet seen.
+         */
+        setUnseen: function (count) {
+            this.unseen = count;
+
+            $('#fb-log-new-entries')
+                .text(count === 1 ? strings.newEntry : String(strings.newEntries).replace('%d', count))
+                .prop('hidden', !count);
+        },
+
+        /**
+         * Scroll back to the newest entries.
+         */
+        scrollToTable: function () {
+            $('html, body').animate({ scrollTop: Math.max(this.$table.offset().top - 60, 0) }, 200);
+            this.setUnseen(0);
+        },
+
+        /**
+         * Whether the top of the table, where new entries go, is on screen.
+         *
+         * @returns {boolean}
+         */
+        isTableTopVisible: function () {
+            return this.$table.offset().top >= $(window).scrollTop();
+        },
+
+        /**
+         * Format a count for display.
+         *
+         * @param {number} value Count.
+         * @returns {string}
+         */
+        formatNumber: function (value) {
+            return Number(value || 0).toLocaleString();
+        }
+    };
+
     $(document).ready(function () {
-        // View context modal
-        $('.fb-view-context').on('click', function () {
+        // View context modal (delegated, so rows added by the live tail work too)
+        $(document).on('click', '.fb-view-context', function () {
             const context = $(this).data('context');
             const contextFormatted = JSON.stringify(context, null, 2);
             $('#fb-context-data').text(contextFormatted);
@@ -34,16 +290,10 @@
         // Export logs
         $('#export-logs').on('click', function () {
             const button = $(this);
-            button.prop('disabled', true).text('Exporting...');
-
-            $.ajax({
-                url: fieldsBrightLogs.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'fields_bright_export_logs',
-                    nonce: fieldsBrightLogs.nonce
-                },
-                success: function (response) {
+            button.prop('disabled', true).text(strings.exporting);
+
+            window.fbApi.ajax('fields_bright_export_logs', {}, { nonce: 'logs' })
+                .then(function (response) {
                     if (response.success) {
                         // Create download
                         const blob = new Blob([response.data.logs], { type: 'application/json' });
@@ -56,18 +306,17 @@
                         document.body.removeChild(a);
                         URL.revokeObjectURL(url);
 
-                        alert('Logs exported successfully!');
+                        alert(strings.exported);
                     } else {
-                        alert('Error exporting logs: ' + response.data.message);
+                        alert(strings.exportFailed + ' ' + response.message);
                     }
-                },
-                error: function () {
-                    alert('Error exporting logs. Please try again.');
-                },
-                complete: function () {
-                    button.prop('disabled', false).text('Export Logs');
-                }
-            });
+                })
+                .catch(function (error) {
+                    alert(window.fbApi.getMessage(error, strings.exportError));
+                })
+                .always(function () {
+                    button.prop('disabled', false).text(strings.exportLogs);
+                });
         });
 
         // Refresh logs
@@ -75,14 +324,7 @@
             location.reload();
         });
 
-        // Auto-refresh every 30 seconds
-        setInterval(function () {
-            // Only auto-refresh if no filters are applied
-            const urlParams = new URLSearchParams(window.location.search);
-            if (!urlParams.has('level') && !urlParams.has('search')) {
-                location.reload();
-            }
-        }, 30000);
+        LiveTail.init();
     });
 })(jQuery);
 
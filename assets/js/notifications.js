@@ -0,0 +1,277 @@
+/**
+ * Notifications JavaScript
+ *
+ * Shared toast notifications for the enrollment scripts. Messages are
+ * rendered as text, stack up to a limit (the rest are queued), pause
+ * auto-hide on hover or focus, and are announced through aria-live regions.
+ *
+ * Usage:
+ *   fbNotifications.show('Removed', {
+ *       type: 'success',
+ *       actions: [{ label: 'Undo', onClick: () => restore() }]
+ *   });
+ *
+ * @package FieldsBright\Enrollment
+ * @since   1.2.0
+ */
+
+(function($) {
+    'use strict';
+
+    const l10n = window.fbNotificationsL10n || {
+        dismiss: 'Dismiss notification',
+        region: 'Notifications'
+    };
+
+    /**
+     * Notifications module.
+     */
+    const Notifications = {
+        /**
+         * Maximum number of toasts visible at once.
+         */
+        maxVisible: 3,
+
+        /**
+         * Default auto-hide delay in milliseconds.
+         */
+        duration: 5000,
+
+        /**
+         * Toast container, built on first use.
+         */
+        $container: null,
+
+        /**
+         * Polite and assertive live regions.
+         */
+        $live: null,
+        $alert: null,
+
+        /**
+         * Visible toasts.
+         */
+        active: [],
+
+        /**
+         * Toasts waiting for a free slot.
+         */
+        queue: [],
+
+        /**
+         * Show a notification.
+         *
+         * @param {string} message Message text. Never interpreted as HTML.
+         * @param {Object} [options] Options.
+         * @param {string} [options.type] success, error or info.
+         * @param {number} [options.duration] Auto-hide delay in ms; 0 keeps it open.
+         * @param {Array} [options.actions] Buttons: {label, onClick} or {label, href}.
+         * @returns {Object} Handle with a dismiss() method.
+         */
+        show: function(message, options) {
+            const settings = $.extend({
+                type: 'info',
+                duration: this.duration,
+                actions: []
+            }, options);
+
+            const toast = {
+                message: String(message),
+                settings: settings,
+                $el: null,
+                timer: null,
+                remaining: settings.duration,
+                startedAt: 0,
+                dismissed: false
+            };
+
+            toast.dismiss = () => this.dismiss(toast);
+
+            this.build();
+
+            if (this.active.length >= this.maxVisible) {
+                this.queue.push(toast);
+            } else {
+                this.display(toast);
+            }
+
+            return { dismiss: toast.dismiss };
+        },
+
+        /**
+         * Shorthand for a success notification.
+         *
+         * @param {string} message Message text.
+         * @param {Object} [options] Options for show().
+         * @returns {Object} Handle with a dismiss() method.
+         */
+        success: function(message, options) {
+            return this.show(message, $.extend({}, options, { type: 'success' }));
+        },
+
+        /**
+         * Shorthand for an error notification.
+         *
+         * @param {string} message Message text.
+         * @param {Object} [options] Options for show().
+         * @returns {Object} Handle with a dismiss() method.
+         */
+        error: function(message, options) {
+            return this.show(message, $.extend({}, options, { type: 'error' }));
+        },
+
+        /**
+         * Build the container and live regions.
+         */
+        build: function() {
+            if (this.$container) return;
+
+            this.$container = $('<section class="fb-toasts"></section>').attr('aria-label', l10n.region);
+            this.$live = $('<div class="fb-toasts__live" role="status" aria-live="polite" aria-atomic="true"></div>');
+            this.$alert = $('<div class="fb-toasts__live" role="alert" aria-live="assertive" aria-atomic="true"></div>');
+
+            $('body').append(this.$container, this.$live, this.$alert);
+        },
+
+        /**
+         * Render a toast and start its timer.
+         *
+         * @param {Object} toast Toast record.
+         */
+        display: function(toast) {
+            const settings = toast.settings;
+            const $toast = $('<div class="fb-toast"></div>').addClass('fb-toast--' + settings.type);
+            const $actions = $('<div class="fb-toast__actions"></div>');
+
+            $('<p class="fb-toast__message"></p>').text(toast.message).appendTo($toast);
+
+            settings.actions.forEach(action => {
+                const $action = action.href
+                    ? $('<a class="fb-toast__action"></a>').attr('href', action.href)
+                    : $('<button type="button" class="fb-toast__action"></button>');
+
+                $action.text(action.label).on('click', e => {
+                    if (typeof action.onClick === 'function') {
+                        action.onClick(e);
+                    }
+                    this.dismiss(toast);
+                });
+
+                $actions.append($action);
+            });
+
+            if (settings.actions.length) {
+                $toast.append($actions);
+            }
+
+            $('<button type="button" class="fb-toast__close">&times;</button>')
+                .attr('aria-label', l10n.dismiss)
+                .on('click', () => this.dismiss(toast))
+                .appendTo($toast);
+
+            // Pause while the user is reading or reaching for an action.
+            $toast.on('mouseenter focusin', () => this.pause(toast));
+            $toast.on('mouseleave focusout', e => {
+                if (e.type === 'focusout' && ($toast[0].contains(e.relatedTarget) || $toast.is(':hover'))) return;
+                if (e.type === 'mouseleave' && $toast[0].contains(document.activeElement)) return;
+                this.resume(toast);
+            });
+
+            toast.$el = $toast;
+            this.active.push(toast);
+            this.$container.append($toast);
+            this.announce(toast);
+
+            // Animate in.
+            setTimeout(() => $toast.addClass('visible'), 10);
+
+            this.resume(toast);
+        },
+
+        /**
+         * Announce a toast to screen readers.
+         *
+         * Errors interrupt; everything else waits for the reader to finish.
+         *
+         * @param {Object} toast Toast record.
+         */
+        announce: function(toast) {
+            const $region = toast.settings.type === 'error' ? this.$alert : this.$live;
+            const text = [toast.message].concat(toast.settings.actions.map(action => action.label)).join('. ');
+
+            // Clearing first makes repeated identical messages announce again.
+            $region.text('');
+            setTimeout(() => $region.text(text), 100);
+        },
+
+        /**
+         * Pause a toast's auto-hide timer.
+         *
+         * @param {Object} toast Toast record.
+         */
+        pause: function(toast) {
+            if (!toast.timer) return;
+
+            clearTimeout(toast.timer);
+            toast.timer = null;
+            toast.remaining -= Date.now() - toast.startedAt;
+        },
+
+        /**
+         * Start or resume a toast's auto-hide timer.
+         *
+         * @param {Object} toast Toast record.
+         */
+        resume: function(toast) {
+            if (toast.timer || toast.dismissed || !toast.settings.duration) return;
+
+            // Leave a moment to read after the pointer leaves.
+            toast.remaining = Math.max(toast.remaining, 1500);
+            toast.startedAt = Date.now();
+            toast.timer = setTimeout(() => this.dismiss(toast), toast.remaining);
+        },
+
+        /**
+         * Dismiss a toast and show the next queued one.
+         *
+         * @param {Object} toast Toast record.
+         */
+        dismiss: function(toast) {
+            if (toast.dismissed) return;
+
+            toast.dismissed = true;
+            clearTimeout(toast.timer);
+
+            const queued = this.queue.indexOf(toast);
+            if (queued !== -1) {
+                this.queue.splice(queued, 1);
+                return;
+            }
+
+            this.active = this.active.filter(item => item !== toast);
+
+            const $toast = toast.$el;
+            const hadFocus = $toast[0].contains(document.activeElement);
+
+            $toast.removeClass('visible');
+            setTimeout(() => $toast.remove(), 300);
+
+            // Don't strand keyboard focus on a removed element.
+            if (hadFocus) {
+                const next = this.active[this.active.length - 1];
+                if (next) {
+                    next.$el.find('button').first().trigger('focus');
+                } else {
+                    document.activeElement.blur();
+                }
+            }
+
+            if (this.queue.length) {
+                this.display(this.queue.shift());
+            }
+        }
+    };
+
+    window.fbNotifications = Notifications;
+
+})(jQuery);
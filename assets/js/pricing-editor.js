@@ -0,0 +1,1106 @@
+/**
+ * Pricing Editor JavaScript
+ *
+ * Variable pricing options in the workshop settings meta box: adding,
+ * reordering and removing rows (with undo), inline validation, a preview of
+ * the frontend pricing select, and the JSON field the meta box saves from.
+ *
+ * Options can also be copied from another workshop or imported from a JSON
+ * or CSV file. Both are sanitized server-side and shown as a diff against
+ * the current rows before they replace them. Export downloads the current
+ * rows in either format.
+ *
+ * Invalid options block saving while online enrollment is enabled: the
+ * classic editor's form submit is cancelled, and the block editor's save
+ * button is locked through core/editor.
+ *
+ * @package FieldsBright\Enrollment
+ * @since   1.2.0
+ */
+
+(function($) {
+    'use strict';
+
+    const config = window.fbPricingEditor || {};
+    const strings = config.strings || {};
+
+    /**
+     * Row fields, by option key.
+     */
+    const FIELDS = {
+        id: '.pricing-option-id',
+        label: '.pricing-option-label',
+        type: '.pricing-option-type',
+        min: '.pricing-option-min',
+        price: '.price-input',
+        max: '.pricing-option-max',
+        available_from: '.pricing-option-from',
+        available_until: '.pricing-option-until'
+    };
+
+    /**
+     * Pricing editor module.
+     */
+    const PricingEditor = {
+        /**
+         * Key for the block editor save lock and notice.
+         */
+        lockName: 'fields-bright-pricing',
+
+        /**
+         * Cached elements.
+         */
+        $editor: null,
+        $list: null,
+        $json: null,
+        $errors: null,
+        $preview: null,
+        $checkout: null,
+
+        /**
+         * Whether the block editor save button is locked.
+         */
+        locked: false,
+
+        /**
+         * Copied or imported options waiting to be applied: {options, source}.
+         */
+        pending: null,
+
+        /**
+         * Intl.NumberFormat for the store currency, created on first use.
+         */
+        priceFormatter: null,
+
+        /**
+         * Initialize the editor.
+         */
+        init: function() {
+            this.$editor = $('[data-pricing-editor]');
+
+            if (!this.$editor.length) {
+                return;
+            }
+
+            this.$list = this.$editor.find('#pricing-options-list');
+            this.$json = $('#event_pricing_options_json');
+            this.$errors = this.$editor.find('[data-pricing-errors]');
+            this.$preview = this.$editor.find('[data-pricing-preview]');
+            this.$checkout = $('#event_checkout_enabled');
+
+            this.bindEvents();
+            this.initSortable();
+            this.refresh();
+
+            // The block editor's stores may not be registered yet.
+            $(() => this.updateSaveLock(this.validate()));
+        },
+
+        /**
+         * Bind event handlers.
+         */
+        bindEvents: function() {
+            this.$editor.on('click', '#add-pricing-option', e => {
+                e.preventDefault();
+                this.addRow();
+            });
+
+            this.$editor.on('click keydown', '.remove-option-btn', e => {
+                if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                this.removeRow($(e.currentTarget).closest('.pricing-option-row'));
+            });
+
+            this.$editor.on('click', '[data-pricing-copy]', e => {
+                e.preventDefault();
+                this.copyFromWorkshop();
+            });
+
+            this.$editor.on('click', '[data-pricing-import]', e => {
+                e.preventDefault();
+                this.$editor.find('[data-pricing-import-file]').trigger('click');
+            });
+
+            this.$editor.on('change', '[data-pricing-import-file]', e => {
+                const file = e.currentTarget.files[0];
+
+                // Clear it so choosing the same file again still fires change.
+                e.currentTarget.value = '';
+
+                if (file) {
+                    this.importFile(file);
+                }
+            });
+
+            this.$editor.on('click', '[data-pricing-export]', e => {
+                e.preventDefault();
+                this.exportOptions($(e.currentTarget).data('pricing-export'));
+            });
+
+            this.$editor.on('click', '[data-pricing-diff-apply]', e => {
+                e.preventDefault();
+                this.applyPending();
+            });
+
+            this.$editor.on('click', '[data-pricing-diff-cancel]', e => {
+                e.preventDefault();
+                this.closeDiff();
+            });
+
+            // Keep the JSON and preview live while typing; validate once a
+            // field is left so half-typed values aren't flagged.
+            this.$list.on('input', 'input', () => {
+                this.sync();
+                this.renderPreview();
+            });
+
+            this.$list.on('change', '.pricing-option-type', e => {
+                this.toggleType($(e.currentTarget).closest('.pricing-option-row'));
+            });
+
+            this.$list.on('change', '.pricing-option-label', e => {
+                const $row = $(e.currentTarget).closest('.pricing-option-row');
+                const $id = $row.find(FIELDS.id);
+
+                if ($id.val() === '') {
+                    $id.val(this.generateId($(e.currentTarget).val()));
+                }
+            });
+
+            this.$list.on('change', 'input, select', () => this.refresh());
+
+            this.$checkout.on('change', () => this.updateSaveLock(this.validate()));
+
+            // Cancel classic editor saves with invalid options. Bound before
+            // post.js binds its own submit handler, which skips prevented events.
+            $('#post').on('submit', e => {
+                const errors = this.refresh();
+
+                if (errors.length && this.isEnforced()) {
+                    e.preventDefault();
+                    this.$errors.get(0).scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+            });
+        },
+
+        /**
+         * Enable drag-and-drop reordering.
+         */
+        initSortable: function() {
+            if (!$.fn.sortable) return;
+
+            this.$list.sortable({
+                handle: '.drag-handle',
+                placeholder: 'ui-sortable-placeholder',
+                axis: 'y',
+                tolerance: 'pointer',
+                update: () => {
+                    this.reindex();
+                    this.refresh();
+                }
+            });
+        },
+
+        /**
+         * Sync the JSON field, preview and validate.
+         *
+         * @returns {Array} Validation errors.
+         */
+        refresh: function() {
+            this.sync();
+            this.renderPreview();
+
+            const errors = this.validate();
+            this.renderErrors(errors);
+            this.updateSaveLock(errors);
+
+            return errors;
+        },
+
+        /**
+         * Add an empty option row from the template.
+         */
+        addRow: function() {
+            const $row = this.createRow(this.getRows().length);
+
+            this.$list.append($row);
+            this.reindex();
+            this.refresh();
+            $row.find(FIELDS.label).trigger('focus');
+        },
+
+        /**
+         * Create an empty option row from the template.
+         *
+         * @param {number} index Row index.
+         * @returns {jQuery}
+         */
+        createRow: function(index) {
+            const template = $('#pricing-option-template').html() || '';
+
+            return $($.parseHTML(template.replace(/__INDEX__/g, index).trim()));
+        },
+
+        /**
+         * Create a row filled in with an option.
+         *
+         * @param {Object} option Pricing option.
+         * @param {number} index Row index.
+         * @returns {jQuery}
+         */
+        buildRow: function(option, index) {
+            const $row = this.createRow(index);
+            const isSliding = option.type === 'sliding';
+
+            $row.find(FIELDS.id).val(option.id || '');
+            $row.find(FIELDS.label).val(option.label || '');
+            $row.find(FIELDS.type).val(isSliding ? 'sliding' : 'fixed');
+            $row.find(FIELDS.price).val(option.price);
+            $row.find(FIELDS.available_from).val(option.available_from || '');
+            $row.find(FIELDS.available_until).val(option.available_until || '');
+
+            // A maximum of 0 means none, shown as an empty field.
+            if (isSliding) {
+                $row.find(FIELDS.min).val(option.min || 0);
+                $row.find(FIELDS.max).val(option.max > 0 ? option.max : '');
+            }
+
+            $row.find('input[type="radio"]').prop('checked', !!option.default);
+            this.toggleType($row);
+
+            return $row;
+        },
+
+        /**
+         * Remove a row, offering to undo.
+         *
+         * @param {jQuery} $row Option row.
+         */
+        removeRow: function($row) {
+            const index = this.getRows().index($row);
+            const $radio = $row.find('input[type="radio"]');
+            const wasDefault = $radio.prop('checked');
+            const label = $row.find(FIELDS.label).val();
+
+            $radio.prop('checked', false);
+            $row.detach();
+            this.reindex();
+            this.refresh();
+
+            this.notify(label ? strings.removed.replace('%s', label) : strings.removedUntitled, 'info', [{
+                label: strings.undo,
+                onClick: () => this.restoreRow($row, index, wasDefault)
+            }]);
+        },
+
+        /**
+         * Put a removed row back where it was.
+         *
+         * @param {jQuery} $row Detached option row.
+         * @param {number} index Position it was removed from.
+         * @param {boolean} wasDefault Whether it was the default option.
+         */
+        restoreRow: function($row, index, wasDefault) {
+            const $rows = this.getRows();
+
+            if (index < $rows.length) {
+                $row.insertBefore($rows.eq(index));
+            } else {
+                this.$list.append($row);
+            }
+
+            // Only take the default back if nothing else was chosen since.
+            if (wasDefault && !this.$list.find('input[type="radio"]:checked').length) {
+                $row.find('input[type="radio"]').prop('checked', true);
+            }
+
+            this.reindex();
+            this.refresh();
+            $row.find(FIELDS.label).trigger('focus');
+        },
+
+        /**
+         * Show the minimum and maximum fields for pay-what-you-can options.
+         *
+         * @param {jQuery} $row Option row.
+         */
+        toggleType: function($row) {
+            const $price = $row.find(FIELDS.price);
+            const isSliding = $row.find(FIELDS.type).val() === 'sliding';
+
+            $row.toggleClass('is-sliding', isSliding);
+            $price.attr('placeholder', $price.data(isSliding ? 'sliding-placeholder' : 'fixed-placeholder'));
+        },
+
+        /**
+         * Renumber field names after rows were added, moved or removed.
+         */
+        reindex: function() {
+            this.getRows().each((index, row) => {
+                const $row = $(row);
+
+                $row.attr('data-row-index', index);
+                Object.keys(FIELDS).forEach(key => {
+                    $row.find(FIELDS[key]).attr('name', 'event_pricing_options[' + index + '][' + key + ']');
+                });
+                $row.find('input[type="radio"]').val(index);
+            });
+        },
+
+        /**
+         * Get the option rows.
+         *
+         * @returns {jQuery}
+         */
+        getRows: function() {
+            return this.$list.children('.pricing-option-row');
+        },
+
+        /**
+         * Check whether a row has anything filled in.
+         *
+         * Blank rows are ignored when saving.
+         *
+         * @param {jQuery} $row Option row.
+         * @returns {boolean}
+         */
+        isFilled: function($row) {
+            return ['id', 'label', 'price', 'min', 'max'].some(key => {
+                const field = $row.find(FIELDS[key]).get(0);
+
+                return field && (field.value.trim() !== '' || (field.validity && field.validity.badInput));
+            });
+        },
+
+        /**
+         * Read the filled-in rows as pricing options.
+         *
+         * @returns {Array<Object>} Options with their row.
+         */
+        readOptions: function() {
+            const options = [];
+
+            this.getRows().each((index, row) => {
+                const $row = $(row);
+
+                if (!this.isFilled($row)) return;
+
+                const value = key => String($row.find(FIELDS[key]).val() || '').trim();
+                const option = {
+                    id: value('id'),
+                    label: value('label'),
+                    type: value('type') || 'fixed',
+                    price: parseFloat(value('price')) || 0,
+                    available_from: value('available_from'),
+                    available_until: value('available_until'),
+                    default: $row.find('input[type="radio"]').prop('checked')
+                };
+
+                if (option.type === 'sliding') {
+                    option.min = parseFloat(value('min')) || 0;
+                    option.max = parseFloat(value('max')) || 0;
+                }
+
+                options.push({ $row: $row, option: option });
+            });
+
+            return options;
+        },
+
+        /**
+         * Get the options as they will be saved.
+         *
+         * @returns {Array<Object>}
+         */
+        getOptions: function() {
+            return this.readOptions().map(entry => {
+                const option = $.extend({}, entry.option);
+
+                option.id = option.id || this.generateId(option.label);
+
+                return option;
+            });
+        },
+
+        /**
+         * Write the options to the hidden JSON field the meta box saves from.
+         */
+        sync: function() {
+            this.$json.val(JSON.stringify(this.getOptions()));
+        },
+
+        /**
+         * Validate the options.
+         *
+         * @returns {Array<Object>} Errors: {$row, field, message}; rowless
+         *                          errors apply to the whole editor.
+         */
+        validate: function() {
+            const errors = [];
+            const entries = this.readOptions();
+            const seen = {};
+
+            entries.forEach(entry => {
+                const $row = entry.$row;
+                const id = this.normalizeId(entry.option.id);
+
+                if (!id) {
+                    errors.push({ $row: $row, field: 'id', message: strings.idRequired });
+                } else if (seen[id]) {
+                    errors.push({ $row: $row, field: 'id', message: strings.idDuplicate.replace('%s', id) });
+                } else {
+                    seen[id] = true;
+                }
+
+                if (!entry.option.label) {
+                    errors.push({ $row: $row, field: 'label', message: strings.labelRequired });
+                }
+
+                const amounts = entry.option.type === 'sliding' ? ['min', 'price', 'max'] : ['price'];
+
+                amounts.forEach(key => {
+                    const message = this.checkAmount($row.find(FIELDS[key]).get(0), key === 'price');
+
+                    if (message) {
+                        errors.push({ $row: $row, field: key, message: message });
+                    }
+                });
+            });
+
+            if (entries.length && entries.filter(entry => entry.option.default).length !== 1) {
+                errors.push({ $row: null, field: 'default', message: strings.defaultRequired });
+            }
+
+            return errors;
+        },
+
+        /**
+         * Check an amount field.
+         *
+         * @param {HTMLInputElement} field Number input.
+         * @param {boolean} required Whether the amount must be filled in.
+         * @returns {string} Error message, empty when valid.
+         */
+        checkAmount: function(field, required) {
+            if (!field) return '';
+
+            const value = field.value.trim();
+
+            // Number inputs report non-numeric text as an empty value.
+            if ((field.validity && field.validity.badInput) || (value !== '' && !isFinite(value))) {
+                return strings.priceInvalid;
+            }
+
+            if (value === '') {
+                return required ? strings.priceRequired : '';
+            }
+
+            return parseFloat(value) < 0 ? strings.priceNegative : '';
+        },
+
+        /**
+         * Show validation errors on their rows and fields.
+         *
+         * @param {Array<Object>} errors Errors from validate().
+         */
+        renderErrors: function(errors) {
+            const rows = [];
+
+            this.getRows().each((index, row) => {
+                const $row = $(row);
+
+                $row.find('[aria-invalid]').removeAttr('aria-invalid');
+                $row.children('.pricing-option-errors').remove();
+            });
+
+            errors.forEach(error => {
+                if (!error.$row) return;
+
+                const $field = error.$row.find(FIELDS[error.field]);
+                let $messages = error.$row.children('.pricing-option-errors');
+
+                if (!$messages.length) {
+                    $messages = $('<p class="pricing-option-errors"></p>').appendTo(error.$row);
+                    $messages.attr('id', 'pricing-option-errors-' + error.$row.attr('data-row-index'));
+                    rows.push(error.$row);
+                }
+
+                $messages.text(($messages.text() ? $messages.text() + ' ' : '') + error.message);
+                $field.attr({ 'aria-invalid': 'true', 'aria-describedby': $messages.attr('id') });
+            });
+
+            const rowless = errors.filter(error => !error.$row).map(error => error.message);
+
+            if (rows.length) {
+                rowless.unshift(strings.fixRows);
+            }
+
+            this.$errors.empty().prop('hidden', !rowless.length);
+            rowless.forEach(message => $('<p></p>').text(message).appendTo(this.$errors));
+        },
+
+        /**
+         * Check whether invalid options should block saving.
+         *
+         * Pricing options are only used while online enrollment is enabled.
+         *
+         * @returns {boolean}
+         */
+        isEnforced: function() {
+            return !this.$checkout.length || this.$checkout.is(':checked');
+        },
+
+        /**
+         * Lock or unlock block editor saving, with a notice explaining why.
+         *
+         * @param {Array<Object>} errors Validation errors.
+         */
+        updateSaveLock: function(errors) {
+            const data = window.wp && window.wp.data;
+
+            if (!data || !data.select('core/editor') || !document.body.classList.contains('block-editor-page')) {
+                return;
+            }
+
+            const lock = errors.length > 0 && this.isEnforced();
+
+            if (lock === this.locked) return;
+
+            this.locked = lock;
+
+            if (lock) {
+                data.dispatch('core/editor').lockPostSaving(this.lockName);
+                data.dispatch('core/notices').createErrorNotice(strings.saveBlocked, {
+                    id: this.lockName,
+                    isDismissible: false
+                });
+            } else {
+                data.dispatch('core/editor').unlockPostSaving(this.lockName);
+                data.dispatch('core/notices').removeNotice(this.lockName);
+            }
+        },
+
+        /**
+         * Render the preview of the frontend pricing select.
+         *
+         * Mirrors CartShortcodes::render_pricing_select() for the options
+         * offered today.
+         */
+        renderPreview: function() {
+            const today = config.today || '';
+            const options = this.readOptions().map(entry => entry.option).filter(option => option.label);
+            const offered = options.filter(option => this.isAvailable(option, today));
+            const $select = this.$preview.find('select').empty();
+            const $note = this.$preview.find('[data-pricing-preview-note]');
+            const notes = [];
+
+            offered.forEach(option => {
+                $('<option></option>')
+                    .text(option.label + ' - ' + this.formatOptionPrice(option))
+                    .prop('selected', option.default)
+                    .appendTo($select);
+            });
+
+            $select.prop('hidden', !offered.length);
+
+            if (!offered.length) {
+                notes.push(strings.previewEmpty);
+            }
+
+            const hidden = options.length - offered.length;
+
+            if (hidden > 0) {
+                notes.push((hidden === 1 ? strings.previewHiddenOne : strings.previewHidden).replace('%d', hidden));
+            }
+
+            $note.text(notes.join(' ')).prop('hidden', !notes.length);
+        },
+
+        /**
+         * Preview the pricing options of the workshop chosen to copy from.
+         */
+        copyFromWorkshop: function() {
+            const $source = this.$editor.find('[data-pricing-copy-source]');
+            const $selected = $source.find('option:selected');
+
+            if (!$source.val()) {
+                this.notify(strings.chooseSource, 'error');
+                $source.trigger('focus');
+                return;
+            }
+
+            this.requestPreview({ source_id: $source.val() }, $selected.data('title') || $selected.text().trim());
+        },
+
+        /**
+         * Preview the pricing options in a JSON or CSV file.
+         *
+         * @param {File} file Chosen file.
+         */
+        importFile: function(file) {
+            const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+            const reader = new FileReader();
+
+            reader.onload = () => {
+                let options = null;
+
+                try {
+                    options = isCsv ? this.parseCsv(String(reader.result)) : this.parseJson(String(reader.result));
+                } catch (error) {
+                    // Malformed JSON.
+                    options = null;
+                }
+
+                if (!options) {
+                    this.notify(isCsv ? strings.csvNoHeader : strings.importError, 'error');
+                    return;
+                }
+
+                this.requestPreview({ options: JSON.stringify(options) }, file.name);
+            };
+
+            reader.onerror = () => this.notify(strings.importError, 'error');
+            reader.readAsText(file);
+        },
+
+        /**
+         * Read options from an export file.
+         *
+         * @param {string} text File contents.
+         * @returns {Array|null} Raw options, or null when it isn't a list of them.
+         */
+        parseJson: function(text) {
+            const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+            const options = Array.isArray(data) ? data : data && data.options;
+
+            return Array.isArray(options) ? options : null;
+        },
+
+        /**
+         * Read options from a CSV file.
+         *
+         * Columns are matched by their header (id, label, type, price, min,
+         * max, available_from, available_until, default), in any order.
+         *
+         * @param {string} text File contents.
+         * @returns {Array|null} Raw options, or null without label and price columns.
+         */
+        parseCsv: function(text) {
+            const rows = this.parseCsvRows(text.replace(/^\uFEFF/, ''));
+            const header = (rows.shift() || []).map(cell => cell.trim().toLowerCase());
+
+            if (header.indexOf('label') === -1 || header.indexOf('price') === -1) {
+                return null;
+            }
+
+            return rows
+                .filter(row => row.some(cell => cell.trim() !== ''))
+                .map(row => {
+                    const option = {};
+
+                    header.forEach((key, i) => {
+                        option[key] = (row[i] || '').trim();
+                    });
+                    option.default = /^(1|yes|true|x)$/i.test(option.default || '');
+
+                    return option;
+                });
+        },
+
+        /**
+         * Split CSV text into rows of cells.
+         *
+         * @param {string} text CSV text.
+         * @returns {Array<Array<string>>}
+         */
+        parseCsvRows: function(text) {
+            const rows = [];
+            let row = [];
+            let cell = '';
+            let quoted = false;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        cell += char;
+                    }
+                } else if (char === '"') {
+                    quoted = true;
+                } else if (char === ',') {
+                    row.push(cell);
+                    cell = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += char;
+                }
+            }
+
+            if (cell !== '' || row.length) {
+                row.push(cell);
+                rows.push(row);
+            }
+
+            return rows;
+        },
+
+        /**
+         * Have the server sanitize copied or imported options, then show the diff.
+         *
+         * @param {Object} data source_id, or options as a JSON string.
+         * @param {string} source Workshop title or file name, for messages.
+         */
+        requestPreview: function(data, source) {
+            const $buttons = this.$editor.find('.pricing-editor-tools .button').prop('disabled', true);
+            const defaultOption = this.getOptions().filter(option => option.default)[0];
+
+            const request = window.fbApi.ajax('fields_bright_preview_pricing', $.extend({
+                post_id: config.postId,
+                default_id: defaultOption ? this.normalizeId(defaultOption.id) : ''
+            }, data), { nonce: 'pricing' });
+
+            request
+                .then(response => {
+                    if (!response.success || !response.data || !Array.isArray(response.data.options)) {
+                        this.notify(response.message || strings.previewError, 'error');
+                        return;
+                    }
+
+                    this.showDiff(response.data.options, source);
+                })
+                .catch(error => {
+                    this.notify(window.fbApi.getMessage(error, strings.previewError), 'error');
+                });
+
+            request.always(() => $buttons.prop('disabled', false));
+        },
+
+        /**
+         * Show how copied or imported options differ from the current rows.
+         *
+         * Options are matched by ID.
+         *
+         * @param {Array<Object>} options Sanitized options, exactly one default.
+         * @param {string} source Workshop title or file name.
+         */
+        showDiff: function(options, source) {
+            const current = this.getOptions();
+            const currentById = {};
+            const matched = {};
+            const items = [];
+
+            current.forEach(option => {
+                currentById[this.normalizeId(option.id)] = option;
+            });
+
+            options.forEach(option => {
+                const id = this.normalizeId(option.id);
+                const previous = currentById[id];
+
+                if (!previous || matched[id]) {
+                    items.push({ status: 'added', option: option, changes: [] });
+                    return;
+                }
+
+                matched[id] = true;
+
+                const changes = this.describeChanges(previous, option);
+                items.push({ status: changes.length ? 'changed' : 'unchanged', option: option, changes: changes });
+            });
+
+            current.forEach(option => {
+                if (!matched[this.normalizeId(option.id)]) {
+                    items.push({ status: 'removed', option: option, changes: [] });
+                }
+            });
+
+            const statusLabels = {
+                added: strings.diffAdded,
+                removed: strings.diffRemoved,
+                changed: strings.diffChanged,
+                unchanged: strings.diffUnchanged
+            };
+            const $diff = this.$editor.find('[data-pricing-diff]').empty();
+            const $items = $('<ul class="pricing-editor-diff__list"></ul>');
+
+            $('<p class="pricing-editor-diff__title"></p>')
+                .text(strings.diffTitle.replace('%1$d', options.length).replace('%2$s', source))
+                .appendTo($diff);
+
+            items.forEach(item => {
+                const $item = $('<li class="pricing-editor-diff__item"></li>').addClass('is-' + item.status);
+
+                $('<span class="pricing-editor-diff__status"></span>').text(statusLabels[item.status]).appendTo($item);
+                $('<span></span>').text(this.describeOption(item.option)).appendTo($item);
+
+                if (item.changes.length) {
+                    $('<span class="pricing-editor-diff__changes"></span>').text(item.changes.join('; ')).appendTo($item);
+                }
+
+                $items.append($item);
+            });
+
+            const labelOf = option => option ? option.label : strings.none;
+            const oldDefault = current.filter(option => option.default)[0];
+            const newDefault = options.filter(option => option.default)[0];
+            const sameDefault = oldDefault && newDefault
+                && this.normalizeId(oldDefault.id) === this.normalizeId(newDefault.id)
+                && oldDefault.label === newDefault.label;
+
+            $diff.append($items);
+            $('<p class="pricing-editor-diff__default"></p>')
+                .text(sameDefault
+                    ? strings.diffDefaultSame.replace('%s', labelOf(newDefault))
+                    : strings.diffDefault.replace('%1$s', labelOf(oldDefault)).replace('%2$s', labelOf(newDefault)))
+                .appendTo($diff);
+
+            $('<p class="pricing-editor-diff__actions"></p>')
+                .append($('<button type="button" class="button button-primary" data-pricing-diff-apply></button>').text(strings.apply))
+                .append(' ')
+                .append($('<button type="button" class="button" data-pricing-diff-cancel></button>').text(strings.cancel))
+                .appendTo($diff);
+
+            this.pending = { options: options, source: source };
+            $diff.prop('hidden', false);
+            $diff.find('[data-pricing-diff-apply]').trigger('focus');
+        },
+
+        /**
+         * List the fields that differ between two versions of an option.
+         *
+         * @param {Object} previous Current option.
+         * @param {Object} option Copied or imported option.
+         * @returns {Array<string>} E.g. "price: $50.00 → $60.00".
+         */
+        describeChanges: function(previous, option) {
+            const types = config.types || {};
+            const amount = value => parseFloat(value) || 0;
+            const display = {
+                label: value => value || strings.none,
+                type: value => types[value || 'fixed'] || value,
+                price: value => this.formatPrice(value),
+                min: value => this.formatPrice(value),
+                max: value => amount(value) > 0 ? this.formatPrice(value) : strings.none,
+                available_from: value => value || strings.none,
+                available_until: value => value || strings.none
+            };
+            const same = {
+                type: (a, b) => (a || 'fixed') === (b || 'fixed'),
+                price: (a, b) => amount(a) === amount(b),
+                min: (a, b) => amount(a) === amount(b),
+                max: (a, b) => amount(a) === amount(b)
+            };
+
+            return Object.keys(display)
+                .filter(key => !(same[key] ? same[key](previous[key], option[key]) : (previous[key] || '') === (option[key] || '')))
+                .map(key => (strings.fields[key] || key) + ': ' + display[key](previous[key]) + ' → ' + display[key](option[key]));
+        },
+
+        /**
+         * Describe an option as the pricing select does.
+         *
+         * @param {Object} option Pricing option.
+         * @returns {string}
+         */
+        describeOption: function(option) {
+            return (option.label || strings.none) + ' - ' + this.formatOptionPrice(option);
+        },
+
+        /**
+         * Replace the rows with the previewed options, offering to undo.
+         */
+        applyPending: function() {
+            const pending = this.pending;
+
+            if (!pending) return;
+
+            const $previous = this.getRows().detach();
+
+            pending.options.forEach((option, index) => {
+                this.$list.append(this.buildRow(option, index));
+            });
+
+            this.closeDiff();
+            this.reindex();
+            this.refresh();
+
+            this.notify(strings.replaced.replace('%s', pending.source), 'success', [{
+                label: strings.undo,
+                onClick: () => {
+                    this.getRows().remove();
+                    this.$list.append($previous);
+                    this.reindex();
+                    this.refresh();
+                }
+            }]);
+        },
+
+        /**
+         * Hide the diff and drop the previewed options.
+         */
+        closeDiff: function() {
+            this.pending = null;
+            this.$editor.find('[data-pricing-diff]').prop('hidden', true).empty();
+        },
+
+        /**
+         * Download the current options as JSON or CSV.
+         *
+         * The JSON matches what the workshop saves, so either file can be
+         * imported into another workshop.
+         *
+         * @param {string} format json or csv.
+         */
+        exportOptions: function(format) {
+            const options = this.getOptions();
+
+            if (!options.length) {
+                this.notify(strings.nothingToExport, 'error');
+                return;
+            }
+
+            const isCsv = format === 'csv';
+            const content = isCsv ? this.toCsv(options) : JSON.stringify(options, null, 2);
+            const url = URL.createObjectURL(new Blob([content], {
+                type: (isCsv ? 'text/csv' : 'application/json') + ';charset=utf-8'
+            }));
+            const link = document.createElement('a');
+
+            link.href = url;
+            link.download = 'pricing-' + (config.slug || 'workshop') + '.' + (isCsv ? 'csv' : 'json');
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        },
+
+        /**
+         * Convert options to CSV, one row per option.
+         *
+         * @param {Array<Object>} options Pricing options.
+         * @returns {string}
+         */
+        toCsv: function(options) {
+            const columns = ['id', 'label', 'type', 'price', 'min', 'max', 'available_from', 'available_until', 'default'];
+            const escape = value => {
+                const text = String(value === undefined || value === null ? '' : value);
+
+                return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+            };
+            const lines = options.map(option => columns.map(key => {
+                return key === 'default' ? (option.default ? '1' : '') : escape(option[key]);
+            }).join(','));
+
+            return [columns.join(',')].concat(lines).join('\r\n') + '\r\n';
+        },
+
+        /**
+         * Show a toast, when the notifications script is loaded.
+         *
+         * @param {string} message Message text.
+         * @param {string} type success, error or info.
+         * @param {Array} [actions] Toast buttons.
+         */
+        notify: function(message, type, actions) {
+            if (window.fbNotifications) {
+                window.fbNotifications.show(message, { type: type, duration: actions ? 8000 : undefined, actions: actions || [] });
+            }
+        },
+
+        /**
+         * Check whether an option is offered on a date.
+         *
+         * @param {Object} option Pricing option.
+         * @param {string} date Y-m-d date.
+         * @returns {boolean}
+         */
+        isAvailable: function(option, date) {
+            if (option.available_from && date < option.available_from) {
+                return false;
+            }
+
+            return !option.available_until || date <= option.available_until;
+        },
+
+        /**
+         * Describe an option's price, as WorkshopMetaBox::format_option_price() does.
+         *
+         * @param {Object} option Pricing option.
+         * @returns {string}
+         */
+        formatOptionPrice: function(option) {
+            if (option.type !== 'sliding') {
+                return this.formatPrice(option.price);
+            }
+
+            return option.min > 0
+                ? strings.payWhatYouCanFrom.replace('%s', this.formatPrice(option.min))
+                : strings.payWhatYouCan;
+        },
+
+        /**
+         * Format an amount in the store currency.
+         *
+         * @param {number} amount Amount in major units.
+         * @returns {string}
+         */
+        formatPrice: function(amount) {
+            if (!this.priceFormatter) {
+                try {
+                    this.priceFormatter = new Intl.NumberFormat(config.locale || undefined, {
+                        style: 'currency',
+                        currency: config.currency || 'USD'
+                    });
+                } catch (error) {
+                    // Unknown locale or currency code.
+                    this.priceFormatter = {
+                        format: value => (config.currency || 'USD') + ' ' + value.toFixed(2)
+                    };
+                }
+            }
+
+            return this.priceFormatter.format(parseFloat(amount) || 0);
+        },
+
+        /**
+         * Generate an option ID from a label.
+         *
+         * @param {string} label Option label.
+         * @returns {string}
+         */
+        generateId: function(label) {
+            return String(label || '')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '_')
+                .replace(/^_|_$/g, '');
+        },
+
+        /**
+         * Normalize an ID the way sanitize_key() does when saving.
+         *
+         * @param {string} id Option ID.
+         * @returns {string}
+         */
+        normalizeId: function(id) {
+            return String(id || '').toLowerCase().replace(/[^a-z0-9_-]/g, '');
+        }
+    };
+
+    // Initialize right away rather than on DOM ready: the meta box markup is
+    // already on the page, and the submit handler must be bound before post.js's.
+    PricingEditor.init();
+
+    window.FieldsBrightPricingEditor = PricingEditor;
+
+})(jQuery);
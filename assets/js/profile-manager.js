@@ -14,28 +14,14 @@
         
         /**
          * Show message.
+         *
+         * Errors stay until dismissed; success messages auto-hide.
          */
         function showMessage(message, type) {
-            const $messagesContainer = $('.fb-profile-messages');
-            const messageClass = type === 'success' ? 'fb-message-success' : 'fb-message-error';
-            
-            $messagesContainer
-                .removeClass('fb-message-success fb-message-error')
-                .addClass(messageClass)
-                .html('<p>' + message + '</p>')
-                .fadeIn();
-
-            // Scroll to message
-            $('html, body').animate({
-                scrollTop: $messagesContainer.offset().top - 100
-            }, 300);
-
-            // Auto-hide success messages
-            if (type === 'success') {
-                setTimeout(function () {
-                    $messagesContainer.fadeOut();
-                }, 5000);
-            }
+            window.fbNotifications.show(message, {
+                type: type,
+                duration: type === 'success' ? 5000 : 0
+            });
         }
 
         /**
@@ -51,32 +37,22 @@
             // Disable submit button
             $submitBtn.prop('disabled', true).text('Updating...');
 
-            $.ajax({
-                url: fieldsBrightProfile.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'fields_bright_update_profile',
-                    nonce: fieldsBrightProfile.nonce,
-                    first_name: $('#first_name').val(),
-                    last_name: $('#last_name').val(),
-                    user_email: $('#user_email').val(),
-                    phone: $('#phone').val(),
-                    description: $('#description').val()
-                },
-                success: function (response) {
-                    if (response.success) {
-                        showMessage(response.data.message, 'success');
-                    } else {
-                        showMessage(response.data.message, 'error');
-                    }
-                },
-                error: function () {
-                    showMessage('An error occurred. Please try again.', 'error');
-                },
-                complete: function () {
+            window.fbApi.ajax('fields_bright_update_profile', {
+                first_name: $('#first_name').val(),
+                last_name: $('#last_name').val(),
+                user_email: $('#user_email').val(),
+                phone: $('#phone').val(),
+                description: $('#description').val()
+            }, { nonce: 'profile' })
+                .then(function (response) {
+                    showMessage(response.message, response.success ? 'success' : 'error');
+                })
+                .catch(function (error) {
+                    showMessage(window.fbApi.getMessage(error, 'An error occurred. Please try again.'), 'error');
+                })
+                .always(function () {
                     $submitBtn.prop('disabled', false).text(originalText);
-                }
-            });
+                });
         });
 
         /**
@@ -106,31 +82,25 @@
             // Disable submit button
             $submitBtn.prop('disabled', true).text('Changing Password...');
 
-            $.ajax({
-                url: fieldsBrightProfile.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'fields_bright_change_password',
-                    nonce: fieldsBrightProfile.nonce,
-                    current_password: $('#current_password').val(),
-                    new_password: newPassword,
-                    confirm_password: confirmPassword
-                },
-                success: function (response) {
+            window.fbApi.ajax('fields_bright_change_password', {
+                current_password: $('#current_password').val(),
+                new_password: newPassword,
+                confirm_password: confirmPassword
+            }, { nonce: 'profile' })
+                .then(function (response) {
                     if (response.success) {
-                        showMessage(response.data.message, 'success');
+                        showMessage(response.message, 'success');
                         $form[0].reset();
                     } else {
-                        showMessage(response.data.message, 'error');
+                        showMessage(response.message, 'error');
                     }
-                },
-                error: function () {
-                    showMessage('An error occurred. Please try again.', 'error');
-                },
-                complete: function () {
+                })
+                .catch(function (error) {
+                    showMessage(window.fbApi.getMessage(error, 'An error occurred. Please try again.'), 'error');
+                })
+                .always(function () {
                     $submitBtn.prop('disabled', false).text(originalText);
-                }
-            });
+                });
         });
 
         /**
@@ -1,7 +1,9 @@
 /**
  * Refund Admin JavaScript
  *
- * Handles refund processing in the admin panel.
+ * Drives the refund panel on the enrollment edit screen: checks the amount
+ * against the remaining balance, processes partial or full refunds and
+ * updates the history in place.
  *
  * @package FieldsBright\Enrollment
  * @since   1.1.0
@@ -10,11 +12,127 @@
 (function($) {
     'use strict';
 
+    const config = window.fieldsBrightRefund || {};
+    const strings = config.strings || {};
+    let priceFormatter = null;
+
     /**
      * Initialize refund functionality.
      */
     function init() {
-        $('.fb-refund-button').on('click', handleRefundClick);
+        const $panel = $('[data-refund-panel]');
+
+        if (!$panel.length) {
+            return;
+        }
+
+        $panel.on('click', '.fb-refund-button', handleRefundClick);
+        $panel.on('click', '[data-refund-quick]', handleQuickClick);
+        $panel.on('click', '[data-refund-notify]', handleNotifyClick);
+        $panel.on('input', '#refund-amount', function() {
+            renderError($panel, validateAmount($panel));
+        });
+
+        updateQuickButtons($panel);
+    }
+
+    /**
+     * Convert an amount to whole cents.
+     *
+     * @param {number|string} amount Amount.
+     * @returns {number} Cents.
+     */
+    function toCents(amount) {
+        return Math.round((parseFloat(amount) || 0) * 100);
+    }
+
+    /**
+     * Get a quick-pick amount.
+     *
+     * @param {jQuery} $panel Refund panel.
+     * @param {string} type   full, half or fee.
+     * @returns {number} Amount in cents, 0 if not available.
+     */
+    function getQuickAmount($panel, type) {
+        const balance = toCents($panel.attr('data-balance'));
+
+        if (type === 'half') {
+            return Math.min(Math.round(toCents($panel.attr('data-charge')) / 2), balance);
+        }
+
+        if (type === 'fee') {
+            return Math.max(balance - toCents($panel.attr('data-fee')), 0);
+        }
+
+        return balance;
+    }
+
+    /**
+     * Disable quick picks that would refund nothing.
+     *
+     * @param {jQuery} $panel Refund panel.
+     */
+    function updateQuickButtons($panel) {
+        $panel.find('[data-refund-quick]').each(function() {
+            $(this).prop('disabled', getQuickAmount($panel, $(this).data('refund-quick')) <= 0);
+        });
+    }
+
+    /**
+     * Fill the amount field from a quick-pick button.
+     *
+     * @param {Event} e Click event.
+     */
+    function handleQuickClick(e) {
+        e.preventDefault();
+
+        const $panel = $(this).closest('[data-refund-panel]');
+        const cents = getQuickAmount($panel, $(this).data('refund-quick'));
+
+        $panel.find('#refund-amount').val((cents / 100).toFixed(2));
+        renderError($panel, validateAmount($panel));
+    }
+
+    /**
+     * Check the amount field against the remaining balance.
+     *
+     * @param {jQuery} $panel Refund panel.
+     * @returns {string} Error message, empty if the amount is valid.
+     */
+    function validateAmount($panel) {
+        const value = String($panel.find('#refund-amount').val()).trim();
+
+        if (value === '') {
+            return strings.amountRequired;
+        }
+
+        if (!/^\d*\.?\d+$/.test(value)) {
+            return strings.amountInvalid;
+        }
+
+        const cents = toCents(value);
+
+        if (cents <= 0) {
+            return strings.amountPositive;
+        }
+
+        if (cents > toCents($panel.attr('data-balance'))) {
+            return strings.amountTooHigh.replace('%s', $panel.attr('data-balance-formatted'));
+        }
+
+        return '';
+    }
+
+    /**
+     * Show or clear the inline amount error.
+     *
+     * @param {jQuery} $panel  Refund panel.
+     * @param {string} message Error message, empty to clear.
+     */
+    function renderError($panel, message) {
+        $panel.find('[data-refund-error]').text(message).prop('hidden', !message);
+        $panel.find('#refund-amount').attr('aria-invalid', message ? 'true' : 'false');
+        $panel.find('.fb-refund-button').prop('disabled', !!message);
     }
 
     /**
@@ -26,78 +144,233 @@
         e.preventDefault();
 
         const $button = $(this);
-        
+
         // Prevent double-clicks - if already processing, ignore.
         if ($button.prop('disabled') || $button.data('processing')) {
             return;
         }
 
-        const $metabox = $button.closest('.fb-refund-metabox');
-        const $message = $metabox.find('.fb-refund-message');
-        
+        const $panel = $button.closest('[data-refund-panel]');
+        const error = validateAmount($panel);
+
+        if (error) {
+            renderError($panel, error);
+            $panel.find('#refund-amount').trigger('focus');
+            return;
+        }
+
         const enrollmentId = $button.data('enrollment-id');
-        const amount = $metabox.find('#refund-amount').val();
-        const reason = $metabox.find('#refund-reason').val();
+        const amount = (toCents($panel.find('#refund-amount').val()) / 100).toFixed(2);
+        const reason = $panel.find('#refund-reason').val();
 
         // Confirm refund.
-        if (!confirm(fieldsBrightRefund.strings.confirmRefund)) {
+        if (!confirm(strings.confirmRefund.replace('%s', formatPrice(amount)))) {
             return;
         }
 
         // Mark as processing and disable button.
         $button.data('processing', true);
         const originalText = $button.text();
-        $button.prop('disabled', true).text(fieldsBrightRefund.strings.processing);
-        $message.hide();
+        $button.prop('disabled', true).text(strings.processing);
+
+        const done = () => $button.data('processing', false).prop('disabled', false).text(originalText);
 
         // Process refund via AJAX.
-        $.ajax({
-            url: fieldsBrightRefund.ajaxUrl,
-            type: 'POST',
-            data: {
-                action: 'fields_bright_process_refund',
-                nonce: fieldsBrightRefund.nonce,
-                enrollment_id: enrollmentId,
-                amount: amount,
-                reason: reason
-            },
-            success: function(response) {
-                if (response.success) {
-                    showMessage($message, fieldsBrightRefund.strings.success, 'success');
-                    
-                    // Reload page after short delay to show updated status.
-                    setTimeout(function() {
-                        location.reload();
-                    }, 1500);
-                } else {
-                    showMessage($message, response.data.message || fieldsBrightRefund.strings.error, 'error');
-                    $button.data('processing', false).prop('disabled', false).text(originalText);
+        window.fbApi.ajax('fields_bright_process_refund', {
+            enrollment_id: enrollmentId,
+            amount: amount,
+            reason: reason
+        }, { nonce: 'refund' })
+            .then(function(response) {
+                done();
+
+                if (!response.success) {
+                    if (response.data && response.data.code === 'invalid_amount') {
+                        renderError($panel, response.message);
+                    } else {
+                        showMessage(response.message || strings.error, 'error');
+                    }
+                    return;
                 }
-            },
-            error: function() {
-                showMessage($message, fieldsBrightRefund.strings.error, 'error');
-                $button.data('processing', false).prop('disabled', false).text(originalText);
-            }
+
+                showMessage(strings.success, 'success');
+                updatePanel($panel, response.data.summary);
+                renderWaitlist($panel, response.data.waitlist);
+                $panel.find('#refund-reason').val('');
+            })
+            .catch(function(error) {
+                done();
+                showMessage(window.fbApi.getMessage(error, strings.error), 'error');
+            });
+    }
+
+    /**
+     * Update the panel from a refund summary.
+     *
+     * @param {jQuery} $panel  Refund panel.
+     * @param {Object} summary Summary from the process refund response.
+     */
+    function updatePanel($panel, summary) {
+        if (!summary) {
+            return;
+        }
+
+        $panel.attr({
+            'data-balance': summary.balance,
+            'data-balance-formatted': summary.balance_formatted,
+            'data-fee': summary.fee
         });
+
+        $panel.find('[data-refund-refunded]').text(summary.refunded_formatted);
+        $panel.find('[data-refund-balance]').text(summary.balance_formatted);
+        $panel.find('[data-refund-status]').prop('hidden', false);
+        $panel.find('[data-refund-status-label]').text(summary.balance > 0 ? strings.partial : strings.refunded);
+
+        const $list = $panel.find('[data-refund-history-list]').empty();
+        summary.refunds.forEach(function(refund, index) {
+            $list.append(buildHistoryItem(refund).toggleClass('is-new', index === summary.refunds.length - 1));
+        });
+        $panel.find('[data-refund-history]').prop('hidden', !summary.refunds.length);
+
+        $panel.find('[data-refund-form]').prop('hidden', !summary.can_refund);
+        $panel.find('#refund-amount').attr('max', summary.balance).val(summary.balance.toFixed(2));
+        renderError($panel, '');
+        updateQuickButtons($panel);
+
+        // Keep the status field in step so saving the post doesn't undo the refund.
+        if (summary.status) {
+            $('#enrollment_status').val(summary.status);
+        }
+    }
+
+    /**
+     * Build a refund history item.
+     *
+     * Mirrors RefundMetaBox::render_history_item().
+     *
+     * @param {Object} refund Refund from the summary.
+     * @returns {jQuery} List item.
+     */
+    function buildHistoryItem(refund) {
+        const $item = $('<li class="fb-refund-history__item"></li>');
+        const $meta = $('<span class="fb-refund-history__meta"></span>').text(refund.date_formatted);
+
+        $item.append($('<strong></strong>').text(refund.amount_formatted));
+
+        if (refund.reason) {
+            $item.append(document.createTextNode(' – ' + refund.reason));
+        }
+
+        if (refund.admin) {
+            $meta.append(document.createTextNode(' ' + strings.by.replace('%s', refund.admin)));
+        }
+
+        return $item.append($meta, $('<code class="fb-refund-history__id"></code>').text(refund.refund_id));
+    }
+
+    /**
+     * Show who is waiting for a spot in the workshop.
+     *
+     * @param {jQuery} $panel   Refund panel.
+     * @param {Object} waitlist Waitlist from the refund or notify response.
+     */
+    function renderWaitlist($panel, waitlist) {
+        const $box = $panel.find('[data-refund-waitlist]').empty();
+
+        if (!waitlist || (!waitlist.next && !waitlist.notified)) {
+            $box.prop('hidden', true);
+            return;
+        }
+
+        if (waitlist.notified) {
+            $box.append($('<p></p>').text(strings.notified.replace('%s', waitlist.notified)));
+        }
+
+        if (waitlist.next) {
+            const template = waitlist.waiting === 1 ? strings.waitingOne : strings.waitingMany;
+
+            $box.append(
+                $('<p data-refund-waitlist-text></p>').text(
+                    template.replace('%1$d', waitlist.waiting).replace('%2$s', waitlist.next.name)
+                ),
+                $('<button type="button" class="button button-small" data-refund-notify></button>').text(strings.notify)
+            );
+        }
+
+        $box.prop('hidden', false);
+    }
+
+    /**
+     * Tell the next person on the waitlist a spot is open.
+     *
+     * @param {Event} e Click event.
+     */
+    function handleNotifyClick(e) {
+        e.preventDefault();
+
+        const $button = $(this);
+        const $panel = $button.closest('[data-refund-panel]');
+
+        if ($button.prop('disabled')) {
+            return;
+        }
+
+        $button.prop('disabled', true);
+
+        window.fbApi.ajax('fields_bright_notify_waitlist', {
+            enrollment_id: $panel.data('enrollment-id')
+        }, { nonce: 'refund' })
+            .then(function(response) {
+                if (!response.success) {
+                    showMessage(response.message || strings.notifyError, 'error');
+                    $button.prop('disabled', false);
+                    return;
+                }
+
+                showMessage(response.message, 'success');
+                renderWaitlist($panel, response.data.waitlist);
+            })
+            .catch(function(error) {
+                showMessage(window.fbApi.getMessage(error, strings.notifyError), 'error');
+                $button.prop('disabled', false);
+            });
+    }
+
+    /**
+     * Format an amount in the store currency.
+     *
+     * @param {number|string} amount Amount.
+     * @returns {string} Formatted price.
+     */
+    function formatPrice(amount) {
+        if (!priceFormatter) {
+            try {
+                priceFormatter = new Intl.NumberFormat(config.locale || undefined, {
+                    style: 'currency',
+                    currency: config.currency || 'USD'
+                });
+            } catch (error) {
+                // Unknown locale or currency code.
+                priceFormatter = {
+                    format: value => (config.currency || 'USD') + ' ' + value.toFixed(2)
+                };
+            }
+        }
+
+        return priceFormatter.format(parseFloat(amount) || 0);
     }
 
     /**
      * Show message to user.
      *
-     * @param {jQuery} $element Message element.
-     * @param {string} message  Message text.
-     * @param {string} type     Message type (success or error).
+     * @param {string} message Message text.
+     * @param {string} type    Message type (success or error).
      */
-    function showMessage($element, message, type) {
-        $element
-            .removeClass('success error')
-            .addClass(type)
-            .text(message)
-            .slideDown();
+    function showMessage(message, type) {
+        window.fbNotifications.show(message, { type: type });
     }
 
     // Initialize on document ready.
     $(document).ready(init);
 
 })(jQuery);
-
@@ -12,9 +12,11 @@
 
     /**
      * Initialize waitlist forms.
+     *
+     * Delegated so forms swapped in by the availability script work too.
      */
     function initWaitlistForms() {
-        $('.fb-waitlist-form__form').on('submit', handleFormSubmit);
+        $(document).on('submit', '.fb-waitlist-form__form', handleFormSubmit);
     }
 
     /**
@@ -28,7 +30,6 @@
         const $form = $(this);
         const $wrapper = $form.closest('.fb-waitlist-form-wrapper');
         const $button = $form.find('button[type="submit"]');
-        const $message = $form.find('.fb-waitlist-form__message');
 
         // Get form data.
         const workshopId = $form.find('input[name="workshop_id"]').val();
@@ -38,56 +39,51 @@
 
         // Validate required fields.
         if (!name || !email) {
-            showMessage($message, fieldsBrightWaitlist.strings.error, 'error');
+            showMessage(fieldsBrightWaitlist.strings.error, 'error');
             return;
         }
 
         // Disable button and show loading.
         const originalText = $button.text();
         $button.prop('disabled', true).text(fieldsBrightWaitlist.strings.submitting);
-        $message.hide();
 
         // Submit via AJAX.
-        $.ajax({
-            url: fieldsBrightWaitlist.ajaxUrl,
-            type: 'POST',
-            data: {
-                action: 'fields_bright_join_waitlist',
-                nonce: fieldsBrightWaitlist.nonce,
-                workshop_id: workshopId,
-                name: name,
-                email: email,
-                phone: phone
-            },
-            success: function(response) {
+        window.fbApi.ajax('fields_bright_join_waitlist', {
+            workshop_id: workshopId,
+            name: name,
+            email: email,
+            phone: phone
+        }, { nonce: 'waitlist' })
+            .then(function(response) {
                 if (response.success) {
                     // Show success state.
                     $wrapper.html(getSuccessHTML(response.data.position));
+                    document.dispatchEvent(new CustomEvent('fb:waitlist:joined', {
+                        detail: {
+                            workshopId: parseInt(workshopId, 10),
+                            position: response.data.position
+                        }
+                    }));
+                    showMessage(fieldsBrightWaitlist.strings.success, 'success');
                 } else {
-                    showMessage($message, response.data.message || fieldsBrightWaitlist.strings.error, 'error');
+                    showMessage(response.message || fieldsBrightWaitlist.strings.error, 'error');
                     $button.prop('disabled', false).text(originalText);
                 }
-            },
-            error: function() {
-                showMessage($message, fieldsBrightWaitlist.strings.error, 'error');
+            })
+            .catch(function(error) {
+                showMessage(window.fbApi.getMessage(error, fieldsBrightWaitlist.strings.error), 'error');
                 $button.prop('disabled', false).text(originalText);
-            }
-        });
+            });
     }
 
     /**
      * Show message to user.
      *
-     * @param {jQuery} $element Message element.
-     * @param {string} message  Message text.
-     * @param {string} type     Message type (success or error).
+     * @param {string} message Message text.
+     * @param {string} type    Message type (success or error).
      */
-    function showMessage($element, message, type) {
-        $element
-            .removeClass('success error')
-            .addClass(type)
-            .text(message)
-            .slideDown();
+    function showMessage(message, type) {
+        window.fbNotifications.show(message, { type: type });
     }
 
     /**
@@ -0,0 +1,414 @@
+/**
+ * Workshop Cancellation JavaScript
+ *
+ * Drives "Cancel workshop & refund all" in the workshop Enrollments meta
+ * box: a checklist, a dry run, then one request per enrollment with a
+ * progress bar and per-row results. Failed rows can be retried.
+ *
+ * @package FieldsBright\Enrollment
+ * @since   1.2.0
+ */
+
+(function($) {
+    'use strict';
+
+    const config = window.fieldsBrightWorkshopCancel || {};
+    const strings = config.strings || {};
+
+    /**
+     * Whether enrollments are being processed.
+     *
+     * @type {boolean}
+     */
+    let running = false;
+
+    /**
+     * Whether the admin asked to stop after the current enrollment.
+     *
+     * @type {boolean}
+     */
+    let stopping = false;
+
+    /**
+     * Planned rows from the last dry run, by enrollment ID.
+     *
+     * @type {Object|null}
+     */
+    let plan = null;
+
+    /**
+     * Initialize the cancellation panel.
+     */
+    function init() {
+        const $panel = $('[data-workshop-cancel]');
+
+        if (!$panel.length) {
+            return;
+        }
+
+        $('[data-workshop-cancel-open]').on('click', function() {
+            const open = $panel.prop('hidden');
+
+            $panel.prop('hidden', !open);
+            $(this).attr('aria-expanded', open ? 'true' : 'false');
+        });
+
+        $panel.on('click', '[data-cancel-close]', function() {
+            $panel.prop('hidden', true);
+            $('[data-workshop-cancel-open]').attr('aria-expanded', 'false').trigger('focus');
+        });
+
+        $panel.on('change', '[data-cancel-select-all]', function() {
+            $panel.find('[data-cancel-select]:enabled').prop('checked', this.checked);
+            resetPlan($panel);
+        });
+
+        $panel.on('change', '[data-cancel-select], [data-cancel-email]', () => resetPlan($panel));
+        $panel.on('click', '[data-cancel-review]', () => review($panel));
+        $panel.on('click', '[data-cancel-run]', () => run($panel));
+        $panel.on('click', '[data-cancel-stop]', function() {
+            stopping = true;
+            $(this).prop('disabled', true);
+        });
+        $panel.on('click', '[data-cancel-retry]', () => process($panel, getFailedIds($panel)));
+        $panel.on('click', '[data-cancel-retry-row]', function() {
+            process($panel, [$(this).closest('[data-cancel-row]').data('enrollment-id')]);
+        });
+
+        $(window).on('beforeunload', function() {
+            return running ? strings.leaveWarning : undefined;
+        });
+    }
+
+    /**
+     * Get the IDs of the checked enrollments.
+     *
+     * @param {jQuery} $panel Cancellation panel.
+     * @returns {Array<number>}
+     */
+    function getSelectedIds($panel) {
+        return $panel.find('[data-cancel-select]:checked:enabled').map(function() {
+            return parseInt(this.value, 10);
+        }).get();
+    }
+
+    /**
+     * Get the IDs of the enrollments that failed.
+     *
+     * @param {jQuery} $panel Cancellation panel.
+     * @returns {Array<number>}
+     */
+    function getFailedIds($panel) {
+        return $panel.find('[data-cancel-row].is-failed').map(function() {
+            return $(this).data('enrollment-id');
+        }).get();
+    }
+
+    /**
+     * Get the row for an enrollment.
+     *
+     * @param {jQuery} $panel       Cancellation panel.
+     * @param {number} enrollmentId Enrollment ID.
+     * @returns {jQuery}
+     */
+    function getRow($panel, enrollmentId) {
+        return $panel.find('[data-cancel-row][data-enrollment-id="' + enrollmentId + '"]');
+    }
+
+    /**
+     * Drop the dry run after the selection or options change.
+     *
+     * @param {jQuery} $panel Cancellation panel.
+     */
+    function resetPlan($panel) {
+        plan = null;
+        $panel.find('[data-cancel-summary]').prop('hidden', true).empty();
+        $panel.find('[data-cancel-run]').prop('disabled', true);
+    }
+
+    /**
+     * Run the dry run for the checked enrollments and show what would happen.
+     *
+     * @param {jQuery} $panel Cancellation panel.
+     */
+    function review($panel) {
+        const ids = getSelectedIds($panel);
+        const $button = $panel.find('[data-cancel-review]');
+
+        if (!ids.length) {
+            showMessage(strings.noneSelected, 'error');
+            return;
+        }
+
+        $button.prop('disabled', true);
+
+        window.fbApi.ajax('fields_bright_preview_workshop_cancellation', {
+            workshop_id: $panel.data('workshop-id'),
+            enrollment_ids: ids,
+            send_email: $panel.find('[data-cancel-email]').is(':checked') ? 1 : 0
+        }, { nonce: 'refund' })
+            .then(function(response) {
+                $button.prop('disabled', false);
+
+                if (!response.success) {
+                    showMessage(response.message, 'error');
+                    return;
+                }
+
+                plan = {};
+                response.data.rows.forEach(function(row) {
+                    plan[row.enrollment_id] = row;
+                    getRow($panel, row.enrollment_id).find('[data-cancel-amount]')
+                        .text(row.action === 'refund' ? row.amount_formatted : '—');
+                });
+
+                renderSummary($panel, response.data.summary);
+                $panel.find('[data-cancel-run]').prop('disabled', !countPlanned());
+            })
+            .catch(function(error) {
+                $button.prop('disabled', false);
+                showMessage(window.fbApi.getMessage(error, strings.error), 'error');
+            });
+    }
+
+    /**
+     * Show the dry run summary.
+     *
+     * @param {jQuery} $panel  Cancellation panel.
+     * @param {Object} summary Summary from the dry run.
+     */
+    function renderSummary($panel, summary) {
+        const lines = [strings.summaryTitle];
+
+        if (summary.refund_count) {
+            lines.push(format(strings.summaryRefund, summary.refund_count, summary.refund_total_formatted));
+        }
+
+        if (summary.cancel_count) {
+            lines.push(format(strings.summaryCancel, summary.cancel_count));
+        }
+
+        if (summary.skip_count) {
+            lines.push(format(strings.summarySkip, summary.skip_count));
+        }
+
+        lines.push(summary.email_count ? format(strings.summaryEmail, summary.email_count) : strings.summaryNoEmail);
+
+        const $summary = $panel.find('[data-cancel-summary]').empty();
+        lines.forEach((line, index) => {
+            const $line = $('<p></p>').text(line);
+            $summary.append(index ? $line : $line.wrapInner('<strong></strong>'));
+        });
+        $summary.data('refund-total', summary.refund_total_formatted).prop('hidden', false);
+    }
+
+    /**
+     * Count the planned enrollments that will change.
+     *
+     * @returns {number}
+     */
+    function countPlanned() {
+        return Object.keys(plan || {}).filter(id => plan[id].action !== 'skip').length;
+    }
+
+    /**
+     * Confirm the dry run and process its enrollments.
+     *
+     * @param {jQuery} $panel Cancellation panel.
+     */
+    function run($panel) {
+        if (!plan || running) {
+            return;
+        }
+
+        const ids = Object.keys(plan)
+            .filter(id => plan[id].action !== 'skip')
+            .map(id => parseInt(id, 10));
+
+        if (!confirm(format(strings.confirm, ids.length, $panel.find('[data-cancel-summary]').data('refund-total')))) {
+            return;
+        }
+
+        process($panel, ids);
+    }
+
+    /**
+     * Cancel enrollments one at a time.
+     *
+     * @param {jQuery}        $panel Cancellation panel.
+     * @param {Array<number>} ids    Enrollment IDs.
+     */
+    function process($panel, ids) {
+        if (running || !ids.length) {
+            return;
+        }
+
+        const queue = ids.slice();
+        const total = queue.length;
+        let processed = 0;
+        let failed = 0;
+
+        running = true;
+        stopping = false;
+        setBusy($panel, true);
+        renderProgress($panel, 0, total);
+
+        queue.forEach(id => setResult(getRow($panel, id), strings.waiting, ''));
+
+        const next = function() {
+            if (!queue.length || stopping) {
+                queue.forEach(id => setResult(getRow($panel, id), strings.notProcessed, ''));
+                finish($panel, processed - failed, failed);
+                return;
+            }
+
+            processRow($panel, queue.shift()).then(function(ok) {
+                processed++;
+                failed += ok ? 0 : 1;
+                renderProgress($panel, processed, total);
+                next();
+            });
+        };
+
+        next();
+    }
+
+    /**
+     * Cancel one enrollment.
+     *
+     * @param {jQuery} $panel       Cancellation panel.
+     * @param {number} enrollmentId Enrollment ID.
+     * @returns {Promise<boolean>} Resolves with whether it succeeded.
+     */
+    function processRow($panel, enrollmentId) {
+        const $row = getRow($panel, enrollmentId);
+
+        setResult($row, strings.processing, '');
+
+        return window.fbApi.ajax('fields_bright_cancel_workshop_enrollment', {
+            workshop_id: $panel.data('workshop-id'),
+            enrollment_id: enrollmentId,
+            reason: $panel.find('[data-cancel-reason]').val(),
+            send_email: $panel.find('[data-cancel-email]').is(':checked') ? 1 : 0
+        }, { nonce: 'refund' })
+            .then(function(response) {
+                if (!response.success) {
+                    setResult($row, response.message || strings.error, 'is-failed');
+                    return false;
+                }
+
+                setResult($row, response.message + (response.data.email_failed ? ' ' + strings.emailFailed : ''), 'is-done');
+                $row.find('[data-cancel-status]')
+                    .attr('class', 'enrollment-status-badge enrollment-status-' + response.data.status)
+                    .text(response.data.status.charAt(0).toUpperCase() + response.data.status.slice(1));
+                $row.find('[data-cancel-select]').prop({ checked: false, disabled: true });
+                return true;
+            })
+            .catch(function(error) {
+                setResult($row, window.fbApi.getMessage(error, strings.error), 'is-failed');
+                return false;
+            });
+    }
+
+    /**
+     * Show the result of a row.
+     *
+     * @param {jQuery} $row    Enrollment row.
+     * @param {string} message Result message.
+     * @param {string} state   is-done, is-failed or empty while pending.
+     */
+    function setResult($row, message, state) {
+        const $result = $row.find('[data-cancel-result]').empty().text(message);
+
+        $row.removeClass('is-done is-failed').addClass(state);
+        $result.toggleClass('is-error', state === 'is-failed');
+
+        if (state === 'is-failed') {
+            $result.append(
+                $('<button type="button" class="button button-small" data-cancel-retry-row></button>').text(strings.retry)
+            );
+        }
+    }
+
+    /**
+     * Update the progress bar.
+     *
+     * @param {jQuery} $panel    Cancellation panel.
+     * @param {number} processed Enrollments processed.
+     * @param {number} total     Enrollments to process.
+     */
+    function renderProgress($panel, processed, total) {
+        const $progress = $panel.find('[data-cancel-progress]').prop('hidden', false);
+
+        $progress.find('progress').attr({ max: total, value: processed });
+        $progress.find('[data-cancel-progress-text]').text(format(strings.progress, processed, total));
+    }
+
+    /**
+     * Lock or unlock the panel while enrollments are processed.
+     *
+     * @param {jQuery}  $panel Cancellation panel.
+     * @param {boolean} busy   Whether processing is running.
+     */
+    function setBusy($panel, busy) {
+        $panel.find('[data-cancel-select-all], [data-cancel-reason], [data-cancel-email], [data-cancel-review], [data-cancel-close], [data-cancel-retry-row]')
+            .prop('disabled', busy);
+        $panel.find('[data-cancel-row]').not('.is-done, [data-cancel-skip]').find('[data-cancel-select]')
+            .prop('disabled', busy);
+        $panel.find('[data-cancel-run]').prop('disabled', true);
+        $panel.find('[data-cancel-stop]').prop({ hidden: !busy, disabled: false });
+        $panel.find('[data-cancel-retry]').prop('hidden', true);
+    }
+
+    /**
+     * Wrap up a run.
+     *
+     * @param {jQuery} $panel    Cancellation panel.
+     * @param {number} succeeded Enrollments cancelled.
+     * @param {number} failed    Enrollments that failed.
+     */
+    function finish($panel, succeeded, failed) {
+        running = false;
+        setBusy($panel, false);
+        resetPlan($panel);
+
+        $panel.find('[data-cancel-retry]').prop('hidden', !failed);
+
+        if (failed) {
+            showMessage(format(strings.finishedFailed, succeeded, failed), 'error');
+        } else {
+            showMessage(format(strings.finished, succeeded), 'success');
+        }
+    }
+
+    /**
+     * Fill %d / %s and %1$d / %2$s placeholders.
+     *
+     * @param {string} template Translated string.
+     * @param {...*}   values   Values in placeholder order.
+     * @returns {string}
+     */
+    function format(template) {
+        const values = Array.prototype.slice.call(arguments, 1);
+        let index = 0;
+
+        return String(template).replace(/%(?:(\d+)\$)?[ds]/g, (match, position) => {
+            const value = position ? values[position - 1] : values[index++];
+            return value === undefined ? match : String(value);
+        });
+    }
+
+    /**
+     * Show message to user.
+     *
+     * @param {string} message Message text.
+     * @param {string} type    Message type (success or error).
+     */
+    function showMessage(message, type) {
+        window.fbNotifications.show(message, { type: type });
+    }
+
+    // Initialize on document ready.
+    $(document).ready(init);
+
+})(jQuery);
@@ -11,6 +11,10 @@
 
 namespace FieldsBright\Enrollment\Accounts;
 
+use FieldsBright\Enrollment\Cart\CartManager;
+use FieldsBright\Enrollment\EnrollmentSystem;
+use FieldsBright\Enrollment\Shortcodes\CartShortcodes;
+
 // Prevent direct access.
 if (! defined('ABSPATH')) {
     exit;
@@ -32,14 +36,23 @@ class AccountDashboard
      */
     private UserAccountHandler $account_handler;
 
+    /**
+     * Cart manager instance.
+     *
+     * @var CartManager
+     */
+    private CartManager $cart_manager;
+
     /**
      * Constructor.
      *
      * @param UserAccountHandler|null $account_handler Optional account handler instance.
+     * @param CartManager|null        $cart_manager    Optional cart manager instance.
      */
-    public function __construct(?UserAccountHandler $account_handler = null)
+    public function __construct(?UserAccountHandler $account_handler = null, ?CartManager $cart_manager = null)
     {
         $this->account_handler = $account_handler ?? new UserAccountHandler();
+        $this->cart_manager = $cart_manager ?? new CartManager();
         $this->register_hooks();
     }
 
@@ -66,6 +79,7 @@ class AccountDashboard
         $atts = shortcode_atts([
             'show_header'  => 'true',
             'show_profile' => 'true',
+            'show_saved'   => 'true',
         ], $atts);
 
         // Check if user is logged in.
@@ -77,6 +91,8 @@ class AccountDashboard
         $enrollments = $this->account_handler->get_user_enrollments($user->ID);
         $show_header = filter_var($atts['show_header'], FILTER_VALIDATE_BOOLEAN);
         $show_profile = filter_var($atts['show_profile'], FILTER_VALIDATE_BOOLEAN);
+        $show_saved = filter_var($atts['show_saved'], FILTER_VALIDATE_BOOLEAN);
+        $saved = $show_saved ? $this->cart_manager->get_saved_for_api()['items'] : [];
 
         ob_start();
         ?>
@@ -160,7 +176,7 @@ class AccountDashboard
                                     ?>
                                 </span>
                                 <span class="fb-enrollment-card__amount">
-                                    $<?php echo esc_html(number_format((float) $enrollment['amount'], 2)); ?>
+                                    <?php echo esc_html(EnrollmentSystem::format_price((float) $enrollment['amount'], $enrollment['currency'] ?? '')); ?>
                                 </span>
                             </div>
                         </div>
@@ -169,6 +185,17 @@ class AccountDashboard
                 </div>
                 <?php endif; ?>
             </div>
+
+            <?php if ($show_saved) : ?>
+            <div class="fb-account-dashboard__saved">
+                <h3><?php esc_html_e('Saved Workshops', 'fields-bright-enrollment'); ?></h3>
+                <?php // Toggled by the cart script as workshops are saved or moved to the cart. ?>
+                <p class="fb-no-enrollments" data-saved-empty<?php echo empty($saved) ? '' : ' hidden'; ?>>
+                    <?php esc_html_e('You haven\'t saved any workshops yet. Use "Save for later" on a workshop to keep it here.', 'fields-bright-enrollment'); ?>
+                </p>
+                <?php echo CartShortcodes::render_saved_list($saved, false); ?>
+            </div>
+            <?php endif; ?>
         </div>
 
         <style>
@@ -215,10 +242,14 @@ class AccountDashboard
                 gap: 15px;
                 margin-top: 20px;
             }
-            .fb-account-dashboard__enrollments h3 {
+            .fb-account-dashboard__enrollments h3,
+            .fb-account-dashboard__saved h3 {
                 font-family: var(--fb-font-heading, Georgia, serif);
                 margin-bottom: 20px;
             }
+            .fb-account-dashboard__saved {
+                margin-top: 40px;
+            }
             .fb-no-enrollments {
                 color: var(--fb-secondary, #666);
                 font-style: italic;
@@ -395,7 +426,7 @@ class AccountDashboard
                         }
                         ?>
                     </td>
-                    <td>$<?php echo esc_html(number_format((float) $enrollment['amount'], 2)); ?></td>
+                    <td><?php echo esc_html(EnrollmentSystem::format_price((float) $enrollment['amount'], $enrollment['currency'] ?? '')); ?></td>
                     <td>
                         <span class="fb-status--<?php echo esc_attr($enrollment['status'] ?: 'pending'); ?>">
                             <?php echo esc_html(ucfirst($enrollment['status'] ?: 'pending')); ?>
@@ -76,21 +76,15 @@ class ProfileManager
         wp_enqueue_script(
             'fields-bright-profile',
             get_stylesheet_directory_uri() . '/assets/js/profile-manager.js',
-            ['jquery'],
+            ['jquery', 'fields-bright-api', 'fields-bright-notifications'],
             '1.2.0',
             true
         );
-
-        wp_localize_script('fields-bright-profile', 'fieldsBrightProfile', [
-            'ajaxUrl' => admin_url('admin-ajax.php'),
-            'nonce'   => wp_create_nonce('fields_bright_profile'),
-        ]);
+        wp_enqueue_style('fields-bright-notifications');
 
         ob_start();
         ?>
         <div class="fb-profile-manager">
-            <div class="fb-profile-messages" style="display: none;"></div>
-            
             <!-- Profile Information Form -->
             <form id="fb-profile-form" class="fb-form">
                 <h3><?php esc_html_e('Profile Information', 'fields-bright-enrollment'); ?></h3>
@@ -447,6 +447,7 @@ class UserAccountHandler
                 'workshop_title'      => $workshop ? $workshop->post_title : __('Unknown', 'fields-bright-enrollment'),
                 'workshop_url'        => $workshop ? get_permalink($workshop_id) : '',
                 'amount'              => get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'amount', true),
+                'currency'            => get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'currency', true) ?: 'usd',
                 'status'              => get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'status', true),
                 'date'                => get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'date', true),
                 'pricing_option'      => get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'pricing_option_id', true),
@@ -11,6 +11,7 @@
 
 namespace FieldsBright\Enrollment\Admin;
 
+use FieldsBright\Enrollment\Cart\SeatHolds;
 use FieldsBright\Enrollment\EnrollmentSystem;
 use FieldsBright\Enrollment\Utils\Logger;
 
@@ -141,8 +142,13 @@ class AdminSettings
             'stripe_live_secret_key',
             'stripe_live_publishable_key',
             'stripe_webhook_secret',
+            'currency',
+            'processing_fee_percent',
+            'processing_fee_fixed',
             'enrollment_success_page',
             'enrollment_cancel_page',
+            'seat_hold_minutes',
+            'analytics_datalayer',
         ];
 
         foreach ($settings as $setting) {
@@ -156,7 +162,7 @@ class AdminSettings
         }
 
         // Register email template settings in separate group
-        $email_templates = ['enrollment_confirmation', 'admin_notification', 'refund_confirmation', 'waitlist_confirmation', 'spot_available'];
+        $email_templates = ['enrollment_confirmation', 'admin_notification', 'refund_confirmation', 'gift_confirmation', 'gift_receipt', 'waitlist_confirmation', 'spot_available'];
         foreach ($email_templates as $template) {
             register_setting(
                 self::EMAIL_SETTINGS_GROUP,
@@ -239,6 +245,57 @@ class AdminSettings
             ]
         );
 
+        // Currency
+        add_settings_field(
+            'currency',
+            __('Currency', 'fields-bright-enrollment'),
+            [$this, 'render_select_field'],
+            self::PAGE_SLUG,
+            'stripe_settings',
+            [
+                'id'          => 'currency',
+                'default'     => 'usd',
+                'options'     => [
+                    'usd' => __('US Dollar (USD)', 'fields-bright-enrollment'),
+                    'cad' => __('Canadian Dollar (CAD)', 'fields-bright-enrollment'),
+                    'eur' => __('Euro (EUR)', 'fields-bright-enrollment'),
+                    'gbp' => __('British Pound (GBP)', 'fields-bright-enrollment'),
+                ],
+                'description' => __('Currency charged at checkout and shown on workshop and cart prices. Prices are formatted for the site language.', 'fields-bright-enrollment'),
+            ]
+        );
+
+        // Processing Fee
+        add_settings_field(
+            'processing_fee_percent',
+            __('Processing Fee (%)', 'fields-bright-enrollment'),
+            [$this, 'render_text_field'],
+            self::PAGE_SLUG,
+            'stripe_settings',
+            [
+                'id'          => 'processing_fee_percent',
+                'type'        => 'number',
+                'step'        => '0.01',
+                'default'     => RefundHandler::DEFAULT_FEE_PERCENT,
+                'description' => __('Percentage of the charge Stripe keeps as its fee. The refund panel\'s "Minus processing fee" button refunds the rest.', 'fields-bright-enrollment'),
+            ]
+        );
+
+        add_settings_field(
+            'processing_fee_fixed',
+            __('Processing Fee (fixed)', 'fields-bright-enrollment'),
+            [$this, 'render_text_field'],
+            self::PAGE_SLUG,
+            'stripe_settings',
+            [
+                'id'          => 'processing_fee_fixed',
+                'type'        => 'number',
+                'step'        => '0.01',
+                'default'     => RefundHandler::DEFAULT_FEE_FIXED,
+                'description' => __('Fixed amount Stripe keeps per charge, in the store currency, on top of the percentage.', 'fields-bright-enrollment'),
+            ]
+        );
+
         // Page Settings Section
         add_settings_section(
             'page_settings',
@@ -272,6 +329,50 @@ class AdminSettings
                 'description' => __('Page to redirect to when payment is cancelled.', 'fields-bright-enrollment'),
             ]
         );
+
+        // Cart Settings Section
+        add_settings_section(
+            'cart_settings',
+            __('Cart', 'fields-bright-enrollment'),
+            [$this, 'render_cart_section'],
+            self::PAGE_SLUG
+        );
+
+        // Seat Holds
+        add_settings_field(
+            'seat_hold_minutes',
+            __('Seat Hold (minutes)', 'fields-bright-enrollment'),
+            [$this, 'render_text_field'],
+            self::PAGE_SLUG,
+            'cart_settings',
+            [
+                'id'          => 'seat_hold_minutes',
+                'type'        => 'number',
+                'default'     => SeatHolds::DEFAULT_MINUTES,
+                'description' => __('How long a seat stays reserved after a workshop is added to the cart. Checkout extends the hold for as long as the Stripe payment page is open (at least 30 minutes). Set to 0 to turn seat holds off.', 'fields-bright-enrollment'),
+            ]
+        );
+
+        // Analytics Settings Section
+        add_settings_section(
+            'analytics_settings',
+            __('Analytics', 'fields-bright-enrollment'),
+            [$this, 'render_analytics_section'],
+            self::PAGE_SLUG
+        );
+
+        // dataLayer Adapter
+        add_settings_field(
+            'analytics_datalayer',
+            __('GA4 dataLayer Events', 'fields-bright-enrollment'),
+            [$this, 'render_checkbox_field'],
+            self::PAGE_SLUG,
+            'analytics_settings',
+            [
+                'id'          => 'analytics_datalayer',
+                'description' => __('Push add_to_cart, remove_from_cart, begin_checkout and waitlist_join events to the Google Tag Manager dataLayer.', 'fields-bright-enrollment'),
+            ]
+        );
     }
 
     /**
@@ -601,6 +702,16 @@ class AdminSettings
                 'description'     => __('Sent to customers when a refund is processed.', 'fields-bright-enrollment'),
                 'default_subject' => __('Refund Processed: {workshop_title}', 'fields-bright-enrollment'),
             ],
+            'gift_confirmation' => [
+                'label'           => __('Gift Confirmation', 'fields-bright-enrollment'),
+                'description'     => __('Sent to the recipient when someone buys them a workshop as a gift. The customer placeholders hold the recipient.', 'fields-bright-enrollment'),
+                'default_subject' => __('{purchaser_name} Gave You a Workshop: {workshop_title}', 'fields-bright-enrollment'),
+            ],
+            'gift_receipt' => [
+                'label'           => __('Gift Receipt', 'fields-bright-enrollment'),
+                'description'     => __('Sent to the purchaser of a gift, in place of the enrollment confirmation. The customer placeholders hold the recipient.', 'fields-bright-enrollment'),
+                'default_subject' => __('Gift Receipt: {workshop_title} for {customer_name}', 'fields-bright-enrollment'),
+            ],
             'waitlist_confirmation' => [
                 'label'           => __('Waitlist Confirmation', 'fields-bright-enrollment'),
                 'description'     => __('Sent when someone joins the waitlist.', 'fields-bright-enrollment'),
@@ -628,6 +739,8 @@ class AdminSettings
             'enrollment_confirmation' => 'enrollment-confirmation',
             'admin_notification'      => 'admin-notification',
             'refund_confirmation'     => 'refund-confirmation',
+            'gift_confirmation'       => 'gift-confirmation',
+            'gift_receipt'            => 'gift-receipt',
             'waitlist_confirmation'   => 'waitlist-notification',
             'spot_available'          => 'waitlist-notification', // Use same template
         ];
@@ -697,6 +810,10 @@ class AdminSettings
             'Jane'                                 => '{customer_first_name}',
             'jane@example.com'                     => '{customer_email}',
             '(555) 123-4567'                       => '{customer_phone}',
+            'Sam Smith'                            => '{attendee_name}',
+            'Alex Smith'                           => '{purchaser_name}',
+            'alex@example.com'                     => '{purchaser_email}',
+            'Happy birthday! Enjoy the workshop.'  => '{gift_message}',
             'Introduction to Permaculture'         => '{workshop_title}',
             'FB-000123'                            => '{confirmation_number}',
             '$125.00'                              => '{amount_paid}',
@@ -781,12 +898,25 @@ class AdminSettings
 
         switch ($template) {
             case 'enrollment_confirmation':
+                return array_merge($common_placeholders, $payment_placeholders, [
+                    'attendee_name' => __('Attendee\'s name, when booked for someone else', 'fields-bright-enrollment'),
+                ]);
+
             case 'refund_confirmation':
                 return array_merge($common_placeholders, $payment_placeholders);
+
+            case 'gift_confirmation':
+            case 'gift_receipt':
+                return array_merge($common_placeholders, $payment_placeholders, [
+                    'purchaser_name'  => __('Name of the person who bought the gift', 'fields-bright-enrollment'),
+                    'purchaser_email' => __('Email of the person who bought the gift', 'fields-bright-enrollment'),
+                    'gift_message'    => __('Purchaser\'s message to the recipient', 'fields-bright-enrollment'),
+                ]);
             
             case 'admin_notification':
                 return array_merge($common_placeholders, $payment_placeholders, [
                     'customer_phone' => __('Customer\'s phone number', 'fields-bright-enrollment'),
+                    'attendee_name'  => __('Attendee\'s name, when booked for someone else', 'fields-bright-enrollment'),
                 ]);
             
             case 'spot_available':
@@ -1279,6 +1409,15 @@ class AdminSettings
             'customer_first_name' => 'Jane',
             'customer_email'      => 'jane@example.com',
             'customer_phone'      => '(555) 123-4567',
+            'attendee_name'       => 'Sam Smith',
+            'attendee_age'        => '12',
+            'attendee_notes'      => '',
+            
+            // Gift info
+            'purchaser_name'      => 'Alex Smith',
+            'purchaser_email'     => 'alex@example.com',
+            'purchaser_phone'     => '(555) 765-4321',
+            'gift_message'        => 'Happy birthday! Enjoy the workshop.',
             
             // Workshop info
             'workshop_title'      => 'Introduction to Permaculture',
@@ -1348,6 +1487,26 @@ class AdminSettings
         echo '<p>' . esc_html__('Configure the pages used for enrollment flow.', 'fields-bright-enrollment') . '</p>';
     }
 
+    /**
+     * Render the cart settings section description.
+     *
+     * @return void
+     */
+    public function render_cart_section(): void
+    {
+        echo '<p>' . esc_html__('Control how long workshops in a cart keep their seats.', 'fields-bright-enrollment') . '</p>';
+    }
+
+    /**
+     * Render the analytics settings section description.
+     *
+     * @return void
+     */
+    public function render_analytics_section(): void
+    {
+        echo '<p>' . esc_html__('Send cart and enrollment events to your analytics tools. Requires Google Tag Manager (or gtag.js reading dataLayer) on the site.', 'fields-bright-enrollment') . '</p>';
+    }
+
     /**
      * Render a checkbox field.
      *
@@ -1429,18 +1588,47 @@ class AdminSettings
         $id = $args['id'];
         $type = $args['type'] ?? 'text';
         $option_name = EnrollmentSystem::OPTION_PREFIX . $id;
-        $value = get_option($option_name, '');
+        $value = get_option($option_name, $args['default'] ?? '');
         ?>
         <input type="<?php echo esc_attr($type); ?>" 
                name="<?php echo esc_attr($option_name); ?>" 
                id="<?php echo esc_attr($id); ?>" 
                class="regular-text" 
+               <?php if (isset($args['step'])) : ?>
+               step="<?php echo esc_attr($args['step']); ?>"
+               min="0"
+               <?php endif; ?>
                value="<?php echo esc_attr($value); ?>">
         <?php if (isset($args['description'])) : ?>
             <p class="description"><?php echo wp_kses_post($args['description']); ?></p>
         <?php endif;
     }
 
+    /**
+     * Render a select field.
+     *
+     * @param array $args Field arguments.
+     *
+     * @return void
+     */
+    public function render_select_field(array $args): void
+    {
+        $id = $args['id'];
+        $option_name = EnrollmentSystem::OPTION_PREFIX . $id;
+        $value = get_option($option_name, $args['default'] ?? '');
+        ?>
+        <select name="<?php echo esc_attr($option_name); ?>" id="<?php echo esc_attr($id); ?>">
+            <?php foreach ($args['options'] as $option_value => $option_label) : ?>
+                <option value="<?php echo esc_attr($option_value); ?>" <?php selected($value, $option_value); ?>>
+                    <?php echo esc_html($option_label); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+        <?php if (isset($args['description'])) : ?>
+            <p class="description"><?php echo esc_html($args['description']); ?></p>
+        <?php endif;
+    }
+
     /**
      * Render a page dropdown field.
      *
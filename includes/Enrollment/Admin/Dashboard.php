@@ -31,7 +31,7 @@ class Dashboard
     /**
      * Get enrollment statistics.
      *
-     * @return array{total: int, pending: int, completed: int, refunded: int, failed: int, revenue: float}
+     * @return array{total: int, pending: int, completed: int, refunded: int, failed: int, cancelled: int, revenue: float}
      */
     private function get_stats(): array
     {
@@ -41,6 +41,7 @@ class Dashboard
             'completed' => 0,
             'refunded'  => 0,
             'failed'    => 0,
+            'cancelled' => 0,
             'revenue'   => 0.0,
         ];
 
@@ -254,6 +255,7 @@ class Dashboard
                                             'completed' => __('Completed', 'fields-bright-enrollment'),
                                             'refunded'  => __('Refunded', 'fields-bright-enrollment'),
                                             'failed'    => __('Failed', 'fields-bright-enrollment'),
+                                            'cancelled' => __('Cancelled', 'fields-bright-enrollment'),
                                         ];
                                         ?>
                                         <span class="status-badge <?php echo esc_attr($status_class); ?>">
@@ -342,6 +344,7 @@ class Dashboard
             .status-badge--completed { background: #d4edda; color: #155724; }
             .status-badge--refunded { background: #d1ecf1; color: #0c5460; }
             .status-badge--failed { background: #f8d7da; color: #721c24; }
+            .status-badge--cancelled { background: #e2e3e5; color: #383d41; }
             
             .enrollment-dashboard__stats {
                 display: grid;
@@ -129,7 +129,7 @@ class ExportHandler
 
         // Sanitize and validate status against allowed values.
         $status = isset($_GET['status']) ? sanitize_text_field(wp_unslash($_GET['status'])) : '';
-        $allowed_statuses = ['', 'completed', 'pending', 'refunded', 'failed'];
+        $allowed_statuses = ['', 'completed', 'pending', 'refunded', 'failed', 'cancelled'];
         if (! in_array($status, $allowed_statuses, true)) {
             $status = '';
         }
@@ -224,9 +224,14 @@ class ExportHandler
                 'customer_name'       => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'customer_name', true),
                 'customer_email'      => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'customer_email', true),
                 'customer_phone'      => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'customer_phone', true),
+                'purchaser_name'      => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'purchaser_name', true),
+                'purchaser_email'     => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'purchaser_email', true),
+                'gift_message'        => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'gift_message', true),
                 'workshop_id'         => $workshop_id,
                 'workshop_title'      => $workshop ? $workshop->post_title : '',
                 'amount'              => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'amount', true),
+                'discount_amount'     => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'discount_amount', true),
+                'promo_code'          => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'promo_code', true),
                 'currency'            => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'currency', true) ?: 'USD',
                 'status'              => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'status', true),
                 'pricing_option'      => get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'pricing_option_id', true),
@@ -267,8 +272,13 @@ class ExportHandler
             __('Customer Name', 'fields-bright-enrollment'),
             __('Email', 'fields-bright-enrollment'),
             __('Phone', 'fields-bright-enrollment'),
+            __('Purchaser Name', 'fields-bright-enrollment'),
+            __('Purchaser Email', 'fields-bright-enrollment'),
+            __('Gift Message', 'fields-bright-enrollment'),
             __('Workshop', 'fields-bright-enrollment'),
             __('Amount', 'fields-bright-enrollment'),
+            __('Discount', 'fields-bright-enrollment'),
+            __('Promo Code', 'fields-bright-enrollment'),
             __('Currency', 'fields-bright-enrollment'),
             __('Pricing Option', 'fields-bright-enrollment'),
             __('Status', 'fields-bright-enrollment'),
@@ -283,8 +293,13 @@ class ExportHandler
                 $enrollment['customer_name'],
                 $enrollment['customer_email'],
                 $enrollment['customer_phone'],
+                $enrollment['purchaser_name'],
+                $enrollment['purchaser_email'],
+                $enrollment['gift_message'],
                 $enrollment['workshop_title'],
                 $enrollment['amount'],
+                $enrollment['discount_amount'],
+                $enrollment['promo_code'],
                 $enrollment['currency'],
                 $enrollment['pricing_option'],
                 ucfirst($enrollment['status']),
@@ -378,6 +393,7 @@ class ExportHandler
                                     <option value="pending"><?php esc_html_e('Pending', 'fields-bright-enrollment'); ?></option>
                                     <option value="refunded"><?php esc_html_e('Refunded', 'fields-bright-enrollment'); ?></option>
                                     <option value="failed"><?php esc_html_e('Failed', 'fields-bright-enrollment'); ?></option>
+                                    <option value="cancelled"><?php esc_html_e('Cancelled', 'fields-bright-enrollment'); ?></option>
                                 </select>
                             </td>
                         </tr>
@@ -10,6 +10,7 @@
 
 namespace FieldsBright\Enrollment\Admin;
 
+use FieldsBright\Enrollment\EnrollmentSystem;
 use FieldsBright\Enrollment\Utils\Logger;
 use FieldsBright\Enrollment\Utils\LogLevel;
 use FieldsBright\Enrollment\Admin\AdminMenu;
@@ -139,14 +140,31 @@ class LogViewer
         wp_enqueue_script(
             'fields-bright-log-viewer',
             get_stylesheet_directory_uri() . '/assets/js/log-viewer.js',
-            ['jquery'],
+            ['jquery', 'fields-bright-api'],
             '1.2.0',
             true
         );
-
-        wp_localize_script('fields-bright-log-viewer', 'fieldsBrightLogs', [
-            'ajaxUrl' => admin_url('admin-ajax.php'),
-            'nonce'   => wp_create_nonce('fields_bright_logs'),
+        EnrollmentSystem::instance()->add_client_nonce('logs');
+
+        wp_localize_script('fields-bright-log-viewer', 'fbLogViewer', [
+            'pollInterval' => 5000,
+            'strings'      => [
+                'live'         => __('Live', 'fields-bright-enrollment'),
+                'paused'       => __('Paused', 'fields-bright-enrollment'),
+                'offline'      => __('Reconnecting...', 'fields-bright-enrollment'),
+                'pause'        => __('Pause live tail', 'fields-bright-enrollment'),
+                'resume'       => __('Resume live tail', 'fields-bright-enrollment'),
+                /* translators: %d: number of new log entries */
+                'newEntries'   => __('%d new entries', 'fields-bright-enrollment'),
+                'newEntry'     => __('1 new entry', 'fields-bright-enrollment'),
+                'view'         => __('View', 'fields-bright-enrollment'),
+                'noLogs'       => __('No logs found.', 'fields-bright-enrollment'),
+                'exporting'    => __('Exporting...', 'fields-bright-enrollment'),
+                'exported'     => __('Logs exported successfully!', 'fields-bright-enrollment'),
+                'exportFailed' => __('Error exporting logs:', 'fields-bright-enrollment'),
+                'exportError'  => __('Error exporting logs. Please try again.', 'fields-bright-enrollment'),
+                'exportLogs'   => __('Export Logs', 'fields-bright-enrollment'),
+            ],
         ]);
     }
 
@@ -240,6 +258,10 @@ class LogViewer
                         <button type="button" class="button button-secondary" id="refresh-logs">
                             <?php esc_html_e('Refresh', 'fields-bright-enrollment'); ?>
                         </button>
+
+                        <button type="button" class="button button-secondary" id="live-tail-toggle" aria-pressed="false">
+                            <?php esc_html_e('Pause live tail', 'fields-bright-enrollment'); ?>
+                        </button>
                     </div>
                 </div>
 
@@ -247,16 +269,27 @@ class LogViewer
                 <div class="fb-log-stats">
                     <span class="fb-log-stat">
                         <strong><?php esc_html_e('Total Logs:', 'fields-bright-enrollment'); ?></strong>
-                        <?php echo esc_html(number_format($total_logs)); ?>
+                        <span id="fb-log-total"><?php echo esc_html(number_format($total_logs)); ?></span>
                     </span>
                     <span class="fb-log-stat">
                         <strong><?php esc_html_e('Showing:', 'fields-bright-enrollment'); ?></strong>
-                        <?php echo esc_html(number_format(count($logs))); ?>
+                        <span id="fb-log-showing"><?php echo esc_html(number_format(count($logs))); ?></span>
+                    </span>
+                    <span class="fb-log-live" id="fb-log-live" role="status">
+                        <span class="fb-log-live__dot" aria-hidden="true"></span>
+                        <span class="fb-log-live__label"><?php esc_html_e('Live', 'fields-bright-enrollment'); ?></span>
                     </span>
                 </div>
 
+                <button type="button" class="fb-log-new-entries" id="fb-log-new-entries" hidden></button>
+
                 <!-- Log Table -->
-                <table class="wp-list-table widefat fixed striped">
+                <table class="wp-list-table widefat fixed striped"
+                       id="fb-log-table"
+                       data-cursor="<?php echo esc_attr($this->logger->get_latest_log_id()); ?>"
+                       data-level="<?php echo esc_attr($level_filter ?? ''); ?>"
+                       data-search="<?php echo esc_attr($search); ?>"
+                       data-limit="<?php echo esc_attr($per_page); ?>">
                     <thead>
                         <tr>
                             <th style="width: 150px;"><?php esc_html_e('Timestamp', 'fields-bright-enrollment'); ?></th>
@@ -268,13 +301,13 @@ class LogViewer
                     <tbody>
                         <?php if (empty($logs)) : ?>
                             <tr>
-                                <td colspan="4" style="text-align: center; padding: 40px;">
+                                <td colspan="4" class="fb-log-empty" style="text-align: center; padding: 40px;">
                                     <?php esc_html_e('No logs found.', 'fields-bright-enrollment'); ?>
                                 </td>
                             </tr>
                         <?php else : ?>
                             <?php foreach ($logs as $log) : ?>
-                                <tr class="fb-log-row fb-log-level-<?php echo esc_attr(strtolower($log['level_name'])); ?>">
+                                <tr class="fb-log-row fb-log-level-<?php echo esc_attr(strtolower($log['level_name'])); ?>" data-log-id="<?php echo esc_attr($log['id'] ?? 0); ?>">
                                     <td class="fb-log-timestamp">
                                         <?php echo esc_html(date_i18n('Y-m-d H:i:s', strtotime($log['timestamp']))); ?>
                                     </td>
@@ -503,6 +536,12 @@ class LogViewer
     /**
      * AJAX handler: Get logs.
      *
+     * With `after_id`, only returns entries newer than that ID, for the live
+     * tail. `cursor` is the newest ID handed out, whatever the filters; IDs
+     * keep counting up when the logs are cleared. `reset` is set when
+     * `after_id` is ahead of it, e.g. after a database restore, or when more
+     * entries arrived than one poll returns.
+     *
      * @return void
      */
     public function ajax_get_logs(): void
@@ -527,8 +566,44 @@ class LogViewer
             $filters['limit'] = absint($_POST['limit']);
         }
 
+        $cursor = $this->logger->get_latest_log_id();
+        $reset = false;
+
+        if (isset($_POST['after_id']) && $_POST['after_id'] !== '') {
+            $filters['after_id'] = absint($_POST['after_id']);
+
+            if ($filters['after_id'] > $cursor) {
+                $filters['after_id'] = 0;
+                $reset = true;
+            }
+        }
+
+        // Fetch one entry past the limit to tell whether a poll missed any.
+        $limit = $filters['limit'] ?? 0;
+        if ($limit && ! empty($filters['after_id'])) {
+            $filters['limit'] = $limit + 1;
+        }
+
         $logs = $this->logger->get_logs($filters);
-        wp_send_json_success(['logs' => $logs]);
+
+        // More entries arrived than one poll returns: send the newest and
+        // have the client start over rather than leave a gap.
+        if ($limit && count($logs) > $limit) {
+            $logs = array_slice($logs, 0, $limit);
+            $reset = true;
+        }
+
+        $logs = array_map(function ($log) {
+            $log['timestamp_formatted'] = date_i18n('Y-m-d H:i:s', strtotime($log['timestamp']));
+            return $log;
+        }, $logs);
+
+        wp_send_json_success([
+            'logs'   => $logs,
+            'cursor' => $cursor,
+            'reset'  => $reset,
+            'total'  => $this->logger->count_logs(),
+        ]);
     }
 }
 
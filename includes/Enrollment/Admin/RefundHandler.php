@@ -13,6 +13,7 @@ namespace FieldsBright\Enrollment\Admin;
 use FieldsBright\Enrollment\EnrollmentSystem;
 use FieldsBright\Enrollment\PostType\EnrollmentCPT;
 use FieldsBright\Enrollment\Stripe\StripeHandler;
+use FieldsBright\Enrollment\Waitlist\WaitlistHandler;
 
 // Prevent direct access.
 if (! defined('ABSPATH')) {
@@ -28,6 +29,43 @@ if (! defined('ABSPATH')) {
  */
 class RefundHandler
 {
+    /**
+     * Meta key (after the enrollment prefix) for the list of refunds issued.
+     *
+     * @var string
+     */
+    public const REFUNDS_META = 'refunds';
+
+    /**
+     * Default processing fee kept by "minus processing fee" refunds:
+     * Stripe's standard card rate.
+     *
+     * @var float
+     */
+    public const DEFAULT_FEE_PERCENT = 2.9;
+
+    /**
+     * Default fixed part of the processing fee, in the store currency.
+     *
+     * @var float
+     */
+    public const DEFAULT_FEE_FIXED = 0.30;
+
+    /**
+     * Option name prefix for the per-enrollment refund lock.
+     *
+     * @var string
+     */
+    private const LOCK_PREFIX = 'fb_refund_lock_';
+
+    /**
+     * Seconds after which a refund lock is treated as left behind by a
+     * request that died, and may be taken over.
+     *
+     * @var int
+     */
+    private const LOCK_TIMEOUT = 300;
+
     /**
      * Stripe handler instance.
      *
@@ -35,14 +73,23 @@ class RefundHandler
      */
     private StripeHandler $stripe_handler;
 
+    /**
+     * Waitlist handler instance.
+     *
+     * @var WaitlistHandler|null
+     */
+    private ?WaitlistHandler $waitlist_handler;
+
     /**
      * Constructor.
      *
-     * @param StripeHandler|null $stripe_handler Optional Stripe handler instance.
+     * @param StripeHandler|null   $stripe_handler   Optional Stripe handler instance.
+     * @param WaitlistHandler|null $waitlist_handler Optional waitlist handler instance.
      */
-    public function __construct(?StripeHandler $stripe_handler = null)
+    public function __construct(?StripeHandler $stripe_handler = null, ?WaitlistHandler $waitlist_handler = null)
     {
         $this->stripe_handler = $stripe_handler ?? EnrollmentSystem::instance()->get_stripe_handler();
+        $this->waitlist_handler = $waitlist_handler ?? EnrollmentSystem::instance()->get_waitlist_handler();
         $this->register_hooks();
     }
 
@@ -55,16 +102,22 @@ class RefundHandler
     {
         // AJAX handler for admin refund.
         add_action('wp_ajax_fields_bright_process_refund', [$this, 'handle_refund_ajax']);
+        add_action('wp_ajax_fields_bright_notify_waitlist', [$this, 'handle_notify_waitlist_ajax']);
     }
 
     /**
      * Process a refund for an enrollment.
      *
+     * An enrollment can be refunded in several parts, up to the original
+     * charge. The first refund marks it refunded and fires
+     * `fields_bright_enrollment_refunded`, which frees the seat and sends the
+     * refund email; later refunds are only added to the history.
+     *
      * @param int        $enrollment_id Enrollment post ID.
-     * @param float|null $amount        Optional amount to refund (null for full refund).
+     * @param float|null $amount        Optional amount to refund (null for the remaining balance).
      * @param string     $reason        Optional refund reason.
      *
-     * @return array{success: bool, message: string, refund_id?: string}
+     * @return array{success: bool, message: string, code?: string, refund_id?: string, amount?: float}
      */
     public function process_refund(int $enrollment_id, ?float $amount = null, string $reason = ''): array
     {
@@ -86,80 +139,155 @@ class RefundHandler
             ];
         }
 
-        // Check current status - prevent duplicate refunds.
-        $current_status = get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'status', true);
-        if ($current_status === 'refunded') {
-            $this->log_info('Refund attempt blocked - already refunded', [
-                'enrollment_id' => $enrollment_id,
-                'current_status' => $current_status,
-            ]);
+        // Two refunds at once could both pass the balance check, so the
+        // check and the refund run under a lock.
+        if (! $this->acquire_refund_lock($enrollment_id)) {
             return [
                 'success' => false,
-                'message' => __('This enrollment has already been refunded.', 'fields-bright-enrollment'),
+                'message' => __('A refund for this enrollment is already being processed.', 'fields-bright-enrollment'),
             ];
         }
 
-        // Additional check: verify no refund_id exists (belt and suspenders).
-        $existing_refund_id = get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'refund_id', true);
-        if (! empty($existing_refund_id)) {
-            $this->log_info('Refund attempt blocked - refund_id already exists', [
-                'enrollment_id' => $enrollment_id,
-                'existing_refund_id' => $existing_refund_id,
-            ]);
-            return [
-                'success' => false,
-                'message' => __('This enrollment has already been refunded.', 'fields-bright-enrollment'),
+        try {
+            if (! $this->can_refund($enrollment_id)) {
+                $this->log_info('Refund attempt blocked - nothing left to refund', [
+                    'enrollment_id' => $enrollment_id,
+                    'status'        => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'status', true),
+                ]);
+                return [
+                    'success' => false,
+                    'message' => __('This enrollment has already been refunded.', 'fields-bright-enrollment'),
+                ];
+            }
+
+            // Compare in cents so rounding can't let a refund past the balance.
+            $balance = $this->get_refundable_balance($enrollment_id);
+            $amount = $amount === null ? $balance : round($amount, 2);
+
+            if ((int) round($amount * 100) <= 0 || (int) round($amount * 100) > (int) round($balance * 100)) {
+                return [
+                    'success' => false,
+                    'code'    => 'invalid_amount',
+                    'message' => sprintf(
+                        /* translators: %s: remaining refundable balance */
+                        __('Enter a refund amount greater than zero and no more than the remaining %s.', 'fields-bright-enrollment'),
+                        EnrollmentSystem::format_price($balance)
+                    ),
+                ];
+            }
+
+            // Process refund through Stripe.
+            $result = $this->create_stripe_refund($payment_intent_id, $amount, $reason);
+
+            if (! $result['success']) {
+                return $result;
+            }
+
+            $refunds = $this->get_refund_history($enrollment_id);
+            $is_first = empty($refunds);
+            $refunds[] = [
+                'refund_id' => $result['refund_id'],
+                'amount'    => $amount,
+                'reason'    => $reason,
+                'date'      => current_time('mysql'),
+                'user_id'   => get_current_user_id(),
             ];
+            update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . self::REFUNDS_META, $refunds);
+
+            // Single-refund fields, kept for older readers: the latest refund and the total.
+            update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'status', 'refunded');
+            update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'refund_id', $result['refund_id']);
+            update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'refund_amount', array_sum(array_column($refunds, 'amount')));
+            update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'refund_date', current_time('mysql'));
+            update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'refund_reason', $reason);
+        } finally {
+            $this->release_refund_lock($enrollment_id);
         }
 
-        // Get original amount if not specified.
-        $original_amount = (float) get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'amount', true);
-        if ($amount === null) {
-            $amount = $original_amount;
-        }
-
-        // Validate amount.
-        if ($amount <= 0 || $amount > $original_amount) {
-            return [
-                'success' => false,
-                'message' => __('Invalid refund amount.', 'fields-bright-enrollment'),
-            ];
-        }
-
-        // Process refund through Stripe.
-        $result = $this->create_stripe_refund($payment_intent_id, $amount, $reason);
-
-        if (! $result['success']) {
-            return $result;
-        }
-
-        // Update enrollment status.
-        update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'status', 'refunded');
-        update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'refund_id', $result['refund_id']);
-        update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'refund_amount', $amount);
-        update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'refund_date', current_time('mysql'));
-        update_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'refund_reason', $reason);
-
         // Fire refund action.
-        do_action('fields_bright_enrollment_refunded', $enrollment_id, [
-            'refund_id' => $result['refund_id'],
-            'amount'    => $amount,
-            'reason'    => $reason,
-        ]);
+        if ($is_first) {
+            do_action('fields_bright_enrollment_refunded', $enrollment_id, [
+                'refund_id' => $result['refund_id'],
+                'amount'    => $amount,
+                'reason'    => $reason,
+            ]);
+        }
 
         $this->log_info('Refund processed', [
             'enrollment_id' => $enrollment_id,
             'refund_id'     => $result['refund_id'],
             'amount'        => $amount,
+            'balance'       => round($balance - $amount, 2),
         ]);
 
         return [
             'success'   => true,
             'message'   => __('Refund processed successfully.', 'fields-bright-enrollment'),
             'refund_id' => $result['refund_id'],
+            'amount'    => $amount,
         ];
     }
 
+    /**
+     * Take the refund lock for an enrollment.
+     *
+     * INSERT IGNORE creates the lock row or fails in a single statement, so
+     * only one request can hold it. A lock older than LOCK_TIMEOUT is taken
+     * over by swapping its timestamp, which also only one request can do.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return bool False when another refund holds the lock.
+     */
+    private function acquire_refund_lock(int $enrollment_id): bool
+    {
+        global $wpdb;
+
+        $lock = self::LOCK_PREFIX . $enrollment_id;
+        $now = time();
+
+        if ($wpdb->query($wpdb->prepare(
+            "INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+            $lock,
+            $now
+        ))) {
+            return true;
+        }
+
+        $locked_at = $wpdb->get_var($wpdb->prepare(
+            "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s",
+            $lock
+        ));
+
+        if ($locked_at === null || (int) $locked_at > $now - self::LOCK_TIMEOUT) {
+            return false;
+        }
+
+        $this->log_info('Taking over stale refund lock', [
+            'enrollment_id' => $enrollment_id,
+            'locked_at'     => (int) $locked_at,
+        ]);
+
+        return (bool) $wpdb->query($wpdb->prepare(
+            "UPDATE {$wpdb->options} SET option_value = %s WHERE option_name = %s AND option_value = %s",
+            $now,
+            $lock,
+            $locked_at
+        ));
+    }
+
+    /**
+     * Release the refund lock for an enrollment.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return void
+     */
+    private function release_refund_lock(int $enrollment_id): void
+    {
+        delete_option(self::LOCK_PREFIX . $enrollment_id);
+    }
+
     /**
      * Create refund through Stripe API.
      *
@@ -213,7 +341,10 @@ class RefundHandler
         // Verify nonce (use wp_unslash for proper sanitization).
         $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
         if (! wp_verify_nonce($nonce, 'fields_bright_refund')) {
-            wp_send_json_error(['message' => __('Security check failed.', 'fields-bright-enrollment')]);
+            wp_send_json_error([
+                'code'    => 'invalid_nonce',
+                'message' => __('Security check failed.', 'fields-bright-enrollment'),
+            ], 403);
         }
 
         // Check capabilities.
@@ -222,25 +353,95 @@ class RefundHandler
         }
 
         $enrollment_id = isset($_POST['enrollment_id']) ? absint($_POST['enrollment_id']) : 0;
-        $amount = isset($_POST['amount']) ? floatval($_POST['amount']) : null;
+        $amount = isset($_POST['amount']) ? sanitize_text_field(wp_unslash($_POST['amount'])) : '';
         $reason = isset($_POST['reason']) ? sanitize_text_field(wp_unslash($_POST['reason'])) : '';
 
         if (! $enrollment_id) {
             wp_send_json_error(['message' => __('Invalid enrollment.', 'fields-bright-enrollment')]);
         }
 
-        $result = $this->process_refund($enrollment_id, $amount, $reason);
+        if ($amount !== '' && ! is_numeric($amount)) {
+            wp_send_json_error([
+                'code'    => 'invalid_amount',
+                'message' => __('Enter the refund amount as a number.', 'fields-bright-enrollment'),
+            ]);
+        }
 
-        if ($result['success']) {
-            wp_send_json_success($result);
-        } else {
+        // Whoever is next on the waitlist now, to tell whether the refund notified them.
+        $waiting_before = $this->get_waitlist_summary($enrollment_id);
+
+        $result = $this->process_refund($enrollment_id, $amount === '' ? null : (float) $amount, $reason);
+
+        if (! $result['success']) {
             wp_send_json_error($result);
         }
+
+        $waitlist = $this->get_waitlist_summary($enrollment_id);
+        if ($waiting_before['next'] && (! $waitlist['next'] || $waitlist['next']['id'] !== $waiting_before['next']['id'])) {
+            $waitlist['notified'] = $waiting_before['next']['name'];
+        }
+
+        wp_send_json_success(array_merge($result, [
+            'summary'  => $this->get_refund_summary($enrollment_id),
+            'waitlist' => $waitlist,
+        ]));
+    }
+
+    /**
+     * Handle AJAX request to tell the next person on the waitlist a spot is open.
+     *
+     * Offered by the refund panel once an enrollment is refunded.
+     *
+     * @return void
+     */
+    public function handle_notify_waitlist_ajax(): void
+    {
+        $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
+        if (! wp_verify_nonce($nonce, 'fields_bright_refund')) {
+            wp_send_json_error([
+                'code'    => 'invalid_nonce',
+                'message' => __('Security check failed.', 'fields-bright-enrollment'),
+            ], 403);
+        }
+
+        if (! current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('You do not have permission to notify the waitlist.', 'fields-bright-enrollment')]);
+        }
+
+        $enrollment_id = isset($_POST['enrollment_id']) ? absint($_POST['enrollment_id']) : 0;
+        $waitlist = $this->get_waitlist_summary($enrollment_id);
+
+        if (! $waitlist['next'] || ! $this->waitlist_handler) {
+            wp_send_json_error(['message' => __('Nobody is waiting for this workshop.', 'fields-bright-enrollment')]);
+        }
+
+        if (! $this->waitlist_handler->notify_next_in_line($waitlist['workshop_id'])) {
+            wp_send_json_error(['message' => __('The waitlist email could not be sent.', 'fields-bright-enrollment')]);
+        }
+
+        $this->log_info('Waitlist notified from refund panel', [
+            'enrollment_id' => $enrollment_id,
+            'workshop_id'   => $waitlist['workshop_id'],
+            'entry_id'      => $waitlist['next']['id'],
+        ]);
+
+        wp_send_json_success([
+            'message'  => sprintf(
+                /* translators: %s: waitlisted customer name */
+                __('%s has been told a spot is open.', 'fields-bright-enrollment'),
+                $waitlist['next']['name']
+            ),
+            'waitlist' => array_merge($this->get_waitlist_summary($enrollment_id), ['notified' => $waitlist['next']['name']]),
+        ]);
     }
 
     /**
      * Check if an enrollment can be refunded.
      *
+     * Completed enrollments can be, and so can refunded ones with part of the
+     * charge left. Enrollments marked refunded some other way (in Stripe, or
+     * by hand) have no refund history here and can't.
+     *
      * @param int $enrollment_id Enrollment post ID.
      *
      * @return bool
@@ -250,8 +451,11 @@ class RefundHandler
         $status = get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'status', true);
         $payment_intent_id = get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'stripe_payment_intent_id', true);
 
-        // Can refund if completed and has payment record.
-        return $status === 'completed' && ! empty($payment_intent_id);
+        if (empty($payment_intent_id) || $this->get_refundable_balance($enrollment_id) < 0.01) {
+            return false;
+        }
+
+        return $status === 'completed' || ($status === 'refunded' && $this->get_refund_history($enrollment_id));
     }
 
     /**
@@ -259,7 +463,7 @@ class RefundHandler
      *
      * @param int $enrollment_id Enrollment post ID.
      *
-     * @return array|null Refund details or null.
+     * @return array|null Latest refund ID, date and reason, with the total amount refunded; null if none.
      */
     public function get_refund_details(int $enrollment_id): ?array
     {
@@ -277,6 +481,136 @@ class RefundHandler
         ];
     }
 
+    /**
+     * Get the refunds issued for an enrollment, oldest first.
+     *
+     * Enrollments refunded before refunds were listed get their single
+     * refund back from the older fields, without the admin.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return array<array{refund_id: string, amount: float, reason: string, date: string, user_id: int}>
+     */
+    public function get_refund_history(int $enrollment_id): array
+    {
+        $refunds = get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . self::REFUNDS_META, true);
+
+        if (is_array($refunds) && $refunds) {
+            return $refunds;
+        }
+
+        $details = $this->get_refund_details($enrollment_id);
+        if (! $details) {
+            return [];
+        }
+
+        return [[
+            'refund_id' => $details['refund_id'],
+            'amount'    => (float) $details['amount'],
+            'reason'    => (string) $details['reason'],
+            'date'      => (string) $details['date'],
+            'user_id'   => 0,
+        ]];
+    }
+
+    /**
+     * Get how much of an enrollment's charge is left to refund.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return float
+     */
+    public function get_refundable_balance(int $enrollment_id): float
+    {
+        $charge = (float) get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'amount', true);
+        $refunded = array_sum(array_column($this->get_refund_history($enrollment_id), 'amount'));
+
+        return max(0, round($charge - $refunded, 2));
+    }
+
+    /**
+     * Get the processing fee kept by a "minus processing fee" refund.
+     *
+     * Set under Enrollment > Settings as a percentage of the charge plus a
+     * fixed amount.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return float
+     */
+    public function get_processing_fee(int $enrollment_id): float
+    {
+        $charge = (float) get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'amount', true);
+        $percent = (float) EnrollmentSystem::get_option('processing_fee_percent', self::DEFAULT_FEE_PERCENT);
+        $fixed = (float) EnrollmentSystem::get_option('processing_fee_fixed', self::DEFAULT_FEE_FIXED);
+
+        return min($charge, round($charge * max(0, $percent) / 100 + max(0, $fixed), 2));
+    }
+
+    /**
+     * Get everything the refund panel shows for an enrollment.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return array{charge: float, charge_formatted: string, refunded: float, refunded_formatted: string, balance: float, balance_formatted: string, fee: float, can_refund: bool, status: string, refunds: array}
+     */
+    public function get_refund_summary(int $enrollment_id): array
+    {
+        $charge = (float) get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'amount', true);
+        $balance = $this->get_refundable_balance($enrollment_id);
+        $refunded = round($charge - $balance, 2);
+
+        $refunds = array_map(static function (array $refund): array {
+            $user = ! empty($refund['user_id']) ? get_userdata((int) $refund['user_id']) : false;
+
+            return [
+                'refund_id'        => (string) $refund['refund_id'],
+                'amount'           => (float) $refund['amount'],
+                'amount_formatted' => EnrollmentSystem::format_price((float) $refund['amount']),
+                'reason'           => (string) $refund['reason'],
+                'date'             => (string) $refund['date'],
+                'date_formatted'   => $refund['date'] ? date_i18n(get_option('date_format') . ' ' . get_option('time_format'), strtotime($refund['date'])) : '',
+                'admin'            => $user ? $user->display_name : '',
+            ];
+        }, $this->get_refund_history($enrollment_id));
+
+        return [
+            'charge'             => $charge,
+            'charge_formatted'   => EnrollmentSystem::format_price($charge),
+            'refunded'           => $refunded,
+            'refunded_formatted' => EnrollmentSystem::format_price($refunded),
+            'balance'            => $balance,
+            'balance_formatted'  => EnrollmentSystem::format_price($balance),
+            'fee'                => $this->get_processing_fee($enrollment_id),
+            'can_refund'         => $this->can_refund($enrollment_id),
+            'status'             => (string) get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'status', true),
+            'refunds'            => $refunds,
+        ];
+    }
+
+    /**
+     * Get the waitlist for an enrollment's workshop.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return array{workshop_id: int, waiting: int, next: array{id: int, name: string}|null}
+     */
+    public function get_waitlist_summary(int $enrollment_id): array
+    {
+        $workshop_id = (int) get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'workshop_id', true);
+        $entries = $workshop_id && $this->waitlist_handler ? $this->waitlist_handler->get_waiting_entries($workshop_id) : [];
+        $next = $entries[0] ?? null;
+
+        return [
+            'workshop_id' => $workshop_id,
+            'waiting'     => count($entries),
+            'next'        => $next ? [
+                'id'   => (int) $next['id'],
+                'name' => $next['customer_name'] ?: $next['customer_email'],
+            ] : null,
+        ];
+    }
+
     /**
      * Log info message.
      *
@@ -10,6 +10,7 @@
 
 namespace FieldsBright\Enrollment\Admin;
 
+use FieldsBright\Enrollment\EnrollmentSystem;
 use FieldsBright\Enrollment\PostType\EnrollmentCPT;
 
 // Prevent direct access.
@@ -97,19 +98,39 @@ class RefundMetaBox
         wp_enqueue_script(
             'fields-bright-refund',
             get_stylesheet_directory_uri() . '/assets/js/refund-admin.js',
-            ['jquery'],
+            ['jquery', 'fields-bright-api', 'fields-bright-notifications'],
             '1.0.0',
             true
         );
+        EnrollmentSystem::instance()->add_client_nonce('refund');
+        wp_enqueue_style('fields-bright-notifications');
 
         wp_localize_script('fields-bright-refund', 'fieldsBrightRefund', [
-            'ajaxUrl' => admin_url('admin-ajax.php'),
-            'nonce'   => wp_create_nonce('fields_bright_refund'),
-            'strings' => [
-                'processing'    => __('Processing...', 'fields-bright-enrollment'),
-                'confirmRefund' => __('Are you sure you want to process this refund? This action cannot be undone.', 'fields-bright-enrollment'),
-                'success'       => __('Refund processed successfully!', 'fields-bright-enrollment'),
-                'error'         => __('Error processing refund.', 'fields-bright-enrollment'),
+            'currency' => strtoupper(EnrollmentSystem::get_currency()),
+            'locale'   => EnrollmentSystem::get_locale_tag(),
+            'strings'  => [
+                'processing'     => __('Processing...', 'fields-bright-enrollment'),
+                /* translators: %s: refund amount */
+                'confirmRefund'  => __('Refund %s? This action cannot be undone.', 'fields-bright-enrollment'),
+                'success'        => __('Refund processed successfully!', 'fields-bright-enrollment'),
+                'error'          => __('Error processing refund.', 'fields-bright-enrollment'),
+                'amountRequired' => __('Enter a refund amount.', 'fields-bright-enrollment'),
+                'amountInvalid'  => __('Enter the refund amount as a number.', 'fields-bright-enrollment'),
+                'amountPositive' => __('The refund amount must be greater than zero.', 'fields-bright-enrollment'),
+                /* translators: %s: remaining refundable balance */
+                'amountTooHigh'  => __('Only %s is left to refund.', 'fields-bright-enrollment'),
+                'refunded'       => __('Refunded', 'fields-bright-enrollment'),
+                'partial'        => __('Partially refunded', 'fields-bright-enrollment'),
+                /* translators: %s: admin display name */
+                'by'             => __('by %s', 'fields-bright-enrollment'),
+                /* translators: 1: number of people waiting, 2: name of the next person */
+                'waitingMany'    => _n('%1$d person is on the waitlist. Next: %2$s.', '%1$d people are on the waitlist. Next: %2$s.', 2, 'fields-bright-enrollment'),
+                /* translators: 1: number of people waiting, 2: name of the next person */
+                'waitingOne'     => _n('%1$d person is on the waitlist. Next: %2$s.', '%1$d people are on the waitlist. Next: %2$s.', 1, 'fields-bright-enrollment'),
+                /* translators: %s: waitlisted customer name */
+                'notified'       => __('%s was emailed that a spot is open.', 'fields-bright-enrollment'),
+                'notify'         => __('Notify next on waitlist', 'fields-bright-enrollment'),
+                'notifyError'    => __('The waitlist could not be notified.', 'fields-bright-enrollment'),
             ],
         ]);
     }
@@ -117,6 +138,10 @@ class RefundMetaBox
     /**
      * Render the refund meta box.
      *
+     * A live panel: the original charge, the refunds issued so far and the
+     * balance left, with a form for the next refund. refund-admin.js
+     * updates it in place after each refund.
+     *
      * @param \WP_Post $post Current post object.
      *
      * @return void
@@ -124,66 +149,90 @@ class RefundMetaBox
     public function render_meta_box(\WP_Post $post): void
     {
         $status = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'status', true);
-        $amount = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'amount', true);
+        $discount_amount = (float) get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'discount_amount', true);
+        $promo_code = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'promo_code', true);
         $payment_intent_id = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'stripe_payment_intent_id', true);
-        $refund_details = $this->refund_handler->get_refund_details($post->ID);
-        $can_refund = $this->refund_handler->can_refund($post->ID);
+        $summary = $this->refund_handler->get_refund_summary($post->ID);
+        $has_refunds = ! empty($summary['refunds']);
+        $waitlist = $has_refunds ? $this->refund_handler->get_waitlist_summary($post->ID) : null;
 
         ?>
-        <div class="fb-refund-metabox">
-            <?php if ($status === 'refunded' && $refund_details) : ?>
-                <div class="fb-refund-status fb-refund-status--refunded">
-                    <span class="dashicons dashicons-yes-alt"></span>
-                    <strong><?php esc_html_e('Refunded', 'fields-bright-enrollment'); ?></strong>
-                </div>
-                
+        <div class="fb-refund-metabox"
+             data-refund-panel
+             data-enrollment-id="<?php echo esc_attr($post->ID); ?>"
+             data-charge="<?php echo esc_attr($summary['charge']); ?>"
+             data-balance="<?php echo esc_attr($summary['balance']); ?>"
+             data-balance-formatted="<?php echo esc_attr($summary['balance_formatted']); ?>"
+             data-fee="<?php echo esc_attr($summary['fee']); ?>">
+            <div class="fb-refund-status fb-refund-status--refunded" data-refund-status<?php echo $has_refunds ? '' : ' hidden'; ?>>
+                <span class="dashicons dashicons-yes-alt"></span>
+                <strong data-refund-status-label>
+                    <?php echo $summary['balance'] > 0 ? esc_html__('Partially refunded', 'fields-bright-enrollment') : esc_html__('Refunded', 'fields-bright-enrollment'); ?>
+                </strong>
+            </div>
+
+            <?php if ($payment_intent_id) : ?>
                 <table class="fb-refund-details">
                     <tr>
-                        <th><?php esc_html_e('Amount', 'fields-bright-enrollment'); ?></th>
-                        <td>$<?php echo esc_html(number_format((float) $refund_details['amount'], 2)); ?></td>
+                        <th><?php esc_html_e('Original charge', 'fields-bright-enrollment'); ?></th>
+                        <td><?php echo esc_html($summary['charge_formatted']); ?></td>
                     </tr>
                     <tr>
-                        <th><?php esc_html_e('Date', 'fields-bright-enrollment'); ?></th>
-                        <td><?php echo esc_html(date_i18n(get_option('date_format'), strtotime($refund_details['date']))); ?></td>
+                        <th><?php esc_html_e('Refunded', 'fields-bright-enrollment'); ?></th>
+                        <td data-refund-refunded><?php echo esc_html($summary['refunded_formatted']); ?></td>
                     </tr>
                     <tr>
-                        <th><?php esc_html_e('Refund ID', 'fields-bright-enrollment'); ?></th>
-                        <td><code><?php echo esc_html($refund_details['refund_id']); ?></code></td>
+                        <th><?php esc_html_e('Remaining', 'fields-bright-enrollment'); ?></th>
+                        <td><strong data-refund-balance><?php echo esc_html($summary['balance_formatted']); ?></strong></td>
                     </tr>
-                    <?php if ($refund_details['reason']) : ?>
-                    <tr>
-                        <th><?php esc_html_e('Reason', 'fields-bright-enrollment'); ?></th>
-                        <td><?php echo esc_html($refund_details['reason']); ?></td>
-                    </tr>
-                    <?php endif; ?>
                 </table>
 
-            <?php elseif ($can_refund) : ?>
-                <div class="fb-refund-form">
-                    <p class="fb-refund-info">
-                        <?php 
+                <?php if ($discount_amount > 0) : ?>
+                    <p class="description">
+                        <?php
                         printf(
-                            /* translators: %s: Amount */
-                            esc_html__('Original payment: %s', 'fields-bright-enrollment'),
-                            '<strong>$' . esc_html(number_format((float) $amount, 2)) . '</strong>'
+                            /* translators: 1: Discount amount, 2: Promo code */
+                            esc_html__('After a %1$s discount with promo code %2$s.', 'fields-bright-enrollment'),
+                            esc_html(EnrollmentSystem::format_price($discount_amount)),
+                            '<code>' . esc_html($promo_code) . '</code>'
                         );
                         ?>
                     </p>
+                <?php endif; ?>
+            <?php endif; ?>
+
+            <div class="fb-refund-history" data-refund-history<?php echo $has_refunds ? '' : ' hidden'; ?>>
+                <h4><?php esc_html_e('Refunds issued', 'fields-bright-enrollment'); ?></h4>
+                <ul class="fb-refund-history__list" data-refund-history-list>
+                    <?php foreach ($summary['refunds'] as $refund) : ?>
+                        <?php self::render_history_item($refund); ?>
+                    <?php endforeach; ?>
+                </ul>
+            </div>
+
+            <?php if ($summary['can_refund'] || $has_refunds) : ?>
+                <div class="fb-refund-form" data-refund-form<?php echo $summary['can_refund'] ? '' : ' hidden'; ?>>
+                    <div class="fb-refund-quick" role="group" aria-label="<?php esc_attr_e('Quick amounts', 'fields-bright-enrollment'); ?>">
+                        <button type="button" class="button button-small" data-refund-quick="full"><?php esc_html_e('Full', 'fields-bright-enrollment'); ?></button>
+                        <button type="button" class="button button-small" data-refund-quick="half"><?php esc_html_e('50%', 'fields-bright-enrollment'); ?></button>
+                        <button type="button" class="button button-small" data-refund-quick="fee"><?php esc_html_e('Minus processing fee', 'fields-bright-enrollment'); ?></button>
+                    </div>
 
                     <div class="fb-form-field">
-                        <label for="refund-amount"><?php esc_html_e('Refund Amount ($)', 'fields-bright-enrollment'); ?></label>
+                        <label for="refund-amount"><?php esc_html_e('Refund Amount', 'fields-bright-enrollment'); ?></label>
                         <input type="number" 
                                id="refund-amount" 
-                               name="refund_amount" 
-                               value="<?php echo esc_attr($amount); ?>" 
+                               value="<?php echo esc_attr($summary['balance']); ?>" 
                                min="0.01" 
-                               max="<?php echo esc_attr($amount); ?>" 
-                               step="0.01">
+                               max="<?php echo esc_attr($summary['balance']); ?>" 
+                               step="0.01"
+                               aria-describedby="refund-amount-error">
+                        <p class="fb-refund-error" id="refund-amount-error" data-refund-error role="alert" hidden></p>
                     </div>
 
                     <div class="fb-form-field">
                         <label for="refund-reason"><?php esc_html_e('Reason (optional)', 'fields-bright-enrollment'); ?></label>
-                        <input type="text" id="refund-reason" name="refund_reason" value="">
+                        <input type="text" id="refund-reason" value="">
                     </div>
 
                     <button type="button" 
@@ -191,8 +240,24 @@ class RefundMetaBox
                             data-enrollment-id="<?php echo esc_attr($post->ID); ?>">
                         <?php esc_html_e('Process Refund', 'fields-bright-enrollment'); ?>
                     </button>
+                </div>
 
-                    <div class="fb-refund-message" style="display: none;"></div>
+                <div class="fb-refund-waitlist" data-refund-waitlist<?php echo $waitlist && $waitlist['next'] ? '' : ' hidden'; ?>>
+                    <?php if ($waitlist && $waitlist['next']) : ?>
+                        <p data-refund-waitlist-text>
+                            <?php
+                            echo esc_html(sprintf(
+                                /* translators: 1: number of people waiting, 2: name of the next person */
+                                _n('%1$d person is on the waitlist. Next: %2$s.', '%1$d people are on the waitlist. Next: %2$s.', $waitlist['waiting'], 'fields-bright-enrollment'),
+                                $waitlist['waiting'],
+                                $waitlist['next']['name']
+                            ));
+                            ?>
+                        </p>
+                        <button type="button" class="button button-small" data-refund-notify>
+                            <?php esc_html_e('Notify next on waitlist', 'fields-bright-enrollment'); ?>
+                        </button>
+                    <?php endif; ?>
                 </div>
 
             <?php elseif ($status === 'pending') : ?>
@@ -272,27 +337,93 @@ class RefundMetaBox
                 width: 100%;
                 margin-top: 5px;
             }
-            .fb-refund-message {
-                margin-top: 10px;
-                padding: 10px;
-                border-radius: 4px;
-            }
-            .fb-refund-message.success {
-                background: #d4edda;
-                color: #155724;
-            }
-            .fb-refund-message.error {
-                background: #f8d7da;
-                color: #721c24;
-            }
             .fb-refund-pending,
             .fb-refund-no-payment,
             .fb-refund-unavailable {
                 color: #666;
                 font-style: italic;
             }
+            .fb-refund-history h4 {
+                margin: 15px 0 6px;
+            }
+            .fb-refund-history__list {
+                margin: 0 0 15px;
+            }
+            .fb-refund-history__item {
+                padding: 6px 0;
+                border-bottom: 1px solid #f0f0f1;
+            }
+            .fb-refund-history__item:last-child {
+                border-bottom: 0;
+            }
+            .fb-refund-history__meta {
+                display: block;
+                color: #666;
+                font-size: 12px;
+            }
+            .fb-refund-history__item.is-new {
+                animation: fb-refund-highlight 2s ease-out;
+            }
+            @keyframes fb-refund-highlight {
+                from { background: #fcf9e8; }
+                to { background: transparent; }
+            }
+            .fb-refund-quick {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin-bottom: 10px;
+            }
+            .fb-refund-form input[aria-invalid="true"] {
+                border-color: #d63638;
+            }
+            .fb-refund-error {
+                margin: 4px 0 0;
+                color: #d63638;
+                font-size: 12px;
+            }
+            .fb-refund-waitlist {
+                margin-top: 15px;
+                padding: 10px;
+                background: #f0f6fc;
+                border-radius: 4px;
+            }
+            .fb-refund-waitlist p {
+                margin: 0 0 8px;
+            }
         </style>
         <?php
     }
+
+    /**
+     * Render one refund in the history list.
+     *
+     * Mirrored by buildHistoryItem() in refund-admin.js.
+     *
+     * @param array $refund Refund from RefundHandler::get_refund_summary().
+     *
+     * @return void
+     */
+    private static function render_history_item(array $refund): void
+    {
+        ?>
+        <li class="fb-refund-history__item">
+            <strong><?php echo esc_html($refund['amount_formatted']); ?></strong>
+            <?php if ($refund['reason']) : ?>
+                &ndash; <?php echo esc_html($refund['reason']); ?>
+            <?php endif; ?>
+            <span class="fb-refund-history__meta">
+                <?php echo esc_html($refund['date_formatted']); ?>
+                <?php if ($refund['admin']) : ?>
+                    <?php
+                    /* translators: %s: admin display name */
+                    echo esc_html(sprintf(__('by %s', 'fields-bright-enrollment'), $refund['admin']));
+                    ?>
+                <?php endif; ?>
+            </span>
+            <code class="fb-refund-history__id"><?php echo esc_html($refund['refund_id']); ?></code>
+        </li>
+        <?php
+    }
 }
 
@@ -11,8 +11,10 @@
 
 namespace FieldsBright\Enrollment\Admin;
 
+use FieldsBright\Enrollment\EnrollmentSystem;
 use FieldsBright\Enrollment\PostType\EnrollmentCPT;
 use FieldsBright\Enrollment\PostType\WorkshopCPT;
+use FieldsBright\Enrollment\Utils\Logger;
 
 // Prevent direct access.
 if (! defined('ABSPATH')) {
@@ -22,12 +24,20 @@ if (! defined('ABSPATH')) {
 /**
  * Class WorkshopEnrollmentMetaBox
  *
- * Displays enrollment list on workshop edit screen.
+ * Displays enrollment list on workshop edit screen, with a bulk
+ * cancel-and-refund action for when a workshop is called off.
  *
  * @since 1.0.0
  */
 class WorkshopEnrollmentMetaBox
 {
+    /**
+     * Statuses of enrollments with nothing left to cancel.
+     *
+     * @var array<string>
+     */
+    private const CLOSED_STATUSES = ['refunded', 'failed', 'cancelled'];
+
     /**
      * Constructor.
      *
@@ -36,7 +46,10 @@ class WorkshopEnrollmentMetaBox
     public function __construct()
     {
         add_action('add_meta_boxes', [$this, 'register_meta_box']);
+        add_action('admin_enqueue_scripts', [$this, 'enqueue_scripts']);
         add_action('admin_post_export_workshop_enrollments', [$this, 'handle_export']);
+        add_action('wp_ajax_fields_bright_preview_workshop_cancellation', [$this, 'handle_preview_cancellation_ajax']);
+        add_action('wp_ajax_fields_bright_cancel_workshop_enrollment', [$this, 'handle_cancel_enrollment_ajax']);
     }
 
     /**
@@ -67,6 +80,69 @@ class WorkshopEnrollmentMetaBox
         );
     }
 
+    /**
+     * Enqueue the bulk cancellation script on workshop edit screens.
+     *
+     * @param string $hook_suffix Current admin page hook.
+     *
+     * @return void
+     */
+    public function enqueue_scripts(string $hook_suffix): void
+    {
+        global $post;
+
+        if ($hook_suffix !== 'post.php' || ! $post || ! in_array($post->post_type, [WorkshopCPT::POST_TYPE, 'post'], true)) {
+            return;
+        }
+
+        if (! current_user_can('manage_options')) {
+            return;
+        }
+
+        $script_path = get_stylesheet_directory() . '/assets/js/workshop-cancel.js';
+
+        wp_enqueue_script(
+            'fields-bright-workshop-cancel',
+            get_stylesheet_directory_uri() . '/assets/js/workshop-cancel.js',
+            ['jquery', 'fields-bright-api', 'fields-bright-notifications'],
+            file_exists($script_path) ? filemtime($script_path) : EnrollmentSystem::VERSION,
+            true
+        );
+        EnrollmentSystem::instance()->add_client_nonce('refund');
+        wp_enqueue_style('fields-bright-notifications');
+
+        wp_localize_script('fields-bright-workshop-cancel', 'fieldsBrightWorkshopCancel', [
+            'strings' => [
+                'noneSelected'   => __('Select at least one enrollment to cancel.', 'fields-bright-enrollment'),
+                /* translators: 1: number of refunds, 2: total refund amount */
+                'summaryRefund'  => __('Refund and cancel %1$d paid enrollment(s), %2$s in total.', 'fields-bright-enrollment'),
+                /* translators: %d: number of enrollments */
+                'summaryCancel'  => __('Cancel %d unpaid enrollment(s) without a refund.', 'fields-bright-enrollment'),
+                /* translators: %d: number of enrollments */
+                'summarySkip'    => __('Skip %d enrollment(s) with nothing left to cancel.', 'fields-bright-enrollment'),
+                /* translators: %d: number of emails */
+                'summaryEmail'   => __('Send %d cancellation email(s).', 'fields-bright-enrollment'),
+                'summaryNoEmail' => __('No cancellation emails will be sent.', 'fields-bright-enrollment'),
+                'summaryTitle'   => __('Dry run: nothing has changed yet.', 'fields-bright-enrollment'),
+                /* translators: 1: number of enrollments, 2: total refund amount */
+                'confirm'        => __('Cancel %1$d enrollment(s) and refund %2$s? Refunds cannot be undone.', 'fields-bright-enrollment'),
+                'processing'     => __('Processing...', 'fields-bright-enrollment'),
+                'waiting'        => __('Waiting', 'fields-bright-enrollment'),
+                'notProcessed'   => __('Stopped before this one.', 'fields-bright-enrollment'),
+                'retry'          => __('Retry', 'fields-bright-enrollment'),
+                'emailFailed'    => __('The cancellation email could not be sent.', 'fields-bright-enrollment'),
+                /* translators: 1: number processed, 2: number selected */
+                'progress'       => __('%1$d of %2$d processed', 'fields-bright-enrollment'),
+                /* translators: %d: number of enrollments */
+                'finished'       => __('%d enrollment(s) cancelled.', 'fields-bright-enrollment'),
+                /* translators: 1: number of enrollments cancelled, 2: number of failures */
+                'finishedFailed' => __('%1$d enrollment(s) cancelled, %2$d failed. Retry the failed rows when ready.', 'fields-bright-enrollment'),
+                'leaveWarning'   => __('Refunds are still being processed.', 'fields-bright-enrollment'),
+                'error'          => __('This enrollment could not be cancelled.', 'fields-bright-enrollment'),
+            ],
+        ]);
+    }
+
     /**
      * Render the enrollments meta box.
      *
@@ -92,6 +168,7 @@ class WorkshopEnrollmentMetaBox
         $enrollments = $enrollment_cpt->get_enrollments_for_workshop($post->ID);
         $completed_count = $enrollment_cpt->get_enrollment_count($post->ID, 'completed');
         $pending_count = $enrollment_cpt->get_enrollment_count($post->ID, 'pending');
+        $can_cancel = current_user_can('manage_options') && $this->get_refund_handler();
         ?>
         <style>
             .workshop-enrollments-summary {
@@ -149,11 +226,75 @@ class WorkshopEnrollmentMetaBox
                 background: #f8d7da;
                 color: #721c24;
             }
+            .enrollment-status-cancelled {
+                background: #e2e3e5;
+                color: #383d41;
+            }
             .workshop-enrollments-actions {
                 margin-top: 15px;
                 padding-top: 15px;
                 border-top: 1px solid #eee;
             }
+            .workshop-enrollments-actions .button-link-delete {
+                float: right;
+            }
+            .workshop-cancel {
+                margin-top: 15px;
+                padding: 15px;
+                border: 1px solid #d63638;
+                border-radius: 5px;
+            }
+            .workshop-cancel h4 {
+                margin: 0 0 8px;
+            }
+            .workshop-cancel__table td:first-child,
+            .workshop-cancel__table th:first-child {
+                width: 24px;
+            }
+            .workshop-cancel__table tr.is-done {
+                background: #f0f9f1;
+            }
+            .workshop-cancel__table tr.is-failed {
+                background: #fcf0f1;
+            }
+            .workshop-cancel__result.is-error {
+                color: #d63638;
+            }
+            .workshop-cancel__result .button {
+                margin-left: 6px;
+            }
+            .workshop-cancel__options label {
+                display: block;
+                margin-bottom: 8px;
+            }
+            .workshop-cancel__options input[type="text"] {
+                width: 100%;
+                max-width: 400px;
+            }
+            .workshop-cancel__summary {
+                padding: 10px 12px;
+                background: #fcf9e8;
+                border-left: 4px solid #dba617;
+            }
+            .workshop-cancel__summary p {
+                margin: 0 0 4px;
+            }
+            .workshop-cancel__progress {
+                display: flex;
+                gap: 10px;
+                align-items: center;
+                margin-top: 10px;
+            }
+            .workshop-cancel__progress progress {
+                flex: 1;
+                height: 16px;
+            }
+            .workshop-cancel__actions {
+                display: flex;
+                gap: 8px;
+                align-items: center;
+                margin-bottom: 0;
+            }
         </style>
 
         <div class="workshop-enrollments-summary">
@@ -188,13 +329,23 @@ class WorkshopEnrollmentMetaBox
                 <tbody>
                     <?php foreach ($enrollments as $enrollment) : 
                         $name = get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'customer_name', true);
+                        $attendee = get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'attendee_name', true);
                         $email = get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'customer_email', true);
                         $amount = get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'amount', true);
                         $status = get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'status', true) ?: 'pending';
                         $date = get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'date', true);
                     ?>
                         <tr>
-                            <td><?php echo esc_html($name ?: '—'); ?></td>
+                            <td>
+                                <?php echo esc_html(($attendee ?: $name) ?: '—'); ?>
+                                <?php if ($attendee && $attendee !== $name) : ?>
+                                    <br><small><?php echo esc_html(sprintf(
+                                        /* translators: %s: customer name */
+                                        __('Booked by %s', 'fields-bright-enrollment'),
+                                        $name ?: '—'
+                                    )); ?></small>
+                                <?php endif; ?>
+                            </td>
                             <td>
                                 <?php if ($email) : ?>
                                     <a href="mailto:<?php echo esc_attr($email); ?>"><?php echo esc_html($email); ?></a>
@@ -226,11 +377,345 @@ class WorkshopEnrollmentMetaBox
                 <a href="<?php echo esc_url(admin_url('edit.php?post_type=enrollment&enrollment_workshop_filter=' . $post->ID)); ?>" class="button">
                     <?php esc_html_e('View All Enrollments', 'fields-bright-enrollment'); ?>
                 </a>
+                <?php if ($can_cancel) : ?>
+                    <button type="button" class="button button-link-delete" data-workshop-cancel-open aria-expanded="false" aria-controls="workshop-cancel-panel">
+                        <?php esc_html_e('Cancel workshop & refund all', 'fields-bright-enrollment'); ?>
+                    </button>
+                <?php endif; ?>
             </div>
+
+            <?php if ($can_cancel) : ?>
+                <?php $this->render_cancel_panel($post->ID, $enrollments); ?>
+            <?php endif; ?>
         <?php endif; ?>
         <?php
     }
 
+    /**
+     * Render the bulk cancel-and-refund panel.
+     *
+     * Driven by workshop-cancel.js: a checklist of the enrollments, a dry
+     * run, then one request per enrollment with a progress bar.
+     *
+     * @param int            $workshop_id Workshop post ID.
+     * @param array<\WP_Post> $enrollments Enrollments for the workshop.
+     *
+     * @return void
+     */
+    private function render_cancel_panel(int $workshop_id, array $enrollments): void
+    {
+        ?>
+        <div class="workshop-cancel" id="workshop-cancel-panel" data-workshop-cancel data-workshop-id="<?php echo esc_attr($workshop_id); ?>" hidden>
+            <h4><?php esc_html_e('Cancel workshop & refund all', 'fields-bright-enrollment'); ?></h4>
+            <p class="description">
+                <?php esc_html_e('Every selected enrollment is marked Cancelled. Paid ones are refunded in full through Stripe first, one at a time, without the refund email. Nobody on the waitlist is notified.', 'fields-bright-enrollment'); ?>
+            </p>
+
+            <table class="workshop-enrollments-table workshop-cancel__table">
+                <thead>
+                    <tr>
+                        <th>
+                            <input type="checkbox" data-cancel-select-all checked aria-label="<?php esc_attr_e('Select all', 'fields-bright-enrollment'); ?>">
+                        </th>
+                        <th><?php esc_html_e('Name', 'fields-bright-enrollment'); ?></th>
+                        <th><?php esc_html_e('Status', 'fields-bright-enrollment'); ?></th>
+                        <th><?php esc_html_e('Refund', 'fields-bright-enrollment'); ?></th>
+                        <th><?php esc_html_e('Result', 'fields-bright-enrollment'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($enrollments as $enrollment) :
+                        $plan = $this->get_cancellation_plan($enrollment->ID, false);
+                        $skip = $plan['action'] === 'skip';
+                    ?>
+                        <tr data-cancel-row data-enrollment-id="<?php echo esc_attr($enrollment->ID); ?>"<?php echo $skip ? ' data-cancel-skip' : ''; ?>>
+                            <td>
+                                <input type="checkbox"
+                                       data-cancel-select
+                                       value="<?php echo esc_attr($enrollment->ID); ?>"
+                                       aria-label="<?php echo esc_attr($plan['name']); ?>"
+                                       <?php checked(! $skip); ?>
+                                       <?php disabled($skip); ?>>
+                            </td>
+                            <td><?php echo esc_html($plan['name']); ?></td>
+                            <td>
+                                <span class="enrollment-status-badge enrollment-status-<?php echo esc_attr($plan['status']); ?>" data-cancel-status>
+                                    <?php echo esc_html(ucfirst($plan['status'])); ?>
+                                </span>
+                            </td>
+                            <td data-cancel-amount><?php echo esc_html($plan['action'] === 'refund' ? $plan['amount_formatted'] : '—'); ?></td>
+                            <td class="workshop-cancel__result" data-cancel-result aria-live="polite">
+                                <?php if ($skip) : ?>
+                                    <?php esc_html_e('Nothing to cancel.', 'fields-bright-enrollment'); ?>
+                                <?php endif; ?>
+                            </td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <div class="workshop-cancel__options">
+                <label>
+                    <?php esc_html_e('Refund reason', 'fields-bright-enrollment'); ?><br>
+                    <input type="text" data-cancel-reason value="<?php esc_attr_e('Workshop cancelled', 'fields-bright-enrollment'); ?>">
+                </label>
+                <label>
+                    <input type="checkbox" data-cancel-email checked>
+                    <?php esc_html_e('Email each customer the Enrollment Cancellation notice', 'fields-bright-enrollment'); ?>
+                </label>
+            </div>
+
+            <div class="workshop-cancel__summary" data-cancel-summary role="status" hidden></div>
+
+            <div class="workshop-cancel__progress" data-cancel-progress hidden>
+                <progress max="1" value="0"></progress>
+                <span data-cancel-progress-text></span>
+            </div>
+
+            <p class="workshop-cancel__actions">
+                <button type="button" class="button" data-cancel-review>
+                    <?php esc_html_e('Review changes', 'fields-bright-enrollment'); ?>
+                </button>
+                <button type="button" class="button button-primary" data-cancel-run disabled>
+                    <?php esc_html_e('Cancel and refund', 'fields-bright-enrollment'); ?>
+                </button>
+                <button type="button" class="button" data-cancel-stop hidden>
+                    <?php esc_html_e('Stop', 'fields-bright-enrollment'); ?>
+                </button>
+                <button type="button" class="button" data-cancel-retry hidden>
+                    <?php esc_html_e('Retry failed', 'fields-bright-enrollment'); ?>
+                </button>
+                <button type="button" class="button-link" data-cancel-close>
+                    <?php esc_html_e('Close', 'fields-bright-enrollment'); ?>
+                </button>
+            </p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Handle AJAX request for the dry run of a workshop cancellation.
+     *
+     * Reports what cancelling the selected enrollments would do, without
+     * changing anything.
+     *
+     * @return void
+     */
+    public function handle_preview_cancellation_ajax(): void
+    {
+        $workshop_id = $this->verify_cancel_request();
+        $send_email = ! empty($_POST['send_email']);
+        $ids = isset($_POST['enrollment_ids']) ? array_map('absint', (array) wp_unslash($_POST['enrollment_ids'])) : [];
+
+        $rows = [];
+        foreach (array_unique($ids) as $enrollment_id) {
+            if ($this->belongs_to_workshop($enrollment_id, $workshop_id)) {
+                $rows[] = $this->get_cancellation_plan($enrollment_id, $send_email);
+            }
+        }
+
+        if (empty($rows)) {
+            wp_send_json_error(['message' => __('Select at least one enrollment to cancel.', 'fields-bright-enrollment')]);
+        }
+
+        $counts = ['refund' => 0, 'cancel' => 0, 'skip' => 0];
+        $refund_total = 0.0;
+        $email_count = 0;
+        foreach ($rows as $row) {
+            $counts[$row['action']]++;
+            $refund_total += $row['amount'];
+            $email_count += $row['send_email'] ? 1 : 0;
+        }
+
+        wp_send_json_success([
+            'rows'    => $rows,
+            'summary' => [
+                'refund_count'           => $counts['refund'],
+                'refund_total'           => $refund_total,
+                'refund_total_formatted' => EnrollmentSystem::format_price($refund_total),
+                'cancel_count'           => $counts['cancel'],
+                'skip_count'             => $counts['skip'],
+                'email_count'            => $email_count,
+            ],
+        ]);
+    }
+
+    /**
+     * Handle AJAX request to cancel one enrollment of a cancelled workshop.
+     *
+     * Called once per enrollment so the admin sees progress and can retry
+     * the ones that fail. Paid enrollments are refunded in full without the
+     * refund email, unpaid ones are not refunded; both end up cancelled.
+     *
+     * @return void
+     */
+    public function handle_cancel_enrollment_ajax(): void
+    {
+        $workshop_id = $this->verify_cancel_request();
+        $enrollment_id = isset($_POST['enrollment_id']) ? absint($_POST['enrollment_id']) : 0;
+        $reason = isset($_POST['reason']) ? sanitize_text_field(wp_unslash($_POST['reason'])) : '';
+        $send_email = ! empty($_POST['send_email']);
+
+        if (! $this->belongs_to_workshop($enrollment_id, $workshop_id)) {
+            wp_send_json_error(['message' => __('Invalid enrollment.', 'fields-bright-enrollment')]);
+        }
+
+        $plan = $this->get_cancellation_plan($enrollment_id, $send_email);
+        $email_handler = EnrollmentSystem::instance()->get_email_handler();
+
+        if ($plan['action'] === 'refund') {
+            // The spots aren't coming back, so don't offer them to the waitlist.
+            $waitlist_handler = EnrollmentSystem::instance()->get_waitlist_handler();
+            if ($waitlist_handler) {
+                remove_action('fields_bright_enrollment_refunded', [$waitlist_handler, 'check_waitlist_on_refund'], 10);
+            }
+
+            // The cancellation notice is the only email the customer gets.
+            if ($email_handler) {
+                remove_action('fields_bright_enrollment_refunded', [$email_handler, 'send_refund_emails'], 10);
+            }
+
+            $result = $this->get_refund_handler()->process_refund($enrollment_id, null, $reason);
+
+            if (! $result['success']) {
+                wp_send_json_error(['message' => $result['message']]);
+            }
+
+            // The refund stays in the history; the enrollment reads as cancelled.
+            (new EnrollmentCPT())->update_status($enrollment_id, 'cancelled');
+
+            $message = sprintf(
+                /* translators: %s: refund amount */
+                __('Refunded %s.', 'fields-bright-enrollment'),
+                EnrollmentSystem::format_price((float) $result['amount'])
+            );
+        } elseif ($plan['action'] === 'cancel') {
+            (new EnrollmentCPT())->update_status($enrollment_id, 'cancelled');
+            $message = __('Cancelled without a refund.', 'fields-bright-enrollment');
+        } else {
+            $message = __('Nothing to cancel.', 'fields-bright-enrollment');
+        }
+
+        $emailed = false;
+        if ($plan['send_email'] && $email_handler) {
+            $emailed = $email_handler->send_cancellation($enrollment_id);
+        }
+
+        Logger::instance()->info('Enrollment cancelled with workshop', [
+            'enrollment_id' => $enrollment_id,
+            'workshop_id'   => $workshop_id,
+            'action'        => $plan['action'],
+            'amount'        => $plan['amount'],
+            'emailed'       => $emailed,
+        ]);
+
+        $status = get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'status', true) ?: 'pending';
+
+        wp_send_json_success([
+            'message'      => $message,
+            'action'       => $plan['action'],
+            'status'       => $status,
+            'emailed'      => $emailed,
+            'email_failed' => $plan['send_email'] && ! $emailed,
+        ]);
+    }
+
+    /**
+     * Get what cancelling an enrollment would do.
+     *
+     * `refund` for paid enrollments with a balance left, `cancel` for unpaid
+     * ones, `skip` for enrollments already refunded, failed or cancelled.
+     *
+     * @param int  $enrollment_id Enrollment post ID.
+     * @param bool $send_email    Whether cancellation emails were requested.
+     *
+     * @return array{enrollment_id: int, name: string, status: string, action: string, amount: float, amount_formatted: string, send_email: bool}
+     */
+    private function get_cancellation_plan(int $enrollment_id, bool $send_email): array
+    {
+        $refund_handler = $this->get_refund_handler();
+        $status = get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'status', true) ?: 'pending';
+        $name = get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'attendee_name', true)
+            ?: get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'customer_name', true);
+        $email = get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'customer_email', true);
+
+        if ($refund_handler && $refund_handler->can_refund($enrollment_id)) {
+            $action = 'refund';
+        } elseif (in_array($status, self::CLOSED_STATUSES, true)) {
+            $action = 'skip';
+        } else {
+            $action = 'cancel';
+        }
+
+        $amount = $action === 'refund' ? $refund_handler->get_refundable_balance($enrollment_id) : 0.0;
+
+        return [
+            'enrollment_id'    => $enrollment_id,
+            'name'             => $name ?: '—',
+            'status'           => $status,
+            'action'           => $action,
+            'amount'           => $amount,
+            'amount_formatted' => EnrollmentSystem::format_price($amount),
+            'send_email'       => $send_email && $action !== 'skip' && is_email($email),
+        ];
+    }
+
+    /**
+     * Check the nonce and capability of a cancellation request.
+     *
+     * Sends a JSON error and exits when the check fails.
+     *
+     * @return int Workshop post ID.
+     */
+    private function verify_cancel_request(): int
+    {
+        $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
+        if (! wp_verify_nonce($nonce, 'fields_bright_refund')) {
+            wp_send_json_error([
+                'code'    => 'invalid_nonce',
+                'message' => __('Security check failed.', 'fields-bright-enrollment'),
+            ], 403);
+        }
+
+        if (! current_user_can('manage_options') || ! $this->get_refund_handler()) {
+            wp_send_json_error(['message' => __('You do not have permission to process refunds.', 'fields-bright-enrollment')]);
+        }
+
+        $workshop_id = isset($_POST['workshop_id']) ? absint($_POST['workshop_id']) : 0;
+        if (! $workshop_id || ! get_post($workshop_id)) {
+            wp_send_json_error(['message' => __('Workshop not found.', 'fields-bright-enrollment')]);
+        }
+
+        return $workshop_id;
+    }
+
+    /**
+     * Check that an enrollment is for a workshop.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     * @param int $workshop_id   Workshop post ID.
+     *
+     * @return bool
+     */
+    private function belongs_to_workshop(int $enrollment_id, int $workshop_id): bool
+    {
+        return $enrollment_id
+            && get_post_type($enrollment_id) === EnrollmentCPT::POST_TYPE
+            && (int) get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'workshop_id', true) === $workshop_id;
+    }
+
+    /**
+     * Get the refund handler.
+     *
+     * Created after this meta box, so looked up when needed.
+     *
+     * @return RefundHandler|null
+     */
+    private function get_refund_handler(): ?RefundHandler
+    {
+        return EnrollmentSystem::instance()->get_refund_handler();
+    }
+
     /**
      * Handle CSV export for a workshop's enrollments.
      *
@@ -276,6 +761,12 @@ class WorkshopEnrollmentMetaBox
             'Customer Name',
             'Customer Email',
             'Customer Phone',
+            'Attendee Name',
+            'Attendee Age',
+            'Attendee Notes',
+            'Purchaser Name',
+            'Purchaser Email',
+            'Gift Message',
             'Amount',
             'Status',
             'Date',
@@ -289,6 +780,12 @@ class WorkshopEnrollmentMetaBox
                 get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'customer_name', true),
                 get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'customer_email', true),
                 get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'customer_phone', true),
+                get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'attendee_name', true),
+                get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'attendee_age', true),
+                get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'attendee_notes', true),
+                get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'purchaser_name', true),
+                get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'purchaser_email', true),
+                get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'gift_message', true),
                 get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'amount', true),
                 get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'status', true),
                 get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'date', true),
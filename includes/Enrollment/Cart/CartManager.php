@@ -11,8 +11,11 @@
 
 namespace FieldsBright\Enrollment\Cart;
 
+use FieldsBright\Enrollment\Discounts\BundleCPT;
+use FieldsBright\Enrollment\Discounts\PromoCodeCPT;
 use FieldsBright\Enrollment\MetaBoxes\WorkshopMetaBox;
 use FieldsBright\Enrollment\Utils\Logger;
+use FieldsBright\Enrollment\EnrollmentSystem;
 
 // Prevent direct access.
 if (! defined('ABSPATH')) {
@@ -28,6 +31,27 @@ if (! defined('ABSPATH')) {
  */
 class CartManager
 {
+    /**
+     * Most attendees one cart item can have.
+     *
+     * @var int
+     */
+    public const MAX_ATTENDEES = 20;
+
+    /**
+     * Option name prefix for the details of a Stripe Checkout session.
+     *
+     * Items (workshop, pricing option, price, quantity and discount),
+     * attendees and gift recipients. Stripe metadata values are capped at
+     * 500 characters, which these easily pass, so the webhook reads them
+     * from here. An option rather than a transient, so an object cache
+     * can't drop a paid order's details; deleted once the enrollments are
+     * created or the session expires.
+     *
+     * @var string
+     */
+    public const CHECKOUT_DATA_PREFIX = 'fb_checkout_';
+
     /**
      * Cart storage instance.
      *
@@ -42,6 +66,20 @@ class CartManager
      */
     private Logger $logger;
 
+    /**
+     * Promo code CPT instance.
+     *
+     * @var PromoCodeCPT
+     */
+    private PromoCodeCPT $promo_code_cpt;
+
+    /**
+     * Bundle CPT instance.
+     *
+     * @var BundleCPT
+     */
+    private BundleCPT $bundle_cpt;
+
     /**
      * Constructor.
      *
@@ -51,6 +89,8 @@ class CartManager
     {
         $this->storage = $storage ?? new CartStorage();
         $this->logger = Logger::instance();
+        $this->promo_code_cpt = new PromoCodeCPT();
+        $this->bundle_cpt = new BundleCPT();
     }
 
     /**
@@ -103,16 +143,18 @@ class CartManager
     /**
      * Add item to cart.
      *
-     * @param int    $workshop_id    Workshop post ID.
-     * @param string $pricing_option Pricing option ID.
+     * @param int        $workshop_id    Workshop post ID.
+     * @param string     $pricing_option Pricing option ID.
+     * @param float|null $amount         Amount chosen for a pay-what-you-can option, null for the suggested amount.
      *
      * @return array{success: bool, message: string, cart: array}
      */
-    public function add_to_cart(int $workshop_id, string $pricing_option = ''): array
+    public function add_to_cart(int $workshop_id, string $pricing_option = '', ?float $amount = null): array
     {
         $this->logger->debug('Adding to cart', [
             'workshop_id' => $workshop_id,
             'pricing_option' => $pricing_option,
+            'amount' => $amount,
         ]);
 
         // Validate workshop.
@@ -143,8 +185,50 @@ class CartManager
             }
         }
 
+        // Reject options the workshop doesn't offer today, e.g. a past early-bird price.
+        if ($pricing_option !== '' && ! WorkshopMetaBox::can_choose_pricing_option($workshop_id, $pricing_option)) {
+            $this->logger->warning('Cart add failed: pricing option unavailable', [
+                'workshop_id' => $workshop_id,
+                'pricing_option' => $pricing_option,
+            ]);
+            return [
+                'success' => false,
+                'message' => __('That pricing option is not available for this workshop.', 'fields-bright-enrollment'),
+                'cart'    => $cart,
+            ];
+        }
+
+        $amount_error = WorkshopMetaBox::validate_amount($workshop_id, $pricing_option, $amount);
+        if ($amount_error !== '') {
+            $this->logger->warning('Cart add failed: amount out of range', [
+                'workshop_id' => $workshop_id,
+                'amount' => $amount,
+            ]);
+            return [
+                'success' => false,
+                'message' => $amount_error,
+                'cart'    => $cart,
+            ];
+        }
+
+        // Reserve the seat while it sits in the cart. A waitlist claim
+        // already entitles the visitor to a seat.
+        if (SeatHolds::is_enabled()
+            && ! SeatHolds::place($workshop_id, $this->get_hold_key(), time() + SeatHolds::get_duration())
+            && ! $this->has_waitlist_claim($workshop_id)
+        ) {
+            $this->logger->warning('Cart add failed: no seat left to hold', [
+                'workshop_id' => $workshop_id,
+            ]);
+            return [
+                'success' => false,
+                'message' => __('This workshop is full.', 'fields-bright-enrollment'),
+                'cart'    => $cart,
+            ];
+        }
+
         // Get price.
-        $price = WorkshopMetaBox::get_effective_price($workshop_id, $pricing_option);
+        $price = WorkshopMetaBox::get_effective_price($workshop_id, $pricing_option, $amount);
         $workshop = get_post($workshop_id);
 
         // Add to cart.
@@ -153,6 +237,7 @@ class CartManager
             'workshop_title' => $workshop ? $workshop->post_title : '',
             'pricing_option' => $pricing_option,
             'price'          => $price,
+            'attendees'      => [$this->sanitize_attendee([])],
             'added_at'       => current_time('mysql'),
         ];
 
@@ -206,6 +291,8 @@ class CartManager
         $cart = array_values($cart);
         $this->save_cart($cart);
 
+        SeatHolds::release($workshop_id, $this->get_hold_key());
+
         $this->logger->info('Item removed from cart', [
             'workshop_id' => $workshop_id,
             'cart_count' => count($cart),
@@ -221,19 +308,48 @@ class CartManager
     /**
      * Update cart item.
      *
-     * @param int    $workshop_id    Workshop post ID.
-     * @param string $pricing_option New pricing option.
+     * @param int        $workshop_id    Workshop post ID.
+     * @param string     $pricing_option New pricing option.
+     * @param float|null $amount         Amount chosen for a pay-what-you-can option, null for the suggested amount.
      *
      * @return array{success: bool, message: string, cart: array}
      */
-    public function update_cart_item(int $workshop_id, string $pricing_option): array
+    public function update_cart_item(int $workshop_id, string $pricing_option, ?float $amount = null): array
     {
+        $this->logger->debug('Updating cart item', [
+            'workshop_id' => $workshop_id,
+            'pricing_option' => $pricing_option,
+            'amount' => $amount,
+        ]);
+
         $cart = $this->get_cart();
         $found = false;
 
+        // Reject options that the workshop does not offer today.
+        if (! WorkshopMetaBox::can_choose_pricing_option($workshop_id, $pricing_option)) {
+            $this->logger->warning('Cart update failed: unknown pricing option', [
+                'workshop_id' => $workshop_id,
+                'pricing_option' => $pricing_option,
+            ]);
+            return [
+                'success' => false,
+                'message' => __('That pricing option is not available for this workshop.', 'fields-bright-enrollment'),
+                'cart'    => $cart,
+            ];
+        }
+
+        $amount_error = WorkshopMetaBox::validate_amount($workshop_id, $pricing_option, $amount);
+        if ($amount_error !== '') {
+            return [
+                'success' => false,
+                'message' => $amount_error,
+                'cart'    => $cart,
+            ];
+        }
+
         foreach ($cart as $key => $item) {
             if ($item['workshop_id'] === $workshop_id) {
-                $price = WorkshopMetaBox::get_effective_price($workshop_id, $pricing_option);
+                $price = WorkshopMetaBox::get_effective_price($workshop_id, $pricing_option, $amount);
                 $cart[$key]['pricing_option'] = $pricing_option;
                 $cart[$key]['price'] = $price;
                 $found = true;
@@ -251,6 +367,11 @@ class CartManager
 
         $this->save_cart($cart);
 
+        $this->logger->info('Cart item updated', [
+            'workshop_id' => $workshop_id,
+            'pricing_option' => $pricing_option,
+        ]);
+
         return [
             'success' => true,
             'message' => __('Cart updated.', 'fields-bright-enrollment'),
@@ -259,180 +380,1418 @@ class CartManager
     }
 
     /**
-     * Clear the cart.
+     * Replace the attendee list of a cart item.
+     *
+     * Each attendee takes a seat, so growing the list checks (and with seat
+     * holds on, holds) the extra seats first.
+     *
+     * @param int   $workshop_id Workshop post ID.
+     * @param array $attendees   Attendees, each with `name` and optional `age` and `notes`.
      *
      * @return array{success: bool, message: string, cart: array}
      */
-    public function clear_cart(): array
+    public function update_attendees(int $workshop_id, array $attendees): array
     {
-        $user_id = get_current_user_id();
-        $this->logger->info('Clearing cart', ['user_id' => $user_id]);
-        
-        if ($user_id) {
-            $this->storage->clear_user_cart($user_id);
-        } else {
-            $this->storage->clear_cart_data();
+        $cart = $this->get_cart();
+        $attendees = array_map([$this, 'sanitize_attendee'], array_values(array_filter($attendees, 'is_array')));
+        $count = count($attendees);
+
+        if ($count < 1 || $count > self::MAX_ATTENDEES) {
+            return [
+                'success' => false,
+                'message' => sprintf(
+                    /* translators: %d: maximum number of attendees */
+                    __('Each workshop can have between 1 and %d attendees.', 'fields-bright-enrollment'),
+                    self::MAX_ATTENDEES
+                ),
+                'cart'    => $cart,
+            ];
+        }
+
+        $key = null;
+        foreach ($cart as $index => $item) {
+            if ($item['workshop_id'] === $workshop_id) {
+                $key = $index;
+                break;
+            }
+        }
+
+        if ($key === null) {
+            return [
+                'success' => false,
+                'message' => __('Item not found in cart.', 'fields-bright-enrollment'),
+                'cart'    => $cart,
+            ];
+        }
+
+        if ($count > $this->get_quantity($cart[$key]) && ! $this->reserve_seats($workshop_id, $count)) {
+            $available = max(0, (int) $this->get_available_seats($workshop_id));
+
+            $this->logger->warning('Cart attendee update failed: not enough seats', [
+                'workshop_id' => $workshop_id,
+                'attendees'   => $count,
+            ]);
+            return [
+                'success' => false,
+                'message' => sprintf(
+                    /* translators: %d: number of seats left */
+                    _n('Only %d seat is left.', 'Only %d seats are left.', $available, 'fields-bright-enrollment'),
+                    $available
+                ),
+                'cart'    => $cart,
+            ];
+        }
+
+        // Fewer attendees hand their seats back.
+        if ($count < $this->get_quantity($cart[$key]) && SeatHolds::get_hold($workshop_id, $this->get_hold_key())) {
+            $this->reserve_seats($workshop_id, $count);
         }
 
+        $cart[$key]['attendees'] = $attendees;
+        $this->save_cart($cart);
+
+        $this->logger->info('Cart attendees updated', [
+            'workshop_id' => $workshop_id,
+            'attendees'   => $count,
+        ]);
+
         return [
             'success' => true,
-            'message' => __('Cart cleared.', 'fields-bright-enrollment'),
-            'cart'    => [],
+            'message' => __('Cart updated.', 'fields-bright-enrollment'),
+            'cart'    => $cart,
         ];
     }
 
     /**
-     * Get cart total.
+     * Get the attendees of a cart item.
      *
-     * @return float
+     * Items saved before attendee lists existed get one blank attendee.
+     *
+     * @param array $item Cart item data.
+     *
+     * @return array<int, array{name: string, age: string, notes: string}>
      */
-    public function get_cart_total(): float
+    public function get_attendees(array $item): array
     {
-        $cart = $this->get_cart();
-        $total = 0.0;
-
-        foreach ($cart as $item) {
-            $total += (float) ($item['price'] ?? 0);
-        }
+        $attendees = isset($item['attendees']) && is_array($item['attendees']) ? $item['attendees'] : [];
 
-        return $total;
+        return empty($attendees) ? [$this->sanitize_attendee([])] : array_values($attendees);
     }
 
     /**
-     * Validate all cart items.
+     * Get the number of seats a cart item takes.
      *
-     * @return array{valid: bool, errors: array, cart: array}
+     * @param array $item Cart item data.
+     *
+     * @return int
      */
-    public function validate_cart(): array
+    public function get_quantity(array $item): int
     {
-        $cart = $this->get_cart();
-        $errors = [];
-        $valid_items = [];
-
-        foreach ($cart as $item) {
-            $validation = $this->validate_workshop($item['workshop_id']);
-            
-            if (! $validation['valid']) {
-                $errors[] = [
-                    'workshop_id' => $item['workshop_id'],
-                    'workshop_title' => $item['workshop_title'] ?? '',
-                    'error' => $validation['error'],
-                ];
-            } else {
-                $valid_items[] = $item;
-            }
-        }
+        return count($this->get_attendees($item));
+    }
 
-        // Update cart to only contain valid items.
-        if (count($valid_items) !== count($cart)) {
-            $this->save_cart($valid_items);
-        }
+    /**
+     * Sanitize one attendee.
+     *
+     * @param array $attendee Raw attendee data.
+     *
+     * @return array{name: string, age: string, notes: string}
+     */
+    private function sanitize_attendee(array $attendee): array
+    {
+        $age = isset($attendee['age']) ? absint($attendee['age']) : 0;
 
         return [
-            'valid'  => empty($errors),
-            'errors' => $errors,
-            'cart'   => $valid_items,
+            'name'  => mb_substr(sanitize_text_field((string) ($attendee['name'] ?? '')), 0, 100),
+            'age'   => $age > 0 && $age < 120 ? (string) $age : '',
+            'notes' => mb_substr(sanitize_textarea_field((string) ($attendee['notes'] ?? '')), 0, 500),
         ];
     }
 
     /**
-     * Validate a workshop for cart addition.
+     * Mark a cart item as a gift, or clear its gift.
      *
-     * @param int $workshop_id Workshop post ID.
+     * The recipient's name and email may be filled in over several saves;
+     * checkout blocks until both are there.
      *
-     * @return array{valid: bool, error?: string}
+     * @param int        $workshop_id Workshop post ID.
+     * @param array|null $gift        Recipient `name`, `email` and optional `message`, or null to clear.
+     *
+     * @return array{success: bool, message: string, cart: array}
      */
-    private function validate_workshop(int $workshop_id): array
+    public function update_gift(int $workshop_id, ?array $gift): array
     {
-        $workshop = get_post($workshop_id);
+        $cart = $this->get_cart();
+        $gift = $gift === null ? null : $this->sanitize_gift($gift);
 
-        if (! $workshop || $workshop->post_status !== 'publish') {
+        if ($gift !== null && $gift['email'] !== '' && ! is_email($gift['email'])) {
             return [
-                'valid' => false,
-                'error' => __('Workshop not found or not available.', 'fields-bright-enrollment'),
+                'success' => false,
+                'message' => __('Please enter a valid email address for the gift recipient.', 'fields-bright-enrollment'),
+                'cart'    => $cart,
             ];
         }
 
-        if (! WorkshopMetaBox::is_checkout_enabled($workshop_id)) {
-            return [
-                'valid' => false,
-                'error' => __('Online enrollment is not available for this workshop.', 'fields-bright-enrollment'),
-            ];
+        $key = null;
+        foreach ($cart as $index => $item) {
+            if ($item['workshop_id'] === $workshop_id) {
+                $key = $index;
+                break;
+            }
         }
 
-        $can_enroll = WorkshopMetaBox::can_enroll($workshop_id);
-        if (! $can_enroll['allowed'] && ! $can_enroll['waitlist']) {
+        if ($key === null) {
             return [
-                'valid' => false,
-                'error' => $can_enroll['reason'],
+                'success' => false,
+                'message' => __('Item not found in cart.', 'fields-bright-enrollment'),
+                'cart'    => $cart,
             ];
         }
 
-        return ['valid' => true];
+        if ($gift === null) {
+            unset($cart[$key]['gift']);
+        } else {
+            $cart[$key]['gift'] = $gift;
+        }
+        $this->save_cart($cart);
+
+        $this->logger->info('Cart gift updated', [
+            'workshop_id' => $workshop_id,
+            'gift'        => $gift !== null,
+        ]);
+
+        return [
+            'success' => true,
+            'message' => __('Cart updated.', 'fields-bright-enrollment'),
+            'cart'    => $cart,
+        ];
     }
 
     /**
-     * Save cart data.
+     * Get the gift recipient of a cart item.
      *
-     * @param array $cart Cart data.
+     * @param array $item Cart item data.
+     *
+     * @return array{name: string, email: string, message: string}|null Null when the item is not a gift.
+     */
+    public function get_gift(array $item): ?array
+    {
+        return isset($item['gift']) && is_array($item['gift']) ? $this->sanitize_gift($item['gift']) : null;
+    }
+
+    /**
+     * Sanitize a gift recipient.
+     *
+     * @param array $gift Raw gift data.
+     *
+     * @return array{name: string, email: string, message: string}
+     */
+    private function sanitize_gift(array $gift): array
+    {
+        return [
+            'name'    => mb_substr(sanitize_text_field((string) ($gift['name'] ?? '')), 0, 100),
+            'email'   => mb_substr(sanitize_text_field((string) ($gift['email'] ?? '')), 0, 100),
+            'message' => mb_substr(sanitize_textarea_field((string) ($gift['message'] ?? '')), 0, 500),
+        ];
+    }
+
+    /**
+     * Check that seats are free for a cart item, holding them when seat
+     * holds are on.
+     *
+     * @param int $workshop_id Workshop post ID.
+     * @param int $seats       Seats the item needs in total.
      *
      * @return bool
      */
-    private function save_cart(array $cart): bool
+    private function reserve_seats(int $workshop_id, int $seats): bool
+    {
+        if (SeatHolds::is_enabled()) {
+            return SeatHolds::place($workshop_id, $this->get_hold_key(), time() + SeatHolds::get_duration(), '', $seats);
+        }
+
+        $remaining = WorkshopMetaBox::get_remaining_spots($workshop_id);
+
+        return $remaining === null || $remaining >= $seats;
+    }
+
+    /**
+     * Clear the cart.
+     *
+     * @return array{success: bool, message: string, cart: array}
+     */
+    public function clear_cart(): array
     {
         $user_id = get_current_user_id();
+        $this->logger->info('Clearing cart', ['user_id' => $user_id]);
+
+        $cart = $this->get_cart();
+        if (! empty($cart)) {
+            $holder = $this->get_hold_key();
+            foreach ($cart as $item) {
+                SeatHolds::release((int) $item['workshop_id'], $holder);
+            }
+        }
         
         if ($user_id) {
-            return $this->storage->save_to_user($user_id, $cart);
+            $this->storage->clear_user_cart($user_id);
+        } else {
+            $this->storage->clear_cart_data();
         }
-        
-        return $this->storage->save_cart_data($cart);
+        $this->storage->save_promo_code('', $user_id);
+
+        return [
+            'success' => true,
+            'message' => __('Cart cleared.', 'fields-bright-enrollment'),
+            'cart'    => [],
+        ];
     }
 
     /**
-     * Get cart for REST API response.
+     * Get cart total before discounts.
      *
-     * @return array Formatted cart data for API.
+     * @return float
      */
-    public function get_cart_for_api(): array
+    public function get_cart_subtotal(): float
     {
         $cart = $this->get_cart();
-        $items = [];
+        $cents = 0;
 
+        // Sum in cents, rounding each price the way Stripe is sent it.
         foreach ($cart as $item) {
-            $workshop_id = $item['workshop_id'];
-            $workshop = get_post($workshop_id);
-            
-            $items[] = [
-                'workshop_id'     => $workshop_id,
-                'workshop_title'  => $workshop ? $workshop->post_title : $item['workshop_title'],
-                'workshop_url'    => $workshop ? get_permalink($workshop_id) : '',
-                'pricing_option'  => $item['pricing_option'],
-                'price'           => (float) $item['price'],
-                'price_formatted' => '$' . number_format((float) $item['price'], 2),
-                'added_at'        => $item['added_at'],
-            ];
+            $cents += (int) round((float) ($item['price'] ?? 0) * 100) * $this->get_quantity($item);
         }
 
-        return [
-            'items'           => $items,
-            'count'           => count($items),
-            'total'           => $this->get_cart_total(),
-            'total_formatted' => '$' . number_format($this->get_cart_total(), 2),
-        ];
+        return $cents / 100;
     }
 
     /**
-     * Merge guest cart with user cart on login.
+     * Get cart total after bundle and promo code discounts.
      *
-     * @param int $user_id WordPress user ID.
-     *
-     * @return void
+     * @return float
      */
-    public function merge_on_login(int $user_id): void
+    public function get_cart_total(): float
     {
-        // Get guest cart.
-        $guest_cart = $this->storage->get_cart_data();
+        return max(0.0, round($this->get_cart_subtotal() - $this->get_discounts()['total'], 2));
+    }
+
+    /**
+     * Apply a promo code to the cart.
+     *
+     * One code applies at a time; a new code replaces the current one.
+     *
+     * @param string $code Promo code as typed.
+     *
+     * @return array{success: bool, message: string, cart: array}
+     */
+    public function apply_promo_code(string $code): array
+    {
+        $cart = $this->get_cart();
+        $promo = $this->promo_code_cpt->get_by_code($code);
+        $error = $promo === null
+            ? __('This promo code is not valid.', 'fields-bright-enrollment')
+            : $this->get_promo_error($promo, $cart);
+
+        if ($error !== '') {
+            $this->logger->info('Promo code rejected', [
+                'code'  => PromoCodeCPT::normalize_code($code),
+                'error' => $error,
+            ]);
+            return [
+                'success' => false,
+                'message' => $error,
+                'cart'    => $cart,
+            ];
+        }
+
+        $this->storage->save_promo_code($promo['code'], get_current_user_id());
+
+        $this->logger->info('Promo code applied', [
+            'code'     => $promo['code'],
+            'promo_id' => $promo['id'],
+        ]);
+
+        return [
+            'success' => true,
+            'message' => sprintf(
+                /* translators: %s: promo code */
+                __('Promo code %s applied.', 'fields-bright-enrollment'),
+                $promo['code']
+            ),
+            'cart'    => $cart,
+        ];
+    }
+
+    /**
+     * Remove the promo code from the cart.
+     *
+     * @return array{success: bool, message: string, cart: array}
+     */
+    public function remove_promo_code(): array
+    {
+        $this->storage->save_promo_code('', get_current_user_id());
+
+        return [
+            'success' => true,
+            'message' => __('Promo code removed.', 'fields-bright-enrollment'),
+            'cart'    => $this->get_cart(),
+        ];
+    }
+
+    /**
+     * Get the promo code applied to the cart.
+     *
+     * @return array{code: string, promo: array|null, error: string}|null Null when no code is applied.
+     *         `promo` is null when the code has since been deleted or unpublished;
+     *         `error` is set when the code no longer applies.
+     */
+    public function get_promo_code(): ?array
+    {
+        $code = $this->storage->get_promo_code(get_current_user_id());
+
+        if ($code === '') {
+            return null;
+        }
+
+        $promo = $this->promo_code_cpt->get_by_code($code);
+
+        return [
+            'code'  => $code,
+            'promo' => $promo,
+            'error' => $promo === null
+                ? __('This promo code is no longer valid.', 'fields-bright-enrollment')
+                : $this->get_promo_error($promo, $this->get_cart()),
+        ];
+    }
+
+    /**
+     * Get the bundle and promo code discounts, split across cart items.
+     *
+     * The bundle with the biggest discount applies first, then the promo
+     * code applies to what is left of each line. Every item knows its share
+     * for enrollment records and refunds.
+     *
+     * @return array{code: string, promo_id: int, promo_total: float, bundle: array|null, bundle_total: float, total: float, items: array<int, float>} Item discounts keyed by workshop ID.
+     */
+    public function get_discounts(): array
+    {
+        $discounts = [
+            'code'         => '',
+            'promo_id'     => 0,
+            'promo_total'  => 0.0,
+            'bundle'       => null,
+            'bundle_total' => 0.0,
+            'total'        => 0.0,
+            'items'        => [],
+        ];
+        $cart = $this->get_cart();
+        $lines = [];
+        foreach ($cart as $item) {
+            $lines[(int) $item['workshop_id']] = (int) round((float) $item['price'] * 100) * $this->get_quantity($item);
+        }
+
+        $bundle_shares = [];
+        foreach ($this->bundle_cpt->get_active_bundles() as $bundle) {
+            $covered = array_intersect_key($lines, array_flip($this->get_bundle_workshops($bundle, $cart)));
+
+            if (count($covered) < BundleCPT::get_required_count($bundle)) {
+                continue;
+            }
+
+            $shares = $this->split_discount($bundle['type'], $bundle['amount'], $covered);
+            if (array_sum($shares) > array_sum($bundle_shares)) {
+                $bundle_shares = $shares;
+                $discounts['bundle'] = $bundle;
+            }
+        }
+
+        $promo_shares = [];
+        $applied = $this->get_promo_code();
+        if ($applied !== null && $applied['error'] === '') {
+            $promo = $applied['promo'];
+            $eligible = [];
+            foreach ($lines as $workshop_id => $line) {
+                if ($this->is_promo_eligible($promo, $workshop_id)) {
+                    $eligible[$workshop_id] = $line - ($bundle_shares[$workshop_id] ?? 0);
+                }
+            }
+
+            $promo_shares = $this->split_discount($promo['type'], $promo['amount'], $eligible);
+            $discounts['code'] = $promo['code'];
+            $discounts['promo_id'] = $promo['id'];
+        }
+
+        foreach (array_keys($bundle_shares + $promo_shares) as $workshop_id) {
+            $discounts['items'][$workshop_id] = (($bundle_shares[$workshop_id] ?? 0) + ($promo_shares[$workshop_id] ?? 0)) / 100;
+        }
+
+        $discounts['bundle_total'] = array_sum($bundle_shares) / 100;
+        $discounts['promo_total'] = array_sum($promo_shares) / 100;
+        $discounts['total'] = (array_sum($bundle_shares) + array_sum($promo_shares)) / 100;
+
+        return $discounts;
+    }
+
+    /**
+     * Split a discount across cart lines.
+     *
+     * Percentage discounts take the percentage off each line. Fixed
+     * discounts are capped at the lines' subtotal and split in proportion
+     * to their totals.
+     *
+     * @param string          $type   `percent` or `fixed`.
+     * @param float           $amount Percentage, or amount in dollars.
+     * @param array<int, int> $lines  Line totals in cents, keyed by workshop ID.
+     *
+     * @return array<int, int> Shares in cents, keyed by workshop ID.
+     */
+    private function split_discount(string $type, float $amount, array $lines): array
+    {
+        // Work in cents so the shares add up to the total exactly; the
+        // last line of a fixed discount takes the rounding difference.
+        $subtotal = array_sum($lines);
+        $fixed = min($subtotal, (int) round($amount * 100));
+        $allocated = 0;
+        $remaining = count($lines);
+        $shares = [];
+
+        foreach ($lines as $workshop_id => $line) {
+            $remaining--;
+
+            if ($type === 'percent') {
+                $share = (int) round($line * min(100, $amount) / 100);
+            } else {
+                $share = $remaining === 0 ? $fixed - $allocated : (int) round($fixed * $line / max(1, $subtotal));
+                $share = min($line, $share);
+                $allocated += $share;
+            }
+
+            $shares[$workshop_id] = $share;
+        }
+
+        return $shares;
+    }
+
+    /**
+     * Get the cart workshops that count toward a bundle.
+     *
+     * @param array $bundle Bundle data, see BundleCPT::get_bundle().
+     * @param array $cart   Cart items.
+     *
+     * @return int[] Workshop IDs.
+     */
+    private function get_bundle_workshops(array $bundle, array $cart): array
+    {
+        $workshop_ids = array_map('intval', array_column($cart, 'workshop_id'));
+
+        return array_values(array_filter($workshop_ids, static function (int $workshop_id) use ($bundle): bool {
+            return BundleCPT::includes_workshop($bundle, $workshop_id);
+        }));
+    }
+
+    /**
+     * Suggest what to add to the cart for a bundle discount.
+     *
+     * Picks the bundle that needs the fewest extra workshops among those
+     * the cart has already started. Nothing is suggested once a bundle applies.
+     *
+     * @return array{bundle_id: int, message: string, url: string}|null
+     */
+    public function get_bundle_nudge(): ?array
+    {
+        $cart = $this->get_cart();
+
+        if (empty($cart) || $this->get_discounts()['bundle'] !== null) {
+            return null;
+        }
+
+        $best = null;
+        $best_missing = PHP_INT_MAX;
+        foreach ($this->bundle_cpt->get_active_bundles() as $bundle) {
+            $in_cart = count($this->get_bundle_workshops($bundle, $cart));
+            $missing = BundleCPT::get_required_count($bundle) - $in_cart;
+
+            if ($in_cart > 0 && $missing > 0 && $missing < $best_missing) {
+                $best = $bundle;
+                $best_missing = $missing;
+            }
+        }
+
+        if ($best === null) {
+            return null;
+        }
+
+        $saving = PromoCodeCPT::format_discount($best);
+
+        if ($best['rule'] === 'workshops') {
+            $missing_ids = array_values(array_diff($best['workshop_ids'], array_map('intval', array_column($cart, 'workshop_id'))));
+
+            return [
+                'bundle_id' => $best['id'],
+                'message'   => sprintf(
+                    /* translators: 1: workshop titles, 2: discount, e.g. "$40.00 off", 3: bundle name */
+                    __('Add %1$s to get %2$s with the %3$s bundle.', 'fields-bright-enrollment'),
+                    wp_sprintf_l('%l', array_map('get_the_title', $missing_ids)),
+                    $saving,
+                    $best['name']
+                ),
+                'url'       => (string) get_permalink($missing_ids[0]),
+            ];
+        }
+
+        $term = get_term($best['category_id'], 'category');
+        $term_link = $term instanceof \WP_Term ? get_term_link($term) : '';
+
+        return [
+            'bundle_id' => $best['id'],
+            'message'   => sprintf(
+                /* translators: 1: number of workshops, 2: category name, 3: discount, e.g. "15% off" */
+                _n(
+                    'Add %1$d more %2$s workshop to get %3$s.',
+                    'Add %1$d more %2$s workshops to get %3$s.',
+                    $best_missing,
+                    'fields-bright-enrollment'
+                ),
+                $best_missing,
+                $term instanceof \WP_Term ? $term->name : '',
+                $saving
+            ),
+            'url'       => is_string($term_link) ? $term_link : '',
+        ];
+    }
+
+    /**
+     * Check whether a promo code applies to the given cart.
+     *
+     * @param array $promo Promo code data, see PromoCodeCPT::get_promo().
+     * @param array $cart  Cart items.
+     *
+     * @return string Empty when it applies, otherwise the reason it does not.
+     */
+    private function get_promo_error(array $promo, array $cart): string
+    {
+        if (empty($cart)) {
+            return __('Add a workshop to your cart before applying a promo code.', 'fields-bright-enrollment');
+        }
+
+        $error = $this->promo_code_cpt->get_unusable_reason($promo);
+        if ($error !== '') {
+            return $error;
+        }
+
+        foreach ($cart as $item) {
+            if ($this->is_promo_eligible($promo, (int) $item['workshop_id'])) {
+                return '';
+            }
+        }
+
+        return __('This promo code does not apply to the workshops in your cart.', 'fields-bright-enrollment');
+    }
+
+    /**
+     * Check whether a promo code covers a workshop.
+     *
+     * @param array $promo       Promo code data.
+     * @param int   $workshop_id Workshop post ID.
+     *
+     * @return bool
+     */
+    private function is_promo_eligible(array $promo, int $workshop_id): bool
+    {
+        return empty($promo['workshop_ids']) || in_array($workshop_id, $promo['workshop_ids'], true);
+    }
+
+    /**
+     * Validate all cart items.
+     *
+     * Each problem is reported per workshop with a code, whether it blocks
+     * checkout, and the fixes the customer can apply from the cart
+     * (`remove`, `switch_option`, `waitlist`). Non-blocking issues such as a
+     * changed price or an ended early-bird option are corrected in the
+     * stored cart.
+     *
+     * @return array{valid: bool, errors: array, cart: array}
+     */
+    public function validate_cart(): array
+    {
+        $cart = $this->get_cart();
+        $errors = [];
+        $valid_items = [];
+        $changed = false;
+
+        foreach ($cart as $key => $item) {
+            $issue = $this->validate_item($item);
+
+            if ($issue === null) {
+                $valid_items[] = $item;
+                continue;
+            }
+
+            $errors[] = array_merge([
+                'workshop_id'    => $item['workshop_id'],
+                'workshop_title' => $item['workshop_title'] ?? '',
+            ], $issue);
+
+            if (! $issue['blocking']) {
+                // Re-price so checkout charges the current amount.
+                if (isset($issue['price'])) {
+                    $cart[$key]['price'] = $issue['price'];
+                    $changed = true;
+                }
+                if (isset($issue['pricing_option'])) {
+                    $cart[$key]['pricing_option'] = $issue['pricing_option'];
+                    $changed = true;
+                }
+                $valid_items[] = $cart[$key];
+            }
+        }
+
+        if ($changed) {
+            $this->save_cart($cart);
+        }
+
+        $blocking = array_filter($errors, static function (array $error): bool {
+            return $error['blocking'];
+        });
+
+        if (! empty($errors)) {
+            $this->logger->info('Cart validation found issues', [
+                'issues'   => array_column($errors, 'code', 'workshop_id'),
+                'blocking' => count($blocking),
+            ]);
+        }
+
+        return [
+            'valid'  => empty($blocking),
+            'errors' => $errors,
+            'cart'   => $valid_items,
+        ];
+    }
+
+    /**
+     * Validate a single cart item.
+     *
+     * @param array $item Cart item data.
+     *
+     * @return array{code: string, error: string, blocking: bool, fixes: string[], pricing_options?: array, price?: float, pricing_option?: string}|null Null when the item is valid.
+     */
+    private function validate_item(array $item): ?array
+    {
+        $workshop_id = (int) $item['workshop_id'];
+        $pricing_option = (string) ($item['pricing_option'] ?? '');
+
+        $validation = $this->validate_workshop($workshop_id);
+        if (! $validation['valid']) {
+            return [
+                'code'     => $validation['code'],
+                'error'    => $validation['error'],
+                'blocking' => true,
+                'fixes'    => ['remove'],
+            ];
+        }
+
+        // The workshop may have filled up since it was added. Seats the
+        // visitor holds are theirs to use; a waitlist claim covers one.
+        $quantity = $this->get_quantity($item);
+        $available = $this->get_available_seats($workshop_id);
+
+        if ($available !== null
+            && $available < $quantity
+            && ! ($quantity === 1 && $this->has_waitlist_claim($workshop_id))
+        ) {
+            if ($available <= 0) {
+                return [
+                    'code'     => 'workshop_full',
+                    'error'    => __('This workshop is now full.', 'fields-bright-enrollment'),
+                    'blocking' => true,
+                    'fixes'    => WorkshopMetaBox::is_waitlist_enabled($workshop_id) ? ['remove', 'waitlist'] : ['remove'],
+                ];
+            }
+
+            return [
+                'code'      => 'not_enough_seats',
+                'error'     => sprintf(
+                    /* translators: %d: number of seats left */
+                    _n('Only %d seat is left. Remove attendees to continue.', 'Only %d seats are left. Remove attendees to continue.', $available, 'fields-bright-enrollment'),
+                    $available
+                ),
+                'blocking'  => true,
+                'fixes'     => ['remove'],
+                'available' => $available,
+            ];
+        }
+
+        // Stripe collects the buyer's name; extra attendees need their own.
+        if ($quantity > 1 && in_array('', array_column($this->get_attendees($item), 'name'), true)) {
+            return [
+                'code'     => 'attendee_name_missing',
+                'error'    => __('Please enter a name for each attendee.', 'fields-bright-enrollment'),
+                'blocking' => true,
+                'fixes'    => [],
+            ];
+        }
+
+        // Gifts are emailed to the recipient, so both name and email are needed.
+        $gift = $this->get_gift($item);
+        if ($gift !== null && ($gift['name'] === '' || ! is_email($gift['email']))) {
+            return [
+                'code'     => 'gift_recipient_missing',
+                'error'    => __('Please enter the gift recipient\'s name and email.', 'fields-bright-enrollment'),
+                'blocking' => true,
+                'fixes'    => [],
+            ];
+        }
+
+        // The selected pricing option may have been removed.
+        $options = WorkshopMetaBox::get_pricing_options($workshop_id);
+        if ($pricing_option !== '' && ! empty($options) && ! in_array($pricing_option, array_column($options, 'id'), true)) {
+            return [
+                'code'            => 'pricing_option_unavailable',
+                'error'           => __('The pricing option you selected is no longer available.', 'fields-bright-enrollment'),
+                'blocking'        => true,
+                'fixes'           => ['switch_option', 'remove'],
+                'pricing_options' => $this->get_item_details($item)['pricing_options'],
+            ];
+        }
+
+        // Dated options, like early-bird prices, end on their own. The item
+        // moves to the option that checkout would pick now, at its price.
+        if ($pricing_option !== '' && ! WorkshopMetaBox::can_choose_pricing_option($workshop_id, $pricing_option)) {
+            $fallback = WorkshopMetaBox::get_pricing_option($workshop_id);
+            $fallback_id = $fallback['id'] ?? '';
+            $price = WorkshopMetaBox::get_effective_price($workshop_id, $fallback_id ?: null);
+
+            if (! $price || $price <= 0) {
+                return [
+                    'code'            => 'pricing_option_unavailable',
+                    'error'           => __('The pricing option you selected is no longer available.', 'fields-bright-enrollment'),
+                    'blocking'        => true,
+                    'fixes'           => ['remove'],
+                    'pricing_options' => [],
+                ];
+            }
+
+            $expired = $options[array_search($pricing_option, array_column($options, 'id'), true)];
+
+            return [
+                'code'           => 'pricing_option_expired',
+                'error'          => sprintf(
+                    /* translators: 1: pricing option label, 2: new price */
+                    __('%1$s pricing has ended. The price is now %2$s.', 'fields-bright-enrollment'),
+                    $expired['label'],
+                    EnrollmentSystem::format_price($price)
+                ),
+                'blocking'       => false,
+                'fixes'          => [],
+                'price'          => $price,
+                'pricing_option' => $fallback_id,
+            ];
+        }
+
+        // A pay-what-you-can amount only changes if the range no longer includes it.
+        $current_price = WorkshopMetaBox::get_effective_price($workshop_id, $pricing_option, (float) $item['price']);
+        if ($current_price !== null && abs($current_price - (float) $item['price']) > 0.001) {
+            return [
+                'code'     => 'price_changed',
+                'error'    => sprintf(
+                    /* translators: %s: new price */
+                    __('The price of this workshop has changed to %s.', 'fields-bright-enrollment'),
+                    EnrollmentSystem::format_price($current_price)
+                ),
+                'blocking' => false,
+                'fixes'    => [],
+                'price'    => $current_price,
+            ];
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the seats the current visitor can still book on a workshop.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return int|null Remaining seats plus those the visitor holds, or null if unlimited.
+     */
+    private function get_available_seats(int $workshop_id): ?int
+    {
+        $remaining = WorkshopMetaBox::get_remaining_spots($workshop_id);
+
+        if ($remaining === null) {
+            return null;
+        }
+
+        $hold = SeatHolds::get_hold($workshop_id, $this->get_hold_key());
+
+        return $remaining + ($hold ? $hold['seats'] : 0);
+    }
+
+    /**
+     * Get the key the current visitor's seat holds are stored under.
+     *
+     * @param int|null $user_id Optional user ID, defaults to the current user.
+     *
+     * @return string
+     */
+    public function get_hold_key(?int $user_id = null): string
+    {
+        $user_id = $user_id ?? get_current_user_id();
+
+        return $user_id ? 'user_' . $user_id : 'session_' . $this->storage->get_session_id();
+    }
+
+    /**
+     * Get the current visitor's hold key without starting a cart session.
+     *
+     * @return string Holder key, empty for a guest who has no session yet
+     *                and so cannot hold any seats.
+     */
+    public function get_visitor_hold_key(): string
+    {
+        if (! is_user_logged_in() && ! $this->storage->has_session()) {
+            return '';
+        }
+
+        return $this->get_hold_key();
+    }
+
+    /**
+     * Hold seats for every item in the cart.
+     *
+     * Called when checkout starts, to keep the seats for the length of the
+     * Stripe Checkout session.
+     *
+     * @param int    $expires          Expiry as a Unix timestamp.
+     * @param string $checkout_session Optional Stripe Checkout session ID.
+     *
+     * @return int[] Workshop IDs that no longer have a seat to hold.
+     */
+    public function hold_seats(int $expires, string $checkout_session = ''): array
+    {
+        $cart = $this->get_cart();
+        $unavailable = [];
+
+        if (empty($cart)) {
+            return $unavailable;
+        }
+
+        $holder = $this->get_hold_key();
+
+        foreach ($cart as $item) {
+            $workshop_id = (int) $item['workshop_id'];
+
+            if (! SeatHolds::place($workshop_id, $holder, $expires, $checkout_session, $this->get_quantity($item))
+                && ! ($this->get_quantity($item) === 1 && $this->has_waitlist_claim($workshop_id))
+            ) {
+                $unavailable[] = $workshop_id;
+            }
+        }
+
+        return $unavailable;
+    }
+
+    /**
+     * Get the seconds left on the visitor's hold for a workshop.
+     *
+     * @param int    $workshop_id Workshop post ID.
+     * @param string $holder      Holder key.
+     *
+     * @return int|null Seconds left, 0 when the seat is not held, or null
+     *                  when no hold is needed (holds off, no capacity limit
+     *                  or a waitlist claim).
+     */
+    private function get_hold_expires_in(int $workshop_id, string $holder): ?int
+    {
+        if (! SeatHolds::is_enabled()
+            || WorkshopMetaBox::get_capacity($workshop_id) <= 0
+            || $this->has_waitlist_claim($workshop_id)
+        ) {
+            return null;
+        }
+
+        $hold = SeatHolds::get_hold($workshop_id, $holder);
+
+        return $hold ? max(0, $hold['expires'] - time()) : 0;
+    }
+
+    /**
+     * Check whether the current visitor holds a waitlist claim for a workshop.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return bool
+     */
+    private function has_waitlist_claim(int $workshop_id): bool
+    {
+        // Shared instance: constructing the handler registers its hooks again.
+        $claim_handler = EnrollmentSystem::instance()->get_waitlist_claim_handler();
+        $claim_data = $claim_handler ? $claim_handler->get_claim_data() : false;
+
+        return $claim_data && (int) $claim_data['workshop_id'] === $workshop_id;
+    }
+
+    /**
+     * Validate a workshop for cart addition.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return array{valid: bool, code?: string, error?: string}
+     */
+    private function validate_workshop(int $workshop_id): array
+    {
+        $workshop = get_post($workshop_id);
+
+        if (! $workshop || $workshop->post_status !== 'publish') {
+            return [
+                'valid' => false,
+                'code'  => 'workshop_unavailable',
+                'error' => __('Workshop not found or not available.', 'fields-bright-enrollment'),
+            ];
+        }
+
+        if (! WorkshopMetaBox::is_checkout_enabled($workshop_id)) {
+            return [
+                'valid' => false,
+                'code'  => 'checkout_disabled',
+                'error' => __('Online enrollment is not available for this workshop.', 'fields-bright-enrollment'),
+            ];
+        }
+
+        // Seats the visitor already holds are theirs, not taken.
+        $can_enroll = WorkshopMetaBox::can_enroll($workshop_id, $this->get_hold_key());
+        if (! $can_enroll['allowed'] && ! $can_enroll['waitlist']) {
+            return [
+                'valid' => false,
+                'code'  => 'workshop_full',
+                'error' => $can_enroll['reason'],
+            ];
+        }
+
+        return ['valid' => true];
+    }
+
+    /**
+     * Save cart data.
+     *
+     * @param array $cart Cart data.
+     *
+     * @return bool
+     */
+    private function save_cart(array $cart): bool
+    {
+        $user_id = get_current_user_id();
+        
+        if ($user_id) {
+            return $this->storage->save_to_user($user_id, $cart);
+        }
+        
+        return $this->storage->save_cart_data($cart);
+    }
+
+    /**
+     * Get display details for a cart item.
+     *
+     * Shared by the cart summary shortcode and the REST response so that
+     * rows rendered client-side match the server markup.
+     *
+     * @param array $item Cart item data.
+     *
+     * @return array{pricing_label: string, pricing_options: array, amount_range: array|null, price_deadline: array|null, pricing_expired: bool, thumbnail: string, schedule: string, date: string, location: string}
+     */
+    public function get_item_details(array $item): array
+    {
+        $workshop_id = (int) $item['workshop_id'];
+        $pricing_option = (string) ($item['pricing_option'] ?? '');
+
+        // Get pricing option label and the options the item can switch to.
+        $pricing_label = '';
+        $price_deadline = null;
+        foreach (WorkshopMetaBox::get_pricing_options($workshop_id) as $option) {
+            if ($pricing_option !== '' && $option['id'] === $pricing_option) {
+                $pricing_label = $option['label'];
+                $price_deadline = WorkshopMetaBox::get_price_deadline($workshop_id, $option);
+            }
+        }
+
+        $pricing_options = [];
+        foreach (WorkshopMetaBox::get_available_pricing_options($workshop_id) as $option) {
+            $pricing_options[] = [
+                'id'              => $option['id'],
+                'label'           => $option['label'],
+                'type'            => WorkshopMetaBox::is_sliding_scale($option) ? 'sliding' : 'fixed',
+                'price'           => (float) $option['price'],
+                'price_formatted' => EnrollmentSystem::format_price((float) $option['price']),
+                'price_label'     => WorkshopMetaBox::format_option_price($option),
+                'min'             => (float) ($option['min'] ?? 0),
+                'max'             => (float) ($option['max'] ?? 0),
+            ];
+        }
+
+        // Range of the amount field shown for pay-what-you-can options.
+        $amount_range = null;
+        $selected = WorkshopMetaBox::get_pricing_option($workshop_id, $pricing_option);
+        if ($selected !== null && WorkshopMetaBox::is_sliding_scale($selected)) {
+            $amount_range = [
+                'min'       => (float) ($selected['min'] ?? 0),
+                'max'       => (float) ($selected['max'] ?? 0),
+                'suggested' => (float) $selected['price'],
+                'hint'      => WorkshopMetaBox::get_amount_hint($selected),
+            ];
+        }
+
+        // Get workshop details.
+        $event_start = get_post_meta($workshop_id, WorkshopMetaBox::META_PREFIX . 'start_datetime', true);
+        $recurring_info = get_post_meta($workshop_id, WorkshopMetaBox::META_PREFIX . 'recurring_date_info', true);
+        $location = get_post_meta($workshop_id, WorkshopMetaBox::META_PREFIX . 'location', true);
+
+        return [
+            'pricing_label'   => $pricing_label,
+            'pricing_options' => $pricing_options,
+            'amount_range'    => $amount_range,
+            'price_deadline'  => $price_deadline,
+            'pricing_expired' => $pricing_option !== '' && $pricing_label !== ''
+                && ! WorkshopMetaBox::can_choose_pricing_option($workshop_id, $pricing_option),
+            'thumbnail'       => (string) get_the_post_thumbnail_url($workshop_id, 'thumbnail'),
+            'schedule'        => (string) $recurring_info,
+            'date'            => $event_start ? date_i18n(get_option('date_format'), strtotime($event_start)) : '',
+            'location'        => (string) $location,
+        ];
+    }
+
+    /**
+     * Get cart for REST API response.
+     *
+     * @return array Formatted cart data for API.
+     */
+    public function get_cart_for_api(): array
+    {
+        $cart = $this->get_cart();
+        $items = [];
+        $holder = empty($cart) ? '' : $this->get_hold_key();
+        $discounts = $this->get_discounts();
+
+        foreach ($cart as $item) {
+            $workshop_id = $item['workshop_id'];
+            $workshop = get_post($workshop_id);
+            
+            $details = $this->get_item_details($item);
+            $quantity = $this->get_quantity($item);
+            $line_total = (float) $item['price'] * $quantity;
+            $line_discount = $discounts['items'][(int) $workshop_id] ?? 0.0;
+
+            $items[] = [
+                'workshop_id'          => $workshop_id,
+                'workshop_title'       => $workshop ? $workshop->post_title : $item['workshop_title'],
+                'workshop_url'         => $workshop ? get_permalink($workshop_id) : '',
+                'pricing_option'       => $item['pricing_option'],
+                'pricing_label'        => $details['pricing_label'],
+                'pricing_options'      => $details['pricing_options'],
+                'amount_range'         => $details['amount_range'],
+                'price_deadline'       => $details['price_deadline'],
+                'pricing_expired'      => $details['pricing_expired'],
+                'price'                => (float) $item['price'],
+                'price_formatted'      => EnrollmentSystem::format_price((float) $item['price']),
+                'quantity'             => $quantity,
+                'attendees'            => $this->get_attendees($item),
+                'gift'                 => $this->get_gift($item),
+                'line_total'           => $line_total,
+                'line_total_formatted' => EnrollmentSystem::format_price($line_total),
+                'discount'             => $line_discount,
+                'thumbnail'            => $details['thumbnail'],
+                'schedule'             => $details['schedule'],
+                'date'                 => $details['date'],
+                'location'             => $details['location'],
+                'added_at'             => $item['added_at'],
+                'hold_expires_in'      => $this->get_hold_expires_in((int) $workshop_id, $holder),
+            ];
+        }
+
+        $subtotal = $this->get_cart_subtotal();
+        $total = max(0.0, round($subtotal - $discounts['total'], 2));
+        $applied = empty($cart) ? null : $this->get_promo_code();
+        $promo = null;
+
+        if ($applied !== null) {
+            $promo = [
+                'code'               => $applied['code'],
+                'label'              => $applied['promo'] ? PromoCodeCPT::format_discount($applied['promo']) : '',
+                'discount'           => $discounts['promo_total'],
+                'discount_formatted' => EnrollmentSystem::format_price($discounts['promo_total']),
+                'error'              => $applied['error'],
+            ];
+        }
+
+        return [
+            'items'              => $items,
+            'count'              => count($items),
+            'subtotal'           => $subtotal,
+            'subtotal_formatted' => EnrollmentSystem::format_price($subtotal),
+            'discount'           => $discounts['total'],
+            'discount_formatted' => EnrollmentSystem::format_price($discounts['total']),
+            'promo'              => $promo,
+            'bundle'             => $this->get_bundle_for_api($discounts),
+            'bundle_nudge'       => empty($cart) ? null : $this->get_bundle_nudge(),
+            'total'              => $total,
+            'total_formatted'    => EnrollmentSystem::format_price($total),
+            'currency'           => strtoupper(EnrollmentSystem::get_currency()),
+            'saved'              => $this->get_saved_for_api(),
+        ];
+    }
+
+    /**
+     * Describe the applied bundle for the REST response.
+     *
+     * @param array $discounts Cart discounts, see get_discounts().
+     *
+     * @return array{id: int, name: string, label: string, discount: float, discount_formatted: string, workshop_ids: int[]}|null
+     */
+    private function get_bundle_for_api(array $discounts): ?array
+    {
+        $bundle = $discounts['bundle'];
+
+        if ($bundle === null) {
+            return null;
+        }
+
+        return [
+            'id'                 => $bundle['id'],
+            'name'               => $bundle['name'],
+            'label'              => PromoCodeCPT::format_discount($bundle),
+            'discount'           => $discounts['bundle_total'],
+            'discount_formatted' => EnrollmentSystem::format_price($discounts['bundle_total']),
+            'workshop_ids'       => $this->get_bundle_workshops($bundle, $this->get_cart()),
+        ];
+    }
+
+    /**
+     * Get the saved-for-later list of the current visitor.
+     *
+     * @return array Saved entries, each with `workshop_id` and `saved_at`.
+     */
+    public function get_saved(): array
+    {
+        return $this->storage->get_saved_workshops(get_current_user_id());
+    }
+
+    /**
+     * Check if a workshop is on the saved-for-later list.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return bool
+     */
+    public function is_saved(int $workshop_id): bool
+    {
+        return in_array($workshop_id, array_map('intval', array_column($this->get_saved(), 'workshop_id')), true);
+    }
+
+    /**
+     * Save a workshop for later.
+     *
+     * Full workshops can be saved; they can't be moved to the cart until
+     * a seat opens up.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return array{success: bool, message: string, saved: array}
+     */
+    public function save_for_later(int $workshop_id): array
+    {
+        $saved = $this->get_saved();
+
+        $validation = $this->validate_workshop($workshop_id);
+        if (! $validation['valid'] && $validation['code'] !== 'workshop_full') {
+            return [
+                'success' => false,
+                'message' => $validation['error'],
+                'saved'   => $saved,
+            ];
+        }
+
+        if (! $this->is_saved($workshop_id)) {
+            $saved[] = [
+                'workshop_id' => $workshop_id,
+                'saved_at'    => current_time('mysql'),
+            ];
+            $this->storage->save_saved_workshops($saved, get_current_user_id());
+
+            $this->logger->info('Workshop saved for later', [
+                'workshop_id' => $workshop_id,
+                'saved_count' => count($saved),
+            ]);
+        }
+
+        return [
+            'success' => true,
+            'message' => __('Workshop saved for later.', 'fields-bright-enrollment'),
+            'saved'   => $saved,
+        ];
+    }
+
+    /**
+     * Remove a workshop from the saved-for-later list.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return array{success: bool, message: string, saved: array}
+     */
+    public function remove_saved(int $workshop_id): array
+    {
+        $saved = $this->get_saved();
+        $remaining = array_values(array_filter(
+            $saved,
+            static function (array $entry) use ($workshop_id): bool {
+                return (int) $entry['workshop_id'] !== $workshop_id;
+            }
+        ));
+
+        if (count($remaining) === count($saved)) {
+            return [
+                'success' => false,
+                'message' => __('This workshop is not in your saved list.', 'fields-bright-enrollment'),
+                'saved'   => $saved,
+            ];
+        }
+
+        $this->storage->save_saved_workshops($remaining, get_current_user_id());
+
+        $this->logger->info('Saved workshop removed', [
+            'workshop_id' => $workshop_id,
+            'saved_count' => count($remaining),
+        ]);
+
+        return [
+            'success' => true,
+            'message' => __('Workshop removed from your saved list.', 'fields-bright-enrollment'),
+            'saved'   => $remaining,
+        ];
+    }
+
+    /**
+     * Move a saved workshop into the cart.
+     *
+     * The workshop is added with its default pricing option and leaves the
+     * saved list only once it is in the cart.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return array{success: bool, message: string, cart: array}
+     */
+    public function move_to_cart(int $workshop_id): array
+    {
+        if (! $this->is_saved($workshop_id)) {
+            return [
+                'success' => false,
+                'message' => __('This workshop is not in your saved list.', 'fields-bright-enrollment'),
+                'cart'    => $this->get_cart(),
+            ];
+        }
+
+        $in_cart = in_array($workshop_id, array_map('intval', array_column($this->get_cart(), 'workshop_id')), true);
+
+        if (! $in_cart) {
+            $result = $this->add_to_cart($workshop_id);
+
+            if (! $result['success']) {
+                return $result;
+            }
+        }
+
+        $this->remove_saved($workshop_id);
+
+        $this->logger->info('Saved workshop moved to cart', ['workshop_id' => $workshop_id]);
+
+        return [
+            'success' => true,
+            'message' => __('Workshop moved to cart.', 'fields-bright-enrollment'),
+            'cart'    => $this->get_cart(),
+        ];
+    }
+
+    /**
+     * Get the saved-for-later list for REST API responses.
+     *
+     * Workshops that have since been unpublished are left out.
+     *
+     * @return array{items: array, count: int}
+     */
+    public function get_saved_for_api(): array
+    {
+        $cart_ids = array_map('intval', array_column($this->get_cart(), 'workshop_id'));
+        $items = [];
+
+        foreach ($this->get_saved() as $entry) {
+            $workshop_id = (int) $entry['workshop_id'];
+            $workshop = get_post($workshop_id);
+
+            if (! $workshop || $workshop->post_status !== 'publish') {
+                continue;
+            }
+
+            $details = $this->get_item_details(['workshop_id' => $workshop_id]);
+            $validation = $this->validate_workshop($workshop_id);
+            $price = (float) WorkshopMetaBox::get_effective_price($workshop_id, '');
+
+            $items[] = [
+                'workshop_id'     => $workshop_id,
+                'workshop_title'  => $workshop->post_title,
+                'workshop_url'    => get_permalink($workshop_id),
+                'price'           => $price,
+                'price_formatted' => EnrollmentSystem::format_price($price),
+                'thumbnail'       => $details['thumbnail'],
+                'schedule'        => $details['schedule'],
+                'date'            => $details['date'],
+                'location'        => $details['location'],
+                'available'       => $validation['valid'],
+                'unavailable'     => $validation['valid'] ? '' : $validation['error'],
+                'in_cart'         => in_array($workshop_id, $cart_ids, true),
+                'saved_at'        => $entry['saved_at'],
+            ];
+        }
+
+        return [
+            'items' => $items,
+            'count' => count($items),
+        ];
+    }
+
+    /**
+     * Merge guest cart with user cart on login.
+     *
+     * @param int $user_id WordPress user ID.
+     *
+     * @return void
+     */
+    public function merge_on_login(int $user_id): void
+    {
+        // A code applied as a guest carries over unless the account has one.
+        $guest_promo = $this->storage->get_promo_code();
+        if ($guest_promo !== '') {
+            if ($this->storage->get_promo_code($user_id) === '') {
+                $this->storage->save_promo_code($guest_promo, $user_id);
+            }
+            $this->storage->save_promo_code('');
+        }
+
+        // Workshops saved as a guest join the account's saved list.
+        $guest_saved = $this->storage->get_saved_workshops();
+        if (! empty($guest_saved)) {
+            $user_saved = $this->storage->get_saved_workshops($user_id);
+            $saved_ids = array_map('intval', array_column($user_saved, 'workshop_id'));
+
+            foreach ($guest_saved as $entry) {
+                if (! in_array((int) $entry['workshop_id'], $saved_ids, true)) {
+                    $user_saved[] = $entry;
+                }
+            }
+
+            $this->storage->save_saved_workshops($user_saved, $user_id);
+            $this->storage->save_saved_workshops([]);
+        }
+
+        // Get guest cart.
+        $guest_cart = $this->storage->get_cart_data();
         
         if (empty($guest_cart)) {
             return;
@@ -444,11 +1803,22 @@ class CartManager
         // Merge carts (guest items take precedence for duplicates).
         $merged = $user_cart;
         $existing_ids = array_column($user_cart, 'workshop_id');
+        $guest_holder = $this->get_hold_key(0);
+        $user_holder = $this->get_hold_key($user_id);
 
         foreach ($guest_cart as $item) {
+            $workshop_id = (int) $item['workshop_id'];
+
             if (! in_array($item['workshop_id'], $existing_ids, true)) {
                 $merged[] = $item;
             }
+
+            // Seats held as a guest move to the account.
+            if (SeatHolds::get_hold($workshop_id, $user_holder) === null) {
+                SeatHolds::transfer($workshop_id, $guest_holder, $user_holder);
+            } else {
+                SeatHolds::release($workshop_id, $guest_holder);
+            }
         }
 
         // Save merged cart to user.
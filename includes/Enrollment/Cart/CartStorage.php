@@ -53,6 +53,34 @@ class CartStorage
      */
     public const TRANSIENT_EXPIRY = 2592000;
 
+    /**
+     * Transient prefix for a guest cart's promo code.
+     *
+     * @var string
+     */
+    public const PROMO_TRANSIENT_PREFIX = 'fb_cart_promo_';
+
+    /**
+     * User meta key for a user cart's promo code.
+     *
+     * @var string
+     */
+    public const PROMO_USER_META = '_fb_cart_promo';
+
+    /**
+     * Transient prefix for a guest's saved workshops.
+     *
+     * @var string
+     */
+    public const SAVED_TRANSIENT_PREFIX = 'fb_saved_';
+
+    /**
+     * User meta key for a user's saved workshops.
+     *
+     * @var string
+     */
+    public const SAVED_USER_META = '_fb_saved_workshops';
+
     /**
      * Current session ID.
      *
@@ -95,6 +123,16 @@ class CartStorage
         return $this->session_id;
     }
 
+    /**
+     * Check whether the visitor already has a cart session.
+     *
+     * @return bool
+     */
+    public function has_session(): bool
+    {
+        return (bool) $this->session_id;
+    }
+
     /**
      * Generate a unique session ID.
      *
@@ -269,6 +307,90 @@ class CartStorage
         return delete_user_meta($user_id, '_fb_cart_data');
     }
 
+    /**
+     * Get the promo code applied to a cart.
+     *
+     * @param int $user_id Optional user ID; 0 for the guest cart.
+     *
+     * @return string Promo code, or empty string if none.
+     */
+    public function get_promo_code(int $user_id = 0): string
+    {
+        if ($user_id) {
+            return (string) get_user_meta($user_id, self::PROMO_USER_META, true);
+        }
+
+        if (! $this->session_id) {
+            return '';
+        }
+
+        return (string) get_transient(self::PROMO_TRANSIENT_PREFIX . $this->session_id);
+    }
+
+    /**
+     * Save the promo code applied to a cart.
+     *
+     * @param string $code    Promo code; empty string removes it.
+     * @param int    $user_id Optional user ID; 0 for the guest cart.
+     *
+     * @return bool
+     */
+    public function save_promo_code(string $code, int $user_id = 0): bool
+    {
+        if ($user_id) {
+            return $code === ''
+                ? delete_user_meta($user_id, self::PROMO_USER_META)
+                : (bool) update_user_meta($user_id, self::PROMO_USER_META, $code);
+        }
+
+        if ($code === '') {
+            return $this->session_id ? delete_transient(self::PROMO_TRANSIENT_PREFIX . $this->session_id) : true;
+        }
+
+        return set_transient(self::PROMO_TRANSIENT_PREFIX . $this->get_session_id(), $code, self::TRANSIENT_EXPIRY);
+    }
+
+    /**
+     * Get the saved-for-later list.
+     *
+     * @param int $user_id Optional user ID; 0 for the guest list.
+     *
+     * @return array Saved entries.
+     */
+    public function get_saved_workshops(int $user_id = 0): array
+    {
+        if ($user_id) {
+            $data = get_user_meta($user_id, self::SAVED_USER_META, true);
+        } else {
+            $data = $this->session_id ? get_transient(self::SAVED_TRANSIENT_PREFIX . $this->session_id) : [];
+        }
+
+        return is_array($data) ? $data : [];
+    }
+
+    /**
+     * Save the saved-for-later list.
+     *
+     * @param array $saved   Saved entries; an empty list removes it.
+     * @param int   $user_id Optional user ID; 0 for the guest list.
+     *
+     * @return bool
+     */
+    public function save_saved_workshops(array $saved, int $user_id = 0): bool
+    {
+        if ($user_id) {
+            return empty($saved)
+                ? delete_user_meta($user_id, self::SAVED_USER_META)
+                : (bool) update_user_meta($user_id, self::SAVED_USER_META, $saved);
+        }
+
+        if (empty($saved)) {
+            return $this->session_id ? delete_transient(self::SAVED_TRANSIENT_PREFIX . $this->session_id) : true;
+        }
+
+        return set_transient(self::SAVED_TRANSIENT_PREFIX . $this->get_session_id(), $saved, self::TRANSIENT_EXPIRY);
+    }
+
     /**
      * Delete the session cookie.
      *
@@ -0,0 +1,343 @@
+<?php
+/**
+ * Seat Holds
+ *
+ * Temporary seat reservations for workshops sitting in a cart or in an
+ * open Stripe Checkout session. Active holds count against a workshop's
+ * remaining spots, so two customers cannot both pay for the last seat.
+ *
+ * @package FieldsBright\Enrollment\Cart
+ * @since   1.2.0
+ */
+
+namespace FieldsBright\Enrollment\Cart;
+
+use FieldsBright\Enrollment\EnrollmentSystem;
+use FieldsBright\Enrollment\MetaBoxes\WorkshopMetaBox;
+
+// Prevent direct access.
+if (! defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class SeatHolds
+ *
+ * Stores each hold as its own workshop meta row so concurrent requests
+ * never overwrite each other's holds. Expired holds are ignored when
+ * counting and pruned on the next write.
+ *
+ * @since 1.2.0
+ */
+class SeatHolds
+{
+    /**
+     * Workshop meta key for hold rows.
+     *
+     * @var string
+     */
+    public const META_KEY = WorkshopMetaBox::META_PREFIX . 'seat_hold';
+
+    /**
+     * Default hold length in minutes.
+     *
+     * @var int
+     */
+    public const DEFAULT_MINUTES = 15;
+
+    /**
+     * Shortest Stripe Checkout session lifetime Stripe accepts, in seconds.
+     *
+     * @var int
+     */
+    public const CHECKOUT_MIN_DURATION = 1800;
+
+    /**
+     * Extra time a checkout hold outlives its Stripe session, in seconds.
+     *
+     * Covers the gap between payment and the completion webhook.
+     *
+     * @var int
+     */
+    public const CHECKOUT_GRACE = 300;
+
+    /**
+     * Get the configured hold length.
+     *
+     * @return int Seconds, 0 when holds are turned off.
+     */
+    public static function get_duration(): int
+    {
+        $minutes = EnrollmentSystem::get_option('seat_hold_minutes', self::DEFAULT_MINUTES);
+
+        return min(absint($minutes), 1440) * MINUTE_IN_SECONDS;
+    }
+
+    /**
+     * Check whether seat holds are turned on.
+     *
+     * @return bool
+     */
+    public static function is_enabled(): bool
+    {
+        return self::get_duration() > 0;
+    }
+
+    /**
+     * Get the Stripe Checkout session expiry for a checkout starting now.
+     *
+     * Rounded up to the minute so concurrent retries of one checkout send
+     * Stripe identical parameters under the same idempotency key.
+     *
+     * @return int Unix timestamp.
+     */
+    public static function get_checkout_expiry(): int
+    {
+        $now = (int) ceil(time() / MINUTE_IN_SECONDS) * MINUTE_IN_SECONDS;
+
+        return $now + max(self::CHECKOUT_MIN_DURATION, self::get_duration());
+    }
+
+    /**
+     * Get the active holds on a workshop.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return array<int, array{holder: string, seats: int, expires: int, session: string, created: float}> Oldest first.
+     */
+    public static function get_active(int $workshop_id): array
+    {
+        $now = time();
+        $holds = array_filter(self::get_rows($workshop_id), static function (array $hold) use ($now): bool {
+            return $hold['expires'] > $now;
+        });
+
+        usort($holds, [self::class, 'compare']);
+
+        return array_values($holds);
+    }
+
+    /**
+     * Count the seats held on a workshop.
+     *
+     * @param int    $workshop_id    Workshop post ID.
+     * @param string $exclude_holder Optional holder whose seats are left out.
+     *
+     * @return int
+     */
+    public static function count(int $workshop_id, string $exclude_holder = ''): int
+    {
+        $seats = 0;
+
+        foreach (self::get_active($workshop_id) as $hold) {
+            if ($hold['holder'] !== $exclude_holder) {
+                $seats += $hold['seats'];
+            }
+        }
+
+        return $seats;
+    }
+
+    /**
+     * Get a holder's active hold on a workshop.
+     *
+     * @param int    $workshop_id Workshop post ID.
+     * @param string $holder      Holder key, see CartManager::get_hold_key().
+     *
+     * @return array{holder: string, seats: int, expires: int, session: string, created: float}|null
+     */
+    public static function get_hold(int $workshop_id, string $holder): ?array
+    {
+        foreach (self::get_active($workshop_id) as $hold) {
+            if ($hold['holder'] === $holder) {
+                return $hold;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Hold seats, or update the seats and expiry of an existing hold.
+     *
+     * Workshops without a capacity limit need no hold and always succeed.
+     *
+     * @param int    $workshop_id      Workshop post ID.
+     * @param string $holder           Holder key.
+     * @param int    $expires          Expiry as a Unix timestamp.
+     * @param string $checkout_session Optional Stripe Checkout session ID the hold belongs to.
+     * @param int    $seats            Number of seats (one per attendee).
+     *
+     * @return bool False when not enough seats are left to hold.
+     */
+    public static function place(int $workshop_id, string $holder, int $expires, string $checkout_session = '', int $seats = 1): bool
+    {
+        $capacity = WorkshopMetaBox::get_capacity($workshop_id);
+
+        if ($capacity <= 0) {
+            return true;
+        }
+
+        self::prune($workshop_id);
+
+        $seats = max(1, $seats);
+        $enrolled = WorkshopMetaBox::get_enrollment_count($workshop_id, 'completed');
+        $existing = self::get_hold($workshop_id, $holder);
+
+        if ($existing !== null) {
+            // Growing a hold needs the extra seats to be free.
+            if ($seats > $existing['seats'] && $enrolled + self::count($workshop_id, $holder) + $seats > $capacity) {
+                return false;
+            }
+
+            $updated = array_merge($existing, [
+                'seats'   => $seats,
+                'expires' => $expires,
+                'session' => $checkout_session !== '' ? $checkout_session : $existing['session'],
+            ]);
+            update_post_meta($workshop_id, self::META_KEY, $updated, $existing);
+
+            return true;
+        }
+
+        $hold = [
+            'holder'  => $holder,
+            'seats'   => $seats,
+            'expires' => $expires,
+            'session' => $checkout_session,
+            'created' => microtime(true),
+        ];
+        add_post_meta($workshop_id, self::META_KEY, $hold);
+
+        // Concurrent requests may both have seen the last seat free. Holds
+        // placed first keep their seats; later ones give way.
+        $ahead = 0;
+        foreach (self::get_active($workshop_id) as $other) {
+            if ($other['holder'] !== $holder && self::compare($other, $hold) < 0) {
+                $ahead += $other['seats'];
+            }
+        }
+
+        if ($enrolled + $ahead + $seats > $capacity) {
+            delete_post_meta($workshop_id, self::META_KEY, $hold);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Release a holder's seat on a workshop.
+     *
+     * @param int    $workshop_id Workshop post ID.
+     * @param string $holder      Holder key.
+     *
+     * @return void
+     */
+    public static function release(int $workshop_id, string $holder): void
+    {
+        foreach (self::get_rows($workshop_id) as $hold) {
+            if ($hold['holder'] === $holder) {
+                delete_post_meta($workshop_id, self::META_KEY, $hold);
+            }
+        }
+    }
+
+    /**
+     * Release the holds that belong to a Stripe Checkout session.
+     *
+     * Holds since moved to a newer session for the same cart are kept.
+     *
+     * @param int[]  $workshop_ids     Workshop post IDs in the session.
+     * @param string $checkout_session Stripe Checkout session ID.
+     *
+     * @return int Number of holds released.
+     */
+    public static function release_checkout_session(array $workshop_ids, string $checkout_session): int
+    {
+        $released = 0;
+
+        if ($checkout_session === '') {
+            return $released;
+        }
+
+        foreach (array_unique(array_map('absint', $workshop_ids)) as $workshop_id) {
+            foreach (self::get_rows($workshop_id) as $hold) {
+                if ($hold['session'] === $checkout_session) {
+                    delete_post_meta($workshop_id, self::META_KEY, $hold);
+                    $released++;
+                }
+            }
+        }
+
+        return $released;
+    }
+
+    /**
+     * Move a hold to another holder, e.g. when a guest logs in.
+     *
+     * @param int    $workshop_id Workshop post ID.
+     * @param string $from        Current holder key.
+     * @param string $to          New holder key.
+     *
+     * @return void
+     */
+    public static function transfer(int $workshop_id, string $from, string $to): void
+    {
+        $hold = self::get_hold($workshop_id, $from);
+
+        if ($hold === null) {
+            return;
+        }
+
+        update_post_meta($workshop_id, self::META_KEY, array_merge($hold, ['holder' => $to]), $hold);
+    }
+
+    /**
+     * Delete expired hold rows.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return void
+     */
+    private static function prune(int $workshop_id): void
+    {
+        $now = time();
+
+        foreach (self::get_rows($workshop_id) as $hold) {
+            if ($hold['expires'] <= $now) {
+                delete_post_meta($workshop_id, self::META_KEY, $hold);
+            }
+        }
+    }
+
+    /**
+     * Get all hold rows on a workshop, including expired ones.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return array Hold rows.
+     */
+    private static function get_rows(int $workshop_id): array
+    {
+        $rows = get_post_meta($workshop_id, self::META_KEY, false);
+
+        return array_values(array_filter($rows, static function ($hold): bool {
+            return is_array($hold) && isset($hold['holder'], $hold['seats'], $hold['expires'], $hold['session'], $hold['created']);
+        }));
+    }
+
+    /**
+     * Order holds by when they were placed.
+     *
+     * @param array $a First hold.
+     * @param array $b Second hold.
+     *
+     * @return int
+     */
+    private static function compare(array $a, array $b): int
+    {
+        return [$a['created'], $a['holder']] <=> [$b['created'], $b['holder']];
+    }
+}
@@ -0,0 +1,290 @@
+<?php
+/**
+ * Bundle Discount Custom Post Type
+ *
+ * Registers the bundle CPT. Each post is one rule that discounts workshops
+ * bought together: the title is the name customers see in the cart, the
+ * meta holds the discount and which workshops qualify.
+ *
+ * @package FieldsBright\Enrollment\Discounts
+ * @since   1.2.0
+ */
+
+namespace FieldsBright\Enrollment\Discounts;
+
+// Prevent direct access.
+if (! defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class BundleCPT
+ *
+ * Handles registration and lookup of bundle discounts. Only published
+ * bundles apply, so unpublishing a bundle disables it. Whether a bundle
+ * applies to a particular cart is worked out by CartManager.
+ *
+ * @since 1.2.0
+ */
+class BundleCPT
+{
+    /**
+     * Post type slug.
+     *
+     * @var string
+     */
+    public const POST_TYPE = 'fb_bundle';
+
+    /**
+     * Meta key prefix.
+     *
+     * @var string
+     */
+    public const META_PREFIX = '_bundle_';
+
+    /**
+     * Bundle rules.
+     *
+     * `category` applies to any `min_count` workshops in a category,
+     * `workshops` to a fixed set of workshops bought together.
+     *
+     * @var array<string, string>
+     */
+    public const RULES = [
+        'category'  => 'Any workshops in a category',
+        'workshops' => 'These workshops together',
+    ];
+
+    /**
+     * Whether hooks have been registered.
+     *
+     * @var bool
+     */
+    private static bool $hooks_registered = false;
+
+    /**
+     * Constructor.
+     */
+    public function __construct()
+    {
+        if (! self::$hooks_registered) {
+            $this->register_hooks();
+            self::$hooks_registered = true;
+        }
+    }
+
+    /**
+     * Register WordPress hooks.
+     *
+     * @return void
+     */
+    private function register_hooks(): void
+    {
+        add_action('init', [$this, 'register_post_type']);
+        add_filter('manage_' . self::POST_TYPE . '_posts_columns', [$this, 'set_custom_columns']);
+        add_action('manage_' . self::POST_TYPE . '_posts_custom_column', [$this, 'render_custom_column'], 10, 2);
+        add_filter('enter_title_here', [$this, 'title_placeholder'], 10, 2);
+    }
+
+    /**
+     * Register the bundle post type.
+     *
+     * @return void
+     */
+    public function register_post_type(): void
+    {
+        $labels = [
+            'name'               => _x('Bundles', 'Post Type General Name', 'fields-bright-enrollment'),
+            'singular_name'      => _x('Bundle', 'Post Type Singular Name', 'fields-bright-enrollment'),
+            'menu_name'          => __('Bundles', 'fields-bright-enrollment'),
+            'all_items'          => __('Bundles', 'fields-bright-enrollment'),
+            'add_new_item'       => __('Add New Bundle', 'fields-bright-enrollment'),
+            'add_new'            => __('Add New', 'fields-bright-enrollment'),
+            'edit_item'          => __('Edit Bundle', 'fields-bright-enrollment'),
+            'update_item'        => __('Update Bundle', 'fields-bright-enrollment'),
+            'view_item'          => __('View Bundle', 'fields-bright-enrollment'),
+            'search_items'       => __('Search Bundles', 'fields-bright-enrollment'),
+            'not_found'          => __('No bundles found', 'fields-bright-enrollment'),
+            'not_found_in_trash' => __('No bundles found in Trash', 'fields-bright-enrollment'),
+        ];
+
+        $args = [
+            'label'               => __('Bundle', 'fields-bright-enrollment'),
+            'description'         => __('Discounts for workshops bought together', 'fields-bright-enrollment'),
+            'labels'              => $labels,
+            'supports'            => ['title'],
+            'hierarchical'        => false,
+            'public'              => false,
+            'show_ui'             => true,
+            'show_in_menu'        => 'fields-bright-enrollment',
+            'menu_icon'           => 'dashicons-screenoptions',
+            'show_in_admin_bar'   => false,
+            'show_in_nav_menus'   => false,
+            'can_export'          => true,
+            'has_archive'         => false,
+            'exclude_from_search' => true,
+            'publicly_queryable'  => false,
+            'capability_type'     => 'post',
+            'show_in_rest'        => false,
+        ];
+
+        register_post_type(self::POST_TYPE, $args);
+    }
+
+    /**
+     * Set the title placeholder on the bundle edit screen.
+     *
+     * @param string   $placeholder Default placeholder.
+     * @param \WP_Post $post        Post being edited.
+     *
+     * @return string
+     */
+    public function title_placeholder(string $placeholder, \WP_Post $post): string
+    {
+        return $post->post_type === self::POST_TYPE
+            ? __('Name shown in the cart, e.g. Pottery series', 'fields-bright-enrollment')
+            : $placeholder;
+    }
+
+    /**
+     * Set custom columns for the bundle list table.
+     *
+     * @param array<string, string> $columns Existing columns.
+     *
+     * @return array<string, string>
+     */
+    public function set_custom_columns(array $columns): array
+    {
+        return [
+            'cb'              => $columns['cb'],
+            'title'           => __('Bundle', 'fields-bright-enrollment'),
+            'bundle_discount' => __('Discount', 'fields-bright-enrollment'),
+            'bundle_rule'     => __('Applies to', 'fields-bright-enrollment'),
+        ];
+    }
+
+    /**
+     * Render custom column content.
+     *
+     * @param string $column  Column name.
+     * @param int    $post_id Post ID.
+     *
+     * @return void
+     */
+    public function render_custom_column(string $column, int $post_id): void
+    {
+        $bundle = $this->get_bundle($post_id);
+
+        switch ($column) {
+            case 'bundle_discount':
+                echo esc_html(PromoCodeCPT::format_discount($bundle));
+                break;
+
+            case 'bundle_rule':
+                echo esc_html(self::describe_rule($bundle));
+                break;
+        }
+    }
+
+    /**
+     * Get all published bundles.
+     *
+     * @return array<array> Bundle data, see get_bundle().
+     */
+    public function get_active_bundles(): array
+    {
+        $posts = get_posts([
+            'post_type'      => self::POST_TYPE,
+            'post_status'    => 'publish',
+            'posts_per_page' => -1,
+            'no_found_rows'  => true,
+        ]);
+
+        $bundles = array_map(function (\WP_Post $post): array {
+            return $this->get_bundle($post->ID);
+        }, $posts);
+
+        // Skip bundles saved without a discount or without workshops to match.
+        return array_values(array_filter($bundles, static function (array $bundle): bool {
+            return $bundle['amount'] > 0
+                && ($bundle['rule'] === 'workshops' ? count($bundle['workshop_ids']) >= 2 : $bundle['category_id'] > 0);
+        }));
+    }
+
+    /**
+     * Get a bundle's settings.
+     *
+     * @param int $post_id Bundle post ID.
+     *
+     * @return array{id: int, name: string, type: string, amount: float, rule: string, category_id: int, min_count: int, workshop_ids: int[]}
+     */
+    public function get_bundle(int $post_id): array
+    {
+        $type = get_post_meta($post_id, self::META_PREFIX . 'type', true);
+        $rule = get_post_meta($post_id, self::META_PREFIX . 'rule', true);
+        $workshop_ids = get_post_meta($post_id, self::META_PREFIX . 'workshop_ids', true);
+
+        return [
+            'id'           => $post_id,
+            'name'         => get_the_title($post_id),
+            'type'         => array_key_exists($type, PromoCodeCPT::TYPES) ? $type : 'percent',
+            'amount'       => (float) get_post_meta($post_id, self::META_PREFIX . 'amount', true),
+            'rule'         => array_key_exists($rule, self::RULES) ? $rule : 'category',
+            'category_id'  => absint(get_post_meta($post_id, self::META_PREFIX . 'category_id', true)),
+            'min_count'    => max(2, absint(get_post_meta($post_id, self::META_PREFIX . 'min_count', true))),
+            'workshop_ids' => is_array($workshop_ids) ? array_map('absint', $workshop_ids) : [],
+        ];
+    }
+
+    /**
+     * Get the number of workshops needed for a bundle to apply.
+     *
+     * @param array $bundle Bundle data.
+     *
+     * @return int
+     */
+    public static function get_required_count(array $bundle): int
+    {
+        return $bundle['rule'] === 'workshops' ? count($bundle['workshop_ids']) : $bundle['min_count'];
+    }
+
+    /**
+     * Check whether a workshop counts toward a bundle.
+     *
+     * @param array $bundle      Bundle data.
+     * @param int   $workshop_id Workshop post ID.
+     *
+     * @return bool
+     */
+    public static function includes_workshop(array $bundle, int $workshop_id): bool
+    {
+        if ($bundle['rule'] === 'workshops') {
+            return in_array($workshop_id, $bundle['workshop_ids'], true);
+        }
+
+        return $bundle['category_id'] > 0 && has_term($bundle['category_id'], 'category', $workshop_id);
+    }
+
+    /**
+     * Describe which workshops a bundle covers, e.g. "Any 3 in Pottery".
+     *
+     * @param array $bundle Bundle data.
+     *
+     * @return string
+     */
+    public static function describe_rule(array $bundle): string
+    {
+        if ($bundle['rule'] === 'workshops') {
+            return implode(' + ', array_map('get_the_title', $bundle['workshop_ids']));
+        }
+
+        $term = get_term($bundle['category_id'], 'category');
+
+        return sprintf(
+            /* translators: 1: number of workshops, 2: category name */
+            __('Any %1$d in %2$s', 'fields-bright-enrollment'),
+            $bundle['min_count'],
+            $term instanceof \WP_Term ? $term->name : '—'
+        );
+    }
+}
@@ -0,0 +1,293 @@
+<?php
+/**
+ * Bundle Meta Box
+ *
+ * Provides the admin interface for a bundle's discount and workshops.
+ *
+ * @package FieldsBright\Enrollment\Discounts
+ * @since   1.2.0
+ */
+
+namespace FieldsBright\Enrollment\Discounts;
+
+use FieldsBright\Enrollment\PostType\WorkshopCPT;
+
+// Prevent direct access.
+if (! defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class BundleMetaBox
+ *
+ * Handles the bundle settings meta box on the bundle edit screen.
+ *
+ * @since 1.2.0
+ */
+class BundleMetaBox
+{
+    /**
+     * Meta box ID.
+     *
+     * @var string
+     */
+    private const META_BOX_ID = 'fields_bright_bundle_details';
+
+    /**
+     * BundleCPT instance.
+     *
+     * @var BundleCPT
+     */
+    private BundleCPT $bundle_cpt;
+
+    /**
+     * Constructor.
+     */
+    public function __construct()
+    {
+        $this->bundle_cpt = new BundleCPT();
+        $this->register_hooks();
+    }
+
+    /**
+     * Register WordPress hooks.
+     *
+     * @return void
+     */
+    private function register_hooks(): void
+    {
+        add_action('add_meta_boxes', [$this, 'add_meta_box']);
+        add_action('save_post_' . BundleCPT::POST_TYPE, [$this, 'save_meta_box'], 10, 2);
+    }
+
+    /**
+     * Add the bundle details meta box.
+     *
+     * @return void
+     */
+    public function add_meta_box(): void
+    {
+        add_meta_box(
+            self::META_BOX_ID,
+            __('Bundle Discount', 'fields-bright-enrollment'),
+            [$this, 'render_meta_box'],
+            BundleCPT::POST_TYPE,
+            'normal',
+            'high'
+        );
+    }
+
+    /**
+     * Render the bundle details meta box.
+     *
+     * @param \WP_Post $post Current post object.
+     *
+     * @return void
+     */
+    public function render_meta_box(\WP_Post $post): void
+    {
+        // Add nonce for security.
+        wp_nonce_field('fields_bright_bundle_meta', 'fields_bright_bundle_meta_nonce');
+
+        $bundle = $this->bundle_cpt->get_bundle($post->ID);
+        $workshops = WorkshopCPT::get_workshops(['posts_per_page' => -1, 'post_status' => ['publish', 'future', 'draft']]);
+        ?>
+        <div class="fb-bundle-meta">
+            <div class="fb-meta-grid">
+                <div class="fb-meta-field">
+                    <label for="bundle_type">
+                        <strong><?php esc_html_e('Discount Type', 'fields-bright-enrollment'); ?></strong>
+                    </label>
+                    <select name="bundle_type" id="bundle_type" class="widefat">
+                        <?php foreach (PromoCodeCPT::TYPES as $key => $label) : ?>
+                            <option value="<?php echo esc_attr($key); ?>" <?php selected($bundle['type'], $key); ?>>
+                                <?php echo esc_html($label); ?>
+                            </option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+
+                <div class="fb-meta-field">
+                    <label for="bundle_amount">
+                        <strong><?php esc_html_e('Amount', 'fields-bright-enrollment'); ?></strong>
+                    </label>
+                    <input type="number"
+                           name="bundle_amount"
+                           id="bundle_amount"
+                           value="<?php echo esc_attr($bundle['amount'] ?: ''); ?>"
+                           min="0"
+                           step="0.01"
+                           class="widefat">
+                    <p class="description">
+                        <?php esc_html_e('Percent off, or amount off the bundled workshops for fixed discounts.', 'fields-bright-enrollment'); ?>
+                    </p>
+                </div>
+
+                <div class="fb-meta-field">
+                    <label for="bundle_rule">
+                        <strong><?php esc_html_e('Applies To', 'fields-bright-enrollment'); ?></strong>
+                    </label>
+                    <select name="bundle_rule" id="bundle_rule" class="widefat">
+                        <?php foreach (BundleCPT::RULES as $key => $label) : ?>
+                            <option value="<?php echo esc_attr($key); ?>" <?php selected($bundle['rule'], $key); ?>>
+                                <?php echo esc_html($label); ?>
+                            </option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+            </div>
+
+            <div class="fb-meta-grid" data-bundle-rule="category"<?php echo $bundle['rule'] === 'category' ? '' : ' hidden'; ?>>
+                <div class="fb-meta-field">
+                    <label for="bundle_category_id">
+                        <strong><?php esc_html_e('Category', 'fields-bright-enrollment'); ?></strong>
+                    </label>
+                    <?php
+                    wp_dropdown_categories([
+                        'name'              => 'bundle_category_id',
+                        'id'                => 'bundle_category_id',
+                        'class'             => 'widefat',
+                        'selected'          => $bundle['category_id'],
+                        'hide_empty'        => false,
+                        'show_option_none'  => __('Select a category', 'fields-bright-enrollment'),
+                        'option_none_value' => 0,
+                    ]);
+                    ?>
+                </div>
+
+                <div class="fb-meta-field">
+                    <label for="bundle_min_count">
+                        <strong><?php esc_html_e('Number of Workshops', 'fields-bright-enrollment'); ?></strong>
+                    </label>
+                    <input type="number"
+                           name="bundle_min_count"
+                           id="bundle_min_count"
+                           value="<?php echo esc_attr($bundle['min_count']); ?>"
+                           min="2"
+                           step="1"
+                           class="widefat">
+                    <p class="description">
+                        <?php esc_html_e('The discount applies once the cart has at least this many workshops from the category.', 'fields-bright-enrollment'); ?>
+                    </p>
+                </div>
+            </div>
+
+            <div class="fb-meta-field" data-bundle-rule="workshops"<?php echo $bundle['rule'] === 'workshops' ? '' : ' hidden'; ?>>
+                <strong><?php esc_html_e('Workshops', 'fields-bright-enrollment'); ?></strong>
+                <p class="description">
+                    <?php esc_html_e('The discount applies when all of these are in the cart. Choose at least two.', 'fields-bright-enrollment'); ?>
+                </p>
+                <div class="fb-bundle-workshops">
+                    <?php foreach ($workshops as $workshop) : ?>
+                        <label>
+                            <input type="checkbox"
+                                   name="bundle_workshop_ids[]"
+                                   value="<?php echo esc_attr($workshop->ID); ?>"
+                                   <?php checked(in_array($workshop->ID, $bundle['workshop_ids'], true)); ?>>
+                            <?php echo esc_html($workshop->post_title); ?>
+                        </label>
+                    <?php endforeach; ?>
+                </div>
+            </div>
+
+            <p class="description">
+                <?php esc_html_e('When several bundles match a cart, only the one with the biggest discount applies. Promo codes apply on top of it.', 'fields-bright-enrollment'); ?>
+            </p>
+        </div>
+
+        <style>
+            .fb-bundle-meta .fb-meta-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+                gap: 20px;
+                margin-bottom: 20px;
+            }
+            .fb-bundle-meta .fb-meta-grid[hidden],
+            .fb-bundle-meta .fb-meta-field[hidden] {
+                display: none;
+            }
+            .fb-bundle-meta .fb-meta-field label {
+                display: block;
+                margin-bottom: 5px;
+            }
+            .fb-bundle-workshops {
+                max-height: 240px;
+                overflow-y: auto;
+                border: 1px solid #ccd0d4;
+                padding: 10px;
+                margin: 8px 0 20px;
+            }
+            .fb-bundle-workshops label {
+                display: block;
+                margin-bottom: 6px;
+            }
+        </style>
+
+        <script>
+        jQuery(function($) {
+            $('#bundle_rule').on('change', function() {
+                var rule = $(this).val();
+
+                $('[data-bundle-rule]').each(function() {
+                    $(this).prop('hidden', $(this).data('bundle-rule') !== rule);
+                });
+            });
+        });
+        </script>
+        <?php
+    }
+
+    /**
+     * Save meta box data.
+     *
+     * @param int      $post_id Post ID.
+     * @param \WP_Post $post    Post object.
+     *
+     * @return void
+     */
+    public function save_meta_box(int $post_id, \WP_Post $post): void
+    {
+        $nonce = isset($_POST['fields_bright_bundle_meta_nonce'])
+            ? sanitize_text_field(wp_unslash($_POST['fields_bright_bundle_meta_nonce']))
+            : '';
+        if (! wp_verify_nonce($nonce, 'fields_bright_bundle_meta')) {
+            return;
+        }
+
+        // Check autosave.
+        if (defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) {
+            return;
+        }
+
+        // Check permissions.
+        if (! current_user_can('edit_post', $post_id)) {
+            return;
+        }
+
+        $type = isset($_POST['bundle_type']) ? sanitize_text_field(wp_unslash($_POST['bundle_type'])) : '';
+        if (array_key_exists($type, PromoCodeCPT::TYPES)) {
+            update_post_meta($post_id, BundleCPT::META_PREFIX . 'type', $type);
+        }
+
+        $amount = isset($_POST['bundle_amount']) ? max(0, (float) $_POST['bundle_amount']) : 0;
+        if ($type === 'percent') {
+            $amount = min(100, $amount);
+        }
+        update_post_meta($post_id, BundleCPT::META_PREFIX . 'amount', round($amount, 2));
+
+        $rule = isset($_POST['bundle_rule']) ? sanitize_text_field(wp_unslash($_POST['bundle_rule'])) : '';
+        if (array_key_exists($rule, BundleCPT::RULES)) {
+            update_post_meta($post_id, BundleCPT::META_PREFIX . 'rule', $rule);
+        }
+
+        $category_id = isset($_POST['bundle_category_id']) ? absint($_POST['bundle_category_id']) : 0;
+        update_post_meta($post_id, BundleCPT::META_PREFIX . 'category_id', term_exists($category_id, 'category') ? $category_id : 0);
+
+        $min_count = isset($_POST['bundle_min_count']) ? absint($_POST['bundle_min_count']) : 2;
+        update_post_meta($post_id, BundleCPT::META_PREFIX . 'min_count', max(2, $min_count));
+
+        $workshop_ids = isset($_POST['bundle_workshop_ids']) ? (array) wp_unslash($_POST['bundle_workshop_ids']) : [];
+        $workshop_ids = array_values(array_filter(array_map('absint', $workshop_ids), [WorkshopCPT::class, 'is_workshop']));
+        update_post_meta($post_id, BundleCPT::META_PREFIX . 'workshop_ids', $workshop_ids);
+    }
+}
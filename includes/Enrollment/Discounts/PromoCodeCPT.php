@@ -0,0 +1,339 @@
+<?php
+/**
+ * Promo Code Custom Post Type
+ *
+ * Registers the promo code CPT. Each post is one code: the title is the
+ * code customers type, the meta holds the discount and its limits.
+ *
+ * @package FieldsBright\Enrollment\Discounts
+ * @since   1.2.0
+ */
+
+namespace FieldsBright\Enrollment\Discounts;
+
+use FieldsBright\Enrollment\EnrollmentSystem;
+
+// Prevent direct access.
+if (! defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class PromoCodeCPT
+ *
+ * Handles registration and lookup of promo codes. Drafts and trashed
+ * codes cannot be applied, so unpublishing a code disables it.
+ *
+ * @since 1.2.0
+ */
+class PromoCodeCPT
+{
+    /**
+     * Post type slug.
+     *
+     * @var string
+     */
+    public const POST_TYPE = 'fb_promo_code';
+
+    /**
+     * Meta key prefix.
+     *
+     * @var string
+     */
+    public const META_PREFIX = '_promo_';
+
+    /**
+     * Discount types.
+     *
+     * @var array<string, string>
+     */
+    public const TYPES = [
+        'percent' => 'Percentage',
+        'fixed'   => 'Fixed amount',
+    ];
+
+    /**
+     * Whether hooks have been registered.
+     *
+     * @var bool
+     */
+    private static bool $hooks_registered = false;
+
+    /**
+     * Constructor.
+     */
+    public function __construct()
+    {
+        if (! self::$hooks_registered) {
+            $this->register_hooks();
+            self::$hooks_registered = true;
+        }
+    }
+
+    /**
+     * Register WordPress hooks.
+     *
+     * @return void
+     */
+    private function register_hooks(): void
+    {
+        add_action('init', [$this, 'register_post_type']);
+        add_filter('manage_' . self::POST_TYPE . '_posts_columns', [$this, 'set_custom_columns']);
+        add_action('manage_' . self::POST_TYPE . '_posts_custom_column', [$this, 'render_custom_column'], 10, 2);
+        add_filter('wp_insert_post_data', [$this, 'normalize_title'], 10, 2);
+        add_filter('enter_title_here', [$this, 'title_placeholder'], 10, 2);
+    }
+
+    /**
+     * Register the promo code post type.
+     *
+     * @return void
+     */
+    public function register_post_type(): void
+    {
+        $labels = [
+            'name'               => _x('Promo Codes', 'Post Type General Name', 'fields-bright-enrollment'),
+            'singular_name'      => _x('Promo Code', 'Post Type Singular Name', 'fields-bright-enrollment'),
+            'menu_name'          => __('Promo Codes', 'fields-bright-enrollment'),
+            'all_items'          => __('Promo Codes', 'fields-bright-enrollment'),
+            'add_new_item'       => __('Add New Promo Code', 'fields-bright-enrollment'),
+            'add_new'            => __('Add New', 'fields-bright-enrollment'),
+            'edit_item'          => __('Edit Promo Code', 'fields-bright-enrollment'),
+            'update_item'        => __('Update Promo Code', 'fields-bright-enrollment'),
+            'view_item'          => __('View Promo Code', 'fields-bright-enrollment'),
+            'search_items'       => __('Search Promo Codes', 'fields-bright-enrollment'),
+            'not_found'          => __('No promo codes found', 'fields-bright-enrollment'),
+            'not_found_in_trash' => __('No promo codes found in Trash', 'fields-bright-enrollment'),
+        ];
+
+        $args = [
+            'label'               => __('Promo Code', 'fields-bright-enrollment'),
+            'description'         => __('Cart discount codes', 'fields-bright-enrollment'),
+            'labels'              => $labels,
+            'supports'            => ['title'],
+            'hierarchical'        => false,
+            'public'              => false,
+            'show_ui'             => true,
+            'show_in_menu'        => 'fields-bright-enrollment',
+            'menu_icon'           => 'dashicons-tickets-alt',
+            'show_in_admin_bar'   => false,
+            'show_in_nav_menus'   => false,
+            'can_export'          => true,
+            'has_archive'         => false,
+            'exclude_from_search' => true,
+            'publicly_queryable'  => false,
+            'capability_type'     => 'post',
+            'show_in_rest'        => false,
+        ];
+
+        register_post_type(self::POST_TYPE, $args);
+    }
+
+    /**
+     * Store codes in their normalized form so lookups are case-insensitive.
+     *
+     * @param array $data    Sanitized post data.
+     * @param array $postarr Raw post data.
+     *
+     * @return array
+     */
+    public function normalize_title(array $data, array $postarr): array
+    {
+        if ($data['post_type'] === self::POST_TYPE && $data['post_title'] !== '') {
+            $data['post_title'] = self::normalize_code($data['post_title']);
+        }
+
+        return $data;
+    }
+
+    /**
+     * Set the title placeholder on the promo code edit screen.
+     *
+     * @param string   $placeholder Default placeholder.
+     * @param \WP_Post $post        Post being edited.
+     *
+     * @return string
+     */
+    public function title_placeholder(string $placeholder, \WP_Post $post): string
+    {
+        return $post->post_type === self::POST_TYPE
+            ? __('Code, e.g. SPRING10', 'fields-bright-enrollment')
+            : $placeholder;
+    }
+
+    /**
+     * Set custom columns for the promo code list table.
+     *
+     * @param array<string, string> $columns Existing columns.
+     *
+     * @return array<string, string>
+     */
+    public function set_custom_columns(array $columns): array
+    {
+        return [
+            'cb'             => $columns['cb'],
+            'title'          => __('Code', 'fields-bright-enrollment'),
+            'promo_discount' => __('Discount', 'fields-bright-enrollment'),
+            'promo_scope'    => __('Workshops', 'fields-bright-enrollment'),
+            'promo_usage'    => __('Used', 'fields-bright-enrollment'),
+            'promo_expires'  => __('Expires', 'fields-bright-enrollment'),
+        ];
+    }
+
+    /**
+     * Render custom column content.
+     *
+     * @param string $column  Column name.
+     * @param int    $post_id Post ID.
+     *
+     * @return void
+     */
+    public function render_custom_column(string $column, int $post_id): void
+    {
+        $promo = $this->get_promo($post_id);
+
+        switch ($column) {
+            case 'promo_discount':
+                echo esc_html(self::format_discount($promo));
+                break;
+
+            case 'promo_scope':
+                if (empty($promo['workshop_ids'])) {
+                    esc_html_e('All workshops', 'fields-bright-enrollment');
+                    break;
+                }
+
+                echo esc_html(implode(', ', array_map('get_the_title', $promo['workshop_ids'])));
+                break;
+
+            case 'promo_usage':
+                echo esc_html($promo['usage_limit']
+                    ? sprintf('%d / %d', $promo['usage_count'], $promo['usage_limit'])
+                    : (string) $promo['usage_count']);
+                break;
+
+            case 'promo_expires':
+                echo $promo['expires'] ? esc_html(date_i18n(get_option('date_format'), strtotime($promo['expires']))) : '—';
+                break;
+        }
+    }
+
+    /**
+     * Normalize a code as typed by a customer or admin.
+     *
+     * @param string $code Raw code.
+     *
+     * @return string Upper-case code without spaces or punctuation other than - and _.
+     */
+    public static function normalize_code(string $code): string
+    {
+        return strtoupper((string) preg_replace('/[^A-Za-z0-9_-]/', '', $code));
+    }
+
+    /**
+     * Get a published promo code by its code.
+     *
+     * @param string $code Code as typed.
+     *
+     * @return array|null Promo code data, see get_promo().
+     */
+    public function get_by_code(string $code): ?array
+    {
+        $code = self::normalize_code($code);
+
+        if ($code === '') {
+            return null;
+        }
+
+        $posts = get_posts([
+            'post_type'      => self::POST_TYPE,
+            'post_status'    => 'publish',
+            'title'          => $code,
+            'posts_per_page' => 1,
+            'no_found_rows'  => true,
+        ]);
+
+        return empty($posts) ? null : $this->get_promo($posts[0]->ID);
+    }
+
+    /**
+     * Get a promo code's settings.
+     *
+     * @param int $post_id Promo code post ID.
+     *
+     * @return array{id: int, code: string, type: string, amount: float, workshop_ids: int[], usage_limit: int, usage_count: int, expires: string}
+     */
+    public function get_promo(int $post_id): array
+    {
+        $type = get_post_meta($post_id, self::META_PREFIX . 'type', true);
+        $workshop_ids = get_post_meta($post_id, self::META_PREFIX . 'workshop_ids', true);
+
+        return [
+            'id'           => $post_id,
+            'code'         => get_the_title($post_id),
+            'type'         => array_key_exists($type, self::TYPES) ? $type : 'percent',
+            'amount'       => (float) get_post_meta($post_id, self::META_PREFIX . 'amount', true),
+            'workshop_ids' => is_array($workshop_ids) ? array_map('absint', $workshop_ids) : [],
+            'usage_limit'  => absint(get_post_meta($post_id, self::META_PREFIX . 'usage_limit', true)),
+            'usage_count'  => absint(get_post_meta($post_id, self::META_PREFIX . 'usage_count', true)),
+            'expires'      => (string) get_post_meta($post_id, self::META_PREFIX . 'expires', true),
+        ];
+    }
+
+    /**
+     * Check whether a promo code can be used right now.
+     *
+     * Whether it applies to a particular cart is checked by CartManager.
+     *
+     * @param array $promo Promo code data.
+     *
+     * @return string Empty when usable, otherwise the reason shown to the customer.
+     */
+    public function get_unusable_reason(array $promo): string
+    {
+        if ($promo['amount'] <= 0) {
+            return __('This promo code is not valid.', 'fields-bright-enrollment');
+        }
+
+        // Codes are valid through the end of their expiry date, site time.
+        if ($promo['expires'] !== '' && current_time('Y-m-d') > $promo['expires']) {
+            return __('This promo code has expired.', 'fields-bright-enrollment');
+        }
+
+        if ($promo['usage_limit'] && $promo['usage_count'] >= $promo['usage_limit']) {
+            return __('This promo code has reached its usage limit.', 'fields-bright-enrollment');
+        }
+
+        return '';
+    }
+
+    /**
+     * Record one use of a promo code.
+     *
+     * @param int $post_id Promo code post ID.
+     *
+     * @return void
+     */
+    public function increment_usage(int $post_id): void
+    {
+        $count = absint(get_post_meta($post_id, self::META_PREFIX . 'usage_count', true));
+        update_post_meta($post_id, self::META_PREFIX . 'usage_count', $count + 1);
+    }
+
+    /**
+     * Describe a promo code's discount, e.g. "10% off" or "$15.00 off".
+     *
+     * @param array $promo Promo code data.
+     *
+     * @return string
+     */
+    public static function format_discount(array $promo): string
+    {
+        $amount = $promo['type'] === 'percent'
+            ? rtrim(rtrim(number_format($promo['amount'], 2), '0'), '.') . '%'
+            : EnrollmentSystem::format_price($promo['amount']);
+
+        /* translators: %s: percentage or amount */
+        return sprintf(__('%s off', 'fields-bright-enrollment'), $amount);
+    }
+}
@@ -0,0 +1,259 @@
+<?php
+/**
+ * Promo Code Meta Box
+ *
+ * Provides the admin interface for a promo code's discount and limits.
+ *
+ * @package FieldsBright\Enrollment\Discounts
+ * @since   1.2.0
+ */
+
+namespace FieldsBright\Enrollment\Discounts;
+
+use FieldsBright\Enrollment\PostType\WorkshopCPT;
+
+// Prevent direct access.
+if (! defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Class PromoCodeMetaBox
+ *
+ * Handles the promo code settings meta box on the promo code edit screen.
+ *
+ * @since 1.2.0
+ */
+class PromoCodeMetaBox
+{
+    /**
+     * Meta box ID.
+     *
+     * @var string
+     */
+    private const META_BOX_ID = 'fields_bright_promo_code_details';
+
+    /**
+     * PromoCodeCPT instance.
+     *
+     * @var PromoCodeCPT
+     */
+    private PromoCodeCPT $promo_code_cpt;
+
+    /**
+     * Constructor.
+     */
+    public function __construct()
+    {
+        $this->promo_code_cpt = new PromoCodeCPT();
+        $this->register_hooks();
+    }
+
+    /**
+     * Register WordPress hooks.
+     *
+     * @return void
+     */
+    private function register_hooks(): void
+    {
+        add_action('add_meta_boxes', [$this, 'add_meta_box']);
+        add_action('save_post_' . PromoCodeCPT::POST_TYPE, [$this, 'save_meta_box'], 10, 2);
+    }
+
+    /**
+     * Add the promo code details meta box.
+     *
+     * @return void
+     */
+    public function add_meta_box(): void
+    {
+        add_meta_box(
+            self::META_BOX_ID,
+            __('Discount', 'fields-bright-enrollment'),
+            [$this, 'render_meta_box'],
+            PromoCodeCPT::POST_TYPE,
+            'normal',
+            'high'
+        );
+    }
+
+    /**
+     * Render the promo code details meta box.
+     *
+     * @param \WP_Post $post Current post object.
+     *
+     * @return void
+     */
+    public function render_meta_box(\WP_Post $post): void
+    {
+        // Add nonce for security.
+        wp_nonce_field('fields_bright_promo_code_meta', 'fields_bright_promo_code_meta_nonce');
+
+        $promo = $this->promo_code_cpt->get_promo($post->ID);
+        $workshops = WorkshopCPT::get_workshops(['posts_per_page' => -1, 'post_status' => ['publish', 'future', 'draft']]);
+        ?>
+        <div class="fb-promo-meta">
+            <div class="fb-meta-grid">
+                <div class="fb-meta-field">
+                    <label for="promo_type">
+                        <strong><?php esc_html_e('Discount Type', 'fields-bright-enrollment'); ?></strong>
+                    </label>
+                    <select name="promo_type" id="promo_type" class="widefat">
+                        <?php foreach (PromoCodeCPT::TYPES as $key => $label) : ?>
+                            <option value="<?php echo esc_attr($key); ?>" <?php selected($promo['type'], $key); ?>>
+                                <?php echo esc_html($label); ?>
+                            </option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+
+                <div class="fb-meta-field">
+                    <label for="promo_amount">
+                        <strong><?php esc_html_e('Amount', 'fields-bright-enrollment'); ?></strong>
+                    </label>
+                    <input type="number"
+                           name="promo_amount"
+                           id="promo_amount"
+                           value="<?php echo esc_attr($promo['amount'] ?: ''); ?>"
+                           min="0"
+                           step="0.01"
+                           class="widefat">
+                    <p class="description">
+                        <?php esc_html_e('Percent off, or amount off the order for fixed discounts.', 'fields-bright-enrollment'); ?>
+                    </p>
+                </div>
+
+                <div class="fb-meta-field">
+                    <label for="promo_usage_limit">
+                        <strong><?php esc_html_e('Usage Limit', 'fields-bright-enrollment'); ?></strong>
+                    </label>
+                    <input type="number"
+                           name="promo_usage_limit"
+                           id="promo_usage_limit"
+                           value="<?php echo esc_attr($promo['usage_limit'] ?: ''); ?>"
+                           min="0"
+                           step="1"
+                           class="widefat">
+                    <p class="description">
+                        <?php
+                        printf(
+                            /* translators: %d: Number of completed orders that used the code */
+                            esc_html__('Leave empty for unlimited. Used %d times so far.', 'fields-bright-enrollment'),
+                            (int) $promo['usage_count']
+                        );
+                        ?>
+                    </p>
+                </div>
+
+                <div class="fb-meta-field">
+                    <label for="promo_expires">
+                        <strong><?php esc_html_e('Expires', 'fields-bright-enrollment'); ?></strong>
+                    </label>
+                    <input type="date"
+                           name="promo_expires"
+                           id="promo_expires"
+                           value="<?php echo esc_attr($promo['expires']); ?>"
+                           class="widefat">
+                    <p class="description">
+                        <?php esc_html_e('The code works through the end of this day. Leave empty for no expiry.', 'fields-bright-enrollment'); ?>
+                    </p>
+                </div>
+            </div>
+
+            <div class="fb-meta-field">
+                <strong><?php esc_html_e('Workshops', 'fields-bright-enrollment'); ?></strong>
+                <p class="description">
+                    <?php esc_html_e('Limit the discount to these workshops. Leave all unchecked to apply it to every workshop.', 'fields-bright-enrollment'); ?>
+                </p>
+                <div class="fb-promo-workshops">
+                    <?php foreach ($workshops as $workshop) : ?>
+                        <label>
+                            <input type="checkbox"
+                                   name="promo_workshop_ids[]"
+                                   value="<?php echo esc_attr($workshop->ID); ?>"
+                                   <?php checked(in_array($workshop->ID, $promo['workshop_ids'], true)); ?>>
+                            <?php echo esc_html($workshop->post_title); ?>
+                        </label>
+                    <?php endforeach; ?>
+                </div>
+            </div>
+        </div>
+
+        <style>
+            .fb-promo-meta .fb-meta-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+                gap: 20px;
+                margin-bottom: 20px;
+            }
+            .fb-promo-meta .fb-meta-field label {
+                display: block;
+                margin-bottom: 5px;
+            }
+            .fb-promo-workshops {
+                max-height: 240px;
+                overflow-y: auto;
+                border: 1px solid #ccd0d4;
+                padding: 10px;
+                margin-top: 8px;
+            }
+            .fb-promo-workshops label {
+                display: block;
+                margin-bottom: 6px;
+            }
+        </style>
+        <?php
+    }
+
+    /**
+     * Save meta box data.
+     *
+     * @param int      $post_id Post ID.
+     * @param \WP_Post $post    Post object.
+     *
+     * @return void
+     */
+    public function save_meta_box(int $post_id, \WP_Post $post): void
+    {
+        $nonce = isset($_POST['fields_bright_promo_code_meta_nonce'])
+            ? sanitize_text_field(wp_unslash($_POST['fields_bright_promo_code_meta_nonce']))
+            : '';
+        if (! wp_verify_nonce($nonce, 'fields_bright_promo_code_meta')) {
+            return;
+        }
+
+        // Check autosave.
+        if (defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) {
+            return;
+        }
+
+        // Check permissions.
+        if (! current_user_can('edit_post', $post_id)) {
+            return;
+        }
+
+        $type = isset($_POST['promo_type']) ? sanitize_text_field(wp_unslash($_POST['promo_type'])) : '';
+        if (array_key_exists($type, PromoCodeCPT::TYPES)) {
+            update_post_meta($post_id, PromoCodeCPT::META_PREFIX . 'type', $type);
+        }
+
+        $amount = isset($_POST['promo_amount']) ? max(0, (float) $_POST['promo_amount']) : 0;
+        if ($type === 'percent') {
+            $amount = min(100, $amount);
+        }
+        update_post_meta($post_id, PromoCodeCPT::META_PREFIX . 'amount', round($amount, 2));
+
+        $usage_limit = isset($_POST['promo_usage_limit']) ? absint($_POST['promo_usage_limit']) : 0;
+        update_post_meta($post_id, PromoCodeCPT::META_PREFIX . 'usage_limit', $usage_limit);
+
+        $expires = isset($_POST['promo_expires']) ? sanitize_text_field(wp_unslash($_POST['promo_expires'])) : '';
+        if (! preg_match('/^\d{4}-\d{2}-\d{2}$/', $expires)) {
+            $expires = '';
+        }
+        update_post_meta($post_id, PromoCodeCPT::META_PREFIX . 'expires', $expires);
+
+        $workshop_ids = isset($_POST['promo_workshop_ids']) ? (array) wp_unslash($_POST['promo_workshop_ids']) : [];
+        $workshop_ids = array_values(array_filter(array_map('absint', $workshop_ids), [WorkshopCPT::class, 'is_workshop']));
+        update_post_meta($post_id, PromoCodeCPT::META_PREFIX . 'workshop_ids', $workshop_ids);
+    }
+}
@@ -104,8 +104,14 @@ class EmailHandler
      */
     public function send_enrollment_emails(int $enrollment_id, array $stripe_session = []): void
     {
-        // Send customer confirmation.
-        $this->send_enrollment_confirmation($enrollment_id);
+        // A gift's recipient gets the gift confirmation and its purchaser
+        // the receipt; everyone else gets the customer confirmation.
+        if (get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'purchaser_email', true)) {
+            $this->send_gift_confirmation($enrollment_id);
+            $this->send_gift_receipt($enrollment_id);
+        } else {
+            $this->send_enrollment_confirmation($enrollment_id);
+        }
         
         // Send admin notification.
         $this->send_admin_notification($enrollment_id);
@@ -169,6 +175,52 @@ class EmailHandler
         return $result;
     }
 
+    /**
+     * Send the gift confirmation to the recipient of a gift enrollment.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return bool Whether the email was sent successfully.
+     */
+    public function send_gift_confirmation(int $enrollment_id): bool
+    {
+        $data = $this->get_enrollment_data($enrollment_id);
+
+        if (empty($data['customer_email'])) {
+            $this->log_error('Cannot send gift confirmation: no recipient email', ['enrollment_id' => $enrollment_id]);
+            return false;
+        }
+
+        return $this->send_email(
+            $data['customer_email'],
+            $this->get_email_subject('gift_confirmation', $data),
+            $this->get_email_body('gift_confirmation', $data)
+        );
+    }
+
+    /**
+     * Send the receipt for a gift enrollment to its purchaser.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return bool Whether the email was sent successfully.
+     */
+    public function send_gift_receipt(int $enrollment_id): bool
+    {
+        $data = $this->get_enrollment_data($enrollment_id);
+
+        if (empty($data['purchaser_email'])) {
+            $this->log_error('Cannot send gift receipt: no purchaser email', ['enrollment_id' => $enrollment_id]);
+            return false;
+        }
+
+        return $this->send_email(
+            $data['purchaser_email'],
+            $this->get_email_subject('gift_receipt', $data),
+            $this->get_email_body('gift_receipt', $data)
+        );
+    }
+
     /**
      * Send enrollment notification to admin.
      *
@@ -204,6 +256,12 @@ class EmailHandler
     {
         $data = $this->get_enrollment_data($enrollment_id);
         
+        // A gift's refund goes back to whoever paid for it.
+        if (! empty($data['purchaser_email'])) {
+            $data['customer_name'] = $data['purchaser_name'];
+            $data['customer_email'] = $data['purchaser_email'];
+        }
+
         if (empty($data['customer_email'])) {
             $this->log_error('Cannot send refund confirmation: no customer email', ['enrollment_id' => $enrollment_id]);
             return false;
@@ -222,6 +280,32 @@ class EmailHandler
         );
     }
 
+    /**
+     * Send an enrollment cancellation notice to the customer.
+     *
+     * Sent when a workshop is cancelled and its enrollments are cancelled
+     * in bulk. A refund is confirmed separately by the refund confirmation.
+     *
+     * @param int $enrollment_id Enrollment post ID.
+     *
+     * @return bool Whether the email was sent successfully.
+     */
+    public function send_cancellation(int $enrollment_id): bool
+    {
+        $data = $this->get_enrollment_data($enrollment_id);
+
+        if (empty($data['customer_email'])) {
+            $this->log_error('Cannot send cancellation: no customer email', ['enrollment_id' => $enrollment_id]);
+            return false;
+        }
+
+        return $this->send_email(
+            $data['customer_email'],
+            $this->get_email_subject('cancellation', $data),
+            $this->get_email_body('cancellation', $data)
+        );
+    }
+
     /**
      * Get email subject with placeholder replacement.
      *
@@ -267,6 +351,23 @@ class EmailHandler
                 __('Refund Processed: %s', 'fields-bright-enrollment'),
                 $data['workshop_title']
             ),
+            'gift_confirmation' => sprintf(
+                /* translators: 1: Purchaser name, 2: Workshop title */
+                __('%1$s Gave You a Workshop: %2$s', 'fields-bright-enrollment'),
+                $data['purchaser_name'] ?: __('Someone', 'fields-bright-enrollment'),
+                $data['workshop_title']
+            ),
+            'gift_receipt' => sprintf(
+                /* translators: 1: Workshop title, 2: Recipient name */
+                __('Gift Receipt: %1$s for %2$s', 'fields-bright-enrollment'),
+                $data['workshop_title'],
+                $data['customer_name']
+            ),
+            'cancellation' => sprintf(
+                /* translators: %s: Workshop title */
+                __('Enrollment Cancelled: %s', 'fields-bright-enrollment'),
+                $data['workshop_title']
+            ),
             'waitlist_confirmation' => sprintf(
                 /* translators: %s: Workshop title */
                 __('You\'re on the Waitlist: %s', 'fields-bright-enrollment'),
@@ -331,6 +432,10 @@ class EmailHandler
             'customer_first_name' => $this->get_first_name($data['customer_name'] ?? ''),
             'customer_email'      => $data['customer_email'] ?? '',
             'customer_phone'      => $data['customer_phone'] ?? '',
+            'attendee_name'       => $data['attendee_name'] ?? '',
+            'purchaser_name'      => $data['purchaser_name'] ?? '',
+            'purchaser_email'     => $data['purchaser_email'] ?? '',
+            'gift_message'        => $data['gift_message'] ?? '',
             'workshop_title'      => $data['workshop_title'] ?? '',
             'workshop_date'       => $this->format_workshop_date($data),
             'workshop_time'       => $this->format_workshop_time($data),
@@ -440,6 +545,13 @@ class EmailHandler
             'customer_name'       => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'customer_name', true),
             'customer_email'      => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'customer_email', true),
             'customer_phone'      => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'customer_phone', true),
+            'attendee_name'       => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'attendee_name', true),
+            'attendee_age'        => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'attendee_age', true),
+            'attendee_notes'      => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'attendee_notes', true),
+            'purchaser_name'      => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'purchaser_name', true),
+            'purchaser_email'     => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'purchaser_email', true),
+            'purchaser_phone'     => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'purchaser_phone', true),
+            'gift_message'        => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'gift_message', true),
             'amount'              => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'amount', true),
             'currency'            => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'currency', true) ?: 'USD',
             'status'              => get_post_meta($enrollment_id, EnrollmentCPT::META_PREFIX . 'status', true),
@@ -49,6 +49,8 @@ class TemplateManager
         'enrollment-confirmation' => 'Enrollment Confirmation',
         'admin-notification'      => 'Admin Notification',
         'refund-confirmation'     => 'Refund Confirmation',
+        'gift-confirmation'       => 'Gift Confirmation',
+        'gift-receipt'            => 'Gift Receipt',
         'welcome'                 => 'Welcome Email',
         'reminder'                => 'Workshop Reminder',
         'follow-up'               => 'Workshop Follow-up',
@@ -339,6 +341,8 @@ class TemplateManager
             'enrollment-confirmation' => $this->get_default_confirmation($data),
             'admin-notification'      => $this->get_default_admin_notification($data),
             'refund-confirmation'     => $this->get_default_refund($data),
+            'gift-confirmation'       => $this->get_default_gift_confirmation($data),
+            'gift-receipt'            => $this->get_default_gift_receipt($data),
             'welcome'                 => $this->get_default_welcome($data),
             'reminder'                => $this->get_default_reminder($data),
             'follow-up'               => $this->get_default_follow_up($data),
@@ -407,6 +411,48 @@ class TemplateManager
         return $html;
     }
 
+    /**
+     * Get default gift confirmation template.
+     *
+     * @param array $data Template data.
+     *
+     * @return string Template HTML.
+     */
+    private function get_default_gift_confirmation(array $data): string
+    {
+        $html = '<div style="font-family: Arial, sans-serif;">';
+        $html .= '<h2>You\'ve Been Given a Workshop!</h2>';
+        $html .= '<p>Dear ' . esc_html($data['customer_name'] ?? 'Valued Customer') . ',</p>';
+        $html .= '<p>' . esc_html(($data['purchaser_name'] ?? '') ?: 'Someone') . ' enrolled you in <strong>' . esc_html($data['workshop_title'] ?? '') . '</strong>.</p>';
+        if (! empty($data['gift_message'])) {
+            $html .= '<blockquote>' . nl2br(esc_html($data['gift_message'])) . '</blockquote>';
+        }
+        $html .= '<p><strong>Confirmation #:</strong> ' . esc_html($data['confirmation_number'] ?? '') . '</p>';
+        $html .= '</div>';
+
+        return $html;
+    }
+
+    /**
+     * Get default gift receipt template.
+     *
+     * @param array $data Template data.
+     *
+     * @return string Template HTML.
+     */
+    private function get_default_gift_receipt(array $data): string
+    {
+        $html = '<div style="font-family: Arial, sans-serif;">';
+        $html .= '<h2>Gift Receipt</h2>';
+        $html .= '<p>Dear ' . esc_html(($data['purchaser_name'] ?? '') ?: 'Valued Customer') . ',</p>';
+        $html .= '<p>Thank you for giving <strong>' . esc_html($data['workshop_title'] ?? '') . '</strong> to ' . esc_html($data['customer_name'] ?? '') . '. We\'ve emailed them their confirmation.</p>';
+        $html .= '<p><strong>Confirmation #:</strong> ' . esc_html($data['confirmation_number'] ?? '') . '</p>';
+        $html .= '<p><strong>Amount Paid:</strong> $' . esc_html(number_format((float) ($data['amount'] ?? 0), 2)) . '</p>';
+        $html .= '</div>';
+
+        return $html;
+    }
+
     /**
      * Get default welcome template.
      *
@@ -33,6 +33,10 @@ use FieldsBright\Enrollment\Waitlist\WaitlistHandler;
 use FieldsBright\Enrollment\Waitlist\WaitlistForm;
 use FieldsBright\Enrollment\Waitlist\WaitlistMetaBox;
 use FieldsBright\Enrollment\Waitlist\WaitlistClaimHandler;
+use FieldsBright\Enrollment\Discounts\BundleCPT;
+use FieldsBright\Enrollment\Discounts\BundleMetaBox;
+use FieldsBright\Enrollment\Discounts\PromoCodeCPT;
+use FieldsBright\Enrollment\Discounts\PromoCodeMetaBox;
 use FieldsBright\Enrollment\Shortcodes\CapacityShortcode;
 use FieldsBright\Enrollment\Shortcodes\CartShortcodes;
 use FieldsBright\Enrollment\Admin\RefundHandler;
@@ -79,6 +83,31 @@ class EnrollmentSystem
      */
     public const OPTION_PREFIX = 'fields_bright_';
 
+    /**
+     * Supported store currencies (Stripe code => symbol used without intl).
+     *
+     * @var array<string, string>
+     */
+    public const CURRENCIES = [
+        'usd' => '$',
+        'cad' => 'CA$',
+        'eur' => '€',
+        'gbp' => '£',
+    ];
+
+    /**
+     * Admin-only API client nonces, by name: the nonce action and the
+     * capability needed. Only the admin screens that use one get it, see
+     * add_client_nonce().
+     *
+     * @var array<string, array{action: string, cap: string}>
+     */
+    private const ADMIN_CLIENT_NONCES = [
+        'pricing' => ['action' => 'fields_bright_pricing', 'cap' => 'edit_posts'],
+        'refund'  => ['action' => 'fields_bright_refund', 'cap' => 'manage_options'],
+        'logs'    => ['action' => 'fields_bright_logs', 'cap' => 'manage_options'],
+    ];
+
     /**
      * Singleton instance.
      *
@@ -247,6 +276,34 @@ class EnrollmentSystem
      */
     private ?WaitlistForm $waitlist_form = null;
 
+    /**
+     * Promo code CPT handler.
+     *
+     * @var PromoCodeCPT|null
+     */
+    private ?PromoCodeCPT $promo_code_cpt = null;
+
+    /**
+     * Promo code meta box.
+     *
+     * @var PromoCodeMetaBox|null
+     */
+    private ?PromoCodeMetaBox $promo_code_meta_box = null;
+
+    /**
+     * Bundle discount CPT handler.
+     *
+     * @var BundleCPT|null
+     */
+    private ?BundleCPT $bundle_cpt = null;
+
+    /**
+     * Bundle discount meta box.
+     *
+     * @var BundleMetaBox|null
+     */
+    private ?BundleMetaBox $bundle_meta_box = null;
+
     /**
      * Capacity shortcode handler.
      *
@@ -422,7 +479,7 @@ class EnrollmentSystem
 
         // Initialize account system.
         $this->user_account_handler = new UserAccountHandler();
-        $this->account_dashboard = new AccountDashboard($this->user_account_handler);
+        $this->account_dashboard = new AccountDashboard($this->user_account_handler, $this->cart_manager);
         $this->profile_manager = new ProfileManager();
         $this->cart_endpoints = new CartEndpoints($this->cart_manager, $this->user_account_handler, $this->stripe_handler);
 
@@ -433,6 +490,14 @@ class EnrollmentSystem
         $this->waitlist_meta_box = new WaitlistMetaBox();
         $this->waitlist_claim_handler = new WaitlistClaimHandler();
 
+        // Initialize promo codes.
+        $this->promo_code_cpt = new PromoCodeCPT();
+        $this->promo_code_meta_box = new PromoCodeMetaBox();
+
+        // Initialize bundle discounts.
+        $this->bundle_cpt = new BundleCPT();
+        $this->bundle_meta_box = new BundleMetaBox();
+
         // Initialize shortcodes.
         $this->capacity_shortcode = new CapacityShortcode();
         $this->cart_shortcodes = new CartShortcodes($this->cart_manager);
@@ -446,7 +511,7 @@ class EnrollmentSystem
 
         // Initialize admin components.
         if (is_admin()) {
-            $this->refund_handler = new RefundHandler($this->stripe_handler);
+            $this->refund_handler = new RefundHandler($this->stripe_handler, $this->waitlist_handler);
             $this->refund_meta_box = new RefundMetaBox($this->refund_handler);
             
             // Initialize export handler (will be registered by AdminMenu).
@@ -464,8 +529,17 @@ class EnrollmentSystem
      */
     private function register_hooks(): void
     {
+        // Register shared assets before anything that depends on them is enqueued.
+        add_action('wp_enqueue_scripts', [$this, 'register_shared_assets'], 5);
+        add_action('admin_enqueue_scripts', [$this, 'register_shared_assets'], 5);
+
+        // Fresh nonces for the API client when a cached page's nonces expire.
+        add_action('wp_ajax_fields_bright_refresh_nonces', [$this, 'ajax_refresh_nonces']);
+        add_action('wp_ajax_nopriv_fields_bright_refresh_nonces', [$this, 'ajax_refresh_nonces']);
+
         // Enqueue scripts and styles.
         add_action('wp_enqueue_scripts', [$this, 'enqueue_frontend_assets']);
+        add_action('wp_enqueue_scripts', [$this, 'enqueue_analytics_assets']);
         add_action('admin_enqueue_scripts', [$this, 'enqueue_admin_assets']);
 
         // Template redirects for enrollment pages.
@@ -502,33 +576,284 @@ class EnrollmentSystem
     }
 
     /**
-     * Enqueue frontend assets.
+     * Register assets shared by several scripts.
+     *
+     * Dependants list the `fields-bright-notifications` script handle and
+     * enqueue the style handle of the same name; scripts that talk to the
+     * server list `fields-bright-api`.
      *
      * @return void
      */
-    public function enqueue_frontend_assets(): void
+    public function register_shared_assets(): void
     {
-        // Enqueue on workshop pages (both CPT and legacy posts in workshops category).
-        if (! is_singular('post') && ! is_singular(WorkshopCPT::POST_TYPE)) {
+        $api_path = $this->get_asset_path('js/api-client.js');
+        $script_path = $this->get_asset_path('js/notifications.js');
+        $style_path = $this->get_asset_path('css/notifications.css');
+
+        wp_register_script(
+            'fields-bright-api',
+            $this->get_asset_url('js/api-client.js'),
+            ['jquery'],
+            file_exists($api_path) ? filemtime($api_path) : self::VERSION,
+            true
+        );
+
+        wp_localize_script('fields-bright-api', 'fbApiConfig', [
+            'restUrl' => rest_url('fields-bright/v1/'),
+            'ajaxUrl' => admin_url('admin-ajax.php'),
+            'nonces'  => $this->get_client_nonces(),
+            'strings' => [
+                'generic' => __('Something went wrong. Please try again.', 'fields-bright-enrollment'),
+                'network' => __('Unable to connect. Please check your connection and try again.', 'fields-bright-enrollment'),
+                'timeout' => __('The request timed out. Please try again.', 'fields-bright-enrollment'),
+                'expired' => __('Your session has expired. Please reload the page.', 'fields-bright-enrollment'),
+            ],
+        ]);
+
+        wp_register_script(
+            'fields-bright-notifications',
+            $this->get_asset_url('js/notifications.js'),
+            ['jquery'],
+            file_exists($script_path) ? filemtime($script_path) : self::VERSION,
+            true
+        );
+
+        wp_localize_script('fields-bright-notifications', 'fbNotificationsL10n', [
+            'dismiss' => __('Dismiss notification', 'fields-bright-enrollment'),
+            'region'  => __('Notifications', 'fields-bright-enrollment'),
+        ]);
+
+        wp_register_style(
+            'fields-bright-notifications',
+            $this->get_asset_url('css/notifications.css'),
+            [],
+            file_exists($style_path) ? filemtime($style_path) : self::VERSION
+        );
+    }
+
+    /**
+     * Get the nonces handed to the API client, keyed by name.
+     *
+     * Admin-only nonces are only included when asked for by name, and left
+     * out for users who can't use them.
+     *
+     * @param string[] $admin_names Optional admin nonce names, see ADMIN_CLIENT_NONCES.
+     *
+     * @return array<string, string>
+     */
+    private function get_client_nonces(array $admin_names = []): array
+    {
+        $nonces = [
+            'rest'       => wp_create_nonce('wp_rest'),
+            'cart'       => wp_create_nonce('fields_bright_cart'),
+            'enrollment' => wp_create_nonce('fields_bright_enrollment'),
+            'waitlist'   => wp_create_nonce('fields_bright_waitlist'),
+        ];
+
+        if (is_user_logged_in()) {
+            $nonces['profile'] = wp_create_nonce('fields_bright_profile');
+        }
+
+        foreach (array_intersect_key(self::ADMIN_CLIENT_NONCES, array_flip($admin_names)) as $name => $nonce) {
+            if (current_user_can($nonce['cap'])) {
+                $nonces[$name] = wp_create_nonce($nonce['action']);
+            }
+        }
+
+        return $nonces;
+    }
+
+    /**
+     * Hand an admin-only nonce to the API client on the current screen.
+     *
+     * Called by the admin screens that use it, so the nonce never reaches
+     * pages that don't.
+     *
+     * @param string $name Nonce name, see ADMIN_CLIENT_NONCES.
+     *
+     * @return void
+     */
+    public function add_client_nonce(string $name): void
+    {
+        $nonces = $this->get_client_nonces([$name]);
+
+        if (! isset($nonces[$name])) {
             return;
         }
 
+        wp_add_inline_script(
+            'fields-bright-api',
+            sprintf('window.fbApiConfig.nonces[%s] = %s;', wp_json_encode($name), wp_json_encode($nonces[$name])),
+            'before'
+        );
+    }
+
+    /**
+     * AJAX handler: Return fresh nonces for the current visitor.
+     *
+     * Pages served from a cache can outlive their nonces; the API client
+     * calls this once when a request is rejected for an expired nonce.
+     * Only answers requests from this site's own pages, so another site
+     * can't collect a visitor's nonces.
+     *
+     * @return void
+     */
+    public function ajax_refresh_nonces(): void
+    {
+        nocache_headers();
+
+        if (! $this->is_same_origin_request()) {
+            wp_send_json_error([
+                'code'    => 'invalid_origin',
+                'message' => __('Request not allowed from this origin.', 'fields-bright-enrollment'),
+            ], 403);
+        }
+
+        // Admin nonces only go back to the admin screens that already had them.
+        $admin_names = [];
+        if (isset($_POST['names']) && strpos((string) wp_get_referer(), admin_url()) === 0) {
+            $admin_names = array_map('sanitize_key', (array) wp_unslash($_POST['names']));
+        }
+
+        wp_send_json_success(['nonces' => $this->get_client_nonces($admin_names)]);
+    }
+
+    /**
+     * Check that a request comes from one of this site's pages.
+     *
+     * Uses the Origin header, or the referer when there is none. Requests
+     * with neither are refused.
+     *
+     * @return bool
+     */
+    private function is_same_origin_request(): bool
+    {
+        $source = isset($_SERVER['HTTP_ORIGIN']) ? esc_url_raw(wp_unslash($_SERVER['HTTP_ORIGIN'])) : '';
+
+        if (! $source) {
+            $source = (string) wp_get_referer();
+        }
+
+        if (! $source) {
+            return false;
+        }
+
+        $origin = self::get_url_origin($source);
+        $allowed = array_map([self::class, 'get_url_origin'], [home_url(), site_url(), admin_url()]);
+
+        return $origin !== '' && in_array($origin, $allowed, true);
+    }
+
+    /**
+     * Get the scheme, host and port of a URL.
+     *
+     * @param string $url URL.
+     *
+     * @return string Origin such as "https://example.com", or empty if the URL has no host.
+     */
+    private static function get_url_origin(string $url): string
+    {
+        $parts = wp_parse_url($url);
+
+        if (empty($parts['host'])) {
+            return '';
+        }
+
+        return strtolower(($parts['scheme'] ?? 'http') . '://' . $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : ''));
+    }
+
+    /**
+     * Enqueue frontend assets.
+     *
+     * The pricing and availability scripts are registered everywhere so the
+     * enrollment shortcodes can enqueue them on other pages.
+     *
+     * @return void
+     */
+    public function enqueue_frontend_assets(): void
+    {
         $script_path = $this->get_asset_path('js/enrollment-pricing.js');
         $script_version = file_exists($script_path) ? filemtime($script_path) : self::VERSION;
 
-        wp_enqueue_script(
+        wp_register_script(
             'fields-bright-enrollment',
             $this->get_asset_url('js/enrollment-pricing.js'),
-            ['jquery'],
+            ['jquery', 'fields-bright-api'],
             $script_version,
             true
         );
 
         wp_localize_script('fields-bright-enrollment', 'fieldsBrightEnrollment', [
-            'ajaxUrl' => admin_url('admin-ajax.php'),
             'enrollUrl' => home_url('/enroll/'),
-            'nonce' => wp_create_nonce('fields_bright_enrollment'),
+            'currency' => strtoupper(self::get_currency()),
+            'locale' => self::get_locale_tag(),
+            'strings' => [
+                'selectOption' => __('Please select a pricing option.', 'fields-bright-enrollment'),
+                'enrolling' => __('Redirecting to checkout...', 'fields-bright-enrollment'),
+                'error' => __('An error occurred. Please try again.', 'fields-bright-enrollment'),
+                'viewEnrollments' => __('View your enrollments', 'fields-bright-enrollment'),
+                'amountEmpty' => __('Please enter an amount.', 'fields-bright-enrollment'),
+                /* translators: %s: minimum amount */
+                'amountMin' => __('Please enter at least %s.', 'fields-bright-enrollment'),
+                /* translators: %s: maximum amount */
+                'amountMax' => __('Please enter no more than %s.', 'fields-bright-enrollment'),
+            ],
         ]);
+
+        $availability_path = $this->get_asset_path('js/availability.js');
+
+        wp_register_script(
+            'fields-bright-availability',
+            $this->get_asset_url('js/availability.js'),
+            ['jquery', 'fields-bright-api'],
+            file_exists($availability_path) ? filemtime($availability_path) : self::VERSION,
+            true
+        );
+
+        wp_localize_script('fields-bright-availability', 'fbAvailabilityConfig', [
+            'interval' => 60,
+            'strings' => [
+                /* translators: %d: number of spots */
+                'spotLeft' => __('%d spot left', 'fields-bright-enrollment'),
+                /* translators: %d: number of spots */
+                'spotsLeft' => __('%d spots left', 'fields-bright-enrollment'),
+                'soldOut' => __('Sold Out', 'fields-bright-enrollment'),
+                /* translators: 1: remaining spots text, 2: workshop capacity */
+                'withTotal' => __('%1$s / %2$d total', 'fields-bright-enrollment'),
+                'heldForYou' => __('✓ Held for You', 'fields-bright-enrollment'),
+            ],
+        ]);
+
+        // Enqueue on workshop pages (both CPT and legacy posts in workshops category).
+        if (is_singular('post') || is_singular(WorkshopCPT::POST_TYPE)) {
+            wp_enqueue_script('fields-bright-enrollment');
+            wp_enqueue_script('fields-bright-availability');
+        }
+    }
+
+    /**
+     * Enqueue the analytics dataLayer adapter when enabled in settings.
+     *
+     * The adapter listens for the fb:* DOM events, so it loads on every
+     * frontend page that may show a cart icon or enrollment button.
+     *
+     * @return void
+     */
+    public function enqueue_analytics_assets(): void
+    {
+        if (! self::get_option('analytics_datalayer', false)) {
+            return;
+        }
+
+        $script_path = $this->get_asset_path('js/analytics-datalayer.js');
+
+        wp_enqueue_script(
+            'fields-bright-analytics',
+            $this->get_asset_url('js/analytics-datalayer.js'),
+            [],
+            file_exists($script_path) ? filemtime($script_path) : self::VERSION,
+            true
+        );
     }
 
     /**
@@ -769,6 +1094,56 @@ class EnrollmentSystem
         return update_option(self::OPTION_PREFIX . $key, $value);
     }
 
+    /**
+     * Get the store currency.
+     *
+     * @return string Lowercase ISO 4217 code, as Stripe expects it.
+     */
+    public static function get_currency(): string
+    {
+        $currency = strtolower((string) self::get_option('currency', 'usd'));
+
+        return isset(self::CURRENCIES[$currency]) ? $currency : 'usd';
+    }
+
+    /**
+     * Get the site locale as a BCP 47 tag for Intl.NumberFormat.
+     *
+     * @return string Locale tag, e.g. "en-CA".
+     */
+    public static function get_locale_tag(): string
+    {
+        return str_replace('_', '-', get_locale());
+    }
+
+    /**
+     * Format a price in the store currency (or a given one).
+     *
+     * Mirrors the frontend Intl.NumberFormat output when the intl extension is available.
+     *
+     * @param float  $amount   Amount in major units.
+     * @param string $currency Optional currency code; defaults to the store currency.
+     *
+     * @return string Formatted price.
+     */
+    public static function format_price(float $amount, string $currency = ''): string
+    {
+        $currency = strtolower($currency ?: self::get_currency());
+
+        if (class_exists('NumberFormatter')) {
+            $formatter = new \NumberFormatter(get_locale(), \NumberFormatter::CURRENCY);
+            $formatted = $formatter->formatCurrency($amount, strtoupper($currency));
+
+            if ($formatted !== false) {
+                return $formatted;
+            }
+        }
+
+        $symbol = self::CURRENCIES[$currency] ?? strtoupper($currency) . ' ';
+
+        return $symbol . number_format_i18n($amount, 2);
+    }
+
     /**
      * Delete a plugin option.
      *
@@ -821,6 +1196,48 @@ class EnrollmentSystem
         return $this->user_account_handler;
     }
 
+    /**
+     * Get the email handler.
+     *
+     * @return EmailHandler|null
+     */
+    public function get_email_handler(): ?EmailHandler
+    {
+        return $this->email_handler;
+    }
+
+    /**
+     * Get the refund handler.
+     *
+     * Only set in the admin.
+     *
+     * @return RefundHandler|null
+     */
+    public function get_refund_handler(): ?RefundHandler
+    {
+        return $this->refund_handler;
+    }
+
+    /**
+     * Get the waitlist handler.
+     *
+     * @return WaitlistHandler|null
+     */
+    public function get_waitlist_handler(): ?WaitlistHandler
+    {
+        return $this->waitlist_handler;
+    }
+
+    /**
+     * Get the waitlist claim handler.
+     *
+     * @return WaitlistClaimHandler|null
+     */
+    public function get_waitlist_claim_handler(): ?WaitlistClaimHandler
+    {
+        return $this->waitlist_claim_handler;
+    }
+
     /**
      * Activation hook callback.
      *
@@ -16,6 +16,8 @@ use FieldsBright\Enrollment\Stripe\StripeHandler;
 use FieldsBright\Enrollment\PostType\EnrollmentCPT;
 use FieldsBright\Enrollment\MetaBoxes\WorkshopMetaBox;
 use FieldsBright\Enrollment\Cart\CartManager;
+use FieldsBright\Enrollment\Cart\SeatHolds;
+use FieldsBright\Enrollment\Shortcodes\CartShortcodes;
 use FieldsBright\Enrollment\Utils\Logger;
 
 // Prevent direct access.
@@ -113,6 +115,25 @@ class EnrollmentHandler
         return ['enrolled' => false, 'enrollment_id' => null, 'status' => null];
     }
 
+    /**
+     * Check if the visitor holds a waitlist claim for a workshop.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return bool
+     */
+    private function has_waitlist_claim(int $workshop_id): bool
+    {
+        if (! class_exists('FieldsBright\Enrollment\Waitlist\WaitlistClaimHandler')) {
+            return false;
+        }
+
+        $claim_handler = new \FieldsBright\Enrollment\Waitlist\WaitlistClaimHandler();
+        $claim_data = $claim_handler->get_claim_data();
+
+        return $claim_data && (int) $claim_data['workshop_id'] === $workshop_id;
+    }
+
     /**
      * Handle enrollment request.
      *
@@ -155,9 +176,37 @@ class EnrollmentHandler
 
         // Get pricing option if specified (use wp_unslash for proper sanitization).
         $pricing_option = isset($_GET['pricing']) ? sanitize_text_field(wp_unslash($_GET['pricing'])) : '';
+        $amount = $this->get_amount_from_request($_GET);
+
+        if ($amount === false) {
+            $this->redirect_with_error(__('Enter the amount as a number.', 'fields-bright-enrollment'));
+            return;
+        }
+
+        // Dated options, like early-bird prices, can end while the page is open.
+        if ($pricing_option !== '' && ! WorkshopMetaBox::can_choose_pricing_option($workshop_id, $pricing_option)) {
+            $this->logger->warning('Enrollment pricing option unavailable', [
+                'workshop_id' => $workshop_id,
+                'pricing_option' => $pricing_option,
+            ]);
+            $this->redirect_with_error(__('That pricing option is no longer available. Please choose another.', 'fields-bright-enrollment'));
+            return;
+        }
+
+        // Pay-what-you-can amounts must be within the option's range.
+        $amount_error = WorkshopMetaBox::validate_amount($workshop_id, $pricing_option, $amount);
+        if ($amount_error !== '') {
+            $this->logger->warning('Enrollment amount out of range', [
+                'workshop_id' => $workshop_id,
+                'pricing_option' => $pricing_option,
+                'amount' => $amount,
+            ]);
+            $this->redirect_with_error($amount_error);
+            return;
+        }
 
         // Get effective price
-        $price = WorkshopMetaBox::get_effective_price($workshop_id, $pricing_option);
+        $price = WorkshopMetaBox::get_effective_price($workshop_id, $pricing_option, $amount);
 
         if (! $price || $price <= 0) {
             $this->logger->error('Invalid price configuration', [
@@ -263,28 +312,85 @@ class EnrollmentHandler
         // Verify nonce (use wp_unslash for proper sanitization).
         $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
         if (! wp_verify_nonce($nonce, 'fields_bright_enrollment')) {
-            wp_send_json_error(['message' => __('Invalid security token.', 'fields-bright-enrollment')]);
+            wp_send_json_error([
+                'code'    => 'invalid_nonce',
+                'message' => __('Invalid security token.', 'fields-bright-enrollment'),
+            ], 403);
         }
 
         $workshop_id = isset($_POST['workshop_id']) ? absint($_POST['workshop_id']) : 0;
         $pricing_option = isset($_POST['pricing_option']) ? sanitize_text_field(wp_unslash($_POST['pricing_option'])) : '';
+        $amount = $this->get_amount_from_request($_POST);
+
+        if ($amount === false) {
+            wp_send_json_error([
+                'code'    => 'invalid_amount',
+                'message' => __('Enter the amount as a number.', 'fields-bright-enrollment'),
+            ]);
+        }
 
         if (! $workshop_id) {
-            wp_send_json_error(['message' => __('Workshop not specified.', 'fields-bright-enrollment')]);
+            wp_send_json_error([
+                'code'    => 'invalid_workshop',
+                'message' => __('Workshop not specified.', 'fields-bright-enrollment'),
+            ]);
         }
 
         // Validate workshop
         $validation = $this->validate_workshop($workshop_id);
 
         if (! $validation['valid']) {
-            wp_send_json_error(['message' => $validation['error']]);
+            $this->logger->warning('AJAX enrollment validation failed', [
+                'workshop_id' => $workshop_id,
+                'code'        => $validation['code'],
+            ]);
+            wp_send_json_error([
+                'code'    => $validation['code'],
+                'message' => $validation['error'],
+            ]);
+        }
+
+        // The button is swapped for the waitlist form when a workshop is full,
+        // so this only happens if it filled up after the page loaded.
+        if ($validation['waitlist'] && ! $this->has_waitlist_claim($workshop_id)) {
+            wp_send_json_error([
+                'code'     => 'workshop_full',
+                'message'  => __('This workshop just filled up. Reload the page to join the waitlist.', 'fields-bright-enrollment'),
+                'waitlist' => true,
+            ]);
+        }
+
+        if ($this->check_user_enrollment_status($workshop_id)['enrolled']) {
+            wp_send_json_error([
+                'code'        => 'already_enrolled',
+                'message'     => __('You\'re already enrolled in this workshop.', 'fields-bright-enrollment'),
+                'account_url' => home_url('/account/'),
+            ]);
+        }
+
+        if ($pricing_option !== '' && ! WorkshopMetaBox::can_choose_pricing_option($workshop_id, $pricing_option)) {
+            wp_send_json_error([
+                'code'    => 'pricing_option_unavailable',
+                'message' => __('That pricing option is no longer available. Please choose another.', 'fields-bright-enrollment'),
+            ]);
+        }
+
+        $amount_error = WorkshopMetaBox::validate_amount($workshop_id, $pricing_option, $amount);
+        if ($amount_error !== '') {
+            wp_send_json_error([
+                'code'    => 'invalid_amount',
+                'message' => $amount_error,
+            ]);
         }
 
         // Get effective price
-        $price = WorkshopMetaBox::get_effective_price($workshop_id, $pricing_option);
+        $price = WorkshopMetaBox::get_effective_price($workshop_id, $pricing_option, $amount);
 
         if (! $price || $price <= 0) {
-            wp_send_json_error(['message' => __('Invalid price configuration.', 'fields-bright-enrollment')]);
+            wp_send_json_error([
+                'code'    => 'invalid_price',
+                'message' => __('Invalid price configuration.', 'fields-bright-enrollment'),
+            ]);
         }
 
         // Get pricing option label
@@ -313,7 +419,14 @@ class EnrollmentHandler
         );
 
         if (! $result['success']) {
-            wp_send_json_error(['message' => $result['error']]);
+            $this->logger->error('Failed to create checkout session', [
+                'workshop_id' => $workshop_id,
+                'error'       => $result['error'],
+            ]);
+            wp_send_json_error([
+                'code'    => 'stripe_error',
+                'message' => $result['error'],
+            ]);
         }
 
         // Create pending enrollment record
@@ -341,6 +454,9 @@ class EnrollmentHandler
      *
      * Usage: [enrollment_button workshop_id="123" text="Add to Cart" show_capacity="true"]
      *
+     * With ajax_enroll="true" the button skips the cart and goes straight to
+     * Stripe checkout; errors such as "already enrolled" are shown inline.
+     *
      * @param array $atts Shortcode attributes.
      *
      * @return string Button HTML.
@@ -357,12 +473,15 @@ class EnrollmentHandler
             'show_view_cart' => 'true',
             'sold_out_text'  => __('Sold Out', 'fields-bright-enrollment'),
             'waitlist_text'  => __('Join Waitlist', 'fields-bright-enrollment'),
+            'ajax_enroll'    => 'false',
+            'enroll_text'    => __('Enroll Now', 'fields-bright-enrollment'),
         ], $atts);
 
         $workshop_id = absint($atts['workshop_id']);
         $show_capacity = filter_var($atts['show_capacity'], FILTER_VALIDATE_BOOLEAN);
         $show_price = filter_var($atts['show_price'], FILTER_VALIDATE_BOOLEAN);
         $show_view_cart = filter_var($atts['show_view_cart'], FILTER_VALIDATE_BOOLEAN);
+        $ajax_enroll = filter_var($atts['ajax_enroll'], FILTER_VALIDATE_BOOLEAN);
 
         // Check if checkout is enabled.
         if (! WorkshopMetaBox::is_checkout_enabled($workshop_id)) {
@@ -370,27 +489,24 @@ class EnrollmentHandler
         }
 
         // Check enrollment eligibility.
-        $can_enroll = WorkshopMetaBox::can_enroll($workshop_id);
-        $remaining_spots = WorkshopMetaBox::get_remaining_spots($workshop_id);
+        // Seats this visitor holds are still theirs to book.
+        $holder = WorkshopMetaBox::get_visitor_hold_key();
+        $can_enroll = WorkshopMetaBox::can_enroll($workshop_id, $holder);
+        $remaining_spots = WorkshopMetaBox::get_remaining_spots($workshop_id, $holder);
         $capacity = WorkshopMetaBox::get_capacity($workshop_id);
+        $held_by_you = $holder !== '' && SeatHolds::get_hold($workshop_id, $holder) !== null;
 
         // Check if user is already enrolled in this workshop.
         $enrollment_status = $this->check_user_enrollment_status($workshop_id);
         $is_already_enrolled = $enrollment_status['enrolled'];
 
         // Check for waitlist claim - if user has a reserved spot.
-        $has_waitlist_claim = false;
-        if (class_exists('FieldsBright\Enrollment\Waitlist\WaitlistClaimHandler')) {
-            $claim_handler = new \FieldsBright\Enrollment\Waitlist\WaitlistClaimHandler();
-            $claim_data = $claim_handler->get_claim_data();
-            
-            if ($claim_data && (int) $claim_data['workshop_id'] === (int) $workshop_id) {
-                $has_waitlist_claim = true;
-                // Override enrollment eligibility - they have a reserved spot!
-                $can_enroll['allowed'] = true;
-                $can_enroll['waitlist'] = false;
-                $this->logger->info('Waitlist claim detected - allowing enrollment', ['workshop_id' => $workshop_id]);
-            }
+        $has_waitlist_claim = $this->has_waitlist_claim($workshop_id);
+        if ($has_waitlist_claim) {
+            // Override enrollment eligibility - they have a reserved spot!
+            $can_enroll['allowed'] = true;
+            $can_enroll['waitlist'] = false;
+            $this->logger->info('Waitlist claim detected - allowing enrollment', ['workshop_id' => $workshop_id]);
         }
 
         // Check if already in cart.
@@ -404,13 +520,22 @@ class EnrollmentHandler
         }
 
         // Get pricing options.
-        $pricing_options = WorkshopMetaBox::get_pricing_options($workshop_id);
+        $pricing_options = WorkshopMetaBox::get_available_pricing_options($workshop_id);
         $base_price = WorkshopMetaBox::get_effective_price($workshop_id, '');
 
         // Determine button state.
         $is_sold_out = ! $can_enroll['allowed'] && ! $can_enroll['waitlist'];
         $is_waitlist = $can_enroll['waitlist'];
 
+        // Disable the button or swap in the waitlist form if the workshop fills up.
+        wp_enqueue_script('fields-bright-availability');
+
+        // Direct enrollment doesn't go through the cart, so cart contents don't matter.
+        if ($ajax_enroll) {
+            $in_cart = false;
+            wp_enqueue_script('fields-bright-enrollment');
+        }
+
         // Get cart page URL.
         $cart_page_id = get_option('fields_bright_cart_page', 0);
         $cart_url = $cart_page_id ? get_permalink($cart_page_id) : home_url('/cart/');
@@ -428,13 +553,17 @@ class EnrollmentHandler
 
         ob_start();
         ?>
-        <div class="fb-add-to-cart-wrapper" data-add-to-cart-wrapper data-workshop-id="<?php echo esc_attr($workshop_id); ?>" data-original-text="<?php echo esc_attr($atts['text']); ?>">
+        <div class="fb-add-to-cart-wrapper" data-add-to-cart-wrapper data-workshop-id="<?php echo esc_attr($workshop_id); ?>" data-original-text="<?php echo esc_attr($atts['text']); ?>" data-sold-out-text="<?php echo esc_attr($atts['sold_out_text']); ?>">
             <?php if ($show_capacity && $capacity > 0) : ?>
                 <div class="fb-add-to-cart__capacity">
                     <?php if ($has_waitlist_claim) : ?>
                         <span class="fb-capacity-badge reserved" style="background: #d4edda; color: #155724; border-color: #28a745;">
                             <?php esc_html_e('✓ Reserved for You', 'fields-bright-enrollment'); ?>
                         </span>
+                    <?php elseif ($held_by_you) : ?>
+                        <span class="fb-capacity-badge held">
+                            <?php esc_html_e('✓ Held for You', 'fields-bright-enrollment'); ?>
+                        </span>
                     <?php elseif ($remaining_spots !== null && $remaining_spots > 0) : ?>
                         <span class="fb-capacity-badge <?php echo $remaining_spots <= 5 ? 'urgent' : ''; ?>">
                             <?php
@@ -470,19 +599,11 @@ class EnrollmentHandler
             <?php else : ?>
             <?php if (! empty($pricing_options) && ! $is_sold_out && ! $in_cart) : ?>
                 <div class="fb-add-to-cart__options">
-                    <select class="fb-pricing-select" data-pricing-select data-workshop-id="<?php echo esc_attr($workshop_id); ?>">
-                        <?php foreach ($pricing_options as $option) : ?>
-                            <option value="<?php echo esc_attr($option['id']); ?>" 
-                                    data-price="<?php echo esc_attr($option['price']); ?>"
-                                    <?php echo ! empty($option['default']) ? 'selected' : ''; ?>>
-                                <?php echo esc_html($option['label']); ?> - $<?php echo esc_html(number_format($option['price'], 2)); ?>
-                            </option>
-                        <?php endforeach; ?>
-                    </select>
+                    <?php echo CartShortcodes::render_pricing_select($workshop_id, $pricing_options); ?>
                 </div>
             <?php elseif ($show_price && $base_price > 0 && ! $is_sold_out && ! $in_cart) : ?>
                 <div class="fb-add-to-cart__price">
-                    $<?php echo esc_html(number_format($base_price, 2)); ?>
+                    <?php echo esc_html(EnrollmentSystem::format_price((float) $base_price)); ?>
                 </div>
             <?php endif; ?>
 
@@ -509,6 +630,14 @@ class EnrollmentHandler
                     <?php esc_html_e('View Cart', 'fields-bright-enrollment'); ?>
                 </a>
                 <?php endif; ?>
+            <?php elseif ($ajax_enroll) : ?>
+                <button type="button"
+                        class="<?php echo esc_attr(implode(' ', $button_classes)); ?>"
+                        data-ajax-enroll
+                        data-workshop-id="<?php echo esc_attr($workshop_id); ?>">
+                    <?php echo esc_html($atts['enroll_text']); ?>
+                </button>
+                <div class="fb-enroll-error" data-enroll-error role="alert" hidden></div>
             <?php else : ?>
                 <button type="button" 
                         class="<?php echo esc_attr(implode(' ', $button_classes)); ?>" 
@@ -517,6 +646,8 @@ class EnrollmentHandler
                     <?php echo esc_html($atts['text']); ?>
                 </button>
                 <?php endif; ?>
+
+                <?php echo CartShortcodes::render_save_toggle($workshop_id, $this->cart_manager->is_saved($workshop_id)); ?>
             <?php endif; ?>
         </div>
         <?php
@@ -533,17 +664,28 @@ class EnrollmentHandler
         // Verify nonce (use wp_unslash for proper sanitization).
         $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
         if (! wp_verify_nonce($nonce, 'fields_bright_cart')) {
-            wp_send_json_error(['message' => __('Invalid security token.', 'fields-bright-enrollment')]);
+            wp_send_json_error([
+                'code'    => 'invalid_nonce',
+                'message' => __('Invalid security token.', 'fields-bright-enrollment'),
+            ], 403);
         }
 
         $workshop_id = isset($_POST['workshop_id']) ? absint($_POST['workshop_id']) : 0;
         $pricing_option = isset($_POST['pricing_option']) ? sanitize_text_field(wp_unslash($_POST['pricing_option'])) : '';
+        $amount = $this->get_amount_from_request($_POST);
+
+        if ($amount === false) {
+            wp_send_json_error([
+                'code'    => 'invalid_amount',
+                'message' => __('Enter the amount as a number.', 'fields-bright-enrollment'),
+            ]);
+        }
 
         if (! $workshop_id) {
             wp_send_json_error(['message' => __('Workshop not specified.', 'fields-bright-enrollment')]);
         }
 
-        $result = $this->cart_manager->add_to_cart($workshop_id, $pricing_option);
+        $result = $this->cart_manager->add_to_cart($workshop_id, $pricing_option, $amount);
 
         if ($result['success']) {
             wp_send_json_success([
@@ -556,6 +698,24 @@ class EnrollmentHandler
         }
     }
 
+    /**
+     * Get a pay-what-you-can amount from the request.
+     *
+     * @param array $input Request data, $_GET or $_POST.
+     *
+     * @return float|null|false Amount, null when none was given, false when it isn't a number.
+     */
+    private function get_amount_from_request(array $input): float|null|false
+    {
+        $amount = isset($input['amount']) ? sanitize_text_field(wp_unslash($input['amount'])) : '';
+
+        if ($amount === '') {
+            return null;
+        }
+
+        return is_numeric($amount) ? (float) $amount : false;
+    }
+
     /**
      * Get workshop ID from request.
      *
@@ -582,7 +742,7 @@ class EnrollmentHandler
      *
      * @param int $workshop_id Workshop post ID.
      *
-     * @return array{valid: bool, error?: string, waitlist?: bool}
+     * @return array{valid: bool, code?: string, error?: string, waitlist?: bool}
      */
     private function validate_workshop(int $workshop_id): array
     {
@@ -592,6 +752,7 @@ class EnrollmentHandler
         if (! $workshop || $workshop->post_status !== 'publish') {
             return [
                 'valid' => false,
+                'code'  => 'invalid_workshop',
                 'error' => __('Workshop not found or not available.', 'fields-bright-enrollment'),
             ];
         }
@@ -602,6 +763,7 @@ class EnrollmentHandler
         if (! $can_enroll['allowed']) {
             return [
                 'valid' => false,
+                'code'  => $can_enroll['code'],
                 'error' => $can_enroll['reason'],
             ];
         }
@@ -610,6 +772,7 @@ class EnrollmentHandler
         if (! $this->stripe_handler->is_configured()) {
             return [
                 'valid' => false,
+                'code'  => 'payment_not_configured',
                 'error' => __('Payment system is not configured.', 'fields-bright-enrollment'),
             ];
         }
@@ -103,7 +103,16 @@ class EnrollmentMetaBox
         $customer_name = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'customer_name', true);
         $customer_email = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'customer_email', true);
         $customer_phone = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'customer_phone', true);
+        $attendee_name = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'attendee_name', true);
+        $attendee_age = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'attendee_age', true);
+        $attendee_notes = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'attendee_notes', true);
+        $purchaser_name = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'purchaser_name', true);
+        $purchaser_email = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'purchaser_email', true);
+        $purchaser_phone = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'purchaser_phone', true);
+        $gift_message = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'gift_message', true);
         $amount = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'amount', true);
+        $discount_amount = (float) get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'discount_amount', true);
+        $promo_code = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'promo_code', true);
         $currency = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'currency', true) ?: 'usd';
         $pricing_option = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'pricing_option_id', true);
         $date = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'date', true);
@@ -180,6 +189,64 @@ class EnrollmentMetaBox
                            class="regular-text" value="<?php echo esc_attr($customer_phone); ?>">
                 </td>
             </tr>
+            <tr>
+                <th scope="row">
+                    <label for="enrollment_attendee_name"><?php esc_html_e('Attendee Name', 'fields-bright-enrollment'); ?></label>
+                </th>
+                <td>
+                    <input type="text" name="enrollment_attendee_name" id="enrollment_attendee_name" 
+                           class="regular-text" value="<?php echo esc_attr($attendee_name); ?>">
+                    <p class="description"><?php esc_html_e('Leave empty when the customer is the attendee.', 'fields-bright-enrollment'); ?></p>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row">
+                    <label for="enrollment_attendee_age"><?php esc_html_e('Attendee Age', 'fields-bright-enrollment'); ?></label>
+                </th>
+                <td>
+                    <input type="number" name="enrollment_attendee_age" id="enrollment_attendee_age" 
+                           class="small-text" min="0" max="120" value="<?php echo esc_attr($attendee_age); ?>">
+                </td>
+            </tr>
+            <tr>
+                <th scope="row">
+                    <label for="enrollment_attendee_notes"><?php esc_html_e('Attendee Notes', 'fields-bright-enrollment'); ?></label>
+                </th>
+                <td>
+                    <textarea name="enrollment_attendee_notes" id="enrollment_attendee_notes" rows="3" 
+                              class="large-text"><?php echo esc_textarea($attendee_notes); ?></textarea>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row">
+                    <label for="enrollment_purchaser_name"><?php esc_html_e('Gift Purchased By', 'fields-bright-enrollment'); ?></label>
+                </th>
+                <td>
+                    <input type="text" name="enrollment_purchaser_name" id="enrollment_purchaser_name" 
+                           class="regular-text" value="<?php echo esc_attr($purchaser_name); ?>"
+                           placeholder="<?php esc_attr_e('Name', 'fields-bright-enrollment'); ?>">
+                    <br>
+                    <input type="email" name="enrollment_purchaser_email" id="enrollment_purchaser_email" 
+                           class="regular-text" value="<?php echo esc_attr($purchaser_email); ?>"
+                           placeholder="<?php esc_attr_e('Email', 'fields-bright-enrollment'); ?>"
+                           aria-label="<?php esc_attr_e('Purchaser Email', 'fields-bright-enrollment'); ?>">
+                    <br>
+                    <input type="tel" name="enrollment_purchaser_phone" id="enrollment_purchaser_phone" 
+                           class="regular-text" value="<?php echo esc_attr($purchaser_phone); ?>"
+                           placeholder="<?php esc_attr_e('Phone', 'fields-bright-enrollment'); ?>"
+                           aria-label="<?php esc_attr_e('Purchaser Phone', 'fields-bright-enrollment'); ?>">
+                    <p class="description"><?php esc_html_e('Filled in when someone else paid for this enrollment as a gift. The customer above is the recipient.', 'fields-bright-enrollment'); ?></p>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row">
+                    <label for="enrollment_gift_message"><?php esc_html_e('Gift Message', 'fields-bright-enrollment'); ?></label>
+                </th>
+                <td>
+                    <textarea name="enrollment_gift_message" id="enrollment_gift_message" rows="3" 
+                              class="large-text"><?php echo esc_textarea($gift_message); ?></textarea>
+                </td>
+            </tr>
             <tr>
                 <th scope="row">
                     <label for="enrollment_amount"><?php esc_html_e('Amount', 'fields-bright-enrollment'); ?></label>
@@ -192,6 +259,18 @@ class EnrollmentMetaBox
                         <option value="eur" <?php selected($currency, 'eur'); ?>>EUR (€)</option>
                         <option value="gbp" <?php selected($currency, 'gbp'); ?>>GBP (£)</option>
                     </select>
+                    <?php if ($discount_amount > 0) : ?>
+                        <p class="description">
+                            <?php
+                            printf(
+                                /* translators: 1: Discount amount, 2: Promo code */
+                                esc_html__('Amount paid after a %1$s discount (promo code %2$s).', 'fields-bright-enrollment'),
+                                esc_html(number_format($discount_amount, 2)),
+                                '<code>' . esc_html($promo_code) . '</code>'
+                            );
+                            ?>
+                        </p>
+                    <?php endif; ?>
                 </td>
             </tr>
             <tr>
@@ -229,6 +308,17 @@ class EnrollmentMetaBox
         $session_id = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'stripe_session_id', true);
         $payment_intent_id = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'stripe_payment_intent_id', true);
         $customer_id = get_post_meta($post->ID, EnrollmentCPT::META_PREFIX . 'stripe_customer_id', true);
+
+        // Other enrollments paid for in the same checkout.
+        $order_enrollments = [];
+        if ($session_id) {
+            $order_enrollments = array_filter(
+                (new EnrollmentCPT())->get_all_by_session_id($session_id),
+                static function (\WP_Post $enrollment) use ($post): bool {
+                    return $enrollment->ID !== $post->ID;
+                }
+            );
+        }
         ?>
         <table class="form-table enrollment-stripe-table">
             <tr>
@@ -268,6 +358,22 @@ class EnrollmentMetaBox
                     <?php endif; ?>
                 </td>
             </tr>
+            <?php if (! empty($order_enrollments)) : ?>
+                <tr>
+                    <th scope="row"><?php esc_html_e('Same Order', 'fields-bright-enrollment'); ?></th>
+                    <td>
+                        <ul style="margin: 0;">
+                            <?php foreach ($order_enrollments as $enrollment) : ?>
+                                <li>
+                                    <a href="<?php echo esc_url(get_edit_post_link($enrollment->ID)); ?>">
+                                        <?php echo esc_html($enrollment->post_title); ?>
+                                    </a>
+                                </li>
+                            <?php endforeach; ?>
+                        </ul>
+                    </td>
+                </tr>
+            <?php endif; ?>
         </table>
         <p class="description">
             <?php esc_html_e('Stripe information is set automatically during checkout and should not be modified manually.', 'fields-bright-enrollment'); ?>
@@ -343,6 +449,13 @@ class EnrollmentMetaBox
             'enrollment_customer_name'            => ['meta_key' => 'customer_name', 'sanitize' => 'sanitize_text_field'],
             'enrollment_customer_email'           => ['meta_key' => 'customer_email', 'sanitize' => 'sanitize_email'],
             'enrollment_customer_phone'           => ['meta_key' => 'customer_phone', 'sanitize' => 'sanitize_text_field'],
+            'enrollment_attendee_name'            => ['meta_key' => 'attendee_name', 'sanitize' => 'sanitize_text_field'],
+            'enrollment_attendee_age'             => ['meta_key' => 'attendee_age', 'sanitize' => 'sanitize_text_field'],
+            'enrollment_attendee_notes'           => ['meta_key' => 'attendee_notes', 'sanitize' => 'sanitize_textarea_field'],
+            'enrollment_purchaser_name'           => ['meta_key' => 'purchaser_name', 'sanitize' => 'sanitize_text_field'],
+            'enrollment_purchaser_email'          => ['meta_key' => 'purchaser_email', 'sanitize' => 'sanitize_email'],
+            'enrollment_purchaser_phone'          => ['meta_key' => 'purchaser_phone', 'sanitize' => 'sanitize_text_field'],
+            'enrollment_gift_message'             => ['meta_key' => 'gift_message', 'sanitize' => 'sanitize_textarea_field'],
             'enrollment_amount'                   => ['meta_key' => 'amount', 'sanitize' => [$this, 'sanitize_amount']],
             'enrollment_currency'                 => ['meta_key' => 'currency', 'sanitize' => 'sanitize_text_field'],
             'enrollment_pricing_option'           => ['meta_key' => 'pricing_option_id', 'sanitize' => 'sanitize_text_field'],
@@ -362,9 +475,10 @@ class EnrollmentMetaBox
             }
         }
 
-        // Update post title based on workshop and customer
+        // Update post title based on workshop and attendee (or customer)
         $workshop_id = get_post_meta($post_id, EnrollmentCPT::META_PREFIX . 'workshop_id', true);
-        $customer_name = get_post_meta($post_id, EnrollmentCPT::META_PREFIX . 'customer_name', true);
+        $customer_name = get_post_meta($post_id, EnrollmentCPT::META_PREFIX . 'attendee_name', true)
+            ?: get_post_meta($post_id, EnrollmentCPT::META_PREFIX . 'customer_name', true);
 
         $workshop_title = $workshop_id ? get_the_title($workshop_id) : __('Unknown Workshop', 'fields-bright-enrollment');
         $customer_display = $customer_name ?: __('Unknown Customer', 'fields-bright-enrollment');
@@ -14,6 +14,8 @@
 
 namespace FieldsBright\Enrollment\MetaBoxes;
 
+use FieldsBright\Enrollment\Cart\SeatHolds;
+use FieldsBright\Enrollment\EnrollmentSystem;
 use FieldsBright\Enrollment\PostType\WorkshopCPT;
 use FieldsBright\Enrollment\Utils\Logger;
 
@@ -38,6 +40,16 @@ class WorkshopMetaBox
      */
     public const META_PREFIX = '_event_';
 
+    /**
+     * Pricing option types.
+     *
+     * @var array<string, string>
+     */
+    public const PRICING_TYPES = [
+        'fixed'   => 'Fixed price',
+        'sliding' => 'Pay what you can',
+    ];
+
     /**
      * Nonce action for meta box saves.
      *
@@ -80,6 +92,7 @@ class WorkshopMetaBox
         add_action('save_post_workshop', [$this, 'save_meta_boxes'], 10, 2);
         add_action('init', [$this, 'register_meta_fields']);
         add_action('admin_enqueue_scripts', [$this, 'enqueue_admin_scripts']);
+        add_action('wp_ajax_fields_bright_preview_pricing', [$this, 'ajax_preview_pricing']);
         
         // Hook into REST API to handle Block Editor saves
         add_action('rest_after_insert_workshop', [$this, 'save_meta_via_rest'], 10, 3);
@@ -113,11 +126,94 @@ class WorkshopMetaBox
             return;
         }
 
-        // Enqueue jQuery UI Sortable for drag-and-drop reordering
-        wp_enqueue_script('jquery-ui-sortable');
+        $screen = get_current_screen();
+        if (! $screen || ! in_array($screen->post_type, ['post', WorkshopCPT::POST_TYPE], true)) {
+            return;
+        }
 
-        // Note: Meta box saves are handled entirely via PHP through the meta-box-loader mechanism.
-        // No Block Editor JavaScript sync needed - WordPress handles this automatically.
+        $script_path = get_stylesheet_directory() . '/assets/js/pricing-editor.js';
+        $style_path = get_stylesheet_directory() . '/assets/css/pricing-editor.css';
+
+        // Pricing editor, with jQuery UI Sortable for drag-and-drop reordering
+        wp_enqueue_script(
+            'fields-bright-pricing-editor',
+            get_stylesheet_directory_uri() . '/assets/js/pricing-editor.js',
+            ['jquery', 'jquery-ui-sortable', 'fields-bright-api', 'fields-bright-notifications'],
+            file_exists($script_path) ? filemtime($script_path) : EnrollmentSystem::VERSION,
+            true
+        );
+        EnrollmentSystem::instance()->add_client_nonce('pricing');
+        wp_enqueue_style(
+            'fields-bright-pricing-editor',
+            get_stylesheet_directory_uri() . '/assets/css/pricing-editor.css',
+            ['fields-bright-notifications'],
+            file_exists($style_path) ? filemtime($style_path) : EnrollmentSystem::VERSION
+        );
+
+        $post = get_post();
+
+        wp_localize_script('fields-bright-pricing-editor', 'fbPricingEditor', [
+            'postId'   => $post ? $post->ID : 0,
+            'slug'     => $post && $post->post_name ? $post->post_name : 'workshop',
+            'currency' => strtoupper(EnrollmentSystem::get_currency()),
+            'locale'   => EnrollmentSystem::get_locale_tag(),
+            'today'    => current_time('Y-m-d'),
+            'types'    => self::PRICING_TYPES,
+            'strings'  => [
+                'idRequired'        => __('Enter an ID.', 'fields-bright-enrollment'),
+                /* translators: %s: pricing option ID */
+                'idDuplicate'       => __('The ID "%s" is already used by another option.', 'fields-bright-enrollment'),
+                'labelRequired'     => __('Enter a label.', 'fields-bright-enrollment'),
+                'priceRequired'     => __('Enter a price.', 'fields-bright-enrollment'),
+                'priceInvalid'      => __('Amounts must be numbers.', 'fields-bright-enrollment'),
+                'priceNegative'     => __('Amounts can\'t be negative.', 'fields-bright-enrollment'),
+                'defaultRequired'   => __('Choose exactly one default option.', 'fields-bright-enrollment'),
+                'fixRows'           => __('Fix the highlighted pricing options.', 'fields-bright-enrollment'),
+                'saveBlocked'       => __('Fix the pricing options in Workshop Settings before saving.', 'fields-bright-enrollment'),
+                /* translators: %s: pricing option label */
+                'removed'           => __('Removed "%s".', 'fields-bright-enrollment'),
+                'removedUntitled'   => __('Removed an empty option.', 'fields-bright-enrollment'),
+                'undo'              => __('Undo', 'fields-bright-enrollment'),
+                'payWhatYouCan'     => __('Pay what you can', 'fields-bright-enrollment'),
+                /* translators: %s: minimum amount */
+                'payWhatYouCanFrom' => __('Pay what you can, from %s', 'fields-bright-enrollment'),
+                'previewEmpty'      => __('No options are offered today, so customers pay the base price.', 'fields-bright-enrollment'),
+                /* translators: %d: number of pricing options */
+                'previewHiddenOne'  => __('%d option is not offered today because of its dates.', 'fields-bright-enrollment'),
+                /* translators: %d: number of pricing options */
+                'previewHidden'     => __('%d options are not offered today because of their dates.', 'fields-bright-enrollment'),
+                'chooseSource'      => __('Choose a workshop to copy from.', 'fields-bright-enrollment'),
+                'loading'           => __('Loading...', 'fields-bright-enrollment'),
+                'importError'       => __('The file could not be read. Use a JSON or CSV file exported from a workshop.', 'fields-bright-enrollment'),
+                'csvNoHeader'       => __('The CSV file needs a header row with at least "label" and "price" columns.', 'fields-bright-enrollment'),
+                'previewError'      => __('The pricing options could not be loaded.', 'fields-bright-enrollment'),
+                'nothingToExport'   => __('There are no pricing options to export.', 'fields-bright-enrollment'),
+                /* translators: 1: number of pricing options, 2: workshop title or file name */
+                'diffTitle'         => __('Replace the pricing options with %1$d from %2$s?', 'fields-bright-enrollment'),
+                'diffAdded'         => __('New', 'fields-bright-enrollment'),
+                'diffRemoved'       => __('Removed', 'fields-bright-enrollment'),
+                'diffChanged'       => __('Changed', 'fields-bright-enrollment'),
+                'diffUnchanged'     => __('Unchanged', 'fields-bright-enrollment'),
+                /* translators: 1: old default option label, 2: new default option label */
+                'diffDefault'       => __('Default option: %1$s → %2$s', 'fields-bright-enrollment'),
+                /* translators: %s: default option label */
+                'diffDefaultSame'   => __('Default option: %s', 'fields-bright-enrollment'),
+                'none'              => __('none', 'fields-bright-enrollment'),
+                'apply'             => __('Replace options', 'fields-bright-enrollment'),
+                'cancel'            => __('Cancel', 'fields-bright-enrollment'),
+                /* translators: %s: workshop title or file name */
+                'replaced'          => __('Pricing options replaced with those from %s. Save the workshop to keep them.', 'fields-bright-enrollment'),
+                'fields'            => [
+                    'label'           => __('label', 'fields-bright-enrollment'),
+                    'type'            => __('type', 'fields-bright-enrollment'),
+                    'price'           => __('price', 'fields-bright-enrollment'),
+                    'min'             => __('minimum', 'fields-bright-enrollment'),
+                    'max'             => __('maximum', 'fields-bright-enrollment'),
+                    'available_from'  => __('from date', 'fields-bright-enrollment'),
+                    'available_until' => __('until date', 'fields-bright-enrollment'),
+                ],
+            ],
+        ]);
     }
 
     /**
@@ -332,54 +428,6 @@ class WorkshopMetaBox
                 .workshop-settings-metabox .stat-box.warning .number {
                     color: #d63638;
                 }
-                .workshop-settings-metabox .pricing-options-container {
-                    background: #f6f7f7;
-                    border: 1px solid #dcdcde;
-                    padding: 15px;
-                    border-radius: 4px;
-                    margin-top: 10px;
-                }
-                .workshop-settings-metabox .pricing-option-row {
-                    display: flex;
-                    gap: 10px;
-                    margin-bottom: 10px;
-                    align-items: center;
-                }
-                .workshop-settings-metabox .pricing-option-row input {
-                    flex: 1;
-                }
-                .workshop-settings-metabox .pricing-option-row .price-input {
-                    max-width: 100px;
-                }
-                .workshop-settings-metabox .drag-handle {
-                    cursor: grab;
-                    color: #999;
-                    margin-right: 8px;
-                    font-size: 16px;
-                }
-                .workshop-settings-metabox .drag-handle:hover {
-                    color: #666;
-                }
-                .workshop-settings-metabox .pricing-option-row.ui-sortable-helper {
-                    background: #fff;
-                    box-shadow: 0 2px 8px rgba(0,0,0,0.15);
-                    border-radius: 4px;
-                    padding: 8px;
-                }
-                .workshop-settings-metabox .pricing-option-row.ui-sortable-placeholder {
-                    visibility: visible !important;
-                    background: #f0f6fc;
-                    border: 2px dashed #0073aa;
-                    border-radius: 4px;
-                    height: 40px;
-                }
-                .workshop-settings-metabox .remove-option-btn {
-                    color: #d63638;
-                    cursor: pointer;
-                }
-                .workshop-settings-metabox .remove-option-btn:hover {
-                    color: #a00;
-                }
                 .workshop-settings-metabox .inline-fields {
                     display: flex;
                     gap: 20px;
@@ -562,10 +610,39 @@ class WorkshopMetaBox
                     <div class="form-row single">
                         <div class="form-field">
                             <label><?php esc_html_e('Variable Pricing Options', 'fields-bright-enrollment'); ?></label>
-                            <div class="pricing-options-container">
+                            <div class="pricing-options-container" data-pricing-editor>
                                 <p class="description" style="margin: 0 0 15px;">
                                     <?php esc_html_e('Add pricing tiers (e.g., "Individual $50" vs "Couple $80"). Leave empty to use base price.', 'fields-bright-enrollment'); ?>
+                                    <?php esc_html_e('"Pay what you can" options let customers choose an amount between the minimum and the optional maximum, starting from the suggested amount.', 'fields-bright-enrollment'); ?>
+                                    <?php esc_html_e('Give an option "from" and "until" dates to offer it only for that period, e.g. an early-bird price. Both dates are included.', 'fields-bright-enrollment'); ?>
                                 </p>
+                                <div class="pricing-editor-tools">
+                                    <?php $pricing_sources = $this->get_pricing_sources($post->ID); ?>
+                                    <?php if ($pricing_sources) : ?>
+                                    <label class="screen-reader-text" for="pricing-copy-source"><?php esc_html_e('Copy pricing from workshop', 'fields-bright-enrollment'); ?></label>
+                                    <select id="pricing-copy-source" data-pricing-copy-source>
+                                        <option value=""><?php esc_html_e('Copy pricing from workshop…', 'fields-bright-enrollment'); ?></option>
+                                        <?php foreach ($pricing_sources as $source_id => $source) : ?>
+                                            <option value="<?php echo esc_attr($source_id); ?>" data-title="<?php echo esc_attr($source['title']); ?>">
+                                                <?php
+                                                echo esc_html(sprintf(
+                                                    /* translators: 1: workshop title, 2: number of pricing options */
+                                                    _n('%1$s (%2$d option)', '%1$s (%2$d options)', $source['count'], 'fields-bright-enrollment'),
+                                                    $source['title'],
+                                                    $source['count']
+                                                ));
+                                                ?>
+                                            </option>
+                                        <?php endforeach; ?>
+                                    </select>
+                                    <button type="button" class="button" data-pricing-copy><?php esc_html_e('Copy', 'fields-bright-enrollment'); ?></button>
+                                    <?php endif; ?>
+                                    <button type="button" class="button" data-pricing-import><?php esc_html_e('Import JSON/CSV…', 'fields-bright-enrollment'); ?></button>
+                                    <input type="file" accept=".json,.csv,application/json,text/csv" data-pricing-import-file hidden>
+                                    <button type="button" class="button" data-pricing-export="json"><?php esc_html_e('Export JSON', 'fields-bright-enrollment'); ?></button>
+                                    <button type="button" class="button" data-pricing-export="csv"><?php esc_html_e('Export CSV', 'fields-bright-enrollment'); ?></button>
+                                </div>
+                                <div class="pricing-editor-diff" data-pricing-diff hidden></div>
                                 <div id="pricing-options-list">
                                     <?php
                                     $options = [];
@@ -585,10 +662,12 @@ class WorkshopMetaBox
                                 <button type="button" class="button" id="add-pricing-option" style="margin-top: 10px;">
                                     <?php esc_html_e('+ Add Option', 'fields-bright-enrollment'); ?>
                                 </button>
-                                <button type="button" class="button" id="debug-pricing-options" style="margin-top: 10px; margin-left: 10px; background: #f0f0f1; border-color: #2271b1; color: #2271b1;">
-                                    <?php esc_html_e('🔍 Debug: Show Form Data', 'fields-bright-enrollment'); ?>
-                                </button>
-                                <div id="pricing-debug-output" style="display: none; margin-top: 15px; padding: 10px; background: #fff8e5; border: 1px solid #ffcc00; border-radius: 4px; font-family: monospace; font-size: 12px; white-space: pre-wrap;"></div>
+                                <div class="pricing-editor-errors" data-pricing-errors role="alert" hidden></div>
+                                <div class="pricing-editor-preview" data-pricing-preview>
+                                    <label for="pricing-editor-preview-select"><?php esc_html_e('Customers see', 'fields-bright-enrollment'); ?></label>
+                                    <select id="pricing-editor-preview-select"></select>
+                                    <p class="description" data-pricing-preview-note hidden></p>
+                                </div>
                             </div>
                         </div>
                     </div>
@@ -617,124 +696,6 @@ class WorkshopMetaBox
                     $('#enrollment-conditional-fields').slideUp();
                 }
             });
-
-            // Pricing options management
-            var lastAddTime = 0;
-            var addDebounceMs = 300;
-            
-            var getNextIndex = function() {
-                var maxIndex = -1;
-                $('#pricing-options-list .pricing-option-row').each(function() {
-                    var idx = parseInt($(this).data('row-index'), 10);
-                    if (!isNaN(idx) && idx > maxIndex) {
-                        maxIndex = idx;
-                    }
-                });
-                return maxIndex + 1;
-            };
-            
-            // Sync pricing options to hidden JSON field (for meta-box-loader)
-            function syncPricingOptionsToJson() {
-                var pricingOptions = [];
-                var defaultIndex = $('input[name="event_pricing_option_default"]:checked').val();
-                
-                $('#pricing-options-list .pricing-option-row').each(function(i) {
-                    var $row = $(this);
-                    var idVal = $row.find('.pricing-option-id').val() || '';
-                    var labelVal = $row.find('.pricing-option-label').val() || '';
-                    var priceVal = $row.find('.price-input').val() || '';
-                    
-                    // Only include rows with at least a label or price
-                    if (labelVal || priceVal) {
-                        // Auto-generate ID if empty
-                        if (!idVal && labelVal) {
-                            idVal = labelVal.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
-                        }
-                        pricingOptions.push({
-                            id: idVal,
-                            label: labelVal,
-                            price: parseFloat(priceVal) || 0,
-                            default: (String(i) === String(defaultIndex))
-                        });
-                    }
-                });
-                
-                $('#event_pricing_options_json').val(JSON.stringify(pricingOptions));
-            }
-            
-            // Sync on any change to pricing fields
-            $(document).on('change input blur', '#pricing-options-list input', function() {
-                syncPricingOptionsToJson();
-            });
-            
-            // Initial sync
-            syncPricingOptionsToJson();
-            
-            // Add pricing option button
-            var $addBtn = $('#add-pricing-option');
-            $addBtn.off();
-            $addBtn.prop('onclick', null);
-            
-            $addBtn.on('click', function(e) {
-                e.preventDefault();
-                e.stopPropagation();
-                e.stopImmediatePropagation();
-                
-                var now = Date.now();
-                if (now - lastAddTime < addDebounceMs) return false;
-                lastAddTime = now;
-                
-                var newIndex = getNextIndex();
-                var template = $('#pricing-option-template').html();
-                template = template.replace(/__INDEX__/g, newIndex);
-                $('#pricing-options-list').append(template);
-                syncPricingOptionsToJson();
-                
-                return false;
-            });
-
-            // Remove pricing option
-            $(document).off('click', '.remove-option-btn').on('click', '.remove-option-btn', function() {
-                $(this).closest('.pricing-option-row').remove();
-                reindexPricingOptions();
-                syncPricingOptionsToJson();
-            });
-
-            // Reindex pricing options after sorting/removing
-            function reindexPricingOptions() {
-                $('#pricing-options-list .pricing-option-row').each(function(index) {
-                    var $row = $(this);
-                    $row.attr('data-row-index', index);
-                    $row.find('.pricing-option-id').attr('name', 'event_pricing_options[' + index + '][id]');
-                    $row.find('.pricing-option-label').attr('name', 'event_pricing_options[' + index + '][label]');
-                    $row.find('.price-input').attr('name', 'event_pricing_options[' + index + '][price]');
-                    $row.find('input[type="radio"]').val(index);
-                });
-            }
-
-            // Enable drag-and-drop reordering
-            $('#pricing-options-list').sortable({
-                handle: '.drag-handle',
-                placeholder: 'ui-sortable-placeholder',
-                axis: 'y',
-                tolerance: 'pointer',
-                update: function() { 
-                    reindexPricingOptions(); 
-                    syncPricingOptionsToJson();
-                }
-            });
-
-            // Auto-generate ID from label
-            $(document).off('blur', '.pricing-option-label').on('blur', '.pricing-option-label', function() {
-                var $row = $(this).closest('.pricing-option-row');
-                var $idField = $row.find('.pricing-option-id');
-                if ($idField.val() === '') {
-                    var label = $(this).val();
-                    var id = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
-                    $idField.val(id);
-                }
-                syncPricingOptionsToJson();
-            });
         });
         </script>
         <?php
@@ -754,8 +715,11 @@ class WorkshopMetaBox
         $label = $option['label'] ?? '';
         $price = $option['price'] ?? '';
         $is_default = $option['default'] ?? false;
+        $is_sliding = self::is_sliding_scale($option);
+        $min = $is_sliding ? ($option['min'] ?? '') : '';
+        $max = $is_sliding && ! empty($option['max']) ? $option['max'] : '';
         ?>
-        <div class="pricing-option-row" data-row-index="<?php echo esc_attr($index); ?>">
+        <div class="pricing-option-row<?php echo $is_sliding ? ' is-sliding' : ''; ?>" data-row-index="<?php echo esc_attr($index); ?>">
             <span class="drag-handle dashicons dashicons-menu" title="<?php esc_attr_e('Drag to reorder', 'fields-bright-enrollment'); ?>"></span>
             <input type="text" 
                    name="event_pricing_options[<?php echo esc_attr($index); ?>][id]" 
@@ -770,14 +734,59 @@ class WorkshopMetaBox
                    placeholder="<?php esc_attr_e('Label (e.g., Per Couple)', 'fields-bright-enrollment'); ?>" 
                    value="<?php echo esc_attr($label); ?>"
                    autocomplete="off">
+            <select name="event_pricing_options[<?php echo esc_attr($index); ?>][type]"
+                    class="pricing-option-type"
+                    aria-label="<?php esc_attr_e('Pricing type', 'fields-bright-enrollment'); ?>">
+                <?php foreach (self::PRICING_TYPES as $type => $type_label) : ?>
+                    <option value="<?php echo esc_attr($type); ?>" <?php selected($is_sliding ? 'sliding' : 'fixed', $type); ?>>
+                        <?php echo esc_html($type_label); ?>
+                    </option>
+                <?php endforeach; ?>
+            </select>
+            <input type="number" 
+                   name="event_pricing_options[<?php echo esc_attr($index); ?>][min]" 
+                   class="pricing-option-min"
+                   step="0.01" 
+                   min="0" 
+                   placeholder="<?php esc_attr_e('Min', 'fields-bright-enrollment'); ?>" 
+                   title="<?php esc_attr_e('Minimum amount', 'fields-bright-enrollment'); ?>"
+                   value="<?php echo esc_attr($min); ?>"
+                   autocomplete="off">
             <input type="number" 
                    name="event_pricing_options[<?php echo esc_attr($index); ?>][price]" 
                    class="price-input"
                    step="0.01" 
                    min="0" 
-                   placeholder="<?php esc_attr_e('$', 'fields-bright-enrollment'); ?>" 
+                   placeholder="<?php echo $is_sliding ? esc_attr__('Suggested', 'fields-bright-enrollment') : esc_attr__('$', 'fields-bright-enrollment'); ?>" 
+                   data-fixed-placeholder="<?php esc_attr_e('$', 'fields-bright-enrollment'); ?>"
+                   data-sliding-placeholder="<?php esc_attr_e('Suggested', 'fields-bright-enrollment'); ?>"
                    value="<?php echo esc_attr($price); ?>"
                    autocomplete="off">
+            <input type="number" 
+                   name="event_pricing_options[<?php echo esc_attr($index); ?>][max]" 
+                   class="pricing-option-max"
+                   step="0.01" 
+                   min="0" 
+                   placeholder="<?php esc_attr_e('Max', 'fields-bright-enrollment'); ?>" 
+                   title="<?php esc_attr_e('Maximum amount, leave empty for none', 'fields-bright-enrollment'); ?>"
+                   value="<?php echo esc_attr($max); ?>"
+                   autocomplete="off">
+            <label class="pricing-option-dates">
+                <?php esc_html_e('From', 'fields-bright-enrollment'); ?>
+                <input type="date" 
+                       name="event_pricing_options[<?php echo esc_attr($index); ?>][available_from]" 
+                       class="pricing-option-from"
+                       title="<?php esc_attr_e('First day the option is offered, leave empty to offer it now', 'fields-bright-enrollment'); ?>"
+                       value="<?php echo esc_attr($option['available_from'] ?? ''); ?>">
+            </label>
+            <label class="pricing-option-dates">
+                <?php esc_html_e('Until', 'fields-bright-enrollment'); ?>
+                <input type="date" 
+                       name="event_pricing_options[<?php echo esc_attr($index); ?>][available_until]" 
+                       class="pricing-option-until"
+                       title="<?php esc_attr_e('Last day the option is offered, leave empty for no end', 'fields-bright-enrollment'); ?>"
+                       value="<?php echo esc_attr($option['available_until'] ?? ''); ?>">
+            </label>
             <label style="white-space: nowrap; font-weight: normal;">
                 <input type="radio" 
                        name="event_pricing_option_default" 
@@ -785,7 +794,11 @@ class WorkshopMetaBox
                        <?php checked($is_default, true); ?>>
                 <?php esc_html_e('Default', 'fields-bright-enrollment'); ?>
             </label>
-            <span class="remove-option-btn dashicons dashicons-trash" title="<?php esc_attr_e('Remove', 'fields-bright-enrollment'); ?>"></span>
+            <span class="remove-option-btn dashicons dashicons-trash"
+                  role="button"
+                  tabindex="0"
+                  title="<?php esc_attr_e('Remove', 'fields-bright-enrollment'); ?>"
+                  aria-label="<?php esc_attr_e('Remove option', 'fields-bright-enrollment'); ?>"></span>
         </div>
         <?php
     }
@@ -924,30 +937,14 @@ class WorkshopMetaBox
         
         if (isset($_POST['event_pricing_options_json']) && !empty($_POST['event_pricing_options_json'])) {
             $json_data = sanitize_text_field(wp_unslash($_POST['event_pricing_options_json']));
-            $decoded = json_decode($json_data, true);
-            
-            if (json_last_error() === JSON_ERROR_NONE && is_array($decoded)) {
-                // Sanitize each option
-                $sanitized = [];
-                foreach ($decoded as $option) {
-                    if (!empty($option['label']) || !empty($option['price'])) {
-                        $sanitized[] = [
-                            'id'      => sanitize_key($option['id'] ?? $option['label'] ?? ''),
-                            'label'   => sanitize_text_field($option['label'] ?? ''),
-                            'price'   => $this->sanitize_price($option['price'] ?? 0),
-                            'default' => !empty($option['default']),
-                        ];
-                    }
-                }
-                
-                if (!empty($sanitized)) {
-                    $pricing_options = wp_json_encode($sanitized);
-                    $this->get_logger()->debug('Pricing options from JSON field', [
-                        'post_id' => $post_id,
-                        'count' => count($sanitized),
-                        'options' => $pricing_options,
-                    ]);
-                }
+            $sanitized = $this->sanitize_pricing_options($json_data);
+
+            if ($sanitized !== '' && $sanitized !== '[]') {
+                $pricing_options = $sanitized;
+                $this->get_logger()->debug('Pricing options from JSON field', [
+                    'post_id' => $post_id,
+                    'options' => $pricing_options,
+                ]);
             }
         }
         
@@ -1054,12 +1051,10 @@ class WorkshopMetaBox
                 ? sanitize_key($option['id']) 
                 : sanitize_key($option['label']);
 
-            $processed[] = [
-                'id'      => $id,
-                'label'   => sanitize_text_field($option['label']),
-                'price'   => $this->sanitize_price($option['price']),
-                'default' => (string) $index === $default_index,
-            ];
+            $processed[] = $this->sanitize_pricing_option(
+                array_merge($option, ['id' => $id]),
+                (string) $index === $default_index
+            );
             
             $this->get_logger()->debug('Added pricing option', ['option' => end($processed)]);
         }
@@ -1101,17 +1096,155 @@ class WorkshopMetaBox
             if (! isset($option['label']) || ! isset($option['price'])) {
                 continue;
             }
-            $sanitized[] = [
-                'id'      => sanitize_key($option['id'] ?? $option['label']),
-                'label'   => sanitize_text_field($option['label']),
-                'price'   => $this->sanitize_price($option['price']),
-                'default' => (bool) ($option['default'] ?? false),
-            ];
+            $sanitized[] = $this->sanitize_pricing_option($option, (bool) ($option['default'] ?? false));
         }
 
         return wp_json_encode($sanitized);
     }
 
+    /**
+     * Sanitize a single pricing option.
+     *
+     * Pay-what-you-can options get a minimum of at least 0, a suggested
+     * amount (`price`) of at least the minimum, and a maximum of either 0
+     * (none) or at least the suggested amount. Availability dates are kept
+     * only when they are Y-m-d dates.
+     *
+     * @param array $option     Raw option with id, label, price and optionally type, min, max, available_from and available_until.
+     * @param bool  $is_default Whether this is the default option.
+     *
+     * @return array
+     */
+    private function sanitize_pricing_option(array $option, bool $is_default): array
+    {
+        $type = sanitize_key($option['type'] ?? 'fixed');
+        $sanitized = [
+            'id'      => sanitize_key($option['id'] ?? $option['label'] ?? ''),
+            'label'   => sanitize_text_field($option['label'] ?? ''),
+            'type'    => array_key_exists($type, self::PRICING_TYPES) ? $type : 'fixed',
+            'price'   => max(0, $this->sanitize_price($option['price'] ?? 0)),
+            'default' => $is_default,
+        ];
+
+        foreach (['available_from', 'available_until'] as $key) {
+            $date = sanitize_text_field($option[$key] ?? '');
+            $sanitized[$key] = preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) ? $date : '';
+        }
+
+        if ($sanitized['type'] === 'sliding') {
+            $sanitized['min'] = max(0, $this->sanitize_price($option['min'] ?? 0));
+            $sanitized['price'] = max($sanitized['min'], $sanitized['price']);
+            $max = max(0, $this->sanitize_price($option['max'] ?? 0));
+            $sanitized['max'] = $max > 0 ? max($sanitized['price'], $max) : 0;
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * AJAX handler: Preview pricing options copied or imported into a workshop.
+     *
+     * Takes either `source_id`, a workshop to copy from, or `options`, a JSON
+     * array read from an import file. The options go through
+     * sanitize_pricing_options() as they will when the workshop is saved, so
+     * the preview shows what will be kept. Exactly one option comes back as
+     * the default, preferring `default_id` when the options don't name one.
+     *
+     * @return void
+     */
+    public function ajax_preview_pricing(): void
+    {
+        check_ajax_referer('fields_bright_pricing', 'nonce');
+
+        $post_id = isset($_POST['post_id']) ? absint($_POST['post_id']) : 0;
+        if (! $post_id || ! current_user_can('edit_post', $post_id)) {
+            wp_send_json_error(['message' => __('Permission denied.', 'fields-bright-enrollment')], 403);
+        }
+
+        $source_id = isset($_POST['source_id']) ? absint($_POST['source_id']) : 0;
+        if ($source_id) {
+            if (! $this->is_workshop($source_id) || ! current_user_can('edit_post', $source_id)) {
+                wp_send_json_error(['message' => __('You can\'t copy pricing from that workshop.', 'fields-bright-enrollment')], 403);
+            }
+            $json = (string) get_post_meta($source_id, self::META_PREFIX . 'pricing_options', true);
+        } else {
+            // Sanitized option by option below.
+            $json = isset($_POST['options']) ? (string) wp_unslash($_POST['options']) : '';
+        }
+
+        $options = json_decode($this->sanitize_pricing_options($json), true);
+        if (empty($options)) {
+            wp_send_json_error(['message' => __('No pricing options were found.', 'fields-bright-enrollment')]);
+        }
+
+        $default_id = isset($_POST['default_id']) ? sanitize_key(wp_unslash($_POST['default_id'])) : '';
+
+        wp_send_json_success([
+            'options' => self::ensure_single_default($options, $default_id),
+        ]);
+    }
+
+    /**
+     * Make exactly one pricing option the default.
+     *
+     * Keeps the first option marked as default. Without one, falls back to
+     * the option with the given ID, then to the first option.
+     *
+     * @param array  $options     Pricing options.
+     * @param string $fallback_id Option ID to prefer when none is marked.
+     *
+     * @return array
+     */
+    private static function ensure_single_default(array $options, string $fallback_id = ''): array
+    {
+        $ids = array_column($options, 'id');
+        $index = array_search(true, array_column($options, 'default'), true);
+
+        if ($index === false) {
+            $index = $fallback_id !== '' ? array_search($fallback_id, $ids, true) : false;
+        }
+
+        $index = $index === false ? 0 : $index;
+
+        foreach ($options as $i => $option) {
+            $options[$i]['default'] = $i === $index;
+        }
+
+        return $options;
+    }
+
+    /**
+     * Get the workshops whose pricing options can be copied.
+     *
+     * @param int $exclude_id Workshop being edited.
+     *
+     * @return array<int, array{title: string, count: int}> Keyed by post ID.
+     */
+    private function get_pricing_sources(int $exclude_id): array
+    {
+        $workshops = WorkshopCPT::get_workshops([
+            'posts_per_page' => -1,
+            'post_status'    => ['publish', 'future', 'draft', 'pending', 'private'],
+            'post__not_in'   => [$exclude_id],
+            'meta_key'       => self::META_PREFIX . 'pricing_options',
+            'meta_compare'   => 'EXISTS',
+        ]);
+
+        $sources = [];
+        foreach ($workshops as $workshop) {
+            $count = count(self::get_pricing_options($workshop->ID));
+
+            if ($count > 0 && current_user_can('edit_post', $workshop->ID)) {
+                $sources[$workshop->ID] = [
+                    'title' => get_the_title($workshop) ?: __('(no title)', 'fields-bright-enrollment'),
+                    'count' => $count,
+                ];
+            }
+        }
+
+        return $sources;
+    }
+
     // =========================================================================
     // Static Helper Methods
     // =========================================================================
@@ -1121,7 +1254,7 @@ class WorkshopMetaBox
      *
      * @param int $post_id Post ID.
      *
-     * @return array<array{id: string, label: string, price: float, default: bool}>
+     * @return array<array{id: string, label: string, type?: string, price: float, min?: float, max?: float, available_from?: string, available_until?: string, default: bool}>
      */
     public static function get_pricing_options(int $post_id): array
     {
@@ -1145,35 +1278,351 @@ class WorkshopMetaBox
     }
 
     /**
-     * Get the effective price for a workshop.
+     * Get the pricing options that can be chosen today.
+     *
+     * @param int $post_id Post ID.
+     *
+     * @return array Pricing options, see get_pricing_options().
+     */
+    public static function get_available_pricing_options(int $post_id): array
+    {
+        return array_values(array_filter(self::get_pricing_options($post_id), [self::class, 'is_option_available']));
+    }
+
+    /**
+     * Check whether a pricing option is offered on a date.
+     *
+     * `available_from` and `available_until` are site-time dates, both
+     * included, like promo code expiry. Either may be empty.
+     *
+     * @param array  $option Pricing option.
+     * @param string $date   Y-m-d date, defaults to today.
+     *
+     * @return bool
+     */
+    public static function is_option_available(array $option, string $date = ''): bool
+    {
+        $date = $date ?: current_time('Y-m-d');
+
+        if (! empty($option['available_from']) && $date < $option['available_from']) {
+            return false;
+        }
+
+        return empty($option['available_until']) || $date <= $option['available_until'];
+    }
+
+    /**
+     * Check whether a pricing option ID can be chosen for a workshop today.
+     *
+     * @param int    $post_id        Post ID.
+     * @param string $pricing_option Pricing option ID.
+     *
+     * @return bool True for any ID when the workshop has no pricing options.
+     */
+    public static function can_choose_pricing_option(int $post_id, string $pricing_option): bool
+    {
+        if (empty(self::get_pricing_options($post_id))) {
+            return true;
+        }
+
+        return in_array($pricing_option, array_column(self::get_available_pricing_options($post_id), 'id'), true);
+    }
+
+    /**
+     * Get when a pricing option stops being offered.
+     *
+     * @param array $option Pricing option.
+     *
+     * @return int|null Timestamp of midnight after its last day, or null if it doesn't end.
+     */
+    public static function get_option_ends_at(array $option): ?int
+    {
+        if (empty($option['available_until'])) {
+            return null;
+        }
+
+        $last_day = date_create_immutable($option['available_until'], wp_timezone());
+
+        return $last_day ? $last_day->setTime(0, 0)->modify('+1 day')->getTimestamp() : null;
+    }
+
+    /**
+     * Get the price that takes over when a pricing option ends.
+     *
+     * This is the default option, or the first one, among those offered
+     * the day after, e.g. the regular price after an early-bird price.
+     *
+     * @param int   $post_id Post ID.
+     * @param array $option  Pricing option with an end date.
+     *
+     * @return float|null The later price, or null if there is none or it isn't higher.
+     */
+    public static function get_regular_price(int $post_id, array $option): ?float
+    {
+        $ends_at = self::get_option_ends_at($option);
+
+        if ($ends_at === null || self::is_sliding_scale($option)) {
+            return null;
+        }
+
+        $next_day = wp_date('Y-m-d', $ends_at);
+        $later = array_values(array_filter(
+            self::get_pricing_options($post_id),
+            static function (array $candidate) use ($option, $next_day): bool {
+                return $candidate['id'] !== $option['id'] && self::is_option_available($candidate, $next_day);
+            }
+        ));
+
+        if (empty($later)) {
+            return null;
+        }
+
+        $regular = $later[0];
+        foreach ($later as $candidate) {
+            if (! empty($candidate['default'])) {
+                $regular = $candidate;
+                break;
+            }
+        }
+
+        if (self::is_sliding_scale($regular) || (float) $regular['price'] <= (float) $option['price']) {
+            return null;
+        }
+
+        return (float) $regular['price'];
+    }
+
+    /**
+     * Describe how long a pricing option is still offered.
+     *
+     * @param array $option Pricing option.
+     *
+     * @return string E.g. "Early bird ends in 3 days", or empty if it doesn't end.
+     */
+    public static function format_option_deadline(array $option): string
+    {
+        $ends_at = self::get_option_ends_at($option);
+        $left = $ends_at === null ? 0 : $ends_at - time();
+
+        if ($left <= 0) {
+            return '';
+        }
+
+        if ($left >= DAY_IN_SECONDS) {
+            $days = (int) round($left / DAY_IN_SECONDS);
+            /* translators: %d: number of days */
+            $when = sprintf(_n('in %d day', 'in %d days', $days, 'fields-bright-enrollment'), $days);
+        } elseif ($left >= HOUR_IN_SECONDS) {
+            $hours = (int) round($left / HOUR_IN_SECONDS);
+            /* translators: %d: number of hours */
+            $when = sprintf(_n('in %d hour', 'in %d hours', $hours, 'fields-bright-enrollment'), $hours);
+        } else {
+            $minutes = max(1, (int) round($left / MINUTE_IN_SECONDS));
+            /* translators: %d: number of minutes */
+            $when = sprintf(_n('in %d minute', 'in %d minutes', $minutes, 'fields-bright-enrollment'), $minutes);
+        }
+
+        /* translators: 1: pricing option label, 2: time left, e.g. "in 3 days" */
+        return sprintf(__('%1$s ends %2$s', 'fields-bright-enrollment'), $option['label'], $when);
+    }
+
+    /**
+     * Get the countdown shown for a pricing option that ends.
+     *
+     * @param int   $post_id Post ID.
+     * @param array $option  Pricing option.
+     *
+     * @return array{ends_at: int, label: string, text: string, regular_price: float|null, regular_price_formatted: string}|null Null if it doesn't end or has ended.
+     */
+    public static function get_price_deadline(int $post_id, array $option): ?array
+    {
+        $text = self::format_option_deadline($option);
+
+        if ($text === '') {
+            return null;
+        }
+
+        $regular_price = self::get_regular_price($post_id, $option);
+
+        return [
+            'ends_at'                 => self::get_option_ends_at($option),
+            'label'                   => $option['label'],
+            'text'                    => $text,
+            'regular_price'           => $regular_price,
+            'regular_price_formatted' => $regular_price !== null ? EnrollmentSystem::format_price($regular_price) : '',
+        ];
+    }
+
+    /**
+     * Get the pricing option that applies to a selection.
+     *
+     * Only options offered today are considered. Falls back to the
+     * default option, then the first one, like checkout.
      *
      * @param int         $post_id        Post ID.
      * @param string|null $pricing_option Selected pricing option ID.
      *
-     * @return float|null Price or null if not set.
+     * @return array|null Pricing option, or null if none is offered.
      */
-    public static function get_effective_price(int $post_id, ?string $pricing_option = null): ?float
+    public static function get_pricing_option(int $post_id, ?string $pricing_option = null): ?array
     {
-        $options = self::get_pricing_options($post_id);
-
-        if (! empty($options)) {
-            if ($pricing_option) {
-                foreach ($options as $option) {
-                    if ($option['id'] === $pricing_option) {
-                        return (float) $option['price'];
-                    }
-                }
-            }
+        $options = self::get_available_pricing_options($post_id);
+
+        if (empty($options)) {
+            return null;
+        }
 
+        if ($pricing_option) {
             foreach ($options as $option) {
-                if (! empty($option['default'])) {
-                    return (float) $option['price'];
+                if ($option['id'] === $pricing_option) {
+                    return $option;
                 }
             }
+        }
+
+        foreach ($options as $option) {
+            if (! empty($option['default'])) {
+                return $option;
+            }
+        }
+
+        return $options[0];
+    }
+
+    /**
+     * Check whether a pricing option is pay-what-you-can.
+     *
+     * Sliding scale options keep the suggested amount in `price` and add
+     * `min` and `max`, where a `max` of 0 means no maximum.
+     *
+     * @param array $option Pricing option.
+     *
+     * @return bool
+     */
+    public static function is_sliding_scale(array $option): bool
+    {
+        return ($option['type'] ?? 'fixed') === 'sliding';
+    }
+
+    /**
+     * Check a pay-what-you-can amount against the selected option's range.
+     *
+     * @param int         $post_id        Post ID.
+     * @param string|null $pricing_option Selected pricing option ID.
+     * @param float|null  $amount         Amount chosen by the customer, null for the suggested amount.
+     *
+     * @return string Empty when valid or not a sliding scale option, otherwise the reason shown to the customer.
+     */
+    public static function validate_amount(int $post_id, ?string $pricing_option, ?float $amount): string
+    {
+        $option = self::get_pricing_option($post_id, $pricing_option);
+
+        if ($amount === null || $option === null || ! self::is_sliding_scale($option)) {
+            return '';
+        }
+
+        // Compare in cents so 19.999 isn't accepted against a 20.00 minimum.
+        $cents = (int) round($amount * 100);
+        $min = (float) ($option['min'] ?? 0);
+        $max = (float) ($option['max'] ?? 0);
+
+        if ($cents <= 0) {
+            return __('Please enter an amount.', 'fields-bright-enrollment');
+        }
+
+        if ($cents < (int) round($min * 100)) {
+            /* translators: %s: minimum amount */
+            return sprintf(__('Please enter at least %s.', 'fields-bright-enrollment'), EnrollmentSystem::format_price($min));
+        }
+
+        if ($max > 0 && $cents > (int) round($max * 100)) {
+            /* translators: %s: maximum amount */
+            return sprintf(__('Please enter no more than %s.', 'fields-bright-enrollment'), EnrollmentSystem::format_price($max));
+        }
+
+        return '';
+    }
+
+    /**
+     * Describe an option's price for pricing selects.
+     *
+     * @param array $option Pricing option.
+     *
+     * @return string E.g. "$50.00" or "Pay what you can, from $20.00".
+     */
+    public static function format_option_price(array $option): string
+    {
+        if (! self::is_sliding_scale($option)) {
+            return EnrollmentSystem::format_price((float) $option['price']);
+        }
+
+        if (empty($option['min'])) {
+            return __('Pay what you can', 'fields-bright-enrollment');
+        }
+
+        /* translators: %s: minimum amount */
+        return sprintf(__('Pay what you can, from %s', 'fields-bright-enrollment'), EnrollmentSystem::format_price((float) $option['min']));
+    }
+
+    /**
+     * Get the help text shown under a pay-what-you-can amount field.
+     *
+     * @param array $option Sliding scale pricing option.
+     *
+     * @return string
+     */
+    public static function get_amount_hint(array $option): string
+    {
+        $suggested = EnrollmentSystem::format_price((float) $option['price']);
+        $min = (float) ($option['min'] ?? 0);
+        $max = (float) ($option['max'] ?? 0);
+
+        if ($max > 0) {
+            /* translators: 1: suggested amount, 2: minimum amount, 3: maximum amount */
+            return sprintf(__('Suggested %1$s. Pay between %2$s and %3$s.', 'fields-bright-enrollment'), $suggested, EnrollmentSystem::format_price($min), EnrollmentSystem::format_price($max));
+        }
+
+        if ($min > 0) {
+            /* translators: 1: suggested amount, 2: minimum amount */
+            return sprintf(__('Suggested %1$s. Minimum %2$s.', 'fields-bright-enrollment'), $suggested, EnrollmentSystem::format_price($min));
+        }
+
+        /* translators: %s: suggested amount */
+        return sprintf(__('Suggested %s.', 'fields-bright-enrollment'), $suggested);
+    }
+
+    /**
+     * Get the effective price for a workshop.
+     *
+     * For pay-what-you-can options this is the chosen amount, kept within
+     * the option's range, or the suggested amount when none was chosen.
+     * Use validate_amount() first to tell the customer what was wrong.
+     *
+     * @param int         $post_id        Post ID.
+     * @param string|null $pricing_option Selected pricing option ID.
+     * @param float|null  $amount         Amount chosen for a pay-what-you-can option.
+     *
+     * @return float|null Price or null if not set.
+     */
+    public static function get_effective_price(int $post_id, ?string $pricing_option = null, ?float $amount = null): ?float
+    {
+        $option = self::get_pricing_option($post_id, $pricing_option);
+
+        if ($option !== null && self::is_sliding_scale($option)) {
+            if ($amount === null) {
+                return (float) $option['price'];
+            }
 
-            if (! empty($options[0]['price'])) {
-                return (float) $options[0]['price'];
+            $amount = max((float) ($option['min'] ?? 0), $amount);
+            if (! empty($option['max'])) {
+                $amount = min((float) $option['max'], $amount);
             }
+
+            return round($amount, 2);
+        }
+
+        if ($option !== null && ! empty($option['price'])) {
+            return (float) $option['price'];
         }
 
         $base_price = get_post_meta($post_id, self::META_PREFIX . 'checkout_price', true);
@@ -1268,7 +1717,7 @@ class WorkshopMetaBox
      */
     public static function clear_enrollment_cache(int $post_id): void
     {
-        $statuses = ['completed', 'pending', 'refunded', 'failed'];
+        $statuses = ['completed', 'pending', 'refunded', 'failed', 'cancelled'];
         foreach ($statuses as $status) {
             delete_transient('fb_enrollment_count_' . $post_id . '_' . $status);
         }
@@ -1277,11 +1726,15 @@ class WorkshopMetaBox
     /**
      * Get remaining spots for a workshop.
      *
-     * @param int $post_id Post ID.
+     * Seats held in carts and open checkouts count as taken, except those
+     * of the holder passed in: seats a visitor holds are still theirs to book.
+     *
+     * @param int    $post_id        Post ID.
+     * @param string $exclude_holder Optional holder key whose seats are not counted.
      *
      * @return int|null Remaining spots, or null if unlimited.
      */
-    public static function get_remaining_spots(int $post_id): ?int
+    public static function get_remaining_spots(int $post_id, string $exclude_holder = ''): ?int
     {
         $capacity = self::get_capacity($post_id);
 
@@ -1290,20 +1743,34 @@ class WorkshopMetaBox
         }
 
         $enrolled = self::get_enrollment_count($post_id, 'completed');
+        $held = SeatHolds::count($post_id, $exclude_holder);
+
+        return max(0, $capacity - $enrolled - $held);
+    }
+
+    /**
+     * Get the hold key of the current visitor, for display.
+     *
+     * @return string Holder key, empty when the visitor cannot hold seats yet.
+     */
+    public static function get_visitor_hold_key(): string
+    {
+        $cart_manager = EnrollmentSystem::instance()->get_cart_manager();
 
-        return max(0, $capacity - $enrolled);
+        return $cart_manager ? $cart_manager->get_visitor_hold_key() : '';
     }
 
     /**
      * Check if a workshop has spots available.
      *
-     * @param int $post_id Post ID.
+     * @param int    $post_id        Post ID.
+     * @param string $exclude_holder Optional holder key whose seats are not counted.
      *
      * @return bool
      */
-    public static function has_spots_available(int $post_id): bool
+    public static function has_spots_available(int $post_id, string $exclude_holder = ''): bool
     {
-        $remaining = self::get_remaining_spots($post_id);
+        $remaining = self::get_remaining_spots($post_id, $exclude_holder);
 
         if ($remaining === null) {
             return true;
@@ -1312,41 +1779,75 @@ class WorkshopMetaBox
         return $remaining > 0;
     }
 
+    /**
+     * Get live availability for a workshop.
+     *
+     * @param int    $post_id Post ID.
+     * @param string $holder  Optional holder key of the visitor asking. Their
+     *                        own held seats count as available, and are
+     *                        reported in `held_seats`.
+     *
+     * @return array{workshop_id: int, checkout_enabled: bool, capacity: int, remaining: int|null, full: bool, waitlist: bool, held_by_you: bool, held_seats: int}
+     */
+    public static function get_availability(int $post_id, string $holder = ''): array
+    {
+        $remaining = self::get_remaining_spots($post_id, $holder);
+        $hold = $holder !== '' ? SeatHolds::get_hold($post_id, $holder) : null;
+
+        return [
+            'workshop_id'      => $post_id,
+            'checkout_enabled' => self::is_checkout_enabled($post_id),
+            'capacity'         => self::get_capacity($post_id),
+            'remaining'        => $remaining,
+            'full'             => $remaining !== null && $remaining <= 0,
+            'waitlist'         => self::is_waitlist_enabled($post_id),
+            'held_by_you'      => $hold !== null,
+            'held_seats'       => $hold ? $hold['seats'] : 0,
+        ];
+    }
+
     /**
      * Check if a workshop is full.
      *
-     * @param int $post_id Post ID.
+     * @param int    $post_id        Post ID.
+     * @param string $exclude_holder Optional holder key whose seats are not counted.
      *
      * @return bool
      */
-    public static function is_full(int $post_id): bool
+    public static function is_full(int $post_id, string $exclude_holder = ''): bool
     {
-        return ! self::has_spots_available($post_id);
+        return ! self::has_spots_available($post_id, $exclude_holder);
     }
 
     /**
      * Check if enrollment should be allowed for a workshop.
      *
-     * @param int $post_id Post ID.
+     * The code is `checkout_disabled` or `workshop_full` when enrollment is
+     * blocked or only the waitlist is open, and empty otherwise.
+     *
+     * @param int    $post_id        Post ID.
+     * @param string $exclude_holder Optional holder key whose seats are not counted.
      *
-     * @return array{allowed: bool, reason: string, waitlist: bool}
+     * @return array{allowed: bool, reason: string, waitlist: bool, code: string}
      */
-    public static function can_enroll(int $post_id): array
+    public static function can_enroll(int $post_id, string $exclude_holder = ''): array
     {
         if (! self::is_checkout_enabled($post_id)) {
             return [
                 'allowed'  => false,
                 'reason'   => __('Online enrollment is not available for this workshop.', 'fields-bright-enrollment'),
                 'waitlist' => false,
+                'code'     => 'checkout_disabled',
             ];
         }
 
-        if (self::is_full($post_id)) {
+        if (self::is_full($post_id, $exclude_holder)) {
             if (self::is_waitlist_enabled($post_id)) {
                 return [
                     'allowed'  => true,
                     'reason'   => __('This workshop is full. You will be added to the waitlist.', 'fields-bright-enrollment'),
                     'waitlist' => true,
+                    'code'     => 'workshop_full',
                 ];
             }
 
@@ -1354,6 +1855,7 @@ class WorkshopMetaBox
                 'allowed'  => false,
                 'reason'   => __('This workshop is full.', 'fields-bright-enrollment'),
                 'waitlist' => false,
+                'code'     => 'workshop_full',
             ];
         }
 
@@ -1361,6 +1863,7 @@ class WorkshopMetaBox
             'allowed'  => true,
             'reason'   => '',
             'waitlist' => false,
+            'code'     => '',
         ];
     }
 
@@ -51,6 +51,7 @@ class EnrollmentCPT
         'completed' => 'Completed',
         'refunded'  => 'Refunded',
         'failed'    => 'Failed',
+        'cancelled' => 'Cancelled',
     ];
 
     /**
@@ -140,6 +141,55 @@ class EnrollmentCPT
                 'sanitize_callback' => 'sanitize_text_field',
                 'show_in_rest'      => true,
             ],
+            'attendee_name' => [
+                'type'              => 'string',
+                'description'       => 'Attendee name, when someone other than the customer attends',
+                'single'            => true,
+                'sanitize_callback' => 'sanitize_text_field',
+                'show_in_rest'      => true,
+            ],
+            'attendee_age' => [
+                'type'              => 'string',
+                'description'       => 'Attendee age',
+                'single'            => true,
+                'sanitize_callback' => 'sanitize_text_field',
+                'show_in_rest'      => true,
+            ],
+            'attendee_notes' => [
+                'type'              => 'string',
+                'description'       => 'Attendee notes, e.g. accessibility needs',
+                'single'            => true,
+                'sanitize_callback' => 'sanitize_textarea_field',
+                'show_in_rest'      => false,
+            ],
+            'purchaser_name' => [
+                'type'              => 'string',
+                'description'       => 'Name of the person who paid, when the enrollment is a gift',
+                'single'            => true,
+                'sanitize_callback' => 'sanitize_text_field',
+                'show_in_rest'      => true,
+            ],
+            'purchaser_email' => [
+                'type'              => 'string',
+                'description'       => 'Email of the person who paid, when the enrollment is a gift',
+                'single'            => true,
+                'sanitize_callback' => 'sanitize_email',
+                'show_in_rest'      => true,
+            ],
+            'purchaser_phone' => [
+                'type'              => 'string',
+                'description'       => 'Phone of the person who paid, when the enrollment is a gift',
+                'single'            => true,
+                'sanitize_callback' => 'sanitize_text_field',
+                'show_in_rest'      => true,
+            ],
+            'gift_message' => [
+                'type'              => 'string',
+                'description'       => 'Message from the purchaser to the gift recipient',
+                'single'            => true,
+                'sanitize_callback' => 'sanitize_textarea_field',
+                'show_in_rest'      => false,
+            ],
             'amount' => [
                 'type'              => 'number',
                 'description'       => 'Amount charged in dollars',
@@ -147,6 +197,20 @@ class EnrollmentCPT
                 'sanitize_callback' => [$this, 'sanitize_amount'],
                 'show_in_rest'      => true,
             ],
+            'discount_amount' => [
+                'type'              => 'number',
+                'description'       => 'Promo code discount in dollars, already taken off the amount',
+                'single'            => true,
+                'sanitize_callback' => [$this, 'sanitize_amount'],
+                'show_in_rest'      => true,
+            ],
+            'promo_code' => [
+                'type'              => 'string',
+                'description'       => 'Promo code used at checkout',
+                'single'            => true,
+                'sanitize_callback' => 'sanitize_text_field',
+                'show_in_rest'      => true,
+            ],
             'currency' => [
                 'type'              => 'string',
                 'description'       => 'Currency code',
@@ -339,6 +403,16 @@ class EnrollmentCPT
             case 'customer_name':
                 $name = get_post_meta($post_id, self::META_PREFIX . 'customer_name', true);
                 echo esc_html($name ?: '—');
+
+                $purchaser = get_post_meta($post_id, self::META_PREFIX . 'purchaser_name', true)
+                    ?: get_post_meta($post_id, self::META_PREFIX . 'purchaser_email', true);
+                if ($purchaser) {
+                    printf('<br><small>%s</small>', esc_html(sprintf(
+                        /* translators: %s: purchaser name or email */
+                        __('Gift from %s', 'fields-bright-enrollment'),
+                        $purchaser
+                    )));
+                }
                 break;
 
             case 'customer_email':
@@ -597,7 +671,14 @@ class EnrollmentCPT
             'Customer Name',
             'Customer Email',
             'Customer Phone',
+            'Attendee Name',
+            'Attendee Age',
+            'Purchaser Name',
+            'Purchaser Email',
+            'Gift Message',
             'Amount',
+            'Discount',
+            'Promo Code',
             'Currency',
             'Status',
             'Date',
@@ -616,7 +697,14 @@ class EnrollmentCPT
                 get_post_meta($post_id, self::META_PREFIX . 'customer_name', true),
                 get_post_meta($post_id, self::META_PREFIX . 'customer_email', true),
                 get_post_meta($post_id, self::META_PREFIX . 'customer_phone', true),
+                get_post_meta($post_id, self::META_PREFIX . 'attendee_name', true),
+                get_post_meta($post_id, self::META_PREFIX . 'attendee_age', true),
+                get_post_meta($post_id, self::META_PREFIX . 'purchaser_name', true),
+                get_post_meta($post_id, self::META_PREFIX . 'purchaser_email', true),
+                get_post_meta($post_id, self::META_PREFIX . 'gift_message', true),
                 get_post_meta($post_id, self::META_PREFIX . 'amount', true),
+                get_post_meta($post_id, self::META_PREFIX . 'discount_amount', true),
+                get_post_meta($post_id, self::META_PREFIX . 'promo_code', true),
                 get_post_meta($post_id, self::META_PREFIX . 'currency', true) ?: 'usd',
                 get_post_meta($post_id, self::META_PREFIX . 'status', true),
                 get_post_meta($post_id, self::META_PREFIX . 'date', true),
@@ -718,7 +806,7 @@ class EnrollmentCPT
             $workshop_title = $workshop ? $workshop->post_title : '';
         }
 
-        $customer_name = $data['customer_name'] ?? '';
+        $customer_name = ($data['attendee_name'] ?? '') ?: ($data['customer_name'] ?? '');
         $title = sprintf(
             '%s - %s',
             $workshop_title ?: __('Unknown Workshop', 'fields-bright-enrollment'),
@@ -746,7 +834,16 @@ class EnrollmentCPT
             'customer_email',
             'customer_name',
             'customer_phone',
+            'attendee_name',
+            'attendee_age',
+            'attendee_notes',
+            'purchaser_name',
+            'purchaser_email',
+            'purchaser_phone',
+            'gift_message',
             'amount',
+            'discount_amount',
+            'promo_code',
             'currency',
             'pricing_option_id',
             'status',
@@ -11,6 +11,8 @@
 
 namespace FieldsBright\Enrollment\PostType;
 
+use FieldsBright\Enrollment\EnrollmentSystem;
+
 // Prevent direct access.
 if (! defined('ABSPATH')) {
     exit;
@@ -299,7 +301,7 @@ class WorkshopCPT
                 $price = get_post_meta($post_id, self::META_PREFIX . 'price', true);
                 $checkout_price = get_post_meta($post_id, self::META_PREFIX . 'checkout_price', true);
                 if ($checkout_price) {
-                    echo '$' . esc_html(number_format((float) $checkout_price, 2));
+                    echo esc_html(EnrollmentSystem::format_price((float) $checkout_price));
                 } elseif ($price) {
                     echo esc_html($price);
                 } else {
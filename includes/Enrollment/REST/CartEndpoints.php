@@ -12,6 +12,7 @@
 namespace FieldsBright\Enrollment\REST;
 
 use FieldsBright\Enrollment\Cart\CartManager;
+use FieldsBright\Enrollment\Cart\SeatHolds;
 use FieldsBright\Enrollment\Accounts\UserAccountHandler;
 use FieldsBright\Enrollment\Stripe\StripeHandler;
 use FieldsBright\Enrollment\EnrollmentSystem;
@@ -39,6 +40,20 @@ class CartEndpoints
      */
     public const NAMESPACE = 'fields-bright/v1';
 
+    /**
+     * Transient prefix for stored idempotent responses.
+     *
+     * @var string
+     */
+    public const IDEMPOTENCY_PREFIX = 'fb_cart_idem_';
+
+    /**
+     * How long idempotent responses are replayed, in seconds.
+     *
+     * @var int
+     */
+    public const IDEMPOTENCY_TTL = 600;
+
     /**
      * Cart manager instance.
      *
@@ -128,6 +143,10 @@ class CartEndpoints
                     'sanitize_callback' => 'sanitize_text_field',
                     'default'           => '',
                 ],
+                'amount' => [
+                    'required' => false,
+                    'type'     => 'number',
+                ],
             ],
         ]);
 
@@ -161,6 +180,67 @@ class CartEndpoints
                     'type'              => 'string',
                     'sanitize_callback' => 'sanitize_text_field',
                 ],
+                'amount' => [
+                    'required' => false,
+                    'type'     => 'number',
+                ],
+            ],
+        ]);
+
+        // Update cart item attendees.
+        register_rest_route(self::NAMESPACE, '/cart/attendees', [
+            'methods'             => \WP_REST_Server::EDITABLE,
+            'callback'            => [$this, 'update_attendees'],
+            'permission_callback' => '__return_true',
+            'args'                => [
+                'workshop_id' => [
+                    'required'          => true,
+                    'type'              => 'integer',
+                    'sanitize_callback' => 'absint',
+                ],
+                'attendees' => [
+                    'required' => true,
+                    'type'     => 'array',
+                ],
+            ],
+        ]);
+
+        // Mark a cart item as a gift, or clear its gift.
+        register_rest_route(self::NAMESPACE, '/cart/gift', [
+            'methods'             => \WP_REST_Server::EDITABLE,
+            'callback'            => [$this, 'update_gift'],
+            'permission_callback' => '__return_true',
+            'args'                => [
+                'workshop_id' => [
+                    'required'          => true,
+                    'type'              => 'integer',
+                    'sanitize_callback' => 'absint',
+                ],
+                'gift' => [
+                    'required' => false,
+                    'type'     => 'object',
+                ],
+            ],
+        ]);
+
+        // Apply or remove the cart promo code.
+        register_rest_route(self::NAMESPACE, '/cart/coupon', [
+            [
+                'methods'             => \WP_REST_Server::CREATABLE,
+                'callback'            => [$this, 'apply_coupon'],
+                'permission_callback' => '__return_true',
+                'args'                => [
+                    'code' => [
+                        'required'          => true,
+                        'type'              => 'string',
+                        'sanitize_callback' => 'sanitize_text_field',
+                    ],
+                ],
+            ],
+            [
+                'methods'             => \WP_REST_Server::DELETABLE,
+                'callback'            => [$this, 'remove_coupon'],
+                'permission_callback' => '__return_true',
             ],
         ]);
 
@@ -214,6 +294,56 @@ class CartEndpoints
                 ],
             ],
         ]);
+
+        // Get the saved-for-later list, or save a workshop to it. Guests
+        // get a session list that merges into their account on login.
+        register_rest_route(self::NAMESPACE, '/account/saved', [
+            [
+                'methods'             => \WP_REST_Server::READABLE,
+                'callback'            => [$this, 'get_saved'],
+                'permission_callback' => '__return_true',
+            ],
+            [
+                'methods'             => \WP_REST_Server::CREATABLE,
+                'callback'            => [$this, 'save_for_later'],
+                'permission_callback' => '__return_true',
+                'args'                => [
+                    'workshop_id' => [
+                        'required'          => true,
+                        'type'              => 'integer',
+                        'sanitize_callback' => 'absint',
+                    ],
+                ],
+            ],
+        ]);
+
+        // Remove a workshop from the saved-for-later list.
+        register_rest_route(self::NAMESPACE, '/account/saved/(?P<workshop_id>\d+)', [
+            'methods'             => \WP_REST_Server::DELETABLE,
+            'callback'            => [$this, 'remove_saved'],
+            'permission_callback' => '__return_true',
+            'args'                => [
+                'workshop_id' => [
+                    'required'          => true,
+                    'type'              => 'integer',
+                    'sanitize_callback' => 'absint',
+                ],
+            ],
+        ]);
+
+        // Move a saved workshop into the cart.
+        register_rest_route(self::NAMESPACE, '/account/saved/(?P<workshop_id>\d+)/move', [
+            'methods'             => \WP_REST_Server::CREATABLE,
+            'callback'            => [$this, 'move_saved_to_cart'],
+            'permission_callback' => '__return_true',
+            'args'                => [
+                'workshop_id' => [
+                    'required'          => true,
+                    'type'              => 'integer',
+                    'sanitize_callback' => 'absint',
+                ],
+            ],
+        ]);
     }
 
     /**
@@ -240,10 +370,18 @@ class CartEndpoints
      */
     public function add_to_cart(\WP_REST_Request $request): \WP_REST_Response
     {
+        $idempotency_key = $this->get_idempotency_key($request);
+        $replay = $this->get_idempotent_response('add', $idempotency_key);
+
+        if ($replay !== null) {
+            return $replay;
+        }
+
         $workshop_id = $request->get_param('workshop_id');
         $pricing_option = $request->get_param('pricing_option');
+        $amount = $request->get_param('amount');
 
-        $result = $this->cart_manager->add_to_cart($workshop_id, $pricing_option);
+        $result = $this->cart_manager->add_to_cart($workshop_id, $pricing_option, $amount !== null ? (float) $amount : null);
 
         $response_data = [
             'success' => $result['success'],
@@ -251,6 +389,8 @@ class CartEndpoints
             'data'    => $this->cart_manager->get_cart_for_api(),
         ];
 
+        $this->store_idempotent_response('add', $idempotency_key, $response_data);
+
         return rest_ensure_response($response_data);
     }
 
@@ -287,8 +427,56 @@ class CartEndpoints
     {
         $workshop_id = $request->get_param('workshop_id');
         $pricing_option = $request->get_param('pricing_option');
+        $amount = $request->get_param('amount');
+
+        $result = $this->cart_manager->update_cart_item($workshop_id, $pricing_option, $amount !== null ? (float) $amount : null);
+
+        $response_data = [
+            'success' => $result['success'],
+            'message' => $result['message'],
+            'data'    => $this->cart_manager->get_cart_for_api(),
+        ];
+
+        return rest_ensure_response($response_data);
+    }
+
+    /**
+     * Update the attendees of a cart item.
+     *
+     * @param \WP_REST_Request $request Request object.
+     *
+     * @return \WP_REST_Response
+     */
+    public function update_attendees(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $workshop_id = $request->get_param('workshop_id');
+        $attendees = (array) $request->get_param('attendees');
+
+        $result = $this->cart_manager->update_attendees($workshop_id, $attendees);
+
+        $response_data = [
+            'success' => $result['success'],
+            'message' => $result['message'],
+            'data'    => $this->cart_manager->get_cart_for_api(),
+        ];
 
-        $result = $this->cart_manager->update_cart_item($workshop_id, $pricing_option);
+        return rest_ensure_response($response_data);
+    }
+
+    /**
+     * Mark a cart item as a gift, or clear its gift.
+     *
+     * @param \WP_REST_Request $request Request object.
+     *
+     * @return \WP_REST_Response
+     */
+    public function update_gift(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $workshop_id = $request->get_param('workshop_id');
+        $gift = $request->get_param('gift');
+
+        // An empty or missing gift turns the item back into a regular one.
+        $result = $this->cart_manager->update_gift($workshop_id, is_array($gift) && ! empty($gift) ? $gift : null);
 
         $response_data = [
             'success' => $result['success'],
@@ -319,6 +507,42 @@ class CartEndpoints
         return rest_ensure_response($response_data);
     }
 
+    /**
+     * Apply a promo code to the cart.
+     *
+     * @param \WP_REST_Request $request Request object.
+     *
+     * @return \WP_REST_Response
+     */
+    public function apply_coupon(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $result = $this->cart_manager->apply_promo_code((string) $request->get_param('code'));
+
+        return rest_ensure_response([
+            'success' => $result['success'],
+            'message' => $result['message'],
+            'data'    => $this->cart_manager->get_cart_for_api(),
+        ]);
+    }
+
+    /**
+     * Remove the promo code from the cart.
+     *
+     * @param \WP_REST_Request $request Request object.
+     *
+     * @return \WP_REST_Response
+     */
+    public function remove_coupon(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $result = $this->cart_manager->remove_promo_code();
+
+        return rest_ensure_response([
+            'success' => $result['success'],
+            'message' => $result['message'],
+            'data'    => $this->cart_manager->get_cart_for_api(),
+        ]);
+    }
+
     /**
      * Validate cart.
      *
@@ -381,15 +605,98 @@ class CartEndpoints
         ]);
     }
 
+    /**
+     * Get the saved-for-later list.
+     *
+     * @param \WP_REST_Request $request Request object.
+     *
+     * @return \WP_REST_Response
+     */
+    public function get_saved(\WP_REST_Request $request): \WP_REST_Response
+    {
+        return rest_ensure_response([
+            'success' => true,
+            'data'    => $this->cart_manager->get_saved_for_api(),
+        ]);
+    }
+
+    /**
+     * Save a workshop for later.
+     *
+     * @param \WP_REST_Request $request Request object.
+     *
+     * @return \WP_REST_Response
+     */
+    public function save_for_later(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $result = $this->cart_manager->save_for_later($request->get_param('workshop_id'));
+
+        return rest_ensure_response([
+            'success' => $result['success'],
+            'message' => $result['message'],
+            'data'    => $this->cart_manager->get_cart_for_api(),
+        ]);
+    }
+
+    /**
+     * Remove a workshop from the saved-for-later list.
+     *
+     * @param \WP_REST_Request $request Request object.
+     *
+     * @return \WP_REST_Response
+     */
+    public function remove_saved(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $result = $this->cart_manager->remove_saved($request->get_param('workshop_id'));
+
+        return rest_ensure_response([
+            'success' => $result['success'],
+            'message' => $result['message'],
+            'data'    => $this->cart_manager->get_cart_for_api(),
+        ]);
+    }
+
+    /**
+     * Move a saved workshop into the cart.
+     *
+     * @param \WP_REST_Request $request Request object.
+     *
+     * @return \WP_REST_Response
+     */
+    public function move_saved_to_cart(\WP_REST_Request $request): \WP_REST_Response
+    {
+        $result = $this->cart_manager->move_to_cart($request->get_param('workshop_id'));
+
+        return rest_ensure_response([
+            'success' => $result['success'],
+            'message' => $result['message'],
+            'data'    => $this->cart_manager->get_cart_for_api(),
+        ]);
+    }
+
     /**
      * Checkout cart - create Stripe Checkout Session for all items.
      *
+     * With seat holds on, the cart's seats are held until the Stripe
+     * session expires (plus a grace period for the completion webhook).
+     *
      * @param \WP_REST_Request $request Request object.
      *
      * @return \WP_REST_Response
      */
     public function checkout_cart(\WP_REST_Request $request): \WP_REST_Response
     {
+        // A retried checkout gets the session created by the first attempt.
+        $idempotency_key = $this->get_idempotency_key($request);
+        $replay = $this->get_idempotent_response('checkout', $idempotency_key);
+
+        if ($replay !== null) {
+            $this->logger->info('Replaying cart checkout response', [
+                'idempotency_key' => $idempotency_key,
+            ]);
+            return $replay;
+        }
+
         // Start process tracking.
         $this->logger->start_process('cart_checkout', [
             'user_id' => get_current_user_id(),
@@ -429,6 +736,33 @@ class CartEndpoints
             ]);
         }
 
+        // A code that stopped applying (expired, used up, items removed) is
+        // dropped rather than silently charging the full price.
+        $applied = $this->cart_manager->get_promo_code();
+
+        if ($applied !== null && $applied['error'] !== '') {
+            $this->cart_manager->remove_promo_code();
+            $this->logger->info('Cart checkout dropped promo code', [
+                'code'  => $applied['code'],
+                'error' => $applied['error'],
+            ]);
+            $this->logger->end_process('cart_checkout', ['result' => 'promo_invalid']);
+
+            return rest_ensure_response([
+                'success' => false,
+                'code'    => 'promo_invalid',
+                'message' => sprintf(
+                    /* translators: 1: promo code, 2: reason */
+                    __('Promo code %1$s was removed: %2$s', 'fields-bright-enrollment'),
+                    $applied['code'],
+                    $applied['error']
+                ),
+                'data'    => $this->cart_manager->get_cart_for_api(),
+            ]);
+        }
+
+        $discounts = $this->cart_manager->get_discounts();
+
         $this->logger->log_step('cart_checkout', 'Checking Stripe configuration');
 
         // Check if Stripe is configured.
@@ -442,10 +776,32 @@ class CartEndpoints
             ]);
         }
 
+        // Keep the seats for as long as the Stripe payment page stays open.
+        $checkout_expires = SeatHolds::is_enabled() ? SeatHolds::get_checkout_expiry() : 0;
+
+        if ($checkout_expires) {
+            $unavailable = $this->cart_manager->hold_seats($checkout_expires + SeatHolds::CHECKOUT_GRACE);
+
+            if (! empty($unavailable)) {
+                $this->logger->warning('Cart checkout lost seats', [
+                    'workshop_ids' => $unavailable,
+                ]);
+                $this->logger->end_process('cart_checkout', ['result' => 'seats_unavailable']);
+
+                return rest_ensure_response([
+                    'success' => false,
+                    'message' => __('Some items in your cart are no longer available.', 'fields-bright-enrollment'),
+                    'errors'  => $this->cart_manager->validate_cart()['errors'],
+                ]);
+            }
+        }
+
         // Build line items for Stripe.
         $line_items = [];
         $workshop_ids = [];
-        $metadata_workshops = [];
+        $checkout_items = [];
+        $attendees = [];
+        $gifts = [];
         
         foreach ($cart as $item) {
             $workshop_id = $item['workshop_id'];
@@ -467,24 +823,34 @@ class CartEndpoints
                 }
             }
 
+            $quantity = $this->cart_manager->get_quantity($item);
+
             $line_items[] = [
                 'price_data' => [
-                    'currency'     => 'usd',
-                    'unit_amount'  => (int) ((float) $item['price'] * 100), // Convert to cents.
+                    'currency'     => EnrollmentSystem::get_currency(),
+                    'unit_amount'  => (int) round((float) $item['price'] * 100), // Convert to cents.
                     'product_data' => [
                         'name'        => $workshop->post_title,
                         'description' => $description,
                     ],
                 ],
-                'quantity' => 1,
+                'quantity' => $quantity,
             ];
 
             $workshop_ids[] = $workshop_id;
-            $metadata_workshops[] = [
+            $checkout_items[] = [
                 'id'             => $workshop_id,
                 'pricing_option' => $item['pricing_option'] ?? '',
                 'price'          => $item['price'],
+                'qty'            => $quantity,
+                'disc'           => $discounts['items'][(int) $workshop_id] ?? 0,
             ];
+            $attendees[$workshop_id] = $this->cart_manager->get_attendees($item);
+
+            $gift = $this->cart_manager->get_gift($item);
+            if ($gift !== null) {
+                $gifts[$workshop_id] = $gift;
+            }
         }
 
         if (empty($line_items)) {
@@ -512,14 +878,24 @@ class CartEndpoints
             'cart'       => '1', // Indicate this was a cart checkout.
         ], $success_url);
 
-        // Build metadata (limited to 500 chars per value).
+        // Build metadata (limited to 500 chars per value). Item details are
+        // stored with the session below instead.
         $metadata = [
             'workshop_ids' => implode(',', $workshop_ids),
-            'cart_data'    => wp_json_encode($metadata_workshops),
             'site_url'     => home_url(),
             'is_cart'      => 'true',
         ];
 
+        if ($discounts['promo_total'] > 0) {
+            $metadata['promo_code'] = $discounts['code'];
+            $metadata['promo_id'] = (string) $discounts['promo_id'];
+        }
+
+        if ($discounts['bundle_total'] > 0) {
+            $metadata['bundle_id'] = (string) $discounts['bundle']['id'];
+            $metadata['bundle'] = mb_substr($discounts['bundle']['name'], 0, 500);
+        }
+
         // Check for waitlist claim - if user is claiming a reserved spot.
         if (class_exists('FieldsBright\Enrollment\Waitlist\WaitlistClaimHandler')) {
             $claim_handler = new \FieldsBright\Enrollment\Waitlist\WaitlistClaimHandler();
@@ -546,37 +922,181 @@ class CartEndpoints
             'customer_creation'       => 'always',
         ];
 
+        if ($checkout_expires) {
+            $params['expires_at'] = $checkout_expires;
+        }
+
         // If user is logged in, pre-fill email.
         if (is_user_logged_in()) {
             $user = wp_get_current_user();
             $params['customer_email'] = $user->user_email;
         }
 
-        // Create the session.
-        $result = $this->stripe_handler->create_checkout_session($params);
+        // Create the session. Stripe deduplicates on its own key as well, so
+        // concurrent retries that both miss the replay cache get one session.
+        $stripe_idempotency_key = $idempotency_key
+            ? 'cart_checkout_' . md5($this->get_idempotency_scope() . '|' . $idempotency_key)
+            : '';
+
+        // Stripe takes one discount per session, so the bundle and promo code
+        // go on a single one-off coupon named after both.
+        $result = ['success' => true];
+        if ($discounts['total'] > 0) {
+            $coupon_names = [];
+            if ($discounts['bundle_total'] > 0) {
+                $coupon_names[] = $discounts['bundle']['name'];
+            }
+            if ($discounts['promo_total'] > 0) {
+                $coupon_names[] = $discounts['code'];
+            }
+
+            $coupon = $this->stripe_handler->create_coupon(
+                $discounts['total'],
+                implode(' + ', $coupon_names),
+                $stripe_idempotency_key ? $stripe_idempotency_key . '_coupon' : ''
+            );
+
+            if ($coupon['success']) {
+                $params['discounts'] = [['coupon' => $coupon['coupon_id']]];
+            } else {
+                $result = $coupon;
+            }
+        }
+
+        if ($result['success']) {
+            $result = $this->stripe_handler->create_checkout_session($params, $stripe_idempotency_key);
+        }
 
         if (! $result['success']) {
             $this->logger->error('Failed to create checkout session', [
                 'error' => $result['error'] ?? 'Unknown error',
                 'cart_count' => count($cart),
             ]);
+
+            // Back to a cart-length hold; the customer never reached Stripe.
+            if ($checkout_expires) {
+                $this->cart_manager->hold_seats(time() + SeatHolds::get_duration());
+            }
+
             return rest_ensure_response([
                 'success' => false,
                 'message' => $result['error'] ?? __('Failed to create checkout session.', 'fields-bright-enrollment'),
             ]);
         }
 
+        // Item, attendee and gift details are too long for Stripe metadata;
+        // the webhook picks them up from here.
+        update_option(CartManager::CHECKOUT_DATA_PREFIX . $result['session_id'], [
+            'items'     => $checkout_items,
+            'attendees' => $attendees,
+            'gifts'     => $gifts,
+        ], false);
+
+        // Tie the holds to the session so its expiry webhook releases them.
+        if ($checkout_expires) {
+            $this->cart_manager->hold_seats($checkout_expires + SeatHolds::CHECKOUT_GRACE, $result['session_id']);
+        }
+
         // Log the checkout (enrollments will be created by webhook on successful payment).
         $this->logger->info('Cart checkout initiated', [
             'session_id' => $result['session_id'],
             'items' => count($cart),
         ]);
 
-        return rest_ensure_response([
+        $response_data = [
             'success'      => true,
             'checkout_url' => $result['url'],
             'session_id'   => $result['session_id'],
-        ]);
+        ];
+
+        $this->store_idempotent_response('checkout', $idempotency_key, $response_data);
+
+        return rest_ensure_response($response_data);
+    }
+
+    /**
+     * Get the client-supplied idempotency key for a request.
+     *
+     * @param \WP_REST_Request $request Request object.
+     *
+     * @return string Idempotency key, or empty string if missing or malformed.
+     */
+    private function get_idempotency_key(\WP_REST_Request $request): string
+    {
+        $key = (string) $request->get_header('Idempotency-Key');
+
+        return preg_match('/^[A-Za-z0-9_-]{16,64}$/', $key) ? $key : '';
+    }
+
+    /**
+     * Get the scope idempotency keys are stored under.
+     *
+     * Keys are scoped to the visitor so one cart can never replay another's response.
+     *
+     * @return string User ID or cart session ID.
+     */
+    private function get_idempotency_scope(): string
+    {
+        $user_id = get_current_user_id();
+
+        return $user_id ? 'user_' . $user_id : $this->cart_manager->get_storage()->get_session_id();
+    }
+
+    /**
+     * Build the transient name for an idempotent response.
+     *
+     * @param string $action          Cart action (add, checkout).
+     * @param string $idempotency_key Idempotency key.
+     *
+     * @return string Transient name.
+     */
+    private function get_idempotency_transient(string $action, string $idempotency_key): string
+    {
+        return self::IDEMPOTENCY_PREFIX . md5($this->get_idempotency_scope() . '|' . $action . '|' . $idempotency_key);
+    }
+
+    /**
+     * Get a previously stored response for an idempotency key.
+     *
+     * @param string $action          Cart action (add, checkout).
+     * @param string $idempotency_key Idempotency key.
+     *
+     * @return \WP_REST_Response|null Replayed response, or null if none is stored.
+     */
+    private function get_idempotent_response(string $action, string $idempotency_key): ?\WP_REST_Response
+    {
+        if ($idempotency_key === '') {
+            return null;
+        }
+
+        $stored = get_transient($this->get_idempotency_transient($action, $idempotency_key));
+
+        if (! is_array($stored)) {
+            return null;
+        }
+
+        $response = rest_ensure_response($stored);
+        $response->header('Idempotent-Replayed', 'true');
+
+        return $response;
+    }
+
+    /**
+     * Store a response so retries with the same idempotency key replay it.
+     *
+     * @param string $action          Cart action (add, checkout).
+     * @param string $idempotency_key Idempotency key.
+     * @param array  $response_data   Response data.
+     *
+     * @return void
+     */
+    private function store_idempotent_response(string $action, string $idempotency_key, array $response_data): void
+    {
+        if ($idempotency_key === '') {
+            return;
+        }
+
+        set_transient($this->get_idempotency_transient($action, $idempotency_key), $response_data, self::IDEMPOTENCY_TTL);
     }
 
     /**
@@ -600,14 +1120,14 @@ class CartEndpoints
      */
     public function validate_enrollment_status($value, $request, $param)
     {
-        $allowed_statuses = ['', 'completed', 'pending', 'refunded', 'failed'];
+        $allowed_statuses = ['', 'completed', 'pending', 'refunded', 'failed', 'cancelled'];
         
         if (! in_array($value, $allowed_statuses, true)) {
             return new \WP_Error(
                 'rest_invalid_param',
                 sprintf(
                     /* translators: %s: parameter name */
-                    __('Invalid %s parameter. Allowed values: completed, pending, refunded, failed', 'fields-bright-enrollment'),
+                    __('Invalid %s parameter. Allowed values: completed, pending, refunded, failed, cancelled', 'fields-bright-enrollment'),
                     $param
                 ),
                 ['status' => 400]
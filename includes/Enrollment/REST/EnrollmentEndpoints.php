@@ -3,7 +3,7 @@
  * Enrollment REST API Endpoints
  *
  * Registers REST API endpoints for the enrollment system including
- * the Stripe webhook endpoint.
+ * the Stripe webhook and live workshop availability endpoints.
  *
  * @package FieldsBright\Enrollment\REST
  * @since   1.0.0
@@ -11,6 +11,8 @@
 
 namespace FieldsBright\Enrollment\REST;
 
+use FieldsBright\Enrollment\EnrollmentSystem;
+use FieldsBright\Enrollment\MetaBoxes\WorkshopMetaBox;
 use FieldsBright\Enrollment\Stripe\WebhookHandler;
 use WP_REST_Request;
 use WP_REST_Response;
@@ -37,6 +39,13 @@ class EnrollmentEndpoints
      */
     public const NAMESPACE = 'fields-bright/v1';
 
+    /**
+     * Maximum number of workshops per availability request.
+     *
+     * @var int
+     */
+    private const AVAILABILITY_LIMIT = 50;
+
     /**
      * Webhook handler instance.
      *
@@ -69,6 +78,24 @@ class EnrollmentEndpoints
             'permission_callback' => '__return_true', // Webhooks are authenticated via signature
         ]);
 
+        // Live seat availability for one or more workshops
+        register_rest_route(self::NAMESPACE, '/availability', [
+            'methods'             => WP_REST_Server::READABLE,
+            'callback'            => [$this, 'get_availability'],
+            'permission_callback' => '__return_true',
+            'args'                => [
+                'workshop_ids' => [
+                    'required' => true,
+                    'type'     => 'array',
+                    'items'    => [
+                        'type' => 'integer',
+                    ],
+                    'minItems' => 1,
+                    'maxItems' => self::AVAILABILITY_LIMIT,
+                ],
+            ],
+        ]);
+
         // Health check endpoint
         register_rest_route(self::NAMESPACE, '/health', [
             'methods'             => WP_REST_Server::READABLE,
@@ -108,6 +135,59 @@ class EnrollmentEndpoints
         ], $result['status_code']);
     }
 
+    /**
+     * Get live availability for workshops.
+     *
+     * Accepts `workshop_ids` as a comma-separated list or an array. Unknown
+     * and unpublished workshops are left out. Seats the visitor holds in
+     * their cart or checkout count as available to them and are flagged
+     * with `held_by_you`. For full workshops with a waitlist the rendered
+     * waitlist form is included, so the page can swap it in without a reload.
+     *
+     * @param WP_REST_Request $request Request object.
+     *
+     * @return WP_REST_Response
+     */
+    public function get_availability(WP_REST_Request $request): WP_REST_Response
+    {
+        $workshop_ids = array_unique(array_filter(array_map('absint', (array) $request->get_param('workshop_ids'))));
+        $claim_handler = EnrollmentSystem::instance()->get_waitlist_claim_handler();
+        $claim = $claim_handler ? $claim_handler->get_claim_data() : false;
+        $holder = WorkshopMetaBox::get_visitor_hold_key();
+        $workshops = [];
+
+        foreach ($workshop_ids as $workshop_id) {
+            $workshop = get_post($workshop_id);
+
+            if (! $workshop || $workshop->post_status !== 'publish') {
+                continue;
+            }
+
+            $availability = WorkshopMetaBox::get_availability($workshop_id, $holder);
+
+            // A waitlist claim holds a seat for this visitor even when the workshop is full.
+            $availability['reserved'] = $claim && (int) $claim['workshop_id'] === $workshop_id;
+
+            if ($availability['full'] && $availability['waitlist'] && ! $availability['reserved']) {
+                $availability['waitlist_form'] = do_shortcode('[waitlist_form workshop_id="' . $workshop_id . '"]');
+            }
+
+            $workshops[] = $availability;
+        }
+
+        $response = new WP_REST_Response([
+            'success' => true,
+            'data'    => [
+                'workshops' => $workshops,
+            ],
+        ], 200);
+
+        // Availability and the waitlist form are per visitor and change constantly.
+        $response->header('Cache-Control', 'no-store, max-age=0');
+
+        return $response;
+    }
+
     /**
      * Health check endpoint.
      *
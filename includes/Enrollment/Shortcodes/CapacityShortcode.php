@@ -81,8 +81,11 @@ class CapacityShortcode
             return '';
         }
 
+        // Keep the count current on long-lived or cached pages.
+        wp_enqueue_script('fields-bright-availability');
+
         $capacity = WorkshopMetaBox::get_capacity($workshop_id);
-        $remaining = WorkshopMetaBox::get_remaining_spots($workshop_id);
+        $remaining = WorkshopMetaBox::get_remaining_spots($workshop_id, WorkshopMetaBox::get_visitor_hold_key());
         
         // Determine display state.
         $is_unlimited = ($remaining === null);
@@ -117,13 +120,22 @@ class CapacityShortcode
             
             // Add total if requested.
             if ($show_total && $capacity > 0) {
-                $text .= sprintf(' / %d total', $capacity);
+                /* translators: 1: remaining spots text, 2: workshop capacity */
+                $text = sprintf(__('%1$s / %2$d total', 'fields-bright-enrollment'), $text, $capacity);
             }
         }
 
         ob_start();
         ?>
-        <span class="<?php echo esc_attr(implode(' ', $classes)); ?>" data-workshop-id="<?php echo esc_attr($workshop_id); ?>">
+        <span class="<?php echo esc_attr(implode(' ', $classes)); ?>"
+              data-workshop-id="<?php echo esc_attr($workshop_id); ?>"
+              data-capacity-live
+              data-sold-out-text="<?php echo esc_attr($atts['sold_out_text']); ?>"
+              data-unlimited-text="<?php echo esc_attr($atts['unlimited_text']); ?>"
+              data-spots-text="<?php echo esc_attr($atts['spots_text']); ?>"
+              data-spot-text="<?php echo esc_attr($atts['spot_text']); ?>"
+              data-urgency-threshold="<?php echo esc_attr($urgency_threshold); ?>"
+              data-total="<?php echo esc_attr($show_total ? $capacity : 0); ?>">
             <?php if ($show_icon) : ?>
             <span class="fb-capacity__icon"><?php echo esc_html($icon); ?></span>
             <?php endif; ?>
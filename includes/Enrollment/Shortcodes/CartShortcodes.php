@@ -11,7 +11,10 @@
 namespace FieldsBright\Enrollment\Shortcodes;
 
 use FieldsBright\Enrollment\Cart\CartManager;
+use FieldsBright\Enrollment\Cart\SeatHolds;
+use FieldsBright\Enrollment\Discounts\PromoCodeCPT;
 use FieldsBright\Enrollment\MetaBoxes\WorkshopMetaBox;
+use FieldsBright\Enrollment\EnrollmentSystem;
 
 // Prevent direct access.
 if (! defined('ABSPATH')) {
@@ -70,18 +73,24 @@ class CartShortcodes
         wp_enqueue_script(
             'fields-bright-cart',
             get_stylesheet_directory_uri() . '/assets/js/enrollment-cart.js',
-            ['jquery'],
+            ['jquery', 'fields-bright-api', 'fields-bright-notifications'],
             '1.1.0',
             true
         );
 
+        $current_user = wp_get_current_user();
+
         wp_localize_script('fields-bright-cart', 'fbCart', [
-            'ajaxUrl'     => admin_url('admin-ajax.php'),
-            'restUrl'     => rest_url('fields-bright/v1/'),
-            'nonce'       => wp_create_nonce('fields_bright_cart'),
-            'restNonce'   => wp_create_nonce('wp_rest'),
-            'cartPageUrl' => $this->get_cart_page_url(),
-            'strings'     => [
+            'cartPageUrl'  => $this->get_cart_page_url(),
+            'currency'     => strtoupper(EnrollmentSystem::get_currency()),
+            'locale'       => EnrollmentSystem::get_locale_tag(),
+            'holdWarning'  => 2 * MINUTE_IN_SECONDS,
+            'maxAttendees' => CartManager::MAX_ATTENDEES,
+            'user'         => [
+                'name'  => $current_user->ID ? $current_user->display_name : '',
+                'email' => $current_user->ID ? $current_user->user_email : '',
+            ],
+            'strings'      => [
                 'adding'       => __('Adding...', 'fields-bright-enrollment'),
                 'added'        => __('Added to Cart!', 'fields-bright-enrollment'),
                 'inCart'       => __('In Cart', 'fields-bright-enrollment'),
@@ -92,10 +101,75 @@ class CartShortcodes
                 'processing'   => __('Processing...', 'fields-bright-enrollment'),
                 'emptyCart'    => __('Your cart is empty.', 'fields-bright-enrollment'),
                 'confirmClear' => __('Are you sure you want to clear your cart?', 'fields-bright-enrollment'),
+                'total'        => __('Total', 'fields-bright-enrollment'),
+                'clearCart'    => __('Clear Cart', 'fields-bright-enrollment'),
+                'removeItem'   => __('Remove item', 'fields-bright-enrollment'),
+                'updated'      => __('Cart updated', 'fields-bright-enrollment'),
+                'pricingLabel' => __('Pricing option', 'fields-bright-enrollment'),
+                'fixIssues'    => __('Please resolve the highlighted items before checking out.', 'fields-bright-enrollment'),
+                'removeFix'    => __('Remove from cart', 'fields-bright-enrollment'),
+                /* translators: %s: pricing option label and price */
+                'switchTo'     => __('Switch to %s', 'fields-bright-enrollment'),
+                'joinWaitlist' => __('Join waitlist', 'fields-bright-enrollment'),
+                'waitlisted'   => __('You\'ve been added to the waitlist.', 'fields-bright-enrollment'),
+                'name'         => __('Name', 'fields-bright-enrollment'),
+                'email'        => __('Email', 'fields-bright-enrollment'),
+                'cartTitle'    => __('Your Cart', 'fields-bright-enrollment'),
+                'subtotal'     => __('Subtotal', 'fields-bright-enrollment'),
+                'checkout'     => __('Checkout', 'fields-bright-enrollment'),
+                'close'        => __('Close', 'fields-bright-enrollment'),
+                'loading'      => __('Loading...', 'fields-bright-enrollment'),
+                'undoRemove'   => __('Undo remove', 'fields-bright-enrollment'),
+                /* translators: %s: time left, e.g. 14:59 */
+                'holdLeft'     => __('Seat held for %s', 'fields-bright-enrollment'),
+                /* translators: %s: workshop title */
+                'holdExpiring' => __('Your seat in %s will be released in under two minutes. Check out now to keep it.', 'fields-bright-enrollment'),
+                'holdExpired'  => __('Seat no longer held', 'fields-bright-enrollment'),
+                'attendees'    => __('Attendees', 'fields-bright-enrollment'),
+                'attendeeName' => __('Attendee name', 'fields-bright-enrollment'),
+                'attendeeAge'  => __('Age', 'fields-bright-enrollment'),
+                'attendeeNote' => __('Notes (optional)', 'fields-bright-enrollment'),
+                'addAttendee'  => __('Add attendee', 'fields-bright-enrollment'),
+                'dropAttendee' => __('Remove attendee', 'fields-bright-enrollment'),
+                'gift'         => __('This is a gift / for someone else', 'fields-bright-enrollment'),
+                'giftName'     => __('Recipient\'s name', 'fields-bright-enrollment'),
+                'giftEmail'    => __('Recipient\'s email', 'fields-bright-enrollment'),
+                'giftMessage'  => __('Gift message (optional)', 'fields-bright-enrollment'),
+                'giftHint'     => __('We\'ll email the confirmation to the recipient and the receipt to you.', 'fields-bright-enrollment'),
+                'giftInvalid'  => __('Please enter a valid email address for the gift recipient.', 'fields-bright-enrollment'),
+                /* translators: 1: unit price, 2: number of attendees */
+                'unitPrice'    => __('%1$s × %2$d', 'fields-bright-enrollment'),
+                'promoCode'    => __('Promo code', 'fields-bright-enrollment'),
+                'applyPromo'   => __('Apply', 'fields-bright-enrollment'),
+                'removePromo'  => __('Remove', 'fields-bright-enrollment'),
+                'promoEmpty'   => __('Enter a promo code.', 'fields-bright-enrollment'),
+                /* translators: %s: promo code */
+                'discount'     => __('Discount (%s)', 'fields-bright-enrollment'),
+                /* translators: 1: bundle name, 2: discount, e.g. "15% off" */
+                'bundle'       => __('%1$s bundle (%2$s)', 'fields-bright-enrollment'),
+                'browseBundle' => __('Browse workshops', 'fields-bright-enrollment'),
+                'yourAmount'   => __('Your amount', 'fields-bright-enrollment'),
+                'amountEmpty'  => __('Please enter an amount.', 'fields-bright-enrollment'),
+                /* translators: %s: minimum amount */
+                'amountMin'    => __('Please enter at least %s.', 'fields-bright-enrollment'),
+                /* translators: %s: maximum amount */
+                'amountMax'    => __('Please enter no more than %s.', 'fields-bright-enrollment'),
+                /* translators: 1: pricing option label, 2: time left, e.g. "in 3 days" */
+                'priceEnds'    => __('%1$s ends %2$s', 'fields-bright-enrollment'),
+                /* translators: %s: pricing option label */
+                'priceEnded'   => __('%s has ended', 'fields-bright-enrollment'),
+                'repriced'     => __('Some prices in your cart have changed. Please review them before checking out.', 'fields-bright-enrollment'),
+                'saveForLater' => __('Save for later', 'fields-bright-enrollment'),
+                'saved'        => __('Saved', 'fields-bright-enrollment'),
+                'savedTitle'   => __('Saved for later', 'fields-bright-enrollment'),
+                'moveToCart'   => __('Move to cart', 'fields-bright-enrollment'),
+                'removeSaved'  => __('Remove', 'fields-bright-enrollment'),
+                'movedToCart'  => __('Moved to cart', 'fields-bright-enrollment'),
             ],
         ]);
 
         // Enqueue cart styles.
+        wp_enqueue_style('fields-bright-notifications');
         wp_enqueue_style(
             'fields-bright-cart',
             get_stylesheet_directory_uri() . '/assets/css/enrollment-cart.css',
@@ -125,7 +199,10 @@ class CartShortcodes
     /**
      * Render cart icon shortcode.
      *
-     * Usage: [cart_icon show_count="true" link="true"]
+     * Usage: [cart_icon show_count="true" link="true" mini_cart="true"]
+     *
+     * With mini_cart enabled, clicking the icon opens the mini-cart drawer
+     * instead of navigating; the link remains as a no-JS fallback.
      *
      * @param array $atts Shortcode attributes.
      *
@@ -138,10 +215,12 @@ class CartShortcodes
             'link'       => 'true',
             'class'      => '',
             'icon'       => 'bag', // bag, cart, basket
+            'mini_cart'  => 'true',
         ], $atts);
 
         $show_count = filter_var($atts['show_count'], FILTER_VALIDATE_BOOLEAN);
         $link = filter_var($atts['link'], FILTER_VALIDATE_BOOLEAN);
+        $mini_cart = filter_var($atts['mini_cart'], FILTER_VALIDATE_BOOLEAN);
         $count = $this->cart_manager->get_count();
         $cart_url = $this->get_cart_page_url();
 
@@ -160,7 +239,9 @@ class CartShortcodes
         ?>
         <div class="<?php echo esc_attr(implode(' ', $classes)); ?>" data-cart-icon>
             <?php if ($link) : ?>
-            <a href="<?php echo esc_url($cart_url); ?>" class="fb-cart-icon__link">
+            <a href="<?php echo esc_url($cart_url); ?>" class="fb-cart-icon__link"<?php echo $mini_cart ? $this->get_mini_cart_toggle_attributes() : ''; ?>>
+            <?php elseif ($mini_cart) : ?>
+            <button type="button" class="fb-cart-icon__link fb-cart-icon__button"<?php echo $this->get_mini_cart_toggle_attributes(); ?>>
             <?php endif; ?>
             
                 <span class="fb-cart-icon__icon">
@@ -173,12 +254,27 @@ class CartShortcodes
             
             <?php if ($link) : ?>
             </a>
+            <?php elseif ($mini_cart) : ?>
+            </button>
             <?php endif; ?>
         </div>
         <?php
         return ob_get_clean();
     }
 
+    /**
+     * Get the attributes that make an element open the mini-cart drawer.
+     *
+     * @return string HTML attributes.
+     */
+    private function get_mini_cart_toggle_attributes(): string
+    {
+        return sprintf(
+            ' data-mini-cart-toggle aria-haspopup="dialog" aria-expanded="false" aria-controls="fb-mini-cart" aria-label="%s"',
+            esc_attr__('Open cart', 'fields-bright-enrollment')
+        );
+    }
+
     /**
      * Get icon SVG.
      *
@@ -224,11 +320,21 @@ class CartShortcodes
         $show_continue = filter_var($atts['show_continue'], FILTER_VALIDATE_BOOLEAN);
         
         $cart = $this->cart_manager->get_cart();
-        $total = $this->cart_manager->get_cart_total();
+
+        // Passed to the cart script so it can re-render this summary in place.
+        $config = [
+            'showCheckout' => $show_checkout,
+            'showContinue' => $show_continue,
+            'continueUrl'  => esc_url_raw($atts['continue_url']),
+            'continueText' => $atts['continue_text'],
+            'checkoutText' => $atts['checkout_text'],
+            'emptyMessage' => $atts['empty_message'],
+            'emptyCtaText' => $atts['empty_cta_text'],
+        ];
 
         ob_start();
         ?>
-        <div class="fb-cart-summary" data-cart-summary>
+        <div class="fb-cart-summary" data-cart-summary data-cart-config="<?php echo esc_attr(wp_json_encode($config)); ?>">
             <?php if (empty($cart)) : ?>
                 <div class="fb-cart-empty">
                     <div class="fb-cart-empty__icon">
@@ -246,12 +352,7 @@ class CartShortcodes
                     <?php endforeach; ?>
                 </div>
 
-                <div class="fb-cart-totals">
-                    <div class="fb-cart-totals__row fb-cart-totals__row--total">
-                        <span class="fb-cart-totals__label"><?php esc_html_e('Total', 'fields-bright-enrollment'); ?></span>
-                        <span class="fb-cart-totals__value" data-cart-total>$<?php echo esc_html(number_format($total, 2)); ?></span>
-                    </div>
-                </div>
+                <?php echo $this->render_cart_totals(); ?>
 
                 <div class="fb-cart-actions">
                     <?php if ($show_continue) : ?>
@@ -274,6 +375,92 @@ class CartShortcodes
                 </div>
             <?php endif; ?>
         </div>
+
+        <?php echo self::render_saved_list($this->cart_manager->get_saved_for_api()['items']); ?>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render the cart totals, bundle suggestion and promo code form.
+     *
+     * Mirrored by Cart.buildTotalsHtml() in enrollment-cart.js.
+     *
+     * @return string HTML output.
+     */
+    private function render_cart_totals(): string
+    {
+        $applied = $this->cart_manager->get_promo_code();
+        $discounts = $this->cart_manager->get_discounts();
+        $subtotal = $this->cart_manager->get_cart_subtotal();
+        $total = max(0.0, $subtotal - $discounts['total']);
+        $error = $applied ? $applied['error'] : '';
+        $bundle = $discounts['bundle'];
+        $nudge = $this->cart_manager->get_bundle_nudge();
+
+        ob_start();
+        ?>
+        <div class="fb-cart-totals" data-cart-totals>
+            <?php if ($applied || $bundle) : ?>
+                <div class="fb-cart-totals__row fb-cart-totals__row--subtotal">
+                    <span class="fb-cart-totals__label"><?php esc_html_e('Subtotal', 'fields-bright-enrollment'); ?></span>
+                    <span class="fb-cart-totals__value"><?php echo esc_html(EnrollmentSystem::format_price($subtotal)); ?></span>
+                </div>
+            <?php endif; ?>
+            <?php if ($bundle) : ?>
+                <div class="fb-cart-totals__row fb-cart-totals__row--discount fb-cart-totals__row--bundle">
+                    <span class="fb-cart-totals__label">
+                        <?php
+                        printf(
+                            /* translators: 1: bundle name, 2: discount, e.g. "15% off" */
+                            esc_html__('%1$s bundle (%2$s)', 'fields-bright-enrollment'),
+                            esc_html($bundle['name']),
+                            esc_html(PromoCodeCPT::format_discount($bundle))
+                        );
+                        ?>
+                    </span>
+                    <span class="fb-cart-totals__value"><?php echo '−' . esc_html(EnrollmentSystem::format_price($discounts['bundle_total'])); ?></span>
+                </div>
+            <?php endif; ?>
+            <?php if ($applied) : ?>
+                <div class="fb-cart-totals__row fb-cart-totals__row--discount<?php echo $error ? ' fb-cart-totals__row--invalid' : ''; ?>">
+                    <span class="fb-cart-totals__label">
+                        <?php
+                        printf(
+                            /* translators: %s: promo code */
+                            esc_html__('Discount (%s)', 'fields-bright-enrollment'),
+                            '<code>' . esc_html($applied['code']) . '</code>'
+                        );
+                        ?>
+                        <button type="button" class="fb-cart-promo__remove" data-promo-remove>
+                            <?php esc_html_e('Remove', 'fields-bright-enrollment'); ?>
+                        </button>
+                    </span>
+                    <span class="fb-cart-totals__value"><?php echo $error ? '—' : '−' . esc_html(EnrollmentSystem::format_price($discounts['promo_total'])); ?></span>
+                </div>
+            <?php endif; ?>
+            <div class="fb-cart-totals__row fb-cart-totals__row--total">
+                <span class="fb-cart-totals__label"><?php esc_html_e('Total', 'fields-bright-enrollment'); ?></span>
+                <span class="fb-cart-totals__value" data-cart-total><?php echo esc_html(EnrollmentSystem::format_price($total)); ?></span>
+            </div>
+            <?php if ($nudge) : ?>
+                <p class="fb-cart-bundle-nudge">
+                    <?php echo esc_html($nudge['message']); ?>
+                    <?php if ($nudge['url']) : ?>
+                        <a href="<?php echo esc_url($nudge['url']); ?>"><?php esc_html_e('Browse workshops', 'fields-bright-enrollment'); ?></a>
+                    <?php endif; ?>
+                </p>
+            <?php endif; ?>
+        </div>
+
+        <form class="fb-cart-promo" data-promo-form novalidate>
+            <label class="fb-cart-promo__label" for="fb-cart-promo-code"><?php esc_html_e('Promo code', 'fields-bright-enrollment'); ?></label>
+            <div class="fb-cart-promo__field">
+                <input type="text" id="fb-cart-promo-code" class="fb-cart-promo__input" name="promo_code" autocomplete="off" autocapitalize="characters" data-promo-input>
+                <button type="submit" class="fb-btn fb-btn--secondary fb-cart-promo__apply"><?php esc_html_e('Apply', 'fields-bright-enrollment'); ?></button>
+            </div>
+            <p class="fb-cart-promo__error" role="alert" data-promo-error<?php echo $error ? '' : ' hidden'; ?>><?php echo esc_html($error); ?></p>
+        </form>
         <?php
         return ob_get_clean();
     }
@@ -291,24 +478,16 @@ class CartShortcodes
         $workshop_id = $item['workshop_id'];
         $workshop = get_post($workshop_id);
         $workshop_url = $workshop ? get_permalink($workshop_id) : '';
-        $thumbnail = get_the_post_thumbnail_url($workshop_id, 'thumbnail');
-        
-        // Get workshop details.
-        $event_start = get_post_meta($workshop_id, WorkshopMetaBox::META_PREFIX . 'start_datetime', true);
-        $recurring_info = get_post_meta($workshop_id, WorkshopMetaBox::META_PREFIX . 'recurring_date_info', true);
-        $location = get_post_meta($workshop_id, WorkshopMetaBox::META_PREFIX . 'location', true);
-
-        // Get pricing option label.
-        $pricing_label = '';
-        if (! empty($item['pricing_option'])) {
-            $options = WorkshopMetaBox::get_pricing_options($workshop_id);
-            foreach ($options as $option) {
-                if ($option['id'] === $item['pricing_option']) {
-                    $pricing_label = $option['label'];
-                    break;
-                }
-            }
-        }
+
+        // Shared with the REST response so client-side renders match.
+        $details = $this->cart_manager->get_item_details($item);
+        $thumbnail = $details['thumbnail'];
+        $pricing_label = $details['pricing_label'];
+        $pricing_options = $details['pricing_options'];
+        $recurring_info = $details['schedule'];
+        $event_date = $details['date'];
+        $location = $details['location'];
+        $quantity = $this->cart_manager->get_quantity($item);
 
         ob_start();
         ?>
@@ -329,24 +508,73 @@ class CartShortcodes
                 </h4>
                 
                 <div class="fb-cart-item__meta">
-                    <?php if ($pricing_label) : ?>
+                    <?php if (count($pricing_options) > 1) : ?>
+                    <label class="fb-cart-item__pricing">
+                        <span class="screen-reader-text"><?php esc_html_e('Pricing option', 'fields-bright-enrollment'); ?></span>
+                        <select class="fb-cart-item__pricing-select" data-cart-item-pricing data-workshop-id="<?php echo esc_attr($workshop_id); ?>">
+                            <?php foreach ($pricing_options as $option) : ?>
+                            <option value="<?php echo esc_attr($option['id']); ?>"
+                                    data-price="<?php echo esc_attr($option['price']); ?>"
+                                    <?php selected($option['id'], $item['pricing_option']); ?>>
+                                <?php echo esc_html($option['label']); ?> - <?php echo esc_html($option['price_label']); ?>
+                            </option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <?php elseif ($pricing_label) : ?>
                     <span class="fb-cart-item__option"><?php echo esc_html($pricing_label); ?></span>
                     <?php endif; ?>
                     
                     <?php if ($recurring_info) : ?>
                     <span class="fb-cart-item__schedule"><?php echo esc_html($recurring_info); ?></span>
-                    <?php elseif ($event_start) : ?>
-                    <span class="fb-cart-item__date"><?php echo esc_html(date_i18n(get_option('date_format'), strtotime($event_start))); ?></span>
+                    <?php elseif ($event_date) : ?>
+                    <span class="fb-cart-item__date"><?php echo esc_html($event_date); ?></span>
                     <?php endif; ?>
                     
                     <?php if ($location) : ?>
                     <span class="fb-cart-item__location"><?php echo esc_html($location); ?></span>
                     <?php endif; ?>
                 </div>
+
+                <?php if ($details['amount_range']) : ?>
+                <div class="fb-cart-item__amount" data-cart-item-amount-field>
+                    <label class="fb-cart-item__amount-label">
+                        <span><?php esc_html_e('Your amount', 'fields-bright-enrollment'); ?></span>
+                        <input type="number"
+                               class="fb-cart-item__amount-input"
+                               data-cart-item-amount
+                               data-workshop-id="<?php echo esc_attr($workshop_id); ?>"
+                               value="<?php echo esc_attr((float) $item['price']); ?>"
+                               min="<?php echo esc_attr($details['amount_range']['min']); ?>"
+                               <?php echo $details['amount_range']['max'] ? 'max="' . esc_attr($details['amount_range']['max']) . '"' : ''; ?>
+                               step="0.01"
+                               inputmode="decimal">
+                    </label>
+                    <p class="fb-cart-item__amount-hint"><?php echo esc_html($details['amount_range']['hint']); ?></p>
+                </div>
+                <?php endif; ?>
+
+                <?php echo self::render_price_deadline($details['price_deadline'], 'fb-cart-item__deadline'); ?>
+
+                <?php echo $this->render_attendees($item); ?>
+
+                <?php echo $this->render_gift($item); ?>
+
+                <p class="fb-cart-item__hold" data-hold-countdown data-workshop-id="<?php echo esc_attr($workshop_id); ?>" hidden></p>
             </div>
             
             <div class="fb-cart-item__price">
-                $<?php echo esc_html(number_format((float) $item['price'], 2)); ?>
+                <?php echo esc_html(EnrollmentSystem::format_price((float) $item['price'] * $quantity)); ?>
+                <span class="fb-cart-item__unit-price" data-unit-price<?php echo $quantity > 1 ? '' : ' hidden'; ?>>
+                    <?php
+                    printf(
+                        /* translators: 1: unit price, 2: number of attendees */
+                        esc_html__('%1$s × %2$d', 'fields-bright-enrollment'),
+                        esc_html(EnrollmentSystem::format_price((float) $item['price'])),
+                        (int) $quantity
+                    );
+                    ?>
+                </span>
             </div>
             
             <button type="button" 
@@ -363,6 +591,93 @@ class CartShortcodes
         return ob_get_clean();
     }
 
+    /**
+     * Render the attendee editor of a cart item.
+     *
+     * Mirrors buildAttendeesHtml() in enrollment-cart.js.
+     *
+     * @param array $item Cart item data.
+     *
+     * @return string HTML output.
+     */
+    private function render_attendees(array $item): string
+    {
+        $attendees = $this->cart_manager->get_attendees($item);
+        $count = count($attendees);
+
+        ob_start();
+        ?>
+        <fieldset class="fb-cart-item__attendees" data-cart-attendees data-workshop-id="<?php echo esc_attr($item['workshop_id']); ?>">
+            <legend class="fb-cart-item__attendees-title"><?php esc_html_e('Attendees', 'fields-bright-enrollment'); ?></legend>
+            <?php foreach ($attendees as $attendee) : ?>
+            <div class="fb-cart-attendee" data-attendee>
+                <input type="text" class="fb-cart-attendee__name" data-attendee-field="name" maxlength="100"
+                       value="<?php echo esc_attr($attendee['name']); ?>"
+                       placeholder="<?php esc_attr_e('Attendee name', 'fields-bright-enrollment'); ?>"
+                       aria-label="<?php esc_attr_e('Attendee name', 'fields-bright-enrollment'); ?>">
+                <input type="number" class="fb-cart-attendee__age" data-attendee-field="age" min="1" max="119"
+                       value="<?php echo esc_attr($attendee['age']); ?>"
+                       placeholder="<?php esc_attr_e('Age', 'fields-bright-enrollment'); ?>"
+                       aria-label="<?php esc_attr_e('Age', 'fields-bright-enrollment'); ?>">
+                <input type="text" class="fb-cart-attendee__notes" data-attendee-field="notes" maxlength="500"
+                       value="<?php echo esc_attr($attendee['notes']); ?>"
+                       placeholder="<?php esc_attr_e('Notes (optional)', 'fields-bright-enrollment'); ?>"
+                       aria-label="<?php esc_attr_e('Notes (optional)', 'fields-bright-enrollment'); ?>">
+                <?php if ($count > 1) : ?>
+                <button type="button" class="fb-cart-attendee__remove" data-attendee-remove
+                        aria-label="<?php esc_attr_e('Remove attendee', 'fields-bright-enrollment'); ?>">&times;</button>
+                <?php endif; ?>
+            </div>
+            <?php endforeach; ?>
+            <?php if ($count < CartManager::MAX_ATTENDEES) : ?>
+            <button type="button" class="fb-cart-item__add-attendee" data-attendee-add>
+                + <?php esc_html_e('Add attendee', 'fields-bright-enrollment'); ?>
+            </button>
+            <?php endif; ?>
+        </fieldset>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render the gift editor of a cart item.
+     *
+     * Mirrors buildGiftHtml() in enrollment-cart.js.
+     *
+     * @param array $item Cart item data.
+     *
+     * @return string HTML output.
+     */
+    private function render_gift(array $item): string
+    {
+        $gift = $this->cart_manager->get_gift($item);
+
+        ob_start();
+        ?>
+        <div class="fb-cart-item__gift" data-cart-gift data-workshop-id="<?php echo esc_attr($item['workshop_id']); ?>">
+            <label class="fb-cart-gift__toggle">
+                <input type="checkbox" data-gift-toggle <?php checked($gift !== null); ?>>
+                <?php esc_html_e('This is a gift / for someone else', 'fields-bright-enrollment'); ?>
+            </label>
+            <div class="fb-cart-gift__fields" data-gift-fields<?php echo $gift !== null ? '' : ' hidden'; ?>>
+                <input type="text" class="fb-cart-gift__name" data-gift-field="name" maxlength="100"
+                       value="<?php echo esc_attr($gift['name'] ?? ''); ?>"
+                       placeholder="<?php esc_attr_e('Recipient\'s name', 'fields-bright-enrollment'); ?>"
+                       aria-label="<?php esc_attr_e('Recipient\'s name', 'fields-bright-enrollment'); ?>">
+                <input type="email" class="fb-cart-gift__email" data-gift-field="email" maxlength="100"
+                       value="<?php echo esc_attr($gift['email'] ?? ''); ?>"
+                       placeholder="<?php esc_attr_e('Recipient\'s email', 'fields-bright-enrollment'); ?>"
+                       aria-label="<?php esc_attr_e('Recipient\'s email', 'fields-bright-enrollment'); ?>">
+                <textarea class="fb-cart-gift__message" data-gift-field="message" maxlength="500" rows="2"
+                          placeholder="<?php esc_attr_e('Gift message (optional)', 'fields-bright-enrollment'); ?>"
+                          aria-label="<?php esc_attr_e('Gift message (optional)', 'fields-bright-enrollment'); ?>"><?php echo esc_textarea($gift['message'] ?? ''); ?></textarea>
+                <p class="fb-cart-gift__hint"><?php esc_html_e('We\'ll email the confirmation to the recipient and the receipt to you.', 'fields-bright-enrollment'); ?></p>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
     /**
      * Render add to cart button shortcode.
      *
@@ -395,9 +710,12 @@ class CartShortcodes
         }
 
         // Check enrollment eligibility.
-        $can_enroll = WorkshopMetaBox::can_enroll($workshop_id);
-        $remaining_spots = WorkshopMetaBox::get_remaining_spots($workshop_id);
+        // Seats this visitor holds are still theirs to book.
+        $holder = WorkshopMetaBox::get_visitor_hold_key();
+        $can_enroll = WorkshopMetaBox::can_enroll($workshop_id, $holder);
+        $remaining_spots = WorkshopMetaBox::get_remaining_spots($workshop_id, $holder);
         $capacity = WorkshopMetaBox::get_capacity($workshop_id);
+        $held_by_you = $holder !== '' && SeatHolds::get_hold($workshop_id, $holder) !== null;
 
         // Check for waitlist claim - if user has a reserved spot.
         $has_waitlist_claim = false;
@@ -424,13 +742,16 @@ class CartShortcodes
         }
 
         // Get pricing options.
-        $pricing_options = WorkshopMetaBox::get_pricing_options($workshop_id);
+        $pricing_options = WorkshopMetaBox::get_available_pricing_options($workshop_id);
         $base_price = WorkshopMetaBox::get_effective_price($workshop_id, '');
 
         // Determine button state.
         $is_sold_out = ! $can_enroll['allowed'] && ! $can_enroll['waitlist'];
         $is_waitlist = $can_enroll['waitlist'];
 
+        // Disable the button or swap in the waitlist form if the workshop fills up.
+        wp_enqueue_script('fields-bright-availability');
+
         $button_classes = ['fb-add-to-cart-btn'];
         if ($atts['class']) {
             $button_classes[] = $atts['class'];
@@ -444,13 +765,17 @@ class CartShortcodes
 
         ob_start();
         ?>
-        <div class="fb-add-to-cart-wrapper" data-add-to-cart-wrapper data-workshop-id="<?php echo esc_attr($workshop_id); ?>">
+        <div class="fb-add-to-cart-wrapper" data-add-to-cart-wrapper data-workshop-id="<?php echo esc_attr($workshop_id); ?>" data-original-text="<?php echo esc_attr($atts['text']); ?>" data-sold-out-text="<?php esc_attr_e('Sold Out', 'fields-bright-enrollment'); ?>">
             <?php if ($show_capacity && $capacity > 0) : ?>
                 <div class="fb-add-to-cart__capacity">
                     <?php if ($has_waitlist_claim) : ?>
                         <span class="fb-capacity-badge reserved" style="background: #d4edda; color: #155724; border-color: #28a745;">
                             <?php esc_html_e('✓ Reserved for You', 'fields-bright-enrollment'); ?>
                         </span>
+                    <?php elseif ($held_by_you) : ?>
+                        <span class="fb-capacity-badge held">
+                            <?php esc_html_e('✓ Held for You', 'fields-bright-enrollment'); ?>
+                        </span>
                     <?php elseif ($remaining_spots !== null && $remaining_spots > 0) : ?>
                         <span class="fb-capacity-badge <?php echo $remaining_spots <= 5 ? 'urgent' : ''; ?>">
                             <?php
@@ -467,21 +792,14 @@ class CartShortcodes
                 </div>
             <?php endif; ?>
 
-            <?php if (! empty($pricing_options) && ! $is_sold_out && ! $in_cart) : ?>
-                <div class="fb-add-to-cart__options">
-                    <select class="fb-pricing-select" data-pricing-select data-workshop-id="<?php echo esc_attr($workshop_id); ?>">
-                        <?php foreach ($pricing_options as $option) : ?>
-                            <option value="<?php echo esc_attr($option['id']); ?>" 
-                                    data-price="<?php echo esc_attr($option['price']); ?>"
-                                    <?php echo ! empty($option['default']) ? 'selected' : ''; ?>>
-                                <?php echo esc_html($option['label']); ?> - $<?php echo esc_html(number_format($option['price'], 2)); ?>
-                            </option>
-                        <?php endforeach; ?>
-                    </select>
+            <?php // Rendered hidden while in cart so the script can restore it if the item is removed elsewhere. ?>
+            <?php if (! empty($pricing_options) && ! $is_sold_out) : ?>
+                <div class="fb-add-to-cart__options"<?php echo $in_cart ? ' style="display: none;"' : ''; ?>>
+                    <?php echo self::render_pricing_select($workshop_id, $pricing_options); ?>
                 </div>
-            <?php elseif ($show_price && $base_price > 0 && ! $is_sold_out && ! $in_cart) : ?>
-                <div class="fb-add-to-cart__price">
-                    $<?php echo esc_html(number_format($base_price, 2)); ?>
+            <?php elseif ($show_price && $base_price > 0 && ! $is_sold_out) : ?>
+                <div class="fb-add-to-cart__price"<?php echo $in_cart ? ' style="display: none;"' : ''; ?>>
+                    <?php echo esc_html(EnrollmentSystem::format_price((float) $base_price)); ?>
                 </div>
             <?php endif; ?>
 
@@ -510,9 +828,198 @@ class CartShortcodes
                     <?php echo esc_html($atts['text']); ?>
                 </button>
             <?php endif; ?>
+
+            <?php echo self::render_save_toggle($workshop_id, $this->cart_manager->is_saved($workshop_id)); ?>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render the pricing option select of an add to cart or enroll button.
+     *
+     * Pay-what-you-can options carry their range on the <option> so the
+     * scripts can show and validate the amount field when one is selected.
+     * Options that end carry their deadline for the countdown line.
+     *
+     * @param int   $workshop_id     Workshop post ID.
+     * @param array $pricing_options Options from WorkshopMetaBox::get_available_pricing_options().
+     *
+     * @return string HTML output.
+     */
+    public static function render_pricing_select(int $workshop_id, array $pricing_options): string
+    {
+        $selected = WorkshopMetaBox::get_pricing_option($workshop_id);
+        $is_sliding = $selected !== null && WorkshopMetaBox::is_sliding_scale($selected);
+        $amount_id = wp_unique_id('fb-pricing-amount-');
+
+        ob_start();
+        ?>
+        <select class="fb-pricing-select" data-pricing-select data-workshop-id="<?php echo esc_attr($workshop_id); ?>">
+            <?php foreach ($pricing_options as $option) : ?>
+                <?php $deadline = WorkshopMetaBox::get_price_deadline($workshop_id, $option); ?>
+                <option value="<?php echo esc_attr($option['id']); ?>" 
+                        data-price="<?php echo esc_attr($option['price']); ?>"
+                        <?php if (WorkshopMetaBox::is_sliding_scale($option)) : ?>
+                        data-type="sliding"
+                        data-min="<?php echo esc_attr($option['min'] ?? 0); ?>"
+                        data-max="<?php echo esc_attr($option['max'] ?? 0); ?>"
+                        data-hint="<?php echo esc_attr(WorkshopMetaBox::get_amount_hint($option)); ?>"
+                        <?php endif; ?>
+                        <?php if ($deadline) : ?>
+                        data-ends-at="<?php echo esc_attr($deadline['ends_at']); ?>"
+                        data-label="<?php echo esc_attr($deadline['label']); ?>"
+                        data-regular-price="<?php echo esc_attr($deadline['regular_price_formatted']); ?>"
+                        <?php endif; ?>
+                        <?php echo ! empty($option['default']) ? 'selected' : ''; ?>>
+                    <?php echo esc_html($option['label']); ?> - <?php echo esc_html(WorkshopMetaBox::format_option_price($option)); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+        <?php echo self::render_price_deadline($selected ? WorkshopMetaBox::get_price_deadline($workshop_id, $selected) : null, 'fb-pricing-deadline'); ?>
+        <div class="fb-pricing-amount" data-pricing-amount<?php echo $is_sliding ? '' : ' hidden'; ?>>
+            <label class="fb-pricing-amount__label" for="<?php echo esc_attr($amount_id); ?>">
+                <?php esc_html_e('Your amount', 'fields-bright-enrollment'); ?>
+            </label>
+            <input type="number"
+                   id="<?php echo esc_attr($amount_id); ?>"
+                   class="fb-pricing-amount__input"
+                   data-pricing-amount-input
+                   value="<?php echo esc_attr($is_sliding ? $selected['price'] : ''); ?>"
+                   min="<?php echo esc_attr($is_sliding ? ($selected['min'] ?? 0) : 0); ?>"
+                   <?php echo $is_sliding && ! empty($selected['max']) ? 'max="' . esc_attr($selected['max']) . '"' : ''; ?>
+                   step="0.01"
+                   inputmode="decimal">
+            <p class="fb-pricing-amount__hint" data-pricing-amount-hint><?php echo $is_sliding ? esc_html(WorkshopMetaBox::get_amount_hint($selected)) : ''; ?></p>
+            <p class="fb-pricing-amount__error" data-pricing-amount-error role="alert" hidden></p>
         </div>
         <?php
         return ob_get_clean();
     }
-}
 
+    /**
+     * Render the save-for-later toggle shown next to an add to cart button.
+     *
+     * @param int  $workshop_id Workshop post ID.
+     * @param bool $saved       Whether the workshop is on the saved list.
+     *
+     * @return string HTML output.
+     */
+    public static function render_save_toggle(int $workshop_id, bool $saved): string
+    {
+        ob_start();
+        ?>
+        <button type="button"
+                class="fb-save-toggle<?php echo $saved ? ' is-saved' : ''; ?>"
+                data-save-toggle
+                data-workshop-id="<?php echo esc_attr($workshop_id); ?>"
+                aria-pressed="<?php echo $saved ? 'true' : 'false'; ?>">
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/></svg>
+            <span class="fb-save-toggle__label" data-save-label>
+                <?php echo $saved ? esc_html__('Saved', 'fields-bright-enrollment') : esc_html__('Save for later', 'fields-bright-enrollment'); ?>
+            </span>
+        </button>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render the saved-for-later list shown under the cart and on the
+     * account dashboard.
+     *
+     * Hidden while empty. Mirrored by Cart.buildSavedItemHtml() in
+     * enrollment-cart.js, which re-renders it as the list changes.
+     *
+     * @param array $items      Items from CartManager::get_saved_for_api().
+     * @param bool  $show_title Whether to show the list heading.
+     *
+     * @return string HTML output.
+     */
+    public static function render_saved_list(array $items, bool $show_title = true): string
+    {
+        ob_start();
+        ?>
+        <div class="fb-saved-list" data-saved-list<?php echo empty($items) ? ' hidden' : ''; ?>>
+            <?php if ($show_title) : ?>
+            <h3 class="fb-saved-list__title"><?php esc_html_e('Saved for later', 'fields-bright-enrollment'); ?></h3>
+            <?php endif; ?>
+
+            <div class="fb-saved-list__items" data-saved-items>
+                <?php foreach ($items as $item) : ?>
+                <div class="fb-saved-item" data-saved-item data-workshop-id="<?php echo esc_attr($item['workshop_id']); ?>">
+                    <?php if ($item['thumbnail']) : ?>
+                    <div class="fb-saved-item__image">
+                        <img src="<?php echo esc_url($item['thumbnail']); ?>" alt="<?php echo esc_attr($item['workshop_title']); ?>">
+                    </div>
+                    <?php endif; ?>
+
+                    <div class="fb-saved-item__details">
+                        <h4 class="fb-saved-item__title">
+                            <a href="<?php echo esc_url($item['workshop_url']); ?>"><?php echo esc_html($item['workshop_title']); ?></a>
+                        </h4>
+                        <div class="fb-saved-item__meta">
+                            <?php if ($item['price'] > 0) : ?>
+                            <span class="fb-saved-item__price"><?php echo esc_html($item['price_formatted']); ?></span>
+                            <?php endif; ?>
+
+                            <?php if ($item['schedule']) : ?>
+                            <span class="fb-saved-item__schedule"><?php echo esc_html($item['schedule']); ?></span>
+                            <?php elseif ($item['date']) : ?>
+                            <span class="fb-saved-item__date"><?php echo esc_html($item['date']); ?></span>
+                            <?php endif; ?>
+                        </div>
+                        <?php if (! $item['available']) : ?>
+                        <p class="fb-saved-item__unavailable"><?php echo esc_html($item['unavailable']); ?></p>
+                        <?php endif; ?>
+                    </div>
+
+                    <div class="fb-saved-item__actions">
+                        <button type="button"
+                                class="fb-btn fb-btn--primary fb-saved-item__move"
+                                data-saved-move
+                                data-workshop-id="<?php echo esc_attr($item['workshop_id']); ?>"
+                                <?php disabled(! $item['available']); ?>>
+                            <?php esc_html_e('Move to cart', 'fields-bright-enrollment'); ?>
+                        </button>
+                        <button type="button"
+                                class="fb-saved-item__remove"
+                                data-saved-remove
+                                data-workshop-id="<?php echo esc_attr($item['workshop_id']); ?>">
+                            <?php esc_html_e('Remove', 'fields-bright-enrollment'); ?>
+                        </button>
+                    </div>
+                </div>
+                <?php endforeach; ?>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render the countdown line of a pricing option that ends, with the
+     * regular price struck through.
+     *
+     * Always rendered, hidden when there is no deadline, so the cart script
+     * can fill it in when another option is selected.
+     *
+     * @param array|null $deadline From WorkshopMetaBox::get_price_deadline().
+     * @param string     $class    CSS class.
+     *
+     * @return string HTML output.
+     */
+    private static function render_price_deadline(?array $deadline, string $class): string
+    {
+        ob_start();
+        ?>
+        <p class="fb-price-deadline <?php echo esc_attr($class); ?>" data-price-deadline<?php echo $deadline ? '' : ' hidden'; ?>>
+            <del class="fb-price-deadline__regular" data-price-deadline-regular<?php echo $deadline && $deadline['regular_price_formatted'] ? '' : ' hidden'; ?>><?php echo esc_html($deadline['regular_price_formatted'] ?? ''); ?></del>
+            <span class="fb-price-deadline__countdown"
+                  data-deadline-countdown
+                  data-ends-at="<?php echo esc_attr($deadline['ends_at'] ?? ''); ?>"
+                  data-label="<?php echo esc_attr($deadline['label'] ?? ''); ?>"><?php echo esc_html($deadline['text'] ?? ''); ?></span>
+        </p>
+        <?php
+        return ob_get_clean();
+    }
+}
@@ -132,11 +132,12 @@ class StripeHandler
     /**
      * Create a Stripe Checkout Session.
      *
-     * @param array $params Session parameters.
+     * @param array  $params          Session parameters.
+     * @param string $idempotency_key Optional Stripe idempotency key.
      *
      * @return array{success: bool, session_id?: string, url?: string, error?: string}
      */
-    public function create_checkout_session(array $params): array
+    public function create_checkout_session(array $params, string $idempotency_key = ''): array
     {
         if (! $this->is_configured()) {
             return [
@@ -154,7 +155,7 @@ class StripeHandler
         $params = wp_parse_args($params, $defaults);
 
         // Make API request
-        $response = $this->api_request('checkout/sessions', $params, 'POST');
+        $response = $this->api_request('checkout/sessions', $params, 'POST', $idempotency_key);
 
         if (is_wp_error($response)) {
             return [
@@ -170,6 +171,45 @@ class StripeHandler
         ];
     }
 
+    /**
+     * Create a single-use coupon for a Checkout Session discount.
+     *
+     * @param float  $amount_off      Discount in dollars.
+     * @param string $name            Name shown on the Stripe payment page, e.g. the promo code.
+     * @param string $idempotency_key Optional idempotency key for safe retries.
+     *
+     * @return array{success: bool, coupon_id?: string, error?: string}
+     */
+    public function create_coupon(float $amount_off, string $name, string $idempotency_key = ''): array
+    {
+        if (! $this->is_configured()) {
+            return [
+                'success' => false,
+                'error'   => __('Stripe is not configured. Please add API keys in settings.', 'fields-bright-enrollment'),
+            ];
+        }
+
+        $response = $this->api_request('coupons', [
+            'amount_off'      => (int) round($amount_off * 100), // Convert to cents.
+            'currency'        => EnrollmentSystem::get_currency(),
+            'duration'        => 'once',
+            'max_redemptions' => 1,
+            'name'            => mb_substr($name, 0, 40),
+        ], 'POST', $idempotency_key);
+
+        if (is_wp_error($response)) {
+            return [
+                'success' => false,
+                'error'   => $response->get_error_message(),
+            ];
+        }
+
+        return [
+            'success'   => true,
+            'coupon_id' => $response['id'],
+        ];
+    }
+
     /**
      * Create a Checkout Session for a workshop enrollment.
      *
@@ -218,8 +258,8 @@ class StripeHandler
             'line_items'             => [
                 [
                     'price_data' => [
-                        'currency'     => 'usd',
-                        'unit_amount'  => (int) ($price * 100), // Convert to cents
+                        'currency'     => EnrollmentSystem::get_currency(),
+                        'unit_amount'  => (int) round($price * 100), // Convert to cents
                         'product_data' => [
                             'name'        => $workshop->post_title,
                             'description' => $description,
@@ -298,7 +338,7 @@ class StripeHandler
 
         // Add amount if specified (convert to cents).
         if ($amount !== null) {
-            $params['amount'] = (int) ($amount * 100);
+            $params['amount'] = (int) round($amount * 100);
         }
 
         // Add reason if provided.
@@ -415,13 +455,14 @@ class StripeHandler
     /**
      * Make an API request to Stripe with retry logic.
      *
-     * @param string $endpoint API endpoint (without base URL).
-     * @param array  $params   Request parameters.
-     * @param string $method   HTTP method.
+     * @param string $endpoint        API endpoint (without base URL).
+     * @param array  $params          Request parameters.
+     * @param string $method          HTTP method.
+     * @param string $idempotency_key Optional idempotency key for POST requests.
      *
      * @return array|\WP_Error Response data or error.
      */
-    private function api_request(string $endpoint, array $params = [], string $method = 'GET')
+    private function api_request(string $endpoint, array $params = [], string $method = 'GET', string $idempotency_key = '')
     {
         $this->logger->debug('Stripe API request', [
             'endpoint' => $endpoint,
@@ -437,6 +478,11 @@ class StripeHandler
             'Content-Type'    => 'application/x-www-form-urlencoded',
         ];
 
+        // Lets Stripe's retries (below) and the client's replay the same request safely.
+        if ($idempotency_key !== '' && $method === 'POST') {
+            $headers['Idempotency-Key'] = $idempotency_key;
+        }
+
         $args = [
             'method'  => $method,
             'headers' => $headers,
@@ -11,6 +11,9 @@
 
 namespace FieldsBright\Enrollment\Stripe;
 
+use FieldsBright\Enrollment\Cart\CartManager;
+use FieldsBright\Enrollment\Cart\SeatHolds;
+use FieldsBright\Enrollment\Discounts\PromoCodeCPT;
 use FieldsBright\Enrollment\EnrollmentSystem;
 use FieldsBright\Enrollment\PostType\EnrollmentCPT;
 use FieldsBright\Enrollment\Utils\Logger;
@@ -122,6 +125,9 @@ class WebhookHandler
             case 'checkout.session.completed':
                 $result = $this->handle_checkout_completed($event);
                 break;
+            case 'checkout.session.expired':
+                $result = $this->handle_checkout_expired($event);
+                break;
             case 'charge.refunded':
                 $result = $this->handle_charge_refunded($event);
                 break;
@@ -186,7 +192,7 @@ class WebhookHandler
         $is_cart = ($metadata['is_cart'] ?? '') === 'true';
         
         if ($is_cart) {
-            // Cart checkout - create enrollments from cart_data metadata.
+            // Cart checkout - create enrollments from the items stored with the session.
             return $this->handle_cart_checkout_completed($session, $metadata);
         }
 
@@ -224,6 +230,7 @@ class WebhookHandler
             'customer_phone'           => $customer_phone,
             'stripe_payment_intent_id' => $payment_intent_id,
             'stripe_customer_id'       => $customer_id,
+            'currency'                 => $session['currency'] ?? EnrollmentSystem::get_currency(),
         ]);
 
         if (is_wp_error($enrollment_id)) {
@@ -257,6 +264,9 @@ class WebhookHandler
     /**
      * Handle cart checkout completion - creates multiple enrollments.
      *
+     * Each attendee of a cart item gets their own enrollment; all of them
+     * share the session ID, which links them to the order.
+     *
      * @param array $session  Stripe session data.
      * @param array $metadata Session metadata.
      *
@@ -265,13 +275,23 @@ class WebhookHandler
     private function handle_cart_checkout_completed(array $session, array $metadata): array
     {
         $session_id = $session['id'] ?? '';
-        $cart_data = json_decode($metadata['cart_data'] ?? '[]', true);
+        $checkout = get_option(CartManager::CHECKOUT_DATA_PREFIX . $session_id);
+        $cart_data = is_array($checkout) ? (array) ($checkout['items'] ?? []) : [];
 
         if (empty($cart_data)) {
-            $this->log_error('Empty cart data in metadata', ['session_id' => $session_id]);
+            // A retry of a delivery that already created the enrollments.
+            if ($this->enrollment_cpt->get_by_session_id($session_id)) {
+                return [
+                    'success'     => true,
+                    'message'     => 'Cart checkout already processed',
+                    'status_code' => 200,
+                ];
+            }
+
+            $this->log_error('No cart items stored for session', ['session_id' => $session_id]);
             return [
                 'success'     => false,
-                'message'     => 'Empty cart data in session metadata',
+                'message'     => 'No cart items stored for session',
                 'status_code' => 400,
             ];
         }
@@ -284,50 +304,94 @@ class WebhookHandler
         $customer_id = $session['customer'] ?? '';
 
         $created_enrollments = [];
+        $attendees = (array) ($checkout['attendees'] ?? []);
+        $gifts = (array) ($checkout['gifts'] ?? []);
 
-        // Create enrollment for each item in cart.
+        // Create enrollment for each attendee of each item in cart.
         foreach ($cart_data as $item) {
             $workshop_id = $item['id'] ?? 0;
             $pricing_option = $item['pricing_option'] ?? '';
             $price = $item['price'] ?? 0;
+            $quantity = max(1, absint($item['qty'] ?? 1));
 
             if (! $workshop_id) {
                 continue;
             }
 
-            $enrollment_id = $this->enrollment_cpt->create_enrollment([
-                'workshop_id'              => $workshop_id,
-                'stripe_session_id'        => $session_id,
-                'amount'                   => $price,
-                'pricing_option_id'        => $pricing_option,
-                'status'                   => 'completed',
-                'date'                     => current_time('mysql'),
-                'customer_email'           => $customer_email,
-                'customer_name'            => $customer_name,
-                'customer_phone'           => $customer_phone,
-                'stripe_payment_intent_id' => $payment_intent_id,
-                'stripe_customer_id'       => $customer_id,
-            ]);
-
-            if (! is_wp_error($enrollment_id)) {
-                $created_enrollments[] = $enrollment_id;
+            // Split the item's promo discount across its attendees in
+            // cents; the first takes any remainder.
+            $discount_cents = (int) round((float) ($item['disc'] ?? 0) * 100);
+            $share_cents = intdiv($discount_cents, $quantity);
+
+            // A gift is enrolled under its recipient; the buyer is kept as
+            // the purchaser and gets the receipt.
+            $gift = $gifts[$workshop_id] ?? null;
+            $contact = is_array($gift) ? [
+                'customer_email'  => sanitize_email($gift['email'] ?? ''),
+                'customer_name'   => $gift['name'] ?? '',
+                'purchaser_name'  => $customer_name,
+                'purchaser_email' => $customer_email,
+                'purchaser_phone' => $customer_phone,
+                'gift_message'    => $gift['message'] ?? '',
+            ] : [
+                'customer_email' => $customer_email,
+                'customer_name'  => $customer_name,
+                'customer_phone' => $customer_phone,
+            ];
 
-                // Fire action (EmailHandler sends emails via this hook).
-                do_action('fields_bright_enrollment_completed', $enrollment_id, $session);
-            } else {
-                $this->log_error('Failed to create cart enrollment', [
-                    'workshop_id' => $workshop_id,
-                    'error'       => $enrollment_id->get_error_message(),
-                ]);
+            for ($i = 0; $i < $quantity; $i++) {
+                $attendee = $attendees[$workshop_id][$i] ?? [];
+                $discount = ($share_cents + ($i === 0 ? $discount_cents % $quantity : 0)) / 100;
+
+                $enrollment_id = $this->enrollment_cpt->create_enrollment(array_merge([
+                    'workshop_id'              => $workshop_id,
+                    'stripe_session_id'        => $session_id,
+                    'amount'                   => round((float) $price - $discount, 2),
+                    'discount_amount'          => $discount,
+                    'promo_code'               => $discount > 0 ? ($metadata['promo_code'] ?? '') : '',
+                    'pricing_option_id'        => $pricing_option,
+                    'status'                   => 'completed',
+                    'date'                     => current_time('mysql'),
+                    'attendee_name'            => $attendee['name'] ?? '',
+                    'attendee_age'             => $attendee['age'] ?? '',
+                    'attendee_notes'           => $attendee['notes'] ?? '',
+                    'stripe_payment_intent_id' => $payment_intent_id,
+                    'stripe_customer_id'       => $customer_id,
+                    'currency'                 => $session['currency'] ?? EnrollmentSystem::get_currency(),
+                ], $contact));
+
+                if (! is_wp_error($enrollment_id)) {
+                    $created_enrollments[] = $enrollment_id;
+
+                    // Fire action (EmailHandler sends emails via this hook).
+                    do_action('fields_bright_enrollment_completed', $enrollment_id, $session);
+                } else {
+                    $this->log_error('Failed to create cart enrollment', [
+                        'workshop_id' => $workshop_id,
+                        'error'       => $enrollment_id->get_error_message(),
+                    ]);
+                }
             }
         }
 
+        // Only now that the enrollments exist.
+        delete_option(CartManager::CHECKOUT_DATA_PREFIX . $session_id);
+
+        // One paid order counts as one use of its promo code.
+        if (! empty($metadata['promo_id']) && ! empty($created_enrollments)) {
+            (new PromoCodeCPT())->increment_usage(absint($metadata['promo_id']));
+        }
+
         $this->log_info('Cart checkout completed', [
             'session_id'   => $session_id,
             'enrollments'  => $created_enrollments,
             'customer'     => $customer_email,
+            'gifts'        => count($gifts),
         ]);
 
+        // The enrollments now count against capacity in place of the holds.
+        SeatHolds::release_checkout_session(array_column($cart_data, 'id'), $session_id);
+
         // Check if this was a waitlist claim - convert entry to enrollment.
         if (! empty($metadata['waitlist_entry_id']) && ! empty($created_enrollments)) {
             $waitlist_entry_id = absint($metadata['waitlist_entry_id']);
@@ -360,6 +424,37 @@ class WebhookHandler
         ];
     }
 
+    /**
+     * Handle checkout.session.expired event.
+     *
+     * Releases the seats held for a cart checkout that was never paid.
+     *
+     * @param array $event Stripe event data.
+     *
+     * @return array{success: bool, message: string, status_code: int}
+     */
+    private function handle_checkout_expired(array $event): array
+    {
+        $session = $event['data']['object'] ?? [];
+        $session_id = $session['id'] ?? '';
+        $metadata = $session['metadata'] ?? [];
+        $workshop_ids = array_filter(array_map('absint', explode(',', (string) ($metadata['workshop_ids'] ?? ''))));
+
+        $released = SeatHolds::release_checkout_session($workshop_ids, $session_id);
+        delete_option(CartManager::CHECKOUT_DATA_PREFIX . $session_id);
+
+        $this->log_info('Checkout session expired', [
+            'session_id' => $session_id,
+            'released'   => $released,
+        ]);
+
+        return [
+            'success'     => true,
+            'message'     => sprintf('Released %d seat hold(s)', $released),
+            'status_code' => 200,
+        ];
+    }
+
     /**
      * Update existing enrollment from session data (legacy flow).
      *
@@ -474,10 +569,11 @@ class WebhookHandler
         $enrollment = $enrollments[0];
 
         // Check if already refunded - prevent duplicate processing.
-        // If status is already 'refunded', this was processed by the admin via RefundHandler.
+        // If status is already 'refunded', this was processed by the admin via RefundHandler;
+        // 'cancelled' means it was refunded as part of a workshop cancellation.
         // Skip firing the action to prevent duplicate emails.
         $current_status = get_post_meta($enrollment->ID, EnrollmentCPT::META_PREFIX . 'status', true);
-        $already_refunded = ($current_status === 'refunded');
+        $already_refunded = in_array($current_status, ['refunded', 'cancelled'], true);
 
         if ($already_refunded) {
             $this->log_info('Enrollment already refunded (skipping duplicate webhook processing)', [
@@ -67,6 +67,16 @@ class Logger
      */
     private string $log_option = 'fields_bright_logs';
 
+    /**
+     * Option name for the last log entry ID handed out.
+     *
+     * Not touched when the logs are cleared, so IDs keep going up and a
+     * live tail's cursor stays behind new entries.
+     *
+     * @var string
+     */
+    private string $last_id_option = 'fields_bright_logs_last_id';
+
     /**
      * Maximum log file size in bytes (default: 10MB).
      *
@@ -419,14 +429,16 @@ class Logger
         }
 
         $logs = get_option($this->log_option, []);
+        $id = $this->get_latest_log_id() + 1;
 
-        // Add new entry.
+        // Add new entry. IDs increase by one per entry, for the log viewer's live tail.
         $logs[] = [
-            'level'     => $level,
+            'id'         => $id,
+            'level'      => $level,
             'level_name' => LogLevel::get_name($level),
-            'message'   => $message,
-            'context'   => $context,
-            'timestamp' => current_time('mysql'),
+            'message'    => $message,
+            'context'    => $context,
+            'timestamp'  => current_time('mysql'),
         ];
 
         // Keep only recent entries.
@@ -435,12 +447,13 @@ class Logger
         }
 
         update_option($this->log_option, $logs);
+        update_option($this->last_id_option, $id);
     }
 
     /**
      * Get logs with optional filtering.
      *
-     * @param array $filters Optional filters (level, search, date_from, date_to, limit).
+     * @param array $filters Optional filters (level, search, date_from, date_to, after_id, limit).
      *
      * @return array Filtered logs.
      */
@@ -452,6 +465,12 @@ class Logger
         $logs = array_reverse($logs);
 
         // Apply filters.
+        if (! empty($filters['after_id'])) {
+            $logs = array_filter($logs, function ($log) use ($filters) {
+                return (int) ($log['id'] ?? 0) > (int) $filters['after_id'];
+            });
+        }
+
         if (! empty($filters['level'])) {
             $logs = array_filter($logs, function ($log) use ($filters) {
                 return $log['level'] >= $filters['level'];
@@ -486,6 +505,31 @@ class Logger
         return array_values($logs);
     }
 
+    /**
+     * Get the ID of the newest log entry, even if it has since been cleared.
+     *
+     * Entries stored before IDs were added count as 0.
+     *
+     * @return int
+     */
+    public function get_latest_log_id(): int
+    {
+        $logs = get_option($this->log_option, []);
+        $last = $logs ? end($logs) : [];
+
+        return max((int) get_option($this->last_id_option, 0), (int) ($last['id'] ?? 0));
+    }
+
+    /**
+     * Count the stored log entries, without filtering them.
+     *
+     * @return int
+     */
+    public function count_logs(): int
+    {
+        return count(get_option($this->log_option, []));
+    }
+
     /**
      * Clear all logs.
      *
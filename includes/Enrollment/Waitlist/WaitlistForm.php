@@ -71,14 +71,13 @@ class WaitlistForm
         wp_enqueue_script(
             'fields-bright-waitlist',
             get_stylesheet_directory_uri() . '/assets/js/waitlist-form.js',
-            ['jquery'],
+            ['jquery', 'fields-bright-api', 'fields-bright-notifications'],
             '1.0.0',
             true
         );
+        wp_enqueue_style('fields-bright-notifications');
 
         wp_localize_script('fields-bright-waitlist', 'fieldsBrightWaitlist', [
-            'ajaxUrl' => admin_url('admin-ajax.php'),
-            'nonce'   => wp_create_nonce('fields_bright_waitlist'),
             'strings' => [
                 'submitting' => __('Joining waitlist...', 'fields-bright-enrollment'),
                 'success'    => __('You\'ve been added to the waitlist!', 'fields-bright-enrollment'),
@@ -137,7 +136,7 @@ class WaitlistForm
         // Check if user is already enrolled (completed enrollment).
         $is_already_enrolled = false;
         if (is_user_logged_in()) {
-            $account_handler = EnrollmentSystem::instance()->get_account_handler();
+            $account_handler = EnrollmentSystem::instance()->get_user_account_handler();
             if ($account_handler) {
                 $is_already_enrolled = $account_handler->has_enrolled_in_workshop(get_current_user_id(), $workshop_id);
             }
@@ -211,8 +210,6 @@ class WaitlistForm
                                 <?php echo esc_html($atts['button_text']); ?>
                             </button>
                         </div>
-
-                        <div class="fb-waitlist-form__message" style="display: none;"></div>
                     </form>
                 </div>
             <?php endif; ?>
@@ -287,20 +284,6 @@ class WaitlistForm
                 opacity: 0.7;
                 cursor: not-allowed;
             }
-            .fb-waitlist-form__message {
-                margin-top: 20px;
-                padding: 12px;
-                border-radius: 4px;
-                text-align: center;
-            }
-            .fb-waitlist-form__message.success {
-                background: #d4edda;
-                color: #155724;
-            }
-            .fb-waitlist-form__message.error {
-                background: #f8d7da;
-                color: #721c24;
-            }
             .fb-waitlist-status {
                 text-align: center;
                 padding: 30px;
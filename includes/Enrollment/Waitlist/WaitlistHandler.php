@@ -200,6 +200,18 @@ class WaitlistHandler
         return (int) get_post_meta($entry->ID, WaitlistCPT::META_PREFIX . 'position', true);
     }
 
+    /**
+     * Get the people still waiting for a workshop, next in line first.
+     *
+     * @param int $workshop_id Workshop post ID.
+     *
+     * @return array Entries as returned by WaitlistCPT::get_entries_for_workshop().
+     */
+    public function get_waiting_entries(int $workshop_id): array
+    {
+        return $this->waitlist_cpt->get_entries_for_workshop($workshop_id, 'waiting');
+    }
+
     /**
      * Notify next person in line when spot opens.
      *
@@ -279,7 +291,10 @@ class WaitlistHandler
         // Verify nonce (use wp_unslash for proper sanitization).
         $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
         if (! wp_verify_nonce($nonce, 'fields_bright_waitlist')) {
-            wp_send_json_error(['message' => __('Security check failed.', 'fields-bright-enrollment')]);
+            wp_send_json_error([
+                'code'    => 'invalid_nonce',
+                'message' => __('Security check failed.', 'fields-bright-enrollment'),
+            ], 403);
         }
 
         $workshop_id = isset($_POST['workshop_id']) ? absint($_POST['workshop_id']) : 0;
@@ -99,6 +99,22 @@ $date_display = $date ? date_i18n(get_option('date_format') . ' @ ' . get_option
                                                     <?php echo esc_html($workshop_title); ?>
                                                 </td>
                                             </tr>
+                                            <?php if (! empty($attendee_name)) : ?>
+                                            <tr>
+                                                <td style="padding: 8px 0; border-bottom: 1px solid #ddd;">
+                                                    <strong style="color: #666;"><?php esc_html_e('Attendee', 'fields-bright-enrollment'); ?></strong>
+                                                </td>
+                                                <td style="padding: 8px 0; border-bottom: 1px solid #ddd; color: #23282d;">
+                                                    <?php echo esc_html($attendee_name); ?>
+                                                    <?php if (! empty($attendee_age)) : ?>
+                                                        (<?php echo esc_html($attendee_age); ?>)
+                                                    <?php endif; ?>
+                                                    <?php if (! empty($attendee_notes)) : ?>
+                                                        <br><span style="color: #666;"><?php echo esc_html($attendee_notes); ?></span>
+                                                    <?php endif; ?>
+                                                </td>
+                                            </tr>
+                                            <?php endif; ?>
                                             <?php if ($pricing_option) : ?>
                                             <tr>
                                                 <td style="padding: 8px 0; border-bottom: 1px solid #ddd;">
@@ -30,7 +30,7 @@ if (! defined('ABSPATH')) {
     <div style="padding: 30px; background: #f9f9f9;">
         <p>Dear <?php echo esc_html($customer_name ?? 'Valued Customer'); ?>,</p>
         
-        <p>Your enrollment for <strong><?php echo esc_html($workshop_title ?? ''); ?></strong> has been cancelled as requested.</p>
+        <p>Your enrollment for <strong><?php echo esc_html($workshop_title ?? ''); ?></strong> has been cancelled.</p>
         
         <div style="background: #fff; padding: 20px; border-radius: 8px; margin: 20px 0;">
             <?php if (! empty($confirmation_number)) : ?>
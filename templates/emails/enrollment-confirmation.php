@@ -83,6 +83,16 @@ if (! $schedule_display && $event_start) {
                                                     <?php echo esc_html($workshop_title); ?>
                                                 </td>
                                             </tr>
+                                            <?php if (! empty($attendee_name)) : ?>
+                                            <tr>
+                                                <td style="padding: 10px 0; border-bottom: 1px solid #eee;">
+                                                    <strong style="color: #666;"><?php esc_html_e('Attendee', 'fields-bright-enrollment'); ?></strong>
+                                                </td>
+                                                <td style="padding: 10px 0; border-bottom: 1px solid #eee; color: #271C1A;">
+                                                    <?php echo esc_html($attendee_name); ?>
+                                                </td>
+                                            </tr>
+                                            <?php endif; ?>
                                             <?php if ($schedule_display) : ?>
                                             <tr>
                                                 <td style="padding: 10px 0; border-bottom: 1px solid #eee;">